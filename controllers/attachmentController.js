@@ -0,0 +1,176 @@
+import { StatusCodes } from "http-status-codes";
+
+import attachmentService from "../services/attachmentService.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import logger from "../utils/logger.js";
+
+class AttachmentController {
+  async uploadToTask(req, res) {
+    return this._upload(req, res, "Task", req.params.id);
+  }
+
+  async uploadToNote(req, res) {
+    return this._upload(req, res, "Note", req.params.id);
+  }
+
+  async uploadToComment(req, res) {
+    return this._upload(req, res, "Comment", req.params.commentId);
+  }
+
+  async getAttachment(req, res) {
+    try {
+      const attachment = await attachmentService.getAttachment(
+        req.params.attachmentId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Attachment retrieved successfully",
+        data: attachment,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error retrieving attachment",
+        code: "ATTACHMENT_FETCH_ERROR",
+      });
+    }
+  }
+
+  async download(req, res) {
+    try {
+      const { attachment, stream } = await attachmentService.openDownload(
+        req.params.attachmentId,
+        req.query
+      );
+
+      res.attachment(attachment.filename);
+      res.set({
+        "Content-Type": attachment.contentType,
+        "Content-Length": attachment.size,
+        "Cache-Control": "private, no-store",
+        "X-Content-SHA256": attachment.checksum,
+      });
+
+      stream.on("error", (error) => {
+        logger.error(`Error streaming attachment: ${error.message}`, {
+          requestId: req.requestId,
+        });
+        res.destroy(error);
+      });
+      return stream.pipe(res);
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error downloading attachment",
+        code: "ATTACHMENT_DOWNLOAD_ERROR",
+      });
+    }
+  }
+
+  async deleteAttachment(req, res) {
+    try {
+      await attachmentService.deleteAttachment(
+        req.params.attachmentId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Attachment deleted successfully",
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error deleting attachment",
+        code: "ATTACHMENT_DELETE_ERROR",
+      });
+    }
+  }
+
+  async getStorageUsage(req, res) {
+    try {
+      const usage = await attachmentService.getStorageUsage(
+        req.user.userId,
+        req.query.organization
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Storage usage retrieved successfully",
+        data: usage,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error retrieving storage usage",
+        code: "ATTACHMENT_USAGE_ERROR",
+      });
+    }
+  }
+
+  async _upload(req, res, entityType, entityId) {
+    try {
+      const attachment = await attachmentService.uploadAttachment(
+        entityType,
+        entityId,
+        req.user.userId,
+        req.file
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.CREATED,
+        message: "Attachment uploaded successfully",
+        data: attachment,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error uploading attachment",
+        code: "ATTACHMENT_UPLOAD_ERROR",
+      });
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   */
+  _handleError(req, res, error, fallback) {
+    logger.error(`${fallback.message}: ${error.message}`, {
+      userId: req.user?.userId,
+      requestId: req.requestId,
+    });
+
+    let status = StatusCodes.INTERNAL_SERVER_ERROR;
+    let code = fallback.code;
+    let message = fallback.message;
+
+    if (error.message.includes("not found") || error.code === "ENOENT") {
+      status = StatusCodes.NOT_FOUND;
+      code = "ATTACHMENT_NOT_FOUND";
+      message =
+        error.code === "ENOENT" ? "Attachment not found" : error.message;
+    } else if (error.message.includes("permission")) {
+      status = StatusCodes.FORBIDDEN;
+      code = "ATTACHMENT_ACCESS_DENIED";
+      message = error.message;
+    } else if (error.message.startsWith("Storage quota exceeded")) {
+      status = StatusCodes.REQUEST_TOO_LONG;
+      code = "ATTACHMENT_QUOTA_EXCEEDED";
+      message = error.message;
+    } else if (error.message.startsWith("Invalid")) {
+      status = StatusCodes.BAD_REQUEST;
+      code = "ATTACHMENT_VALIDATION_ERROR";
+      message = error.message;
+    }
+
+    return apiResponse(res, {
+      status,
+      message,
+      error: code,
+      requestId: req.requestId,
+    });
+  }
+}
+
+export default new AttachmentController();
@@ -0,0 +1,254 @@
+import { StatusCodes } from "http-status-codes";
+
+import collaborationService from "../services/collaborationService.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import logger from "../utils/logger.js";
+
+// Entity types accepted in URLs and bodies, keyed by lowercase name
+const ENTITY_TYPES = {
+  task: "Task",
+  note: "Note",
+  project: "Project",
+  team: "Team",
+  timelog: "TimeLog",
+};
+
+class CommentController {
+  async createComment(req, res) {
+    try {
+      const comment = await collaborationService.createComment(
+        {
+          content: req.body.content,
+          entityType: this._resolveEntityType(req.body.entityType),
+          entityId: req.body.entityId,
+          parentComment: req.body.parentComment,
+        },
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.CREATED,
+        message: "Comment added successfully",
+        data: { comment },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error creating comment",
+        code: "COMMENT_CREATION_ERROR",
+      });
+    }
+  }
+
+  async getComments(req, res) {
+    try {
+      const { entityType, entityId, onlyRoot, cursor, page, limit, sortOrder } =
+        req.query;
+
+      const result = await collaborationService.getCommentsForEntity(
+        this._resolveEntityType(entityType),
+        entityId,
+        req.user.userId,
+        { onlyRoot: onlyRoot !== "false" },
+        { cursor, page, limit, sortOrder: sortOrder === "asc" ? 1 : -1 }
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Comments retrieved successfully",
+        data: result,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching comments",
+        code: "COMMENT_FETCH_ERROR",
+      });
+    }
+  }
+
+  async getCommentById(req, res) {
+    try {
+      const comment = await collaborationService.getCommentById(
+        req.params.commentId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Comment retrieved successfully",
+        data: { comment },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching comment",
+        code: "COMMENT_FETCH_ERROR",
+      });
+    }
+  }
+
+  async updateComment(req, res) {
+    try {
+      const comment = await collaborationService.updateComment(
+        req.params.commentId,
+        req.body.content,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Comment updated successfully",
+        data: { comment },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error updating comment",
+        code: "COMMENT_UPDATE_ERROR",
+      });
+    }
+  }
+
+  async deleteComment(req, res) {
+    try {
+      await collaborationService.deleteComment(
+        req.params.commentId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Comment deleted successfully",
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error deleting comment",
+        code: "COMMENT_DELETION_ERROR",
+      });
+    }
+  }
+
+  async toggleReaction(req, res) {
+    try {
+      const comment = await collaborationService.addReaction(
+        req.params.commentId,
+        req.body.type,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Reaction updated",
+        data: { reactions: comment.reactions },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error updating reaction",
+        code: "COMMENT_REACTION_ERROR",
+      });
+    }
+  }
+
+  async setResolution(req, res) {
+    try {
+      const comment = await collaborationService.setCommentResolution(
+        req.params.commentId,
+        req.body.resolved,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: comment.isResolved
+          ? "Comment marked as resolved"
+          : "Comment marked as unresolved",
+        data: { comment },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error updating comment resolution",
+        code: "COMMENT_RESOLUTION_ERROR",
+      });
+    }
+  }
+
+  async getActivityFeed(req, res) {
+    try {
+      const result = await collaborationService.getActivityFeed(
+        this._resolveEntityType(req.params.entityType),
+        req.params.entityId,
+        req.user.userId,
+        {
+          cursor: req.query.cursor,
+          page: req.query.page,
+          limit: req.query.limit,
+        }
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Activity retrieved successfully",
+        data: result,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching activity",
+        code: "ACTIVITY_FETCH_ERROR",
+      });
+    }
+  }
+
+  /**
+   * Map "task", "Task" or "tasks" to the model name used on comments
+   */
+  _resolveEntityType(entityType = "") {
+    const key = entityType.toLowerCase().replace(/s$/, "");
+    return ENTITY_TYPES[key] || entityType;
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   */
+  _handleError(req, res, error, fallback) {
+    logger.error(`${fallback.message}: ${error.message}`, {
+      userId: req.user.userId,
+      commentId: req.params.commentId,
+      requestId: req.requestId,
+    });
+
+    let status = StatusCodes.INTERNAL_SERVER_ERROR;
+    let code = fallback.code;
+    let message = fallback.message;
+
+    if (error.message.includes("not found")) {
+      status = StatusCodes.NOT_FOUND;
+      code = "COMMENT_NOT_FOUND";
+      message = error.message;
+    } else if (error.message.includes("permission")) {
+      status = StatusCodes.FORBIDDEN;
+      code = "COMMENT_ACCESS_DENIED";
+      message = error.message;
+    } else if (
+      error.message.includes("validation failed") ||
+      error.message.includes("Invalid")
+    ) {
+      status = StatusCodes.BAD_REQUEST;
+      code = "COMMENT_VALIDATION_ERROR";
+      message = error.message;
+    }
+
+    return apiResponse(res, {
+      status,
+      message,
+      error: code,
+      requestId: req.requestId,
+    });
+  }
+}
+
+export default new CommentController();
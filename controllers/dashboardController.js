@@ -18,6 +18,14 @@ class DashboardController {
       });
     } catch (error) {
       logger.error(`Dashboard creation error: ${error.message}`);
+
+      if (error.message.includes("access")) {
+        return res.status(403).json({
+          message: error.message,
+          error: "DASHBOARD_ACCESS_DENIED",
+        });
+      }
+
       res.status(500).json({
         message: "Error creating dashboard",
         error: "DASHBOARD_CREATION_ERROR",
@@ -218,15 +226,18 @@ class DashboardController {
     } catch (error) {
       logger.error(`Add widget error: ${error.message}`);
 
+      const isDenied =
+        error.message.includes("owner") || error.message.includes("access");
+
       const errorStatus = error.message.includes("not found")
         ? 404
-        : error.message.includes("owner")
+        : isDenied
           ? 403
           : 500;
 
       const errorCode = error.message.includes("not found")
         ? "DASHBOARD_NOT_FOUND"
-        : error.message.includes("owner")
+        : isDenied
           ? "WIDGET_ADD_DENIED"
           : "WIDGET_ADD_ERROR";
 
@@ -323,7 +334,8 @@ class DashboardController {
       const data = await dashboardService.getWidgetData(
         req.params.dashboardId,
         req.params.widgetId,
-        req.user.userId
+        req.user.userId,
+        { forceRefresh: req.query.refresh === "true" }
       );
 
       res.json({
@@ -0,0 +1,146 @@
+import { StatusCodes } from "http-status-codes";
+
+import importService from "../services/importService.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import logger from "../utils/logger.js";
+
+class ImportController {
+  async previewImport(req, res) {
+    try {
+      const preview = await importService.previewImport(req.user.userId, {
+        ...req.body,
+        file: req.file,
+      });
+
+      return apiResponse(res, {
+        status: StatusCodes.CREATED,
+        message: "Import preview created successfully",
+        data: preview,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error previewing import",
+        code: "IMPORT_PREVIEW_ERROR",
+      });
+    }
+  }
+
+  async commitImport(req, res) {
+    try {
+      const result = await importService.commitImport(
+        req.params.importId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Import committed successfully",
+        data: result,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error committing import",
+        code: "IMPORT_COMMIT_ERROR",
+      });
+    }
+  }
+
+  async undoImport(req, res) {
+    try {
+      const result = await importService.undoImport(
+        req.params.importId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Import undone successfully",
+        data: result,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error undoing import",
+        code: "IMPORT_UNDO_ERROR",
+      });
+    }
+  }
+
+  async getImports(req, res) {
+    try {
+      const result = await importService.getImports(req.user.userId, req.query);
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Imports retrieved successfully",
+        data: result,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error retrieving imports",
+        code: "IMPORT_FETCH_ERROR",
+      });
+    }
+  }
+
+  async getImport(req, res) {
+    try {
+      const result = await importService.getImport(
+        req.params.importId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Import retrieved successfully",
+        data: result,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error retrieving import",
+        code: "IMPORT_FETCH_ERROR",
+      });
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   */
+  _handleError(req, res, error, fallback) {
+    logger.error(`${fallback.message}: ${error.message}`, {
+      userId: req.user.userId,
+      requestId: req.requestId,
+    });
+
+    let status = StatusCodes.INTERNAL_SERVER_ERROR;
+    let code = fallback.code;
+    let message = fallback.message;
+
+    if (error.message.includes("not found")) {
+      status = StatusCodes.NOT_FOUND;
+      code = "IMPORT_NOT_FOUND";
+      message = error.message;
+    } else if (error.message.includes("permission")) {
+      status = StatusCodes.FORBIDDEN;
+      code = "IMPORT_ACCESS_DENIED";
+      message = error.message;
+    } else if (error.message.startsWith("Invalid")) {
+      status = StatusCodes.BAD_REQUEST;
+      code = "IMPORT_VALIDATION_ERROR";
+      message = error.message;
+    }
+
+    return apiResponse(res, {
+      status,
+      message,
+      error: code,
+      requestId: req.requestId,
+    });
+  }
+}
+
+export default new ImportController();
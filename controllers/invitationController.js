@@ -1,4 +1,7 @@
+import { StatusCodes } from "http-status-codes";
+
 import invitationService from "../services/invitationService.js";
+import { apiResponse } from "../utils/apiResponse.js";
 import logger from "../utils/logger.js";
 
 class InvitationController {
@@ -54,12 +57,20 @@ class InvitationController {
         req.query
       );
 
-      res.json({
+      return apiResponse(res, {
+        status: StatusCodes.OK,
         message: "Invitations retrieved successfully",
-        ...invitations,
+        data: invitations,
+        requestId: req.requestId,
       });
     } catch (error) {
       logger.error(`Get organization invitations error: ${error.message}`);
+      if (error.message === "Invalid cursor") {
+        return res.status(400).json({
+          message: error.message,
+          error: "INVALID_CURSOR",
+        });
+      }
       res.status(500).json({
         message: "Error fetching organization invitations",
         error: "INVITATION_FETCH_ERROR",
@@ -1,4 +1,7 @@
+import { StatusCodes } from "http-status-codes";
+
 import membershipService from "../services/membershipService.js";
+import { apiResponse } from "../utils/apiResponse.js";
 import logger from "../utils/logger.js";
 
 class MembershipController {
@@ -12,12 +15,20 @@ class MembershipController {
         req.query
       );
 
-      res.json({
+      return apiResponse(res, {
+        status: StatusCodes.OK,
         message: "Members retrieved successfully",
-        ...members,
+        data: members,
+        requestId: req.requestId,
       });
     } catch (error) {
       logger.error(`Get organization members error: ${error.message}`);
+      if (error.message === "Invalid cursor") {
+        return res.status(400).json({
+          message: error.message,
+          error: "INVALID_CURSOR",
+        });
+      }
       res.status(500).json({
         message: "Error fetching organization members",
         error: "MEMBER_FETCH_ERROR",
@@ -1,6 +1,7 @@
 import { StatusCodes } from "http-status-codes";
 
 import noteService from "../services/noteService.js";
+import reminderService from "../services/reminderService.js";
 import { apiResponse } from "../utils/apiResponse.js";
 import logger from "../utils/logger.js";
 
@@ -61,6 +62,15 @@ class NoteController {
         requestId: req.requestId,
       });
 
+      if (error.message.includes("Invalid cursor")) {
+        return apiResponse(res, {
+          status: StatusCodes.BAD_REQUEST,
+          message: "Invalid cursor",
+          error: "INVALID_CURSOR",
+          requestId: req.requestId,
+        });
+      }
+
       return apiResponse(res, {
         status: StatusCodes.INTERNAL_SERVER_ERROR,
         message: "Error fetching notes",
@@ -413,6 +423,106 @@ class NoteController {
       });
     }
   }
+
+  async setReminder(req, res) {
+    try {
+      const reminder = await reminderService.setNoteReminder(
+        req.params.id,
+        req.user.userId,
+        req.body
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Reminder updated",
+        data: { reminder },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleReminderError(req, res, error, {
+        message: "Error updating reminder",
+        code: "NOTE_REMINDER_ERROR",
+      });
+    }
+  }
+
+  async snoozeReminder(req, res) {
+    try {
+      const reminder = await reminderService.snoozeNoteReminder(
+        req.params.id,
+        req.user.userId,
+        req.body.minutes
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Reminder snoozed",
+        data: { reminder },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleReminderError(req, res, error, {
+        message: "Error snoozing reminder",
+        code: "NOTE_REMINDER_ERROR",
+      });
+    }
+  }
+
+  async dismissReminder(req, res) {
+    try {
+      const reminder = await reminderService.dismissNoteReminder(
+        req.params.id,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Reminder dismissed",
+        data: { reminder },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleReminderError(req, res, error, {
+        message: "Error dismissing reminder",
+        code: "NOTE_REMINDER_ERROR",
+      });
+    }
+  }
+
+  /**
+   * Map reminder errors to HTTP responses
+   */
+  _handleReminderError(req, res, error, fallback) {
+    logger.error(`${fallback.message}: ${error.message}`, {
+      userId: req.user.userId,
+      noteId: req.params.id,
+      requestId: req.requestId,
+    });
+
+    let status = StatusCodes.INTERNAL_SERVER_ERROR;
+    let code = fallback.code;
+    let message = fallback.message;
+
+    if (
+      error.message.includes("not found") ||
+      error.message === "Invalid note ID format"
+    ) {
+      status = StatusCodes.NOT_FOUND;
+      code = "NOTE_NOT_FOUND";
+      message = error.message;
+    } else if (error.message.includes("Validation failed")) {
+      status = StatusCodes.BAD_REQUEST;
+      code = "VALIDATION_ERROR";
+      message = error.message;
+    }
+
+    return apiResponse(res, {
+      status,
+      message,
+      error: code,
+      requestId: req.requestId,
+    });
+  }
 }
 
 export default new NoteController();
@@ -0,0 +1,196 @@
+import { StatusCodes } from "http-status-codes";
+
+import notificationService from "../services/notificationService.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import logger from "../utils/logger.js";
+
+class NotificationController {
+  async getNotifications(req, res) {
+    try {
+      const { unread, type, archived, cursor, page, limit } = req.query;
+
+      const result = await notificationService.getUserNotifications(
+        req.user.userId,
+        {
+          unreadOnly: unread === "true",
+          type,
+          archived: archived === "true",
+        },
+        { cursor, page, limit }
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Notifications retrieved successfully",
+        data: result,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching notifications",
+        code: "NOTIFICATION_FETCH_ERROR",
+      });
+    }
+  }
+
+  async getUnreadCount(req, res) {
+    try {
+      const unreadCount = await notificationService.getUnreadCount(
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Unread count retrieved successfully",
+        data: { unreadCount },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching unread count",
+        code: "NOTIFICATION_FETCH_ERROR",
+      });
+    }
+  }
+
+  async markAsRead(req, res) {
+    try {
+      const notification = await notificationService.markAsRead(
+        req.params.notificationId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Notification marked as read",
+        data: { notification },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error updating notification",
+        code: "NOTIFICATION_UPDATE_ERROR",
+      });
+    }
+  }
+
+  async markAllAsRead(req, res) {
+    try {
+      const result = await notificationService.markAllAsRead(req.user.userId);
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "All notifications marked as read",
+        data: { count: result.count },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error updating notifications",
+        code: "NOTIFICATION_UPDATE_ERROR",
+      });
+    }
+  }
+
+  async archive(req, res) {
+    try {
+      const notification = await notificationService.setArchived(
+        req.params.notificationId,
+        req.user.userId,
+        req.body.archived !== false
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: notification.isArchived
+          ? "Notification archived"
+          : "Notification restored",
+        data: { notification },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error archiving notification",
+        code: "NOTIFICATION_ARCHIVE_ERROR",
+      });
+    }
+  }
+
+  async getPreferences(req, res) {
+    try {
+      const preferences = await notificationService.getPreferences(
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Notification preferences retrieved successfully",
+        data: { preferences },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching notification preferences",
+        code: "NOTIFICATION_PREFERENCES_ERROR",
+      });
+    }
+  }
+
+  async updatePreferences(req, res) {
+    try {
+      const preferences = await notificationService.updatePreferences(
+        req.user.userId,
+        req.body
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Notification preferences updated successfully",
+        data: { preferences },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error updating notification preferences",
+        code: "NOTIFICATION_PREFERENCES_ERROR",
+      });
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   */
+  _handleError(req, res, error, fallback) {
+    logger.error(`${fallback.message}: ${error.message}`, {
+      userId: req.user.userId,
+      notificationId: req.params.notificationId,
+      requestId: req.requestId,
+    });
+
+    let status = StatusCodes.INTERNAL_SERVER_ERROR;
+    let code = fallback.code;
+    let message = fallback.message;
+
+    if (error.message.includes("not found")) {
+      status = StatusCodes.NOT_FOUND;
+      code = "NOTIFICATION_NOT_FOUND";
+      message = error.message;
+    } else if (
+      error.message.includes("validation failed") ||
+      error.message.includes("Invalid")
+    ) {
+      status = StatusCodes.BAD_REQUEST;
+      code = "NOTIFICATION_VALIDATION_ERROR";
+      message = error.message;
+    }
+
+    return apiResponse(res, {
+      status,
+      message,
+      error: code,
+      requestId: req.requestId,
+    });
+  }
+}
+
+export default new NotificationController();
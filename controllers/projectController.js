@@ -0,0 +1,443 @@
+import { StatusCodes } from "http-status-codes";
+
+import boardService from "../services/boardService.js";
+import projectService from "../services/projectService.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import logger from "../utils/logger.js";
+
+class ProjectController {
+  async createProject(req, res) {
+    try {
+      // Strip the scoping field consumed by the permission middleware
+      const projectData = { ...req.body };
+      delete projectData.organizationId;
+
+      const project = await projectService.createProject(
+        { ...projectData, organization: req.organizationId },
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.CREATED,
+        message: "Project created successfully",
+        data: { project },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error creating project",
+        code: "PROJECT_CREATION_ERROR",
+      });
+    }
+  }
+
+  async getProjects(req, res) {
+    try {
+      const {
+        status,
+        priority,
+        search,
+        startDate,
+        dueDate,
+        isArchived,
+        cursor,
+        page,
+        limit,
+        sortBy,
+        sortOrder,
+      } = req.query;
+
+      const result = await projectService.getProjects(
+        req.user.userId,
+        {
+          organization: req.organizationId,
+          status,
+          priority,
+          search,
+          startDate,
+          dueDate,
+          isArchived,
+        },
+        {
+          cursor,
+          page,
+          limit,
+          sortBy,
+          sortOrder: sortOrder === "asc" ? 1 : -1,
+        },
+        req.membership
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Projects retrieved successfully",
+        data: result,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching projects",
+        code: "PROJECT_FETCH_ERROR",
+      });
+    }
+  }
+
+  async getProjectById(req, res) {
+    try {
+      const project = await projectService.getProjectById(
+        req.params.projectId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Project retrieved successfully",
+        data: { project },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching project",
+        code: "PROJECT_FETCH_ERROR",
+      });
+    }
+  }
+
+  async updateProject(req, res) {
+    try {
+      const project = await projectService.updateProject(
+        req.params.projectId,
+        req.body,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Project updated successfully",
+        data: { project },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error updating project",
+        code: "PROJECT_UPDATE_ERROR",
+      });
+    }
+  }
+
+  async deleteProject(req, res) {
+    try {
+      const result = await projectService.deleteProject(
+        req.params.projectId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: result.message,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error deleting project",
+        code: "PROJECT_DELETION_ERROR",
+      });
+    }
+  }
+
+  async addMember(req, res) {
+    try {
+      const project = await projectService.addMember(
+        req.params.projectId,
+        req.body.userId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Member added to project",
+        data: { project },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error adding project member",
+        code: "PROJECT_MEMBER_ERROR",
+      });
+    }
+  }
+
+  async removeMember(req, res) {
+    try {
+      const project = await projectService.removeMember(
+        req.params.projectId,
+        req.params.memberId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Member removed from project",
+        data: { project },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error removing project member",
+        code: "PROJECT_MEMBER_ERROR",
+      });
+    }
+  }
+
+  async addTeam(req, res) {
+    try {
+      const project = await projectService.addTeam(
+        req.params.projectId,
+        req.body.teamId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Team added to project",
+        data: { project },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error adding team to project",
+        code: "PROJECT_TEAM_ERROR",
+      });
+    }
+  }
+
+  async removeTeam(req, res) {
+    try {
+      const project = await projectService.removeTeam(
+        req.params.projectId,
+        req.params.teamId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Team removed from project",
+        data: { project },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error removing team from project",
+        code: "PROJECT_TEAM_ERROR",
+      });
+    }
+  }
+
+  async getProjectStatistics(req, res) {
+    try {
+      const statistics = await projectService.getProjectStatistics(
+        req.params.projectId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Project statistics retrieved successfully",
+        data: { statistics },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching project statistics",
+        code: "PROJECT_STATISTICS_ERROR",
+      });
+    }
+  }
+
+  async addWorkflowAutomation(req, res) {
+    try {
+      const project = await projectService.addWorkflowAutomation(
+        req.params.projectId,
+        req.body,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.CREATED,
+        message: "Workflow automation added",
+        data: { automations: project.workflow.automations },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error adding workflow automation",
+        code: "PROJECT_AUTOMATION_ERROR",
+      });
+    }
+  }
+
+  async removeWorkflowAutomation(req, res) {
+    try {
+      const project = await projectService.removeWorkflowAutomation(
+        req.params.projectId,
+        req.params.automationId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Workflow automation removed",
+        data: { automations: project.workflow.automations },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error removing workflow automation",
+        code: "PROJECT_AUTOMATION_ERROR",
+      });
+    }
+  }
+
+  async getAutomationHistory(req, res) {
+    try {
+      const { automationId, entityId, status, cursor, page, limit } = req.query;
+
+      const result = await projectService.getAutomationHistory(
+        req.params.projectId,
+        req.user.userId,
+        { automationId, entityId, status },
+        { cursor, page, limit }
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Automation history retrieved successfully",
+        data: result,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching automation history",
+        code: "PROJECT_AUTOMATION_ERROR",
+      });
+    }
+  }
+
+  async getBoard(req, res) {
+    try {
+      const board = await boardService.getBoard(
+        req.params.projectId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Project board retrieved successfully",
+        data: { board },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching project board",
+        code: "PROJECT_BOARD_ERROR",
+      });
+    }
+  }
+
+  async updateBoardStages(req, res) {
+    try {
+      const project = await projectService.updateWorkflowStages(
+        req.params.projectId,
+        req.body.stages,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Board stages updated",
+        data: { stages: project.workflow.stages },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error updating board stages",
+        code: "PROJECT_BOARD_ERROR",
+      });
+    }
+  }
+
+  async moveBoardTask(req, res) {
+    try {
+      const result = await boardService.moveTask(
+        req.params.projectId,
+        req.params.taskId,
+        req.user.userId,
+        req.body
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: result.warnings.length
+          ? "Task moved with warnings"
+          : "Task moved",
+        data: result,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error moving task",
+        code: "PROJECT_BOARD_ERROR",
+      });
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   */
+  _handleError(req, res, error, fallback) {
+    logger.error(`${fallback.message}: ${error.message}`, {
+      userId: req.user.userId,
+      projectId: req.params.projectId,
+      requestId: req.requestId,
+    });
+
+    let status = StatusCodes.INTERNAL_SERVER_ERROR;
+    let code = fallback.code;
+    let message = fallback.message;
+
+    if (error.message.includes("not found")) {
+      status = StatusCodes.NOT_FOUND;
+      code = "PROJECT_NOT_FOUND";
+      message = error.message;
+    } else if (error.message.includes("permission")) {
+      status = StatusCodes.FORBIDDEN;
+      code = "PROJECT_ACCESS_DENIED";
+      message = error.message;
+    } else if (
+      error.message.includes("WIP limit") ||
+      error.message.includes("blocked by incomplete dependencies")
+    ) {
+      status = StatusCodes.CONFLICT;
+      code = "BOARD_MOVE_CONFLICT";
+      message = error.message;
+    } else if (
+      error.message.includes("validation failed") ||
+      error.message.includes("Invalid") ||
+      error.message.includes("not a member") ||
+      error.message.includes("does not belong")
+    ) {
+      status = StatusCodes.BAD_REQUEST;
+      code = "PROJECT_VALIDATION_ERROR";
+      message = error.message;
+    }
+
+    return apiResponse(res, {
+      status,
+      message,
+      error: code,
+      requestId: req.requestId,
+    });
+  }
+}
+
+export default new ProjectController();
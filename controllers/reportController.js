@@ -42,7 +42,10 @@ class ReportController {
         period: req.query.period || "daily",
         startDate: req.query.startDate,
         endDate: req.query.endDate,
+        projectId: req.query.projectId,
         groupBy: req.query.groupBy || "date",
+        query: req.query.q,
+        viewerId: req.user.userId,
       });
 
       res.json({
@@ -51,6 +54,17 @@ class ReportController {
       });
     } catch (error) {
       logger.error(`Task completion report error: ${error.message}`);
+
+      if (
+        error.message.startsWith("Custom field") ||
+        error.message.startsWith("Invalid query")
+      ) {
+        return res.status(400).json({
+          message: error.message,
+          error: "REPORT_VALIDATION_ERROR",
+        });
+      }
+
       res.status(500).json({
         message: "Error generating task completion report",
         error: "REPORT_GENERATION_ERROR",
@@ -58,6 +72,42 @@ class ReportController {
     }
   }
 
+  /**
+   * Get status history report
+   */
+  async getStatusHistoryReport(req, res) {
+    try {
+      const report = await reportService.getStatusHistoryReport({
+        organizationId: req.organizationId,
+        userId: req.query.userId,
+        projectId: req.query.projectId,
+        taskId: req.query.taskId,
+        startDate: req.query.startDate,
+        endDate: req.query.endDate,
+        viewerId: req.user.userId,
+      });
+
+      res.json({
+        message: "Status history report generated successfully",
+        report,
+      });
+    } catch (error) {
+      logger.error(`Status history report error: ${error.message}`);
+
+      if (error.message.startsWith("Invalid")) {
+        return res.status(400).json({
+          message: error.message,
+          error: "REPORT_VALIDATION_ERROR",
+        });
+      }
+
+      res.status(500).json({
+        message: "Error generating status history report",
+        error: "REPORT_GENERATION_ERROR",
+      });
+    }
+  }
+
   /**
    * Get organization productivity report
    */
@@ -120,6 +170,7 @@ class ReportController {
             period: req.query.period || "daily",
             startDate: req.query.startDate,
             endDate: req.query.endDate,
+            projectId: req.query.projectId,
             groupBy: req.query.groupBy || "date",
           });
           break;
@@ -0,0 +1,146 @@
+import { StatusCodes } from "http-status-codes";
+
+import savedViewService from "../services/savedViewService.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import logger from "../utils/logger.js";
+
+class SavedViewController {
+  async createView(req, res) {
+    try {
+      const view = await savedViewService.createView(req.body, req.user.userId);
+
+      return apiResponse(res, {
+        status: StatusCodes.CREATED,
+        message: "Saved view created successfully",
+        data: { view },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error creating saved view",
+        code: "VIEW_CREATION_ERROR",
+      });
+    }
+  }
+
+  async getViews(req, res) {
+    try {
+      const views = await savedViewService.getViews(req.user.userId, {
+        organization: req.query.organization,
+      });
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Saved views retrieved successfully",
+        data: { views },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching saved views",
+        code: "VIEW_FETCH_ERROR",
+      });
+    }
+  }
+
+  async getViewById(req, res) {
+    try {
+      const view = await savedViewService.getViewById(
+        req.params.viewId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Saved view retrieved successfully",
+        data: { view },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching saved view",
+        code: "VIEW_FETCH_ERROR",
+      });
+    }
+  }
+
+  async updateView(req, res) {
+    try {
+      const view = await savedViewService.updateView(
+        req.params.viewId,
+        req.user.userId,
+        req.body
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Saved view updated successfully",
+        data: { view },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error updating saved view",
+        code: "VIEW_UPDATE_ERROR",
+      });
+    }
+  }
+
+  async deleteView(req, res) {
+    try {
+      await savedViewService.deleteView(req.params.viewId, req.user.userId);
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Saved view deleted successfully",
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error deleting saved view",
+        code: "VIEW_DELETION_ERROR",
+      });
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   */
+  _handleError(req, res, error, fallback) {
+    logger.error(`${fallback.message}: ${error.message}`, {
+      userId: req.user.userId,
+      viewId: req.params.viewId,
+      requestId: req.requestId,
+    });
+
+    let status = StatusCodes.INTERNAL_SERVER_ERROR;
+    let code = fallback.code;
+    let message = fallback.message;
+
+    if (error.message.includes("not found")) {
+      status = StatusCodes.NOT_FOUND;
+      code = "VIEW_NOT_FOUND";
+      message = error.message;
+    } else if (error.message.includes("permission")) {
+      status = StatusCodes.FORBIDDEN;
+      code = "VIEW_ACCESS_DENIED";
+      message = error.message;
+    } else if (
+      error.message.startsWith("Invalid") ||
+      error.message.startsWith("Validation failed")
+    ) {
+      status = StatusCodes.BAD_REQUEST;
+      code = "VIEW_VALIDATION_ERROR";
+      message = error.message;
+    }
+
+    return apiResponse(res, {
+      status,
+      message,
+      error: code,
+      requestId: req.requestId,
+    });
+  }
+}
+
+export default new SavedViewController();
@@ -0,0 +1,58 @@
+import { StatusCodes } from "http-status-codes";
+
+import searchService from "../services/searchService.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import logger from "../utils/logger.js";
+
+class SearchController {
+  async search(req, res) {
+    try {
+      const result = await searchService.search(req.user.userId, req.query);
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Search completed successfully",
+        data: result,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error searching",
+        code: "SEARCH_ERROR",
+      });
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   */
+  _handleError(req, res, error, fallback) {
+    logger.error(`${fallback.message}: ${error.message}`, {
+      userId: req.user.userId,
+      requestId: req.requestId,
+    });
+
+    let status = StatusCodes.INTERNAL_SERVER_ERROR;
+    let code = fallback.code;
+    let message = fallback.message;
+
+    if (error.message.includes("permission")) {
+      status = StatusCodes.FORBIDDEN;
+      code = "SEARCH_ACCESS_DENIED";
+      message = error.message;
+    } else if (error.message.startsWith("Invalid")) {
+      status = StatusCodes.BAD_REQUEST;
+      code = "SEARCH_VALIDATION_ERROR";
+      message = error.message;
+    }
+
+    return apiResponse(res, {
+      status,
+      message,
+      error: code,
+      requestId: req.requestId,
+    });
+  }
+}
+
+export default new SearchController();
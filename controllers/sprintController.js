@@ -0,0 +1,337 @@
+import { StatusCodes } from "http-status-codes";
+
+import sprintService from "../services/sprintService.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import logger from "../utils/logger.js";
+
+class SprintController {
+  async createSprint(req, res) {
+    try {
+      const sprint = await sprintService.createSprint(
+        req.params.projectId,
+        req.body,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.CREATED,
+        message: "Sprint created successfully",
+        data: { sprint },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error creating sprint",
+        code: "SPRINT_CREATION_ERROR",
+      });
+    }
+  }
+
+  async getSprints(req, res) {
+    try {
+      const { status, cursor, page, limit, sortBy, sortOrder } = req.query;
+
+      const result = await sprintService.getSprints(
+        req.params.projectId,
+        req.user.userId,
+        { status },
+        { cursor, page, limit, sortBy, sortOrder }
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Sprints retrieved successfully",
+        data: result,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching sprints",
+        code: "SPRINT_FETCH_ERROR",
+      });
+    }
+  }
+
+  async getSprint(req, res) {
+    try {
+      const result = await sprintService.getSprint(
+        req.params.projectId,
+        req.params.sprintId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Sprint retrieved successfully",
+        data: result,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching sprint",
+        code: "SPRINT_FETCH_ERROR",
+      });
+    }
+  }
+
+  async updateSprint(req, res) {
+    try {
+      const sprint = await sprintService.updateSprint(
+        req.params.projectId,
+        req.params.sprintId,
+        req.body,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Sprint updated successfully",
+        data: { sprint },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error updating sprint",
+        code: "SPRINT_UPDATE_ERROR",
+      });
+    }
+  }
+
+  async deleteSprint(req, res) {
+    try {
+      const result = await sprintService.deleteSprint(
+        req.params.projectId,
+        req.params.sprintId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: result.message,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error deleting sprint",
+        code: "SPRINT_DELETION_ERROR",
+      });
+    }
+  }
+
+  async addTasks(req, res) {
+    try {
+      const result = await sprintService.addTasks(
+        req.params.projectId,
+        req.params.sprintId,
+        req.body.taskIds,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Tasks added to sprint",
+        data: result,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error adding tasks to sprint",
+        code: "SPRINT_UPDATE_ERROR",
+      });
+    }
+  }
+
+  async removeTask(req, res) {
+    try {
+      const result = await sprintService.removeTask(
+        req.params.projectId,
+        req.params.sprintId,
+        req.params.taskId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Task removed from sprint",
+        data: result,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error removing task from sprint",
+        code: "SPRINT_UPDATE_ERROR",
+      });
+    }
+  }
+
+  async startSprint(req, res) {
+    try {
+      const result = await sprintService.startSprint(
+        req.params.projectId,
+        req.params.sprintId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: result.capacity.overCapacity
+          ? "Sprint started over capacity"
+          : "Sprint started",
+        data: result,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error starting sprint",
+        code: "SPRINT_UPDATE_ERROR",
+      });
+    }
+  }
+
+  async completeSprint(req, res) {
+    try {
+      const result = await sprintService.completeSprint(
+        req.params.projectId,
+        req.params.sprintId,
+        req.user.userId,
+        { nextSprintId: req.body.nextSprintId }
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Sprint completed",
+        data: result,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error completing sprint",
+        code: "SPRINT_UPDATE_ERROR",
+      });
+    }
+  }
+
+  async getChart(req, res) {
+    try {
+      const chart = await sprintService.getChart(
+        req.params.projectId,
+        req.params.sprintId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Sprint chart retrieved successfully",
+        data: chart,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching sprint chart",
+        code: "SPRINT_FETCH_ERROR",
+      });
+    }
+  }
+
+  async getCapacity(req, res) {
+    try {
+      const capacity = await sprintService.getCapacity(
+        req.params.projectId,
+        req.params.sprintId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Sprint capacity retrieved successfully",
+        data: { capacity },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching sprint capacity",
+        code: "SPRINT_FETCH_ERROR",
+      });
+    }
+  }
+
+  async getVelocity(req, res) {
+    try {
+      const velocity = await sprintService.getVelocity(
+        req.params.projectId,
+        req.user.userId,
+        { limit: req.query.limit }
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Velocity retrieved successfully",
+        data: velocity,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching velocity",
+        code: "SPRINT_FETCH_ERROR",
+      });
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   */
+  _handleError(req, res, error, fallback) {
+    logger.error(`${fallback.message}: ${error.message}`, {
+      userId: req.user.userId,
+      projectId: req.params.projectId,
+      sprintId: req.params.sprintId,
+      requestId: req.requestId,
+    });
+
+    let status = StatusCodes.INTERNAL_SERVER_ERROR;
+    let code = fallback.code;
+    let message = fallback.message;
+
+    if (error.message.includes("not found")) {
+      status = StatusCodes.NOT_FOUND;
+      code = error.message.includes("Sprint not found")
+        ? "SPRINT_NOT_FOUND"
+        : error.message.includes("Task not found")
+          ? "TASK_NOT_FOUND"
+          : "PROJECT_NOT_FOUND";
+      message = error.message;
+    } else if (
+      error.message.includes("permission") ||
+      error.message.includes("Unauthorized access")
+    ) {
+      status = StatusCodes.FORBIDDEN;
+      code = "SPRINT_ACCESS_DENIED";
+      message = error.message;
+    } else if (
+      error.message.includes("sprints cannot be changed") ||
+      error.message.includes("Only planned sprints") ||
+      error.message.includes("Only active sprints") ||
+      error.message.includes("already has an active sprint")
+    ) {
+      status = StatusCodes.CONFLICT;
+      code = "SPRINT_STATE_CONFLICT";
+      message = error.message;
+    } else if (
+      error.message.includes("Invalid") ||
+      error.message.includes("validation failed")
+    ) {
+      status = StatusCodes.BAD_REQUEST;
+      code = "SPRINT_VALIDATION_ERROR";
+      message = error.message;
+    }
+
+    return apiResponse(res, {
+      status,
+      message,
+      error: code,
+      requestId: req.requestId,
+    });
+  }
+}
+
+export default new SprintController();
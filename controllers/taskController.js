@@ -1,6 +1,34 @@
+import dependencyService from "../services/dependencyService.js";
+import recurrenceService from "../services/recurrenceService.js";
+import reminderService from "../services/reminderService.js";
+import savedViewService from "../services/savedViewService.js";
+import subtaskService from "../services/subtaskService.js";
+import taskHistoryService from "../services/taskHistoryService.js";
 import taskService from "../services/taskService.js";
+import watcherService from "../services/watcherService.js";
+import { apiResponse } from "../utils/apiResponse.js";
 import logger from "../utils/logger.js";
 
+// Dependency errors caused by the request rather than the server
+const DEPENDENCY_ERRORS = [
+  "Dependency not found",
+  "A task cannot depend on itself",
+  "Dependency would create a cycle",
+];
+
+// Subtask hierarchy errors caused by the request
+const isHierarchyError = (error) =>
+  error.message === "Parent task not found" ||
+  error.message.startsWith("A task cannot be moved under") ||
+  error.message.startsWith("Subtasks cannot be nested");
+
+// Custom field values or filters that do not fit the project's definitions
+const isCustomFieldError = (error) => error.message.startsWith("Custom field");
+
+// Projects that do not exist or the user cannot access
+const isProjectError = (error) =>
+  error.message.startsWith("Failed to get project");
+
 /**
  * Task Controller - Handles HTTP requests related to tasks
  */
@@ -42,6 +70,48 @@ class TaskController {
         });
       }
 
+      if (error.message === "Dependency not found") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          error: "TASK_DEPENDENCY_ERROR",
+        });
+      }
+
+      if (isHierarchyError(error)) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          error: "TASK_HIERARCHY_ERROR",
+        });
+      }
+
+      if (isCustomFieldError(error)) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          error: "TASK_CUSTOM_FIELD_ERROR",
+        });
+      }
+
+      if (error.message === "Unauthorized access") {
+        return res.status(403).json({
+          success: false,
+          message: "You do not have permission to access this task",
+          error: "TASK_ACCESS_DENIED",
+        });
+      }
+
+      if (isProjectError(error)) {
+        return res
+          .status(error.message.includes("permission") ? 403 : 400)
+          .json({
+            success: false,
+            message: error.message,
+            error: "TASK_PROJECT_ERROR",
+          });
+      }
+
       res.status(500).json({
         success: false,
         message: "Error creating task",
@@ -57,18 +127,59 @@ class TaskController {
    */
   async getTasks(req, res) {
     try {
-      const result = await taskService.getTasks(req.user.userId, req.query);
+      // view=<id> lists the tasks of a saved view
+      const query = req.query.view
+        ? await savedViewService.applyView(
+            req.query.view,
+            req.user.userId,
+            req.query
+          )
+        : req.query;
+      const result = await taskService.getTasks(req.user.userId, query);
 
-      res.json({
-        success: true,
+      return apiResponse(res, {
+        status: 200,
         message: "Tasks retrieved successfully",
-        ...result,
+        data: result,
+        requestId: req.requestId,
       });
     } catch (error) {
       logger.error(`Task fetch error: ${error.message}`, {
         requestId: req.requestId,
       });
 
+      if (isCustomFieldError(error)) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          error: "TASK_CUSTOM_FIELD_ERROR",
+        });
+      }
+
+      if (error.message.startsWith("Invalid query")) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          error: "TASK_QUERY_ERROR",
+        });
+      }
+
+      if (error.message === "Invalid cursor") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          error: "INVALID_CURSOR",
+        });
+      }
+
+      if (error.message === "View not found") {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+          error: "VIEW_NOT_FOUND",
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: "Error fetching tasks",
@@ -133,7 +244,8 @@ class TaskController {
       const task = await taskService.updateTask(
         req.params.id,
         req.user.userId,
-        req.body
+        req.body,
+        { scope: req.query.scope, force: req.query.force === "true" }
       );
 
       logger.info(`Task updated: ${req.params.id} by user ${req.user.userId}`);
@@ -174,6 +286,48 @@ class TaskController {
         });
       }
 
+      if (error.message === "Task is blocked by incomplete dependencies") {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          error: "TASK_BLOCKED",
+        });
+      }
+
+      if (DEPENDENCY_ERRORS.includes(error.message)) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          error: "TASK_DEPENDENCY_ERROR",
+        });
+      }
+
+      if (isHierarchyError(error)) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          error: "TASK_HIERARCHY_ERROR",
+        });
+      }
+
+      if (isCustomFieldError(error)) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          error: "TASK_CUSTOM_FIELD_ERROR",
+        });
+      }
+
+      if (isProjectError(error)) {
+        return res
+          .status(error.message.includes("permission") ? 403 : 400)
+          .json({
+            success: false,
+            message: error.message,
+            error: "TASK_PROJECT_ERROR",
+          });
+      }
+
       res.status(500).json({
         success: false,
         message: "Error updating task",
@@ -182,6 +336,233 @@ class TaskController {
     }
   }
 
+  /**
+   * Get every occurrence in a recurring task's series
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getOccurrences(req, res) {
+    try {
+      const occurrences = await recurrenceService.getOccurrences(
+        req.params.id,
+        req.user.userId
+      );
+
+      res.json({
+        success: true,
+        message: "Occurrences retrieved successfully",
+        occurrences,
+      });
+    } catch (error) {
+      logger.error(`Task occurrences fetch error: ${error.message}`, {
+        requestId: req.requestId,
+      });
+
+      if (error.message === "Task not found" || error.kind === "ObjectId") {
+        return res.status(404).json({
+          success: false,
+          message: "Task not found",
+          error: "TASK_NOT_FOUND",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Error fetching occurrences",
+        error: "TASK_FETCH_ERROR",
+      });
+    }
+  }
+
+  /**
+   * Get the field-level change history of a task
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getHistory(req, res) {
+    try {
+      const result = await taskHistoryService.getHistory(
+        req.params.id,
+        req.user.userId,
+        req.query
+      );
+
+      return apiResponse(res, {
+        status: 200,
+        message: "Task history retrieved successfully",
+        data: result,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      logger.error(`Task history fetch error: ${error.message}`, {
+        requestId: req.requestId,
+      });
+
+      if (error.message === "Task not found") {
+        return res.status(404).json({
+          success: false,
+          message: "Task not found",
+          error: "TASK_NOT_FOUND",
+        });
+      }
+
+      if (error.message === "Invalid cursor") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          error: "INVALID_CURSOR",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Error fetching task history",
+        error: "TASK_FETCH_ERROR",
+      });
+    }
+  }
+
+  /**
+   * Get a task with its subtasks nested below it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSubtasks(req, res) {
+    try {
+      const task = await subtaskService.getSubtaskTree(
+        req.params.id,
+        req.user.userId,
+        req.query.depth
+      );
+
+      res.json({
+        success: true,
+        message: "Subtasks retrieved successfully",
+        task,
+      });
+    } catch (error) {
+      this._handleSubtaskError(req, res, error, "Error fetching subtasks");
+    }
+  }
+
+  /**
+   * Create a subtask under a task
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createSubtask(req, res) {
+    try {
+      const task = await taskService.createSubtask(
+        req.params.id,
+        req.user.userId,
+        req.body
+      );
+
+      logger.info(
+        `Subtask created: ${task._id} under ${req.params.id} by user ${req.user.userId}`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Subtask created successfully",
+        task,
+      });
+    } catch (error) {
+      this._handleSubtaskError(req, res, error, "Error creating subtask");
+    }
+  }
+
+  /**
+   * Move a task under another parent, or to the top level
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async moveTask(req, res) {
+    try {
+      const task = await taskService.updateTask(
+        req.params.id,
+        req.user.userId,
+        { parentTask: req.body.parentTask }
+      );
+
+      res.json({
+        success: true,
+        message: "Task moved successfully",
+        task,
+      });
+    } catch (error) {
+      this._handleSubtaskError(req, res, error, "Error moving task");
+    }
+  }
+
+  /**
+   * Get a task's dependency graph and its project's critical path
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getGraph(req, res) {
+    try {
+      const graph = await dependencyService.getGraph(
+        req.params.id,
+        req.user.userId
+      );
+
+      res.json({
+        success: true,
+        message: "Task graph retrieved successfully",
+        ...graph,
+      });
+    } catch (error) {
+      this._handleDependencyError(req, res, error, "Error fetching task graph");
+    }
+  }
+
+  /**
+   * Make a task depend on another task
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async addDependency(req, res) {
+    try {
+      const task = await dependencyService.addDependency(
+        req.params.id,
+        req.body.dependencyId,
+        req.user.userId
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Dependency added successfully",
+        task,
+      });
+    } catch (error) {
+      this._handleDependencyError(req, res, error, "Error adding dependency");
+    }
+  }
+
+  /**
+   * Remove a dependency from a task
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async removeDependency(req, res) {
+    try {
+      const task = await dependencyService.removeDependency(
+        req.params.id,
+        req.params.dependencyId,
+        req.user.userId
+      );
+
+      res.json({
+        success: true,
+        message: "Dependency removed successfully",
+        task,
+      });
+    } catch (error) {
+      this._handleDependencyError(req, res, error, "Error removing dependency");
+    }
+  }
+
   /**
    * Delete a task
    * @param {Object} req - Express request object
@@ -226,6 +607,365 @@ class TaskController {
       });
     }
   }
+
+  /**
+   * Apply one action to many tasks, reporting the result for each
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async bulkUpdateTasks(req, res) {
+    try {
+      const { taskIds, action, value } = req.body;
+      const result = await taskService.bulkUpdateTasks(
+        req.user.userId,
+        taskIds,
+        action,
+        value,
+        { force: req.query.force === "true" }
+      );
+
+      res.json({
+        success: true,
+        message:
+          result.summary.failed === 0
+            ? "Tasks updated successfully"
+            : `${result.summary.failed} of ${result.summary.total} tasks could not be updated`,
+        ...result,
+      });
+    } catch (error) {
+      logger.error(`Bulk task update error: ${error.message}`, {
+        requestId: req.requestId,
+      });
+
+      if (error.message.includes("not found")) {
+        return res.status(404).json({
+          success: false,
+          message: "Project not found",
+          error: "PROJECT_NOT_FOUND",
+        });
+      }
+
+      if (error.message.includes("permission")) {
+        return res.status(403).json({
+          success: false,
+          message: "You do not have permission to move tasks to this project",
+          error: "PROJECT_ACCESS_DENIED",
+        });
+      }
+
+      if (error.message.startsWith("Invalid bulk request")) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          error: "TASK_BULK_VALIDATION_ERROR",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Error updating tasks",
+        error: "TASK_BULK_UPDATE_ERROR",
+      });
+    }
+  }
+
+  /**
+   * Add a reminder to a task
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async addReminder(req, res) {
+    try {
+      const reminder = await reminderService.addTaskReminder(
+        req.params.id,
+        req.user.userId,
+        req.body.remindAt
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Reminder added successfully",
+        reminder,
+      });
+    } catch (error) {
+      this._handleReminderError(req, res, error, "Error adding reminder");
+    }
+  }
+
+  /**
+   * Snooze a task reminder
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async snoozeReminder(req, res) {
+    try {
+      const reminder = await reminderService.snoozeTaskReminder(
+        req.params.id,
+        req.params.reminderId,
+        req.user.userId,
+        req.body.minutes
+      );
+
+      res.json({
+        success: true,
+        message: "Reminder snoozed successfully",
+        reminder,
+      });
+    } catch (error) {
+      this._handleReminderError(req, res, error, "Error snoozing reminder");
+    }
+  }
+
+  /**
+   * Dismiss a task reminder
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async dismissReminder(req, res) {
+    try {
+      const reminder = await reminderService.dismissTaskReminder(
+        req.params.id,
+        req.params.reminderId,
+        req.user.userId
+      );
+
+      res.json({
+        success: true,
+        message: "Reminder dismissed successfully",
+        reminder,
+      });
+    } catch (error) {
+      this._handleReminderError(req, res, error, "Error dismissing reminder");
+    }
+  }
+
+  /**
+   * Get the users watching a task
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getWatchers(req, res) {
+    try {
+      const result = await watcherService.getWatchers(
+        req.params.id,
+        req.user.userId
+      );
+
+      res.json({
+        success: true,
+        message: "Watchers retrieved successfully",
+        ...result,
+      });
+    } catch (error) {
+      this._handleWatcherError(req, res, error, "Error fetching watchers");
+    }
+  }
+
+  /**
+   * Start watching a task
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async watchTask(req, res) {
+    try {
+      const result = await watcherService.watch(req.params.id, req.user.userId);
+
+      res.json({
+        success: true,
+        message: "You are now watching this task",
+        ...result,
+      });
+    } catch (error) {
+      this._handleWatcherError(req, res, error, "Error watching task");
+    }
+  }
+
+  /**
+   * Stop watching a task
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async unwatchTask(req, res) {
+    try {
+      const result = await watcherService.unwatch(
+        req.params.id,
+        req.user.userId
+      );
+
+      res.json({
+        success: true,
+        message: "You are no longer watching this task",
+        ...result,
+      });
+    } catch (error) {
+      this._handleWatcherError(req, res, error, "Error unwatching task");
+    }
+  }
+
+  /**
+   * Map watcher errors to HTTP responses
+   */
+  _handleWatcherError(req, res, error, message) {
+    logger.error(`Task watcher error: ${error.message}`, {
+      requestId: req.requestId,
+    });
+
+    if (error.message === "Task not found" || error.kind === "ObjectId") {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+        error: "TASK_NOT_FOUND",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message,
+      error: "TASK_WATCHER_ERROR",
+    });
+  }
+
+  /**
+   * Map reminder errors to HTTP responses
+   */
+  _handleReminderError(req, res, error, message) {
+    logger.error(`Task reminder error: ${error.message}`, {
+      requestId: req.requestId,
+    });
+
+    if (error.message === "Task not found" || error.kind === "ObjectId") {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+        error: "TASK_NOT_FOUND",
+      });
+    }
+
+    if (error.message === "Unauthorized access") {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to edit this task",
+        error: "TASK_ACCESS_DENIED",
+      });
+    }
+
+    if (error.message === "Reminder not found") {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+        error: "REMINDER_NOT_FOUND",
+      });
+    }
+
+    if (error.message.startsWith("Invalid reminder time")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        error: "TASK_VALIDATION_ERROR",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message,
+      error: "TASK_REMINDER_ERROR",
+    });
+  }
+
+  /**
+   * Map dependency errors to HTTP responses
+   */
+  _handleDependencyError(req, res, error, message) {
+    logger.error(`Task dependency error: ${error.message}`, {
+      requestId: req.requestId,
+    });
+
+    if (error.message === "Task not found" || error.kind === "ObjectId") {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+        error: "TASK_NOT_FOUND",
+      });
+    }
+
+    if (error.message === "Unauthorized access") {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to edit this task",
+        error: "TASK_ACCESS_DENIED",
+      });
+    }
+
+    if (error.message === "Dependency not found") {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+        error: "DEPENDENCY_NOT_FOUND",
+      });
+    }
+
+    if (DEPENDENCY_ERRORS.includes(error.message)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        error: "TASK_DEPENDENCY_ERROR",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message,
+      error: "TASK_DEPENDENCY_ERROR",
+    });
+  }
+
+  /**
+   * Map subtask errors to HTTP responses
+   */
+  _handleSubtaskError(req, res, error, message) {
+    logger.error(`Subtask error: ${error.message}`, {
+      requestId: req.requestId,
+    });
+
+    if (error.message === "Task not found" || error.kind === "ObjectId") {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+        error: "TASK_NOT_FOUND",
+      });
+    }
+
+    if (error.message === "Unauthorized access") {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to edit this task",
+        error: "TASK_ACCESS_DENIED",
+      });
+    }
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: Object.values(error.errors).map((err) => err.message),
+        error: "TASK_VALIDATION_ERROR",
+      });
+    }
+
+    if (isHierarchyError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        error: "TASK_HIERARCHY_ERROR",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message,
+      error: "TASK_SUBTASK_ERROR",
+    });
+  }
 }
 
 export default new TaskController();
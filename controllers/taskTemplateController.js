@@ -0,0 +1,178 @@
+import { StatusCodes } from "http-status-codes";
+
+import taskTemplateService from "../services/taskTemplateService.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import logger from "../utils/logger.js";
+
+class TaskTemplateController {
+  async createTemplate(req, res) {
+    try {
+      const template = await taskTemplateService.createTemplate(
+        req.body,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.CREATED,
+        message: "Task template created successfully",
+        data: { template },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error creating task template",
+        code: "TEMPLATE_CREATION_ERROR",
+      });
+    }
+  }
+
+  async getTemplates(req, res) {
+    try {
+      const { search, organization, cursor, page, limit } = req.query;
+
+      const result = await taskTemplateService.getTemplates(
+        req.user.userId,
+        { search, organization },
+        { cursor, page, limit }
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Task templates retrieved successfully",
+        data: result,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching task templates",
+        code: "TEMPLATE_FETCH_ERROR",
+      });
+    }
+  }
+
+  async getTemplateById(req, res) {
+    try {
+      const template = await taskTemplateService.getTemplateById(
+        req.params.templateId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Task template retrieved successfully",
+        data: { template },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching task template",
+        code: "TEMPLATE_FETCH_ERROR",
+      });
+    }
+  }
+
+  async updateTemplate(req, res) {
+    try {
+      const template = await taskTemplateService.updateTemplate(
+        req.params.templateId,
+        req.user.userId,
+        req.body
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Task template updated successfully",
+        data: { template },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error updating task template",
+        code: "TEMPLATE_UPDATE_ERROR",
+      });
+    }
+  }
+
+  async deleteTemplate(req, res) {
+    try {
+      await taskTemplateService.deleteTemplate(
+        req.params.templateId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Task template deleted successfully",
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error deleting task template",
+        code: "TEMPLATE_DELETION_ERROR",
+      });
+    }
+  }
+
+  async instantiateTemplate(req, res) {
+    try {
+      const tasks = await taskTemplateService.instantiateTemplate(
+        req.params.templateId,
+        req.user.userId,
+        req.body
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.CREATED,
+        message: "Tasks created from template",
+        data: { tasks },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error creating tasks from template",
+        code: "TEMPLATE_INSTANTIATION_ERROR",
+      });
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   */
+  _handleError(req, res, error, fallback) {
+    logger.error(`${fallback.message}: ${error.message}`, {
+      userId: req.user.userId,
+      templateId: req.params.templateId,
+      requestId: req.requestId,
+    });
+
+    let status = StatusCodes.INTERNAL_SERVER_ERROR;
+    let code = fallback.code;
+    let message = fallback.message;
+
+    if (error.message.includes("not found")) {
+      status = StatusCodes.NOT_FOUND;
+      code = "TEMPLATE_NOT_FOUND";
+      message = error.message;
+    } else if (error.message.includes("permission")) {
+      status = StatusCodes.FORBIDDEN;
+      code = "TEMPLATE_ACCESS_DENIED";
+      message = error.message;
+    } else if (
+      error.message.startsWith("Invalid") ||
+      error.message.startsWith("Validation failed")
+    ) {
+      status = StatusCodes.BAD_REQUEST;
+      code = "TEMPLATE_VALIDATION_ERROR";
+      message = error.message;
+    }
+
+    return apiResponse(res, {
+      status,
+      message,
+      error: code,
+      requestId: req.requestId,
+    });
+  }
+}
+
+export default new TaskTemplateController();
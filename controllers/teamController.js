@@ -0,0 +1,301 @@
+import { StatusCodes } from "http-status-codes";
+
+import teamService from "../services/teamService.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import logger from "../utils/logger.js";
+
+class TeamController {
+  async createTeam(req, res) {
+    try {
+      // Strip the scoping field consumed by the permission middleware
+      const teamData = { ...req.body };
+      delete teamData.organizationId;
+
+      const team = await teamService.createTeam(
+        { ...teamData, organization: req.organizationId },
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.CREATED,
+        message: "Team created successfully",
+        data: { team },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error creating team",
+        code: "TEAM_CREATION_ERROR",
+      });
+    }
+  }
+
+  async getTeams(req, res) {
+    try {
+      const {
+        status,
+        type,
+        search,
+        isArchived,
+        cursor,
+        page,
+        limit,
+        sortBy,
+        sortOrder,
+      } = req.query;
+
+      const result = await teamService.getTeams(
+        req.user.userId,
+        {
+          organization: req.organizationId,
+          status,
+          type,
+          search,
+          isArchived,
+        },
+        {
+          cursor,
+          page,
+          limit,
+          sortBy,
+          sortOrder: sortOrder === "asc" ? 1 : -1,
+        },
+        req.membership
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Teams retrieved successfully",
+        data: result,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching teams",
+        code: "TEAM_FETCH_ERROR",
+      });
+    }
+  }
+
+  async getTeamById(req, res) {
+    try {
+      const team = await teamService.getTeamById(
+        req.params.teamId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Team retrieved successfully",
+        data: { team },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching team",
+        code: "TEAM_FETCH_ERROR",
+      });
+    }
+  }
+
+  async updateTeam(req, res) {
+    try {
+      const team = await teamService.updateTeam(
+        req.params.teamId,
+        req.body,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Team updated successfully",
+        data: { team },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error updating team",
+        code: "TEAM_UPDATE_ERROR",
+      });
+    }
+  }
+
+  async archiveTeam(req, res) {
+    try {
+      const result = await teamService.archiveTeam(
+        req.params.teamId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: result.message,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error archiving team",
+        code: "TEAM_ARCHIVE_ERROR",
+      });
+    }
+  }
+
+  async addMember(req, res) {
+    try {
+      const team = await teamService.addMember(
+        req.params.teamId,
+        req.body.userId,
+        req.body.role,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Member added to team",
+        data: { team },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error adding team member",
+        code: "TEAM_MEMBER_ERROR",
+      });
+    }
+  }
+
+  async removeMember(req, res) {
+    try {
+      const team = await teamService.removeMember(
+        req.params.teamId,
+        req.params.memberId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Member removed from team",
+        data: { team },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error removing team member",
+        code: "TEAM_MEMBER_ERROR",
+      });
+    }
+  }
+
+  async transferLeadership(req, res) {
+    try {
+      const team = await teamService.transferLeadership(
+        req.params.teamId,
+        req.body.userId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Team leadership transferred",
+        data: { team },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error transferring team leadership",
+        code: "TEAM_LEADERSHIP_ERROR",
+      });
+    }
+  }
+
+  async getWorkload(req, res) {
+    try {
+      const { timeRange, startDate, endDate } = req.query;
+
+      const workload = await teamService.getTeamWorkloadDistribution(
+        req.params.teamId,
+        req.user.userId,
+        startDate || endDate ? "custom" : timeRange,
+        { startDate, endDate }
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Team workload retrieved successfully",
+        data: { workload },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching team workload",
+        code: "TEAM_WORKLOAD_ERROR",
+      });
+    }
+  }
+
+  async getUtilization(req, res) {
+    try {
+      // Ensure the caller can see the team before recalculating
+      await teamService.getTeamById(req.params.teamId, req.user.userId);
+      const utilization = await teamService.updateTeamUtilization(
+        req.params.teamId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Team utilization retrieved successfully",
+        data: { utilization },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error fetching team utilization",
+        code: "TEAM_UTILIZATION_ERROR",
+      });
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   */
+  _handleError(req, res, error, fallback) {
+    logger.error(`${fallback.message}: ${error.message}`, {
+      userId: req.user.userId,
+      teamId: req.params.teamId,
+      requestId: req.requestId,
+    });
+
+    let status = StatusCodes.INTERNAL_SERVER_ERROR;
+    let code = fallback.code;
+    let message = fallback.message;
+
+    if (error.message.includes("not found")) {
+      status = StatusCodes.NOT_FOUND;
+      code = "TEAM_NOT_FOUND";
+      message = error.message;
+    } else if (error.message.includes("permission")) {
+      status = StatusCodes.FORBIDDEN;
+      code = "TEAM_ACCESS_DENIED";
+      message = error.message;
+    } else if (
+      error.message.includes("validation failed") ||
+      error.message.includes("Invalid") ||
+      error.message.includes("not a member") ||
+      error.message.includes("Cannot") ||
+      error.message.includes("must be") ||
+      error.message.includes("Use leadership transfer")
+    ) {
+      status = StatusCodes.BAD_REQUEST;
+      code = "TEAM_VALIDATION_ERROR";
+      message = error.message;
+    }
+
+    return apiResponse(res, {
+      status,
+      message,
+      error: code,
+      requestId: req.requestId,
+    });
+  }
+}
+
+export default new TeamController();
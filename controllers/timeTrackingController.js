@@ -1,4 +1,7 @@
+import { StatusCodes } from "http-status-codes";
+
 import timeTrackingService from "../services/timeTrackingService.js";
+import { apiResponse } from "../utils/apiResponse.js";
 import logger from "../utils/logger.js";
 
 class TimeTrackingController {
@@ -143,12 +146,20 @@ class TimeTrackingController {
         req.query
       );
 
-      res.json({
+      return apiResponse(res, {
+        status: StatusCodes.OK,
         message: "Time logs retrieved successfully",
-        ...result,
+        data: result,
+        requestId: req.requestId,
       });
     } catch (error) {
       logger.error(`Get time logs error: ${error.message}`);
+      if (error.message === "Invalid cursor") {
+        return res.status(400).json({
+          message: error.message,
+          error: "INVALID_CURSOR",
+        });
+      }
       const errorStatus = error.message.includes("not found") ? 404 : 500;
       const errorCode = error.message.includes("not found")
         ? "TASK_NOT_FOUND"
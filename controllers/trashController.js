@@ -0,0 +1,118 @@
+import { StatusCodes } from "http-status-codes";
+
+import trashService from "../services/trashService.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import logger from "../utils/logger.js";
+
+class TrashController {
+  async getTrash(req, res) {
+    try {
+      const result = await trashService.getTrash(req.user.userId, req.query);
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Trash retrieved successfully",
+        data: { ...result, retentionDays: trashService.retentionDays },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error retrieving trash",
+        code: "TRASH_FETCH_ERROR",
+      });
+    }
+  }
+
+  async restoreItem(req, res) {
+    try {
+      const restored = await trashService.restoreItem(
+        req.params.itemId,
+        req.user.userId
+      );
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Item restored successfully",
+        data: restored,
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error restoring item",
+        code: "TRASH_RESTORE_ERROR",
+      });
+    }
+  }
+
+  async purgeItem(req, res) {
+    try {
+      await trashService.purgeItem(req.params.itemId, req.user.userId);
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Item permanently deleted",
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error deleting item",
+        code: "TRASH_PURGE_ERROR",
+      });
+    }
+  }
+
+  async emptyTrash(req, res) {
+    try {
+      const purged = await trashService.emptyTrash(req.user.userId);
+
+      return apiResponse(res, {
+        status: StatusCodes.OK,
+        message: "Trash emptied successfully",
+        data: { purged },
+        requestId: req.requestId,
+      });
+    } catch (error) {
+      return this._handleError(req, res, error, {
+        message: "Error emptying trash",
+        code: "TRASH_PURGE_ERROR",
+      });
+    }
+  }
+
+  /**
+   * Map service errors to HTTP responses
+   */
+  _handleError(req, res, error, fallback) {
+    logger.error(`${fallback.message}: ${error.message}`, {
+      userId: req.user.userId,
+      requestId: req.requestId,
+    });
+
+    let status = StatusCodes.INTERNAL_SERVER_ERROR;
+    let code = fallback.code;
+    let message = fallback.message;
+
+    if (error.message.includes("not found")) {
+      status = StatusCodes.NOT_FOUND;
+      code = "TRASH_ITEM_NOT_FOUND";
+      message = error.message;
+    } else if (error.message.includes("already exists")) {
+      status = StatusCodes.CONFLICT;
+      code = "TRASH_RESTORE_CONFLICT";
+      message = error.message;
+    } else if (error.message.startsWith("Invalid")) {
+      status = StatusCodes.BAD_REQUEST;
+      code = "TRASH_VALIDATION_ERROR";
+      message = error.message;
+    }
+
+    return apiResponse(res, {
+      status,
+      message,
+      error: code,
+      requestId: req.requestId,
+    });
+  }
+}
+
+export default new TrashController();
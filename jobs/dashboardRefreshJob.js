@@ -0,0 +1,23 @@
+import dashboardService from "../services/dashboardService.js";
+import logger from "../utils/logger.js";
+
+import { createIntervalJob } from "./intervalJob.js";
+
+const POLL_INTERVAL_MS =
+  parseInt(process.env.DASHBOARD_REFRESH_POLL_MS) || 60 * 1000;
+
+/**
+ * Precompute widget data for dashboards whose refreshInterval has elapsed
+ */
+const dashboardRefreshJob = createIntervalJob(
+  "dashboard-refresh",
+  async () => {
+    const refreshed = await dashboardService.refreshDueDashboards();
+    if (refreshed > 0) {
+      logger.info(`Refreshed ${refreshed} dashboard(s)`);
+    }
+  },
+  POLL_INTERVAL_MS
+);
+
+export default dashboardRefreshJob;
@@ -0,0 +1,27 @@
+import projectService from "../services/projectService.js";
+import logger from "../utils/logger.js";
+
+import { createIntervalJob } from "./intervalJob.js";
+
+const POLL_INTERVAL_MS =
+  parseInt(process.env.AUTOMATION_DUE_DATE_POLL_MS) || 5 * 60 * 1000;
+
+const DUE_SOON_HOURS = parseInt(process.env.AUTOMATION_DUE_SOON_HOURS) || 24;
+
+/**
+ * Fire due_date workflow automations for project tasks nearing their due date
+ */
+const dueDateAutomationJob = createIntervalJob(
+  "due-date-automations",
+  async () => {
+    const { processed } = await projectService.processDueDateAutomations({
+      windowHours: DUE_SOON_HOURS,
+    });
+    if (processed > 0) {
+      logger.info(`Ran due date automations for ${processed} task(s)`);
+    }
+  },
+  POLL_INTERVAL_MS
+);
+
+export default dueDateAutomationJob;
@@ -0,0 +1,29 @@
+import dashboardRefreshJob from "./dashboardRefreshJob.js";
+import dueDateAutomationJob from "./dueDateAutomationJob.js";
+import recurringTaskJob from "./recurringTaskJob.js";
+import reminderJob from "./reminderJob.js";
+import scheduledJobRunner from "./scheduledJobRunner.js";
+import trashPurgeJob from "./trashPurgeJob.js";
+
+const jobs = [
+  dashboardRefreshJob,
+  dueDateAutomationJob,
+  scheduledJobRunner,
+  recurringTaskJob,
+  reminderJob,
+  trashPurgeJob,
+];
+
+/**
+ * Start all background jobs
+ */
+export const startJobs = () => {
+  jobs.forEach((job) => job.start());
+};
+
+/**
+ * Stop all background jobs
+ */
+export const stopJobs = () => {
+  jobs.forEach((job) => job.stop());
+};
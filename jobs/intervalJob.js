@@ -0,0 +1,47 @@
+import logger from "../utils/logger.js";
+
+/**
+ * Create a job that runs `task` every `intervalMs` milliseconds.
+ * Runs never overlap: a tick is skipped while the previous run is still busy.
+ * @param {String} name - Job name used in logs
+ * @param {Function} task - Async function to run
+ * @param {Number} intervalMs - Polling interval in milliseconds
+ * @returns {Object} - Job with start, stop and runOnce methods
+ */
+export const createIntervalJob = (name, task, intervalMs) => {
+  let timer = null;
+  let running = false;
+
+  const runOnce = async () => {
+    if (running) {
+      logger.debug(`Job ${name} still running, skipping tick`);
+      return;
+    }
+
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      logger.error(`Job ${name} failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  return {
+    name,
+    runOnce,
+    start() {
+      if (timer) return;
+      timer = setInterval(runOnce, intervalMs);
+      // Don't keep the process alive just for background jobs
+      timer.unref();
+      logger.info(`Job ${name} started (every ${intervalMs}ms)`);
+    },
+    stop() {
+      if (!timer) return;
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+};
@@ -0,0 +1,24 @@
+import recurrenceService from "../services/recurrenceService.js";
+import logger from "../utils/logger.js";
+
+import { createIntervalJob } from "./intervalJob.js";
+
+const POLL_INTERVAL_MS =
+  parseInt(process.env.RECURRING_TASKS_POLL_MS) || 60 * 1000;
+
+/**
+ * Create the next occurrence of recurring tasks that were completed or
+ * whose period has ended
+ */
+const recurringTaskJob = createIntervalJob(
+  "recurring-tasks",
+  async () => {
+    const processed = await recurrenceService.processDueOccurrences();
+    if (processed > 0) {
+      logger.info(`Processed ${processed} recurring task occurrence(s)`);
+    }
+  },
+  POLL_INTERVAL_MS
+);
+
+export default recurringTaskJob;
@@ -0,0 +1,22 @@
+import reminderService from "../services/reminderService.js";
+import logger from "../utils/logger.js";
+
+import { createIntervalJob } from "./intervalJob.js";
+
+const POLL_INTERVAL_MS = parseInt(process.env.REMINDERS_POLL_MS) || 60 * 1000;
+
+/**
+ * Deliver task and note reminders that have come due
+ */
+const reminderJob = createIntervalJob(
+  "reminders",
+  async () => {
+    const sent = await reminderService.deliverDueReminders();
+    if (sent > 0) {
+      logger.info(`Sent ${sent} reminder(s)`);
+    }
+  },
+  POLL_INTERVAL_MS
+);
+
+export default reminderJob;
@@ -0,0 +1,35 @@
+import notificationService from "../services/notificationService.js";
+import projectService from "../services/projectService.js";
+import schedulerService from "../services/schedulerService.js";
+import watcherService from "../services/watcherService.js";
+import logger from "../utils/logger.js";
+
+import { createIntervalJob } from "./intervalJob.js";
+
+const POLL_INTERVAL_MS =
+  parseInt(process.env.SCHEDULED_JOBS_POLL_MS) || 30 * 1000;
+
+// Handlers for each scheduled job type
+const handlers = {
+  automation_action: (payload) =>
+    projectService.runScheduledAutomation(payload),
+  notification_delivery: (payload, job) =>
+    notificationService.deliver(payload, job),
+  watcher_digest: (payload, job) => watcherService.sendDigest(payload, job),
+};
+
+/**
+ * Run scheduled jobs that have become due
+ */
+const scheduledJobRunner = createIntervalJob(
+  "scheduled-jobs",
+  async () => {
+    const processed = await schedulerService.runDueJobs(handlers);
+    if (processed > 0) {
+      logger.info(`Ran ${processed} scheduled job(s)`);
+    }
+  },
+  POLL_INTERVAL_MS
+);
+
+export default scheduledJobRunner;
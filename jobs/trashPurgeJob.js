@@ -0,0 +1,23 @@
+import trashService from "../services/trashService.js";
+import logger from "../utils/logger.js";
+
+import { createIntervalJob } from "./intervalJob.js";
+
+const POLL_INTERVAL_MS =
+  parseInt(process.env.TRASH_PURGE_POLL_MS) || 60 * 60 * 1000;
+
+/**
+ * Permanently delete trash items past their retention window
+ */
+const trashPurgeJob = createIntervalJob(
+  "trash-purge",
+  async () => {
+    const purged = await trashService.purgeExpired();
+    if (purged > 0) {
+      logger.info(`Purged ${purged} expired trash item(s)`);
+    }
+  },
+  POLL_INTERVAL_MS
+);
+
+export default trashPurgeJob;
@@ -0,0 +1,79 @@
+import { StatusCodes } from "http-status-codes";
+import multer from "multer";
+
+import attachmentService from "../services/attachmentService.js";
+import importService from "../services/importService.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import logger from "../utils/logger.js";
+
+// Multer reads plain filename parameters as latin1, but browsers send them
+// as UTF-8
+const decodeFilename = (filename) => {
+  if ([...filename].some((char) => char.charCodeAt(0) > 0xff)) {
+    return filename;
+  }
+
+  const decoded = Buffer.from(filename, "latin1").toString("utf8");
+  return decoded.includes("�") ? filename : decoded;
+};
+
+/**
+ * Middleware that parses a multipart request with one file in the "file"
+ * field into req.file, and its other fields into req.body
+ * @param {Number} maxFileSize - Largest file accepted, in bytes
+ * @param {String} errorPrefix - Prefix of the error codes it responds with
+ * @returns {Function} Express middleware function
+ */
+const singleFileUpload = (maxFileSize, errorPrefix) => {
+  // Files are kept in memory so they can be checked before they are stored
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileSize, files: 1 },
+  }).single("file");
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        if (req.file) {
+          req.file.originalname = decodeFilename(req.file.originalname);
+        }
+        return next();
+      }
+
+      logger.warn(`Upload rejected: ${error.message}`, {
+        userId: req.user?.userId,
+        requestId: req.requestId,
+      });
+
+      const tooLarge = error.code === "LIMIT_FILE_SIZE";
+      return apiResponse(res, {
+        status: tooLarge
+          ? StatusCodes.REQUEST_TOO_LONG
+          : StatusCodes.BAD_REQUEST,
+        message: tooLarge
+          ? `Files may be at most ${maxFileSize / (1024 * 1024)} MB`
+          : `Invalid upload - ${error.message}`,
+        error: tooLarge
+          ? `${errorPrefix}_TOO_LARGE`
+          : `${errorPrefix}_VALIDATION_ERROR`,
+        requestId: req.requestId,
+      });
+    });
+  };
+};
+
+/**
+ * Accept a file to attach to a task, note or comment
+ */
+export const uploadFile = singleFileUpload(
+  attachmentService.maxFileSize,
+  "ATTACHMENT"
+);
+
+/**
+ * Accept a file to import tasks from
+ */
+export const uploadImportFile = singleFileUpload(
+  importService.maxFileSize,
+  "IMPORT"
+);
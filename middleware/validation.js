@@ -85,9 +85,17 @@ export const validateRequest = (schemas = {}) => {
  * @returns {Object} JSON Schema object
  */
 function createJsonSchema(schema) {
+  // Strip the shorthand `required` flag, which is not valid JSON Schema
+  const properties = Object.fromEntries(
+    Object.entries(schema).map(([key, { required: _required, ...rest }]) => [
+      key,
+      rest,
+    ])
+  );
+
   return {
     type: "object",
-    properties: schema,
+    properties,
     required: Object.keys(schema).filter((key) => schema[key].required),
     additionalProperties: false,
   };
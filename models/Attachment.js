@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+const Schema = mongoose.Schema;
+
+/**
+ * An uploaded file. The bytes live in the storage backend under storageKey;
+ * the task, note or comment keeps a summary in its attachments list.
+ */
+const AttachmentSchema = new Schema(
+  {
+    entityType: {
+      type: String,
+      enum: ["Task", "Note", "Comment"],
+      required: true,
+    },
+    entityId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    // Quota owner: the entity's organization, or the uploader's personal
+    // space when it has none
+    organization: {
+      type: Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    uploadedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    filename: {
+      type: String,
+      trim: true,
+      required: true,
+      maxlength: 255,
+    },
+    contentType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // SHA-256 of the contents, hex encoded
+    checksum: {
+      type: String,
+      required: true,
+    },
+    storage: {
+      type: String,
+      required: true,
+    },
+    storageKey: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+AttachmentSchema.index({ entityType: 1, entityId: 1 });
+AttachmentSchema.index({ organization: 1, uploadedBy: 1 });
+
+export default mongoose.model("Attachment", AttachmentSchema);
@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+const Schema = mongoose.Schema;
+
+/**
+ * One execution (or skipped execution) of a project workflow automation rule
+ */
+const AutomationRunSchema = new Schema(
+  {
+    project: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    automation: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    trigger: {
+      type: String,
+      required: true,
+    },
+    action: {
+      type: String,
+      required: true,
+    },
+    entityType: {
+      type: String,
+      enum: ["Task"],
+      default: "Task",
+    },
+    entityId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["success", "failed", "skipped", "scheduled"],
+      required: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+    },
+    error: {
+      type: String,
+    },
+    // Runs caused by the same user change share a chain ID
+    chainId: {
+      type: String,
+      required: true,
+    },
+    depth: {
+      type: Number,
+      default: 0,
+    },
+    triggeredBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    eventData: {
+      type: Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+AutomationRunSchema.index({ project: 1, createdAt: -1 });
+AutomationRunSchema.index({ project: 1, automation: 1, createdAt: -1 });
+AutomationRunSchema.index({ entityId: 1, createdAt: -1 });
+
+export default mongoose.model("AutomationRun", AutomationRunSchema);
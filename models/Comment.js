@@ -1,4 +1,4 @@
-const mongoose = require("mongoose");
+import mongoose from "mongoose";
 const Schema = mongoose.Schema;
 
 const CommentSchema = new Schema(
@@ -59,6 +59,11 @@ const CommentSchema = new Schema(
         size: {
           type: Number,
         },
+        // Set for files uploaded through /api/comments/:commentId/attachments
+        attachment: {
+          type: Schema.Types.ObjectId,
+          ref: "Attachment",
+        },
       },
     ],
     reactions: [
@@ -99,6 +104,11 @@ const CommentSchema = new Schema(
   }
 );
 
+// Index for listing comments and activity on an entity
+CommentSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+// Full-text search
+CommentSchema.index({ content: "text" });
+
 // Virtual for replies (child comments)
 CommentSchema.virtual("replies", {
   ref: "Comment",
@@ -122,4 +132,4 @@ CommentSchema.pre("save", function (next) {
   next();
 });
 
-module.exports = mongoose.model("Comment", CommentSchema);
+export default mongoose.model("Comment", CommentSchema);
@@ -1,4 +1,4 @@
-const mongoose = require("mongoose");
+import mongoose from "mongoose";
 const Schema = mongoose.Schema;
 
 const CustomRoleSchema = new Schema(
@@ -609,4 +609,4 @@ CustomRoleSchema.statics.createDefaultRoles = async function (
   }
 };
 
-module.exports = mongoose.model("CustomRole", CustomRoleSchema);
+export default mongoose.model("CustomRole", CustomRoleSchema);
@@ -1,4 +1,4 @@
-const mongoose = require("mongoose");
+import mongoose from "mongoose";
 const Schema = mongoose.Schema;
 
 const WidgetSchema = new Schema({
@@ -41,6 +41,9 @@ const WidgetSchema = new Schema({
     filters: { type: Schema.Types.Mixed },
   },
   lastRefreshed: { type: Date },
+  // Precomputed widget data, kept fresh by the dashboard refresh job
+  cachedData: { type: Schema.Types.Mixed },
+  lastRefreshError: { type: String },
 });
 
 const DashboardSchema = new Schema(
@@ -82,6 +85,9 @@ const DashboardSchema = new Schema(
       type: Number, // Minutes
       default: 0, // 0 means manual refresh only
     },
+    nextRefreshAt: {
+      type: Date,
+    },
     lastModified: {
       type: Date,
       default: Date.now,
@@ -92,4 +98,7 @@ const DashboardSchema = new Schema(
   }
 );
 
-module.exports = mongoose.model("Dashboard", DashboardSchema);
+// Index used by the refresh job to find dashboards that are due
+DashboardSchema.index({ refreshInterval: 1, nextRefreshAt: 1 });
+
+export default mongoose.model("Dashboard", DashboardSchema);
@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+const Schema = mongoose.Schema;
+
+/**
+ * One import of tasks from a file. A preview holds the parsed items and
+ * their validation errors until it is committed or expires; a committed
+ * import keeps the IDs of what it created so it can be undone.
+ */
+const ImportBatchSchema = new Schema(
+  {
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    organization: {
+      type: Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    project: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      default: null,
+    },
+    format: {
+      type: String,
+      enum: ["csv", "json", "trello", "todoist"],
+      required: true,
+    },
+    filename: {
+      type: String,
+      trim: true,
+      maxlength: 255,
+    },
+    status: {
+      type: String,
+      enum: ["preview", "committed", "undone"],
+      default: "preview",
+    },
+    // Parsed items with their errors, kept while previewing
+    items: {
+      type: [Schema.Types.Mixed],
+      default: undefined,
+    },
+    summary: {
+      rows: { type: Number, default: 0 },
+      valid: { type: Number, default: 0 },
+      invalid: { type: Number, default: 0 },
+      subtasks: { type: Number, default: 0 },
+      comments: { type: Number, default: 0 },
+      created: { type: Number, default: 0 },
+    },
+    // What a commit created
+    tasks: [{ type: Schema.Types.ObjectId, ref: "Task" }],
+    comments: [{ type: Schema.Types.ObjectId, ref: "Comment" }],
+    // Rows that failed while committing
+    failures: [
+      {
+        _id: false,
+        row: Schema.Types.Mixed,
+        error: String,
+      },
+    ],
+    committedAt: Date,
+    undoneAt: Date,
+    // Previews are removed once this passes; commits clear it
+    expiresAt: Date,
+  },
+  { timestamps: true }
+);
+
+ImportBatchSchema.index({ owner: 1, createdAt: -1 });
+ImportBatchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("ImportBatch", ImportBatchSchema);
@@ -19,6 +19,12 @@ const MembershipSchema = new Schema(
       default: "member",
       required: true,
     },
+    // Organization role whose permissions replace the defaults of role
+    customRole: {
+      type: Schema.Types.ObjectId,
+      ref: "CustomRole",
+      default: null,
+    },
     title: {
       type: String,
       trim: true,
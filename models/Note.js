@@ -80,6 +80,10 @@ const NoteSchema = new Schema(
           required: [true, "Attachment URL is required"],
           validate: {
             validator: function (value) {
+              // Uploaded files are served by the API
+              if (/^\/api\/attachments\/[0-9a-f]{24}$/.test(value)) {
+                return true;
+              }
               // Basic URL validation
               const urlRegex =
                 /^(https?:\/\/)?([\da-z.-]+)\.([a-z.]{2,6})([/\w .-]*)*\/?$/;
@@ -100,6 +104,11 @@ const NoteSchema = new Schema(
           type: Date,
           default: Date.now,
         },
+        // Set for files uploaded through /api/notes/:id/attachments
+        attachment: {
+          type: Schema.Types.ObjectId,
+          ref: "Attachment",
+        },
       },
     ],
     color: {
@@ -162,6 +171,8 @@ const NoteSchema = new Schema(
       },
       isEnabled: { type: Boolean, default: false },
       notificationSent: { type: Boolean, default: false },
+      sentAt: { type: Date },
+      snoozeCount: { type: Number, default: 0 },
     },
   },
   {
@@ -257,6 +268,11 @@ NoteSchema.index({ owner: 1, isPinned: 1 });
 NoteSchema.index({ owner: 1, category: 1 });
 NoteSchema.index({ owner: 1, tags: 1 });
 NoteSchema.index({ owner: 1, updatedAt: -1 });
+NoteSchema.index({
+  "reminder.isEnabled": 1,
+  "reminder.notificationSent": 1,
+  "reminder.date": 1,
+});
 NoteSchema.index({ title: "text", content: "text", tags: "text" });
 
 const Note = mongoose.model("Note", NoteSchema);
@@ -1,24 +1,41 @@
-const mongoose = require("mongoose");
+import mongoose from "mongoose";
 const Schema = mongoose.Schema;
 
+// Notification types; also the keys of per-type channel preferences on users
+export const NOTIFICATION_TYPES = [
+  "mention",
+  "assignment",
+  "comment",
+  "due_date",
+  "status_change",
+  // Several kinds of changes to a watched task at once
+  "task_update",
+  "timer_reminder",
+  "idle_detection",
+  "pomodoro",
+  "team_invite",
+  "project_invite",
+  "integration_alert",
+];
+
+export const NOTIFICATION_PRIORITIES = ["low", "normal", "high", "urgent"];
+
+const DeliveryStatusSchema = new Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    sent: { type: Boolean, default: false },
+    sentAt: { type: Date },
+    error: { type: String },
+  },
+  { _id: false }
+);
+
 const NotificationSchema = new Schema(
   {
     type: {
       type: String,
       required: true,
-      enum: [
-        "mention",
-        "assignment",
-        "comment",
-        "due_date",
-        "status_change",
-        "timer_reminder",
-        "idle_detection",
-        "pomodoro",
-        "team_invite",
-        "project_invite",
-        "integration_alert",
-      ],
+      enum: NOTIFICATION_TYPES,
     },
     recipient: {
       type: Schema.Types.ObjectId,
@@ -58,13 +75,23 @@ const NotificationSchema = new Schema(
       type: Boolean,
       default: false,
     },
+    readAt: {
+      type: Date,
+    },
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+    archivedAt: {
+      type: Date,
+    },
     isActionRequired: {
       type: Boolean,
       default: false,
     },
     priority: {
       type: String,
-      enum: ["low", "normal", "high", "urgent"],
+      enum: NOTIFICATION_PRIORITIES,
       default: "normal",
     },
     deliveryChannels: {
@@ -73,20 +100,16 @@ const NotificationSchema = new Schema(
         default: true,
       },
       email: {
-        type: Boolean,
-        default: false,
-        sent: {
-          type: Boolean,
-          default: false,
-        },
+        type: DeliveryStatusSchema,
+        default: () => ({}),
       },
       push: {
-        type: Boolean,
-        default: false,
-        sent: {
-          type: Boolean,
-          default: false,
-        },
+        type: DeliveryStatusSchema,
+        default: () => ({}),
+      },
+      webhook: {
+        type: DeliveryStatusSchema,
+        default: () => ({}),
       },
     },
     expiresAt: {
@@ -100,5 +123,6 @@ const NotificationSchema = new Schema(
 
 // Index to improve query performance
 NotificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+NotificationSchema.index({ recipient: 1, isArchived: 1, createdAt: -1 });
 
-module.exports = mongoose.model("Notification", NotificationSchema);
+export default mongoose.model("Notification", NotificationSchema);
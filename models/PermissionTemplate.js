@@ -1,4 +1,4 @@
-const mongoose = require("mongoose");
+import mongoose from "mongoose";
 const Schema = mongoose.Schema;
 
 const PermissionTemplateSchema = new Schema(
@@ -477,4 +477,4 @@ const PermissionTemplate = mongoose.model(
   PermissionTemplateSchema
 );
 
-module.exports = PermissionTemplate;
+export default PermissionTemplate;
@@ -98,6 +98,7 @@ const ProjectSchema = new Schema(
       },
     },
     workflow: {
+      // Board columns, in order. Each stage shows the tasks in its status.
       stages: [
         {
           name: {
@@ -107,6 +108,28 @@ const ProjectSchema = new Schema(
           order: {
             type: Number,
           },
+          status: {
+            type: String,
+            enum: [
+              "todo",
+              "in-progress",
+              "review",
+              "completed",
+              "cancelled",
+              "on-hold",
+            ],
+          },
+          // Most tasks the stage should hold; unset means no limit
+          wipLimit: {
+            type: Number,
+            min: [1, "WIP limit must be at least 1"],
+          },
+          // Whether going over the WIP limit is refused or only warned about
+          wipPolicy: {
+            type: String,
+            enum: ["warn", "block"],
+            default: "warn",
+          },
         },
       ],
       automations: [
@@ -121,33 +144,64 @@ const ProjectSchema = new Schema(
           },
           action: {
             type: String,
-            enum: ["change_status", "notify", "assign", "add_tag"],
+            enum: [
+              "change_status",
+              "notify",
+              "assign",
+              "add_tag",
+              "set_priority",
+              "set_due_date",
+              "create_subtask",
+              "move_to_project",
+              "post_comment",
+            ],
           },
           actionConfig: {
             type: Object,
             default: {},
           },
+          // Run the action this many minutes after the event instead of immediately
+          delayMinutes: {
+            type: Number,
+            min: 0,
+            default: 0,
+          },
         },
       ],
     },
-    customFields: [
-      {
-        name: {
-          type: String,
-          trim: true,
-        },
-        type: {
-          type: String,
-          enum: ["text", "number", "date", "boolean", "select"],
-        },
-        options: [String],
-        value: Schema.Types.Mixed,
-        isRequired: {
-          type: Boolean,
-          default: false,
+    // Fields every task in the project can hold a value for, by name
+    customFields: {
+      type: [
+        {
+          name: {
+            type: String,
+            trim: true,
+            required: [true, "Custom field name is required"],
+            validate: {
+              validator: (name) => !name.includes(".") && !name.startsWith("$"),
+              message:
+                "Custom field names cannot contain '.' or start with '$'",
+            },
+          },
+          type: {
+            type: String,
+            enum: ["text", "number", "date", "boolean", "select"],
+            default: "text",
+          },
+          options: [String],
+          value: Schema.Types.Mixed,
+          isRequired: {
+            type: Boolean,
+            default: false,
+          },
         },
+      ],
+      validate: {
+        validator: (fields) =>
+          new Set(fields.map((field) => field.name)).size === fields.length,
+        message: "Custom field names must be unique",
       },
-    ],
+    },
     tags: [
       {
         type: String,
@@ -200,4 +254,7 @@ ProjectSchema.pre("save", function (next) {
   next();
 });
 
+// Full-text search
+ProjectSchema.index({ name: "text", description: "text", tags: "text" });
+
 export default mongoose.model("Project", ProjectSchema);
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+const Schema = mongoose.Schema;
+
+/**
+ * A named task query. Personal views are only visible to their owner;
+ * organization views are shared with the organization's active members.
+ */
+const SavedViewSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "View name is required"],
+      trim: true,
+      maxlength: [100, "View name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    organization: {
+      type: Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    visibility: {
+      type: String,
+      enum: ["personal", "organization"],
+      default: "personal",
+    },
+    // Task query language, e.g. "status:in-progress priority>=high"
+    query: {
+      type: String,
+      trim: true,
+      default: "",
+      maxlength: [500, "Query cannot exceed 500 characters"],
+    },
+    sortBy: {
+      type: String,
+      default: "createdAt",
+    },
+    sortOrder: {
+      type: String,
+      enum: ["asc", "desc"],
+      default: "desc",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+SavedViewSchema.pre("validate", function (next) {
+  if (this.visibility === "organization" && !this.organization) {
+    this.invalidate(
+      "organization",
+      "Organization views need an organization to share with"
+    );
+  }
+  next();
+});
+
+SavedViewSchema.index({ owner: 1, name: 1 });
+SavedViewSchema.index({ organization: 1, visibility: 1, name: 1 });
+
+export default mongoose.model("SavedView", SavedViewSchema);
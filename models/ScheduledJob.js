@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+const Schema = mongoose.Schema;
+
+/**
+ * A unit of work to run at a later time, picked up by the scheduled job
+ * runner. `type` selects the handler and `payload` is passed to it.
+ */
+const ScheduledJobSchema = new Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    runAt: {
+      type: Date,
+      required: true,
+    },
+    payload: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["pending", "running", "completed", "failed", "cancelled"],
+      default: "pending",
+    },
+    // Entity the job acts on, so its jobs can be found and cancelled
+    entityType: {
+      type: String,
+    },
+    entityId: {
+      type: Schema.Types.ObjectId,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+    },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+ScheduledJobSchema.index({ status: 1, runAt: 1 });
+ScheduledJobSchema.index({ entityType: 1, entityId: 1, status: 1 });
+
+export default mongoose.model("ScheduledJob", ScheduledJobSchema);
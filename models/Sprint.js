@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+const Schema = mongoose.Schema;
+
+/**
+ * A time-boxed iteration of a project. Tasks join a sprint through their
+ * `sprint` field. Starting a sprint records what was committed to, and
+ * completing it records what got done and where unfinished work went.
+ */
+const SprintSchema = new Schema(
+  {
+    project: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    organization: {
+      type: Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    goal: {
+      type: String,
+      trim: true,
+      default: "",
+      maxlength: 1000,
+    },
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    endDate: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["planned", "active", "completed"],
+      default: "planned",
+    },
+    // Tasks and points in the sprint when it started
+    commitment: {
+      tasks: [{ type: Schema.Types.ObjectId, ref: "Task" }],
+      points: { type: Number, default: 0 },
+    },
+    // Outcome recorded when the sprint is completed
+    result: {
+      completedTasks: { type: Number, default: 0 },
+      completedPoints: { type: Number, default: 0 },
+      carriedOverTasks: [{ type: Schema.Types.ObjectId, ref: "Task" }],
+      carriedOverPoints: { type: Number, default: 0 },
+      // Sprint unfinished tasks moved to; null when they went to the backlog
+      carriedOverTo: {
+        type: Schema.Types.ObjectId,
+        ref: "Sprint",
+        default: null,
+      },
+    },
+    startedAt: Date,
+    completedAt: Date,
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+SprintSchema.index({ project: 1, status: 1, startDate: 1 });
+
+export default mongoose.model("Sprint", SprintSchema);
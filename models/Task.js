@@ -1,4 +1,7 @@
 import mongoose from "mongoose";
+
+import { getNextRecurrenceDate } from "../utils/timeUtils.js";
+
 const { Schema } = mongoose;
 
 /**
@@ -64,7 +67,16 @@ const TaskSchema = new Schema(
       ref: "Organization",
       index: true,
     },
-    reminders: [{ type: Date }],
+    reminders: [
+      {
+        remindAt: { type: Date, required: [true, "Reminder time is required"] },
+        // Set once the reminder notification went out, so it is sent only once
+        notificationSent: { type: Boolean, default: false },
+        sentAt: { type: Date },
+        dismissedAt: { type: Date },
+        snoozeCount: { type: Number, default: 0 },
+      },
+    ],
 
     // Task Organization
     category: {
@@ -85,6 +97,23 @@ const TaskSchema = new Schema(
       ref: "Project",
       index: true,
     },
+    // Values of the project's custom fields, by field name
+    customFields: {
+      type: Map,
+      of: Schema.Types.Mixed,
+    },
+    // Position on the project board. Ranks sort as strings within a stage.
+    board: {
+      stage: { type: Schema.Types.ObjectId },
+      rank: { type: String },
+    },
+    // Sprint of the task's project it is planned in; null is the backlog
+    sprint: {
+      type: Schema.Types.ObjectId,
+      ref: "Sprint",
+      default: null,
+      index: true,
+    },
     parentTask: {
       type: Schema.Types.ObjectId,
       ref: "Task",
@@ -104,12 +133,21 @@ const TaskSchema = new Schema(
         ref: "Task",
       },
     ],
+    // Complete this task automatically once every subtask is completed
+    completeWhenSubtasksDone: { type: Boolean, default: false },
     dependencies: [
       {
         type: Schema.Types.ObjectId,
         ref: "Task",
       },
     ],
+    // Dependencies that are not completed or cancelled yet
+    blockedBy: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "Task",
+      },
+    ],
 
     // Progress Tracking
     progress: {
@@ -123,6 +161,11 @@ const TaskSchema = new Schema(
       default: 0,
       min: [0, "Estimated time cannot be negative"],
     }, // in minutes
+    storyPoints: {
+      type: Number,
+      default: null,
+      min: [0, "Story points cannot be negative"],
+    },
     actualTime: {
       type: Number,
       default: 0,
@@ -151,6 +194,8 @@ const TaskSchema = new Schema(
         size: { type: Number, min: [0, "File size cannot be negative"] },
         uploadedAt: { type: Date, default: Date.now },
         uploadedBy: { type: Schema.Types.ObjectId, ref: "User" },
+        // Set for files uploaded through /api/tasks/:id/attachments
+        attachment: { type: Schema.Types.ObjectId, ref: "Attachment" },
       },
     ],
     color: {
@@ -193,7 +238,16 @@ const TaskSchema = new Schema(
         type: Number,
         min: [1, "Occurrences must be at least 1"],
       },
+      // When this occurrence generated the next one (unset until it has)
       lastGenerated: { type: Date },
+      // Series this occurrence belongs to: the ID of its first task
+      seriesId: { type: Schema.Types.ObjectId, ref: "Task" },
+      occurrence: { type: Number, min: 1 },
+      // When the next occurrence is due to be generated if this one is not completed
+      periodEndsAt: { type: Date },
+      // Edited on its own ("this occurrence only"), so later occurrences
+      // are not copied from it
+      isException: { type: Boolean, default: false },
     },
 
     // Collaboration
@@ -210,33 +264,6 @@ const TaskSchema = new Schema(
         ref: "User",
       },
     ],
-    comments: [
-      {
-        user: {
-          type: Schema.Types.ObjectId,
-          ref: "User",
-          required: true,
-        },
-        content: {
-          type: String,
-          required: true,
-          trim: true,
-          maxlength: [2000, "Comment cannot exceed 2000 characters"],
-        },
-        createdAt: { type: Date, default: Date.now },
-        updatedAt: { type: Date },
-        isEdited: { type: Boolean, default: false },
-        mentions: [{ type: Schema.Types.ObjectId, ref: "User" }],
-        attachments: [
-          {
-            filename: String,
-            url: String,
-            type: String,
-            size: Number,
-          },
-        ],
-      },
-    ],
 
     // Time Tracking
     timeEntries: [{ type: Schema.Types.ObjectId, ref: "TimeLog" }],
@@ -245,6 +272,15 @@ const TaskSchema = new Schema(
       default: 0,
       min: [0, "Total time spent cannot be negative"],
     }, // in seconds
+    // Totals over this task and all of its subtasks, kept up to date by
+    // the subtask service. Zero while the task has no subtasks.
+    rollup: {
+      progress: { type: Number, default: 0 },
+      estimatedTime: { type: Number, default: 0 }, // in minutes
+      totalTimeSpent: { type: Number, default: 0 }, // in seconds
+      subtaskCount: { type: Number, default: 0 },
+      completedSubtaskCount: { type: Number, default: 0 },
+    },
     isTimeTrackingEnabled: { type: Boolean, default: true },
     hasActiveTimer: { type: Boolean, default: false },
     lastActiveTimerId: { type: Schema.Types.ObjectId, ref: "TimeLog" },
@@ -255,6 +291,12 @@ const TaskSchema = new Schema(
     isPrivate: { type: Boolean, default: false },
     isTemplate: { type: Boolean, default: false },
 
+    // Workflow automation bookkeeping
+    automation: {
+      // Due date the due_date trigger last fired for, so it fires once per date
+      dueDateTriggeredFor: { type: Date },
+    },
+
     // Audit fields
     createdBy: { type: Schema.Types.ObjectId, ref: "User" },
   },
@@ -298,9 +340,9 @@ TaskSchema.virtual("daysUntilDue").get(function () {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
 
-// Virtual for whether the task is blocked
+// Virtual for whether the task is waiting on unfinished dependencies
 TaskSchema.virtual("isBlocked").get(function () {
-  return this.dependencies && this.dependencies.length > 0;
+  return this.blockedBy && this.blockedBy.length > 0;
 });
 
 // Pre-save middleware
@@ -323,10 +365,34 @@ TaskSchema.pre("save", function (next) {
     }
   }
 
+  // Start a recurring series and keep its next period up to date
+  if (this.recurring && this.recurring.isRecurring) {
+    if (!this.recurring.seriesId) {
+      this.recurring.seriesId = this._id;
+      this.recurring.occurrence = 1;
+    }
+
+    if (
+      this.recurring.frequency &&
+      (this.isNew ||
+        this.isModified("dueDate") ||
+        this.isModified("startDate") ||
+        this.isModified("recurring"))
+    ) {
+      this.recurring.periodEndsAt =
+        this.dueDate ||
+        getNextRecurrenceDate(
+          this.startDate || this.createdAt || new Date(),
+          this.recurring.frequency,
+          this.recurring.interval
+        );
+    }
+  }
+
   // Ensure subtasks array has unique values
   if (this.subtasks && this.subtasks.length > 0) {
     this.subtasks = [...new Set(this.subtasks.map((id) => id.toString()))].map(
-      (id) => mongoose.Types.ObjectId(id)
+      (id) => new mongoose.Types.ObjectId(id)
     );
   }
 
@@ -334,7 +400,7 @@ TaskSchema.pre("save", function (next) {
   if (this.dependencies && this.dependencies.length > 0) {
     this.dependencies = [
       ...new Set(this.dependencies.map((id) => id.toString())),
-    ].map((id) => mongoose.Types.ObjectId(id));
+    ].map((id) => new mongoose.Types.ObjectId(id));
   }
 
   next();
@@ -370,9 +436,13 @@ TaskSchema.statics.getOverdue = function (userId) {
 // Indexes for faster queries
 TaskSchema.index({ owner: 1, status: 1 });
 TaskSchema.index({ owner: 1, dueDate: 1 });
+TaskSchema.index({ project: 1, dueDate: 1 });
+TaskSchema.index({ project: 1, status: 1, "board.rank": 1 });
 TaskSchema.index({ owner: 1, priority: 1 });
 TaskSchema.index({ owner: 1, category: 1 });
 TaskSchema.index({ assignedTo: 1 });
+TaskSchema.index({ dependencies: 1 });
+TaskSchema.index({ parentTask: 1 });
 TaskSchema.index({ tags: 1 });
 TaskSchema.index({ owner: 1, createdAt: -1 });
 TaskSchema.index({ owner: 1, updatedAt: -1 });
@@ -387,6 +457,16 @@ TaskSchema.index({
   "recurring.isRecurring": 1,
   "recurring.frequency": 1,
 });
+TaskSchema.index({ "recurring.seriesId": 1, "recurring.occurrence": 1 });
+TaskSchema.index({
+  "reminders.notificationSent": 1,
+  "reminders.remindAt": 1,
+});
+TaskSchema.index({
+  "recurring.isRecurring": 1,
+  "recurring.lastGenerated": 1,
+  "recurring.periodEndsAt": 1,
+});
 TaskSchema.index({ owner: 1, startDate: 1, status: 1 });
 TaskSchema.index({ owner: 1, completedAt: 1, status: 1 });
 
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+const Schema = mongoose.Schema;
+
+/**
+ * One change to one field of a task. Values are stored as plain JSON:
+ * IDs as strings and dates as ISO strings.
+ */
+const TaskHistorySchema = new Schema({
+  task: {
+    type: Schema.Types.ObjectId,
+    ref: "Task",
+    required: true,
+  },
+  // Empty for changes the system makes on its own
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+  },
+  source: {
+    type: String,
+    enum: ["user", "automation", "system"],
+    default: "user",
+  },
+  field: {
+    type: String,
+    required: true,
+  },
+  oldValue: {
+    type: Schema.Types.Mixed,
+    default: null,
+  },
+  newValue: {
+    type: Schema.Types.Mixed,
+    default: null,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+TaskHistorySchema.index({ task: 1, changedAt: -1 });
+TaskHistorySchema.index({ task: 1, field: 1, changedAt: 1 });
+
+export default mongoose.model("TaskHistory", TaskHistorySchema);
@@ -0,0 +1,156 @@
+import mongoose from "mongoose";
+const Schema = mongoose.Schema;
+
+// Matches {{variable}} placeholders in titles and descriptions
+export const TEMPLATE_VARIABLE_PATTERN =
+  /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+
+/**
+ * One task in a template. Tasks refer to each other by `key`, which is only
+ * meaningful inside the template. Offsets are in days from the start date
+ * given when the template is instantiated.
+ */
+const TemplateTaskSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: [true, "Template task key is required"],
+      trim: true,
+    },
+    title: {
+      type: String,
+      required: [true, "Template task title is required"],
+      trim: true,
+      maxlength: [200, "Title cannot exceed 200 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    priority: {
+      type: String,
+      enum: ["low", "medium", "high", "urgent"],
+      default: "medium",
+    },
+    category: {
+      type: String,
+      trim: true,
+    },
+    tags: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    estimatedTime: {
+      type: Number,
+      default: 0,
+      min: [0, "Estimated time cannot be negative"],
+    }, // in minutes
+    startOffsetDays: {
+      type: Number,
+      min: [0, "Start offset cannot be negative"],
+      validate: {
+        validator: Number.isInteger,
+        message: "Start offset must be a whole number of days",
+      },
+    },
+    dueOffsetDays: {
+      type: Number,
+      min: [0, "Due date offset cannot be negative"],
+      validate: {
+        validator: Number.isInteger,
+        message: "Due date offset must be a whole number of days",
+      },
+    },
+    parentKey: {
+      type: String,
+      trim: true,
+    },
+    dependsOn: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    completeWhenSubtasksDone: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+const TaskTemplateSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Template name is required"],
+      trim: true,
+      maxlength: [100, "Template name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Members of the organization can use the template too
+    organization: {
+      type: Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    // Project new tasks go into unless another one is given
+    project: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+    },
+    tasks: {
+      type: [TemplateTaskSchema],
+      validate: {
+        validator: (tasks) => tasks.length > 0,
+        message: "A template needs at least one task",
+      },
+    },
+    // Placeholders used in the tasks, filled in on instantiation
+    variables: [
+      {
+        type: String,
+      },
+    ],
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Collect the variables used by the tasks
+TaskTemplateSchema.pre("save", function (next) {
+  if (this.isModified("tasks")) {
+    const variables = new Set();
+    this.tasks.forEach((task) => {
+      const text = `${task.title} ${task.description || ""}`;
+      for (const match of text.matchAll(TEMPLATE_VARIABLE_PATTERN)) {
+        variables.add(match[1]);
+      }
+    });
+    this.variables = [...variables];
+  }
+
+  next();
+});
+
+TaskTemplateSchema.index({ owner: 1, name: 1 });
+TaskTemplateSchema.index({ organization: 1, name: 1 });
+
+export default mongoose.model("TaskTemplate", TaskTemplateSchema);
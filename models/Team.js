@@ -1,4 +1,4 @@
-const mongoose = require("mongoose");
+import mongoose from "mongoose";
 const Schema = mongoose.Schema;
 
 const TeamSchema = new Schema(
@@ -189,8 +189,9 @@ TeamSchema.methods.calculateUtilization = async function () {
     duration: { $gt: 0 },
   });
 
-  // Calculate total time spent
-  const totalTimeMinutes = logs.reduce((total, log) => total + log.duration, 0);
+  // Calculate total time spent (TimeLog durations are stored in seconds)
+  const totalTimeMinutes =
+    logs.reduce((total, log) => total + log.duration, 0) / 60;
 
   // Calculate utilization percentage
   if (weeklyCapacityMinutes > 0) {
@@ -203,4 +204,4 @@ TeamSchema.methods.calculateUtilization = async function () {
   return this.timeTracking.currentUtilization;
 };
 
-module.exports = mongoose.model("Team", TeamSchema);
+export default mongoose.model("Team", TeamSchema);
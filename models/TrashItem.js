@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+const Schema = mongoose.Schema;
+
+/**
+ * A deleted task (with its subtask tree) or note, kept until it is restored
+ * or purged. The deleted documents are stored as they were in the database.
+ */
+const TrashItemSchema = new Schema({
+  entityType: {
+    type: String,
+    enum: ["Task", "Note"],
+    required: true,
+  },
+  // The task or note that was deleted
+  entityId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+  },
+  title: {
+    type: String,
+    trim: true,
+  },
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  organization: {
+    type: Schema.Types.ObjectId,
+    ref: "Organization",
+  },
+  documents: {
+    type: [Schema.Types.Mixed],
+    default: [],
+  },
+  // Dependencies other tasks had on the deleted tasks
+  links: [
+    {
+      _id: false,
+      task: { type: Schema.Types.ObjectId, ref: "Task" },
+      field: { type: String, enum: ["dependencies", "blockedBy"] },
+      target: { type: Schema.Types.ObjectId, ref: "Task" },
+    },
+  ],
+  itemCount: {
+    type: Number,
+    default: 1,
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+TrashItemSchema.index({ owner: 1, deletedAt: -1 });
+TrashItemSchema.index({ expiresAt: 1 });
+
+export default mongoose.model("TrashItem", TrashItemSchema);
@@ -1,5 +1,5 @@
-import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import mongoose from "mongoose";
 const { Schema } = mongoose;
 
 /**
@@ -77,6 +77,28 @@ const userSchema = new Schema(
         required: true,
       },
       notifications: { type: Boolean, default: true },
+      // Per notification type delivery channels, e.g. { mention: { email: true } }.
+      // Types without an entry use the defaults below.
+      notificationChannels: {
+        type: Map,
+        of: new Schema(
+          {
+            inApp: { type: Boolean, default: true },
+            email: { type: Boolean, default: false },
+            webhook: { type: Boolean, default: false },
+          },
+          { _id: false }
+        ),
+        default: {},
+      },
+      notificationWebhookUrl: {
+        type: String,
+        trim: true,
+        validate: {
+          validator: (value) => !value || /^https:\/\/\S+$/.test(value),
+          message: "Webhook URL must be an https URL",
+        },
+      },
       taskView: {
         type: String,
         enum: ["list", "board", "calendar"],
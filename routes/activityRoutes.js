@@ -0,0 +1,33 @@
+import express from "express";
+
+import commentController from "../controllers/commentController.js";
+import { authenticateUser } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validation.js";
+
+const router = express.Router();
+
+const activitySchema = {
+  params: {
+    entityType: { type: "string", required: true, maxLength: 20 },
+    entityId: {
+      type: "string",
+      pattern: "^[0-9a-fA-F]{24}$",
+      required: true,
+    },
+  },
+  query: {
+    page: { type: "integer", minimum: 1 },
+    limit: { type: "integer", minimum: 1, maximum: 100 },
+    cursor: { type: "string", maxLength: 500 },
+  },
+};
+
+// Activity feed for any commentable entity
+router.get(
+  "/:entityType/:entityId",
+  authenticateUser,
+  validateRequest(activitySchema),
+  commentController.getActivityFeed.bind(commentController)
+);
+
+export default router;
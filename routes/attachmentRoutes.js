@@ -0,0 +1,60 @@
+import express from "express";
+
+import attachmentController from "../controllers/attachmentController.js";
+import { authenticateUser } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validation.js";
+
+const router = express.Router();
+
+const objectId = { type: "string", pattern: "^[0-9a-fA-F]{24}$" };
+
+const attachmentParams = {
+  attachmentId: { ...objectId, required: true },
+};
+
+// Validation schemas
+const usageSchema = {
+  query: {
+    organization: objectId,
+  },
+};
+
+const downloadSchema = {
+  params: attachmentParams,
+  query: {
+    expires: { type: "integer", required: true, minimum: 0 },
+    signature: { type: "string", required: true, pattern: "^[0-9a-f]{64}$" },
+  },
+};
+
+// Attachment routes
+router.get(
+  "/usage",
+  authenticateUser,
+  validateRequest(usageSchema),
+  attachmentController.getStorageUsage.bind(attachmentController)
+);
+
+router.get(
+  "/:attachmentId",
+  authenticateUser,
+  validateRequest({ params: attachmentParams }),
+  attachmentController.getAttachment.bind(attachmentController)
+);
+
+// Authorized by the signed URL from GET /:attachmentId, so it works in
+// links and <img> tags without a token
+router.get(
+  "/:attachmentId/download",
+  validateRequest(downloadSchema),
+  attachmentController.download.bind(attachmentController)
+);
+
+router.delete(
+  "/:attachmentId",
+  authenticateUser,
+  validateRequest({ params: attachmentParams }),
+  attachmentController.deleteAttachment.bind(attachmentController)
+);
+
+export default router;
@@ -0,0 +1,118 @@
+import express from "express";
+
+import attachmentController from "../controllers/attachmentController.js";
+import commentController from "../controllers/commentController.js";
+import { authenticateUser } from "../middleware/auth.js";
+import { uploadFile } from "../middleware/upload.js";
+import { validateRequest } from "../middleware/validation.js";
+
+const router = express.Router();
+
+const objectId = { type: "string", pattern: "^[0-9a-fA-F]{24}$" };
+
+const commentParams = {
+  commentId: { ...objectId, required: true },
+};
+
+// Validation schemas
+const createCommentSchema = {
+  body: {
+    content: { type: "string", required: true, minLength: 1, maxLength: 5000 },
+    entityType: { type: "string", required: true, maxLength: 20 },
+    entityId: { ...objectId, required: true },
+    parentComment: objectId,
+  },
+};
+
+const listCommentsSchema = {
+  query: {
+    entityType: { type: "string", required: true, maxLength: 20 },
+    entityId: { ...objectId, required: true },
+    onlyRoot: { type: "string", enum: ["true", "false"] },
+    page: { type: "integer", minimum: 1 },
+    limit: { type: "integer", minimum: 1, maximum: 100 },
+    cursor: { type: "string", maxLength: 500 },
+    sortOrder: { type: "string", enum: ["asc", "desc"] },
+  },
+};
+
+const updateCommentSchema = {
+  body: {
+    content: { type: "string", required: true, minLength: 1, maxLength: 5000 },
+  },
+  params: commentParams,
+};
+
+const reactionSchema = {
+  body: {
+    type: { type: "string", required: true, minLength: 1, maxLength: 50 },
+  },
+  params: commentParams,
+};
+
+const resolutionSchema = {
+  body: {
+    resolved: { type: "boolean", required: true },
+  },
+  params: commentParams,
+};
+
+// Comment routes
+router.post(
+  "/",
+  authenticateUser,
+  validateRequest(createCommentSchema),
+  commentController.createComment.bind(commentController)
+);
+
+router.get(
+  "/",
+  authenticateUser,
+  validateRequest(listCommentsSchema),
+  commentController.getComments.bind(commentController)
+);
+
+router.get(
+  "/:commentId",
+  authenticateUser,
+  validateRequest({ params: commentParams }),
+  commentController.getCommentById.bind(commentController)
+);
+
+router.put(
+  "/:commentId",
+  authenticateUser,
+  validateRequest(updateCommentSchema),
+  commentController.updateComment.bind(commentController)
+);
+
+router.delete(
+  "/:commentId",
+  authenticateUser,
+  validateRequest({ params: commentParams }),
+  commentController.deleteComment.bind(commentController)
+);
+
+router.post(
+  "/:commentId/reactions",
+  authenticateUser,
+  validateRequest(reactionSchema),
+  commentController.toggleReaction.bind(commentController)
+);
+
+router.put(
+  "/:commentId/resolution",
+  authenticateUser,
+  validateRequest(resolutionSchema),
+  commentController.setResolution.bind(commentController)
+);
+
+router.post(
+  "/:commentId/attachments",
+  authenticateUser,
+  validateRequest({ params: commentParams }),
+  uploadFile,
+  attachmentController.uploadToComment.bind(attachmentController)
+);
+
+export default router;
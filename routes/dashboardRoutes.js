@@ -1,38 +1,173 @@
-const express = require("express");
+import express from "express";
+
+import dashboardController from "../controllers/dashboardController.js";
+import { authenticateUser } from "../middleware/auth.js";
+import { checkRole } from "../middleware/permissions.js";
+import { validateRequest } from "../middleware/validation.js";
+
 const router = express.Router();
-const dashboardController = require("../controllers/dashboardController");
-const { auth } = require("../middleware/auth");
-const { checkRole } = require("../middleware/permissions");
+
+const objectId = { type: "string", pattern: "^[0-9a-fA-F]{24}$" };
+
+const dashboardParams = {
+  dashboardId: { ...objectId, required: true },
+};
+
+const widgetParams = {
+  ...dashboardParams,
+  widgetId: { ...objectId, required: true },
+};
+
+const widgetFields = {
+  type: {
+    type: "string",
+    enum: [
+      "timeTracking",
+      "taskCompletion",
+      "productivity",
+      "memberPerformance",
+      "statusDistribution",
+      "custom",
+    ],
+  },
+  title: { type: "string", minLength: 1, maxLength: 100 },
+  size: { type: "object" },
+  position: { type: "object" },
+  config: { type: "object" },
+};
+
+const widgetItem = {
+  type: "object",
+  properties: widgetFields,
+  required: ["type", "title"],
+  additionalProperties: false,
+};
+
+const dashboardFields = {
+  description: { type: "string", maxLength: 500 },
+  isDefault: { type: "boolean" },
+  isShared: { type: "boolean" },
+  sharedWith: { type: "array", items: objectId },
+  widgets: { type: "array", items: widgetItem },
+  refreshInterval: { type: "integer", minimum: 0, maximum: 1440 },
+};
+
+// Validation schemas
+const createDashboardSchema = {
+  body: {
+    name: { type: "string", required: true, minLength: 1, maxLength: 100 },
+    organization: objectId,
+    ...dashboardFields,
+  },
+};
+
+const updateDashboardSchema = {
+  body: {
+    name: { type: "string", minLength: 1, maxLength: 100 },
+    ...dashboardFields,
+  },
+  params: dashboardParams,
+};
+
+const addWidgetSchema = {
+  body: {
+    ...widgetFields,
+    type: { ...widgetFields.type, required: true },
+    title: { ...widgetFields.title, required: true },
+  },
+  params: dashboardParams,
+};
+
+const updateWidgetSchema = {
+  body: {
+    title: widgetFields.title,
+    size: widgetFields.size,
+    position: widgetFields.position,
+    config: widgetFields.config,
+  },
+  params: widgetParams,
+};
+
+const widgetDataSchema = {
+  params: widgetParams,
+  query: { refresh: { type: "string", enum: ["true", "false"] } },
+};
 
 // Dashboard management routes
-router.post("/", auth, dashboardController.createDashboard);
-router.get("/user", auth, dashboardController.getUserDashboards);
-router.get("/shared", auth, dashboardController.getSharedDashboards);
+router.post(
+  "/",
+  authenticateUser,
+  validateRequest(createDashboardSchema),
+  dashboardController.createDashboard.bind(dashboardController)
+);
+
+router.get(
+  "/user",
+  authenticateUser,
+  dashboardController.getUserDashboards.bind(dashboardController)
+);
+
+router.get(
+  "/shared",
+  authenticateUser,
+  dashboardController.getSharedDashboards.bind(dashboardController)
+);
+
 router.get(
   "/organizations/:organizationId",
-  auth,
-  dashboardController.getOrganizationDashboards
+  authenticateUser,
+  checkRole([]),
+  dashboardController.getOrganizationDashboards.bind(dashboardController)
+);
+
+router.get(
+  "/:dashboardId",
+  authenticateUser,
+  validateRequest({ params: dashboardParams }),
+  dashboardController.getDashboardById.bind(dashboardController)
+);
+
+router.put(
+  "/:dashboardId",
+  authenticateUser,
+  validateRequest(updateDashboardSchema),
+  dashboardController.updateDashboard.bind(dashboardController)
+);
+
+router.delete(
+  "/:dashboardId",
+  authenticateUser,
+  validateRequest({ params: dashboardParams }),
+  dashboardController.deleteDashboard.bind(dashboardController)
 );
-router.get("/:dashboardId", auth, dashboardController.getDashboardById);
-router.put("/:dashboardId", auth, dashboardController.updateDashboard);
-router.delete("/:dashboardId", auth, dashboardController.deleteDashboard);
 
 // Widget management routes
-router.post("/:dashboardId/widgets", auth, dashboardController.addWidget);
+router.post(
+  "/:dashboardId/widgets",
+  authenticateUser,
+  validateRequest(addWidgetSchema),
+  dashboardController.addWidget.bind(dashboardController)
+);
+
 router.put(
   "/:dashboardId/widgets/:widgetId",
-  auth,
-  dashboardController.updateWidget
+  authenticateUser,
+  validateRequest(updateWidgetSchema),
+  dashboardController.updateWidget.bind(dashboardController)
 );
+
 router.delete(
   "/:dashboardId/widgets/:widgetId",
-  auth,
-  dashboardController.deleteWidget
+  authenticateUser,
+  validateRequest({ params: widgetParams }),
+  dashboardController.deleteWidget.bind(dashboardController)
 );
+
 router.get(
   "/:dashboardId/widgets/:widgetId/data",
-  auth,
-  dashboardController.getWidgetData
+  authenticateUser,
+  validateRequest(widgetDataSchema),
+  dashboardController.getWidgetData.bind(dashboardController)
 );
 
-module.exports = router;
+export default router;
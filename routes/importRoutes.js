@@ -0,0 +1,76 @@
+import express from "express";
+
+import importController from "../controllers/importController.js";
+import { authenticateUser } from "../middleware/auth.js";
+import { uploadImportFile } from "../middleware/upload.js";
+import { validateRequest } from "../middleware/validation.js";
+
+const router = express.Router();
+
+const objectId = { type: "string", pattern: "^[0-9a-fA-F]{24}$" };
+
+const importParams = {
+  importId: { ...objectId, required: true },
+};
+
+// Validation schemas
+const previewSchema = {
+  body: {
+    format: {
+      type: "string",
+      required: true,
+      enum: ["csv", "json", "trello", "todoist"],
+    },
+    // JSON object of task field to CSV column header
+    mapping: { type: "string", maxLength: 2000 },
+    project: objectId,
+    organization: objectId,
+  },
+};
+
+const listImportsSchema = {
+  query: {
+    page: { type: "integer", minimum: 1 },
+    limit: { type: "integer", minimum: 1, maximum: 100 },
+    cursor: { type: "string", maxLength: 500 },
+  },
+};
+
+// Import routes
+router.post(
+  "/preview",
+  authenticateUser,
+  uploadImportFile,
+  validateRequest(previewSchema),
+  importController.previewImport.bind(importController)
+);
+
+router.get(
+  "/",
+  authenticateUser,
+  validateRequest(listImportsSchema),
+  importController.getImports.bind(importController)
+);
+
+router.get(
+  "/:importId",
+  authenticateUser,
+  validateRequest({ params: importParams }),
+  importController.getImport.bind(importController)
+);
+
+router.post(
+  "/:importId/commit",
+  authenticateUser,
+  validateRequest({ params: importParams }),
+  importController.commitImport.bind(importController)
+);
+
+router.post(
+  "/:importId/undo",
+  authenticateUser,
+  validateRequest({ params: importParams }),
+  importController.undoImport.bind(importController)
+);
+
+export default router;
@@ -1,6 +1,8 @@
 import express from "express";
+import attachmentController from "../controllers/attachmentController.js";
 import { authenticateUser } from "../middleware/auth.js";
 import noteController from "../controllers/noteController.js";
+import { uploadFile } from "../middleware/upload.js";
 import { validateRequest } from "../middleware/validation.js";
 
 const router = express.Router();
@@ -17,6 +19,14 @@ const createNoteSchema = {
     isFavorite: { type: "boolean" },
     color: { type: "string", pattern: "^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$" },
     organization: { type: "string", pattern: "^[0-9a-fA-F]{24}$" },
+    reminder: {
+      type: "object",
+      properties: {
+        date: { type: "string", format: "date-time" },
+        isEnabled: { type: "boolean" },
+      },
+      additionalProperties: false,
+    },
   },
 };
 
@@ -67,6 +77,25 @@ const shareNoteSchema = {
   },
 };
 
+const noteParams = {
+  id: { type: "string", pattern: "^[0-9a-fA-F]{24}$", required: true },
+};
+
+const reminderSchema = {
+  body: {
+    date: { type: "string", format: "date-time" },
+    isEnabled: { type: "boolean" },
+  },
+  params: noteParams,
+};
+
+const snoozeReminderSchema = {
+  body: {
+    minutes: { type: "integer", minimum: 1, maximum: 10080 },
+  },
+  params: noteParams,
+};
+
 // Routes for notes
 router.post(
   "/",
@@ -118,4 +147,34 @@ router.post(
   noteController.shareNote.bind(noteController)
 );
 
+// Reminder routes
+router.put(
+  "/:id/reminder",
+  authenticateUser,
+  validateRequest(reminderSchema),
+  noteController.setReminder.bind(noteController)
+);
+
+router.put(
+  "/:id/reminder/snooze",
+  authenticateUser,
+  validateRequest(snoozeReminderSchema),
+  noteController.snoozeReminder.bind(noteController)
+);
+
+router.put(
+  "/:id/reminder/dismiss",
+  authenticateUser,
+  validateRequest({ params: noteParams }),
+  noteController.dismissReminder.bind(noteController)
+);
+
+router.post(
+  "/:id/attachments",
+  authenticateUser,
+  validateRequest({ params: noteParams }),
+  uploadFile,
+  attachmentController.uploadToNote.bind(attachmentController)
+);
+
 export default router;
@@ -0,0 +1,111 @@
+import express from "express";
+
+import notificationController from "../controllers/notificationController.js";
+import { authenticateUser } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validation.js";
+import { NOTIFICATION_TYPES } from "../models/Notification.js";
+
+const router = express.Router();
+
+const notificationParams = {
+  notificationId: {
+    type: "string",
+    pattern: "^[0-9a-fA-F]{24}$",
+    required: true,
+  },
+};
+
+// Validation schemas
+const listNotificationsSchema = {
+  query: {
+    unread: { type: "string", enum: ["true", "false"] },
+    archived: { type: "string", enum: ["true", "false"] },
+    type: { type: "string", enum: NOTIFICATION_TYPES },
+    page: { type: "integer", minimum: 1 },
+    limit: { type: "integer", minimum: 1, maximum: 100 },
+    cursor: { type: "string", maxLength: 500 },
+  },
+};
+
+const archiveSchema = {
+  body: { archived: { type: "boolean" } },
+  params: notificationParams,
+};
+
+const channelSettings = {
+  type: "object",
+  properties: {
+    inApp: { type: "boolean" },
+    email: { type: "boolean" },
+    webhook: { type: "boolean" },
+  },
+  additionalProperties: false,
+};
+
+const preferencesSchema = {
+  body: {
+    enabled: { type: "boolean" },
+    webhookUrl: {
+      anyOf: [
+        { type: "string", pattern: "^https://\\S+$", maxLength: 2048 },
+        { type: "string", maxLength: 0 },
+        { type: "null" },
+      ],
+    },
+    channels: {
+      type: "object",
+      propertyNames: { enum: NOTIFICATION_TYPES },
+      additionalProperties: channelSettings,
+    },
+  },
+};
+
+// Notification routes
+router.get(
+  "/",
+  authenticateUser,
+  validateRequest(listNotificationsSchema),
+  notificationController.getNotifications.bind(notificationController)
+);
+
+router.get(
+  "/unread-count",
+  authenticateUser,
+  notificationController.getUnreadCount.bind(notificationController)
+);
+
+router.put(
+  "/read-all",
+  authenticateUser,
+  notificationController.markAllAsRead.bind(notificationController)
+);
+
+// Preference routes
+router.get(
+  "/preferences",
+  authenticateUser,
+  notificationController.getPreferences.bind(notificationController)
+);
+
+router.put(
+  "/preferences",
+  authenticateUser,
+  validateRequest(preferencesSchema),
+  notificationController.updatePreferences.bind(notificationController)
+);
+
+router.put(
+  "/:notificationId/read",
+  authenticateUser,
+  validateRequest({ params: notificationParams }),
+  notificationController.markAsRead.bind(notificationController)
+);
+
+router.put(
+  "/:notificationId/archive",
+  authenticateUser,
+  validateRequest(archiveSchema),
+  notificationController.archive.bind(notificationController)
+);
+
+export default router;
@@ -1,8 +1,9 @@
-const express = require("express");
-const { body, param, query, validationResult } = require("express-validator");
-const permissionController = require("../controllers/permissionController");
-const authMiddleware = require("../middleware/auth");
-const { checkRole } = require("../middleware/permissions");
+import express from "express";
+import { body, param, query, validationResult } from "express-validator";
+
+import permissionController from "../controllers/permissionController.js";
+import authMiddleware from "../middleware/auth.js";
+import { checkRole } from "../middleware/permissions.js";
 
 const router = express.Router();
 
@@ -265,4 +266,4 @@ router.get(
   }
 );
 
-module.exports = router;
+export default router;
@@ -0,0 +1,424 @@
+import express from "express";
+
+import projectController from "../controllers/projectController.js";
+import sprintController from "../controllers/sprintController.js";
+import { authenticateUser } from "../middleware/auth.js";
+import { checkPermission, checkRole } from "../middleware/permissions.js";
+import { validateRequest } from "../middleware/validation.js";
+
+const router = express.Router();
+
+const objectId = { type: "string", pattern: "^[0-9a-fA-F]{24}$" };
+
+const projectParams = {
+  projectId: { ...objectId, required: true },
+};
+
+const projectFields = {
+  description: { type: "string", maxLength: 5000 },
+  status: {
+    type: "string",
+    enum: ["planning", "active", "on-hold", "completed", "archived"],
+  },
+  priority: { type: "string", enum: ["low", "medium", "high", "urgent"] },
+  startDate: { type: "string" },
+  dueDate: { type: "string" },
+  managers: { type: "array", items: objectId },
+  budget: { type: "object" },
+  timeTracking: { type: "object" },
+  customFields: { type: "array", items: { type: "object" } },
+  tags: { type: "array", items: { type: "string", maxLength: 30 } },
+};
+
+// Validation schemas
+const createProjectSchema = {
+  body: {
+    name: { type: "string", required: true, minLength: 1, maxLength: 100 },
+    organizationId: objectId,
+    ...projectFields,
+  },
+};
+
+const updateProjectSchema = {
+  body: {
+    name: { type: "string", minLength: 1, maxLength: 100 },
+    completedDate: { type: "string" },
+    workflow: { type: "object" },
+    ...projectFields,
+  },
+  params: projectParams,
+};
+
+const memberSchema = {
+  body: { userId: { ...objectId, required: true } },
+  params: projectParams,
+};
+
+const teamSchema = {
+  body: { teamId: { ...objectId, required: true } },
+  params: projectParams,
+};
+
+const automationSchema = {
+  body: {
+    trigger: {
+      type: "string",
+      enum: ["status_change", "due_date", "assignment", "comment"],
+      required: true,
+    },
+    condition: { type: "object" },
+    action: {
+      type: "string",
+      enum: [
+        "change_status",
+        "notify",
+        "assign",
+        "add_tag",
+        "set_priority",
+        "set_due_date",
+        "create_subtask",
+        "move_to_project",
+        "post_comment",
+      ],
+      required: true,
+    },
+    actionConfig: { type: "object" },
+    delayMinutes: { type: "integer", minimum: 0, maximum: 43200 },
+  },
+  params: projectParams,
+};
+
+const automationHistorySchema = {
+  params: projectParams,
+  query: {
+    automationId: objectId,
+    entityId: objectId,
+    status: {
+      type: "string",
+      enum: ["success", "failed", "skipped", "scheduled"],
+    },
+    page: { type: "integer", minimum: 1 },
+    limit: { type: "integer", minimum: 1, maximum: 100 },
+    cursor: { type: "string", maxLength: 500 },
+  },
+};
+
+const boardStagesSchema = {
+  body: {
+    stages: {
+      type: "array",
+      minItems: 1,
+      maxItems: 20,
+      items: {
+        type: "object",
+        properties: {
+          _id: objectId,
+          name: { type: "string", minLength: 1, maxLength: 50 },
+          status: {
+            type: "string",
+            enum: [
+              "todo",
+              "in-progress",
+              "review",
+              "completed",
+              "cancelled",
+              "on-hold",
+            ],
+          },
+          wipLimit: { type: ["integer", "null"], minimum: 1 },
+          wipPolicy: { type: "string", enum: ["warn", "block"] },
+        },
+        required: ["name", "status"],
+        additionalProperties: false,
+      },
+      required: true,
+    },
+  },
+  params: projectParams,
+};
+
+const boardMoveSchema = {
+  body: {
+    stageId: { ...objectId, required: true },
+    beforeTaskId: objectId,
+    afterTaskId: objectId,
+    force: { type: "boolean" },
+  },
+  params: {
+    ...projectParams,
+    taskId: { ...objectId, required: true },
+  },
+};
+
+const sprintParams = {
+  ...projectParams,
+  sprintId: { ...objectId, required: true },
+};
+
+const sprintFields = {
+  goal: { type: "string", maxLength: 1000 },
+  startDate: { type: "string" },
+  endDate: { type: "string" },
+};
+
+const createSprintSchema = {
+  body: {
+    name: { type: "string", required: true, minLength: 1, maxLength: 100 },
+    ...sprintFields,
+    startDate: { ...sprintFields.startDate, required: true },
+    endDate: { ...sprintFields.endDate, required: true },
+  },
+  params: projectParams,
+};
+
+const updateSprintSchema = {
+  body: {
+    name: { type: "string", minLength: 1, maxLength: 100 },
+    ...sprintFields,
+  },
+  params: sprintParams,
+};
+
+const sprintListSchema = {
+  params: projectParams,
+  query: {
+    status: { type: "string", enum: ["planned", "active", "completed"] },
+    sortBy: { type: "string", enum: ["startDate", "endDate", "createdAt"] },
+    sortOrder: { type: "string", enum: ["asc", "desc"] },
+    page: { type: "integer", minimum: 1 },
+    limit: { type: "integer", minimum: 1, maximum: 100 },
+    cursor: { type: "string", maxLength: 500 },
+  },
+};
+
+const sprintTasksSchema = {
+  body: {
+    taskIds: {
+      type: "array",
+      minItems: 1,
+      maxItems: 200,
+      items: objectId,
+      required: true,
+    },
+  },
+  params: sprintParams,
+};
+
+const completeSprintSchema = {
+  body: {
+    // null sends unfinished tasks to the backlog
+    nextSprintId: { ...objectId, type: ["string", "null"] },
+  },
+  params: sprintParams,
+};
+
+const velocitySchema = {
+  params: projectParams,
+  query: {
+    limit: { type: "integer", minimum: 1, maximum: 50 },
+  },
+};
+
+// Project routes
+router.post(
+  "/",
+  authenticateUser,
+  validateRequest(createProjectSchema),
+  checkPermission(["manageProjects"]),
+  projectController.createProject.bind(projectController)
+);
+
+router.get(
+  "/",
+  authenticateUser,
+  checkRole([]),
+  projectController.getProjects.bind(projectController)
+);
+
+router.get(
+  "/:projectId",
+  authenticateUser,
+  validateRequest({ params: projectParams }),
+  projectController.getProjectById.bind(projectController)
+);
+
+router.put(
+  "/:projectId",
+  authenticateUser,
+  validateRequest(updateProjectSchema),
+  projectController.updateProject.bind(projectController)
+);
+
+router.delete(
+  "/:projectId",
+  authenticateUser,
+  validateRequest({ params: projectParams }),
+  projectController.deleteProject.bind(projectController)
+);
+
+router.get(
+  "/:projectId/statistics",
+  authenticateUser,
+  validateRequest({ params: projectParams }),
+  projectController.getProjectStatistics.bind(projectController)
+);
+
+// Board routes
+router.get(
+  "/:projectId/board",
+  authenticateUser,
+  validateRequest({ params: projectParams }),
+  projectController.getBoard.bind(projectController)
+);
+
+router.put(
+  "/:projectId/board/stages",
+  authenticateUser,
+  validateRequest(boardStagesSchema),
+  projectController.updateBoardStages.bind(projectController)
+);
+
+router.put(
+  "/:projectId/board/tasks/:taskId",
+  authenticateUser,
+  validateRequest(boardMoveSchema),
+  projectController.moveBoardTask.bind(projectController)
+);
+
+// Sprint routes
+router.post(
+  "/:projectId/sprints",
+  authenticateUser,
+  validateRequest(createSprintSchema),
+  sprintController.createSprint.bind(sprintController)
+);
+
+router.get(
+  "/:projectId/sprints",
+  authenticateUser,
+  validateRequest(sprintListSchema),
+  sprintController.getSprints.bind(sprintController)
+);
+
+router.get(
+  "/:projectId/velocity",
+  authenticateUser,
+  validateRequest(velocitySchema),
+  sprintController.getVelocity.bind(sprintController)
+);
+
+router.get(
+  "/:projectId/sprints/:sprintId",
+  authenticateUser,
+  validateRequest({ params: sprintParams }),
+  sprintController.getSprint.bind(sprintController)
+);
+
+router.put(
+  "/:projectId/sprints/:sprintId",
+  authenticateUser,
+  validateRequest(updateSprintSchema),
+  sprintController.updateSprint.bind(sprintController)
+);
+
+router.delete(
+  "/:projectId/sprints/:sprintId",
+  authenticateUser,
+  validateRequest({ params: sprintParams }),
+  sprintController.deleteSprint.bind(sprintController)
+);
+
+router.post(
+  "/:projectId/sprints/:sprintId/tasks",
+  authenticateUser,
+  validateRequest(sprintTasksSchema),
+  sprintController.addTasks.bind(sprintController)
+);
+
+router.delete(
+  "/:projectId/sprints/:sprintId/tasks/:taskId",
+  authenticateUser,
+  validateRequest({
+    params: { ...sprintParams, taskId: { ...objectId, required: true } },
+  }),
+  sprintController.removeTask.bind(sprintController)
+);
+
+router.post(
+  "/:projectId/sprints/:sprintId/start",
+  authenticateUser,
+  validateRequest({ params: sprintParams }),
+  sprintController.startSprint.bind(sprintController)
+);
+
+router.post(
+  "/:projectId/sprints/:sprintId/complete",
+  authenticateUser,
+  validateRequest(completeSprintSchema),
+  sprintController.completeSprint.bind(sprintController)
+);
+
+router.get(
+  "/:projectId/sprints/:sprintId/chart",
+  authenticateUser,
+  validateRequest({ params: sprintParams }),
+  sprintController.getChart.bind(sprintController)
+);
+
+router.get(
+  "/:projectId/sprints/:sprintId/capacity",
+  authenticateUser,
+  validateRequest({ params: sprintParams }),
+  sprintController.getCapacity.bind(sprintController)
+);
+
+// Member management routes
+router.post(
+  "/:projectId/members",
+  authenticateUser,
+  validateRequest(memberSchema),
+  projectController.addMember.bind(projectController)
+);
+
+router.delete(
+  "/:projectId/members/:memberId",
+  authenticateUser,
+  projectController.removeMember.bind(projectController)
+);
+
+// Team management routes
+router.post(
+  "/:projectId/teams",
+  authenticateUser,
+  validateRequest(teamSchema),
+  projectController.addTeam.bind(projectController)
+);
+
+router.delete(
+  "/:projectId/teams/:teamId",
+  authenticateUser,
+  projectController.removeTeam.bind(projectController)
+);
+
+// Workflow automation routes
+router.post(
+  "/:projectId/automations",
+  authenticateUser,
+  validateRequest(automationSchema),
+  projectController.addWorkflowAutomation.bind(projectController)
+);
+
+router.get(
+  "/:projectId/automations/history",
+  authenticateUser,
+  validateRequest(automationHistorySchema),
+  projectController.getAutomationHistory.bind(projectController)
+);
+
+router.delete(
+  "/:projectId/automations/:automationId",
+  authenticateUser,
+  projectController.removeWorkflowAutomation.bind(projectController)
+);
+
+export default router;
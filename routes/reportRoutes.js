@@ -12,6 +12,14 @@ router.get("/time-tracking", auth, reportController.getTimeTrackingReport);
 // Task completion reports
 router.get("/task-completion", auth, reportController.getTaskCompletionReport);
 
+// Status history reports (requires admin or member role)
+router.get(
+  "/status-history",
+  auth,
+  checkRole(["admin", "member"]),
+  reportController.getStatusHistoryReport
+);
+
 // Organization productivity report (requires admin or member role)
 router.get(
   "/organizations/:organizationId/productivity",
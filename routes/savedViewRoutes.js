@@ -0,0 +1,80 @@
+import express from "express";
+
+import savedViewController from "../controllers/savedViewController.js";
+import { authenticateUser } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validation.js";
+
+const router = express.Router();
+
+const objectId = { type: "string", pattern: "^[0-9a-fA-F]{24}$" };
+
+const viewParams = {
+  viewId: { ...objectId, required: true },
+};
+
+const viewFields = {
+  name: { type: "string", minLength: 1, maxLength: 100 },
+  description: { type: "string", maxLength: 500 },
+  organization: objectId,
+  visibility: { type: "string", enum: ["personal", "organization"] },
+  query: { type: "string", maxLength: 500 },
+  sortBy: { type: "string", maxLength: 100 },
+  sortOrder: { type: "string", enum: ["asc", "desc"] },
+};
+
+// Validation schemas
+const createViewSchema = {
+  body: {
+    ...viewFields,
+    name: { ...viewFields.name, required: true },
+  },
+};
+
+const listViewsSchema = {
+  query: {
+    organization: objectId,
+  },
+};
+
+const updateViewSchema = {
+  body: viewFields,
+  params: viewParams,
+};
+
+// Saved view routes
+router.post(
+  "/",
+  authenticateUser,
+  validateRequest(createViewSchema),
+  savedViewController.createView.bind(savedViewController)
+);
+
+router.get(
+  "/",
+  authenticateUser,
+  validateRequest(listViewsSchema),
+  savedViewController.getViews.bind(savedViewController)
+);
+
+router.get(
+  "/:viewId",
+  authenticateUser,
+  validateRequest({ params: viewParams }),
+  savedViewController.getViewById.bind(savedViewController)
+);
+
+router.put(
+  "/:viewId",
+  authenticateUser,
+  validateRequest(updateViewSchema),
+  savedViewController.updateView.bind(savedViewController)
+);
+
+router.delete(
+  "/:viewId",
+  authenticateUser,
+  validateRequest({ params: viewParams }),
+  savedViewController.deleteView.bind(savedViewController)
+);
+
+export default router;
@@ -0,0 +1,32 @@
+import express from "express";
+
+import searchController from "../controllers/searchController.js";
+import { authenticateUser } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validation.js";
+
+const router = express.Router();
+
+const objectId = { type: "string", pattern: "^[0-9a-fA-F]{24}$" };
+
+// Validation schemas
+const searchSchema = {
+  query: {
+    q: { type: "string", required: true, minLength: 1, maxLength: 200 },
+    types: { type: "string", maxLength: 100 },
+    organization: objectId,
+    project: objectId,
+    tag: { type: "string", maxLength: 30 },
+    page: { type: "integer", minimum: 1 },
+    limit: { type: "integer", minimum: 1, maximum: 50 },
+  },
+};
+
+// Search routes
+router.get(
+  "/",
+  authenticateUser,
+  validateRequest(searchSchema),
+  searchController.search.bind(searchController)
+);
+
+export default router;
@@ -1,28 +1,26 @@
 import express from "express";
-import { body, validationResult } from "express-validator";
+import { body, param, query, validationResult } from "express-validator";
 
+import attachmentController from "../controllers/attachmentController.js";
+import taskController from "../controllers/taskController.js";
 import authMiddleware from "../middleware/auth.js"; // Auth middleware for protected routes
-import Task from "../models/Task.js"; // Ensure this model exists
-import logger from "../utils/logger.js";
+import { uploadFile } from "../middleware/upload.js";
+import collaborationService from "../services/collaborationService.js";
+import taskService from "../services/taskService.js";
 
 const router = express.Router();
 
-// Middleware to normalize status field - convert hyphens to spaces
-const normalizeStatusMiddleware = (req, res, next) => {
-  if (req.body && req.body.status) {
-    // Convert any status with hyphens (e.g., "in-progress") to spaces ("in progress")
-    req.body.status = req.body.status.replace(/-/g, " ");
-    // Use logger instead of console.log
-    logger.info(
-      `[Status Normalization] Normalized status to: ${req.body.status}`
-    );
+// Return 400 with express-validator errors, if any
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
   }
   next();
 };
 
-// Validation middleware
-const taskValidation = [
-  body("title").notEmpty().withMessage("Title is required"),
+// Validation for task fields other than the title
+const taskFieldValidation = [
   body("description").optional().isString(),
   body("dueDate").optional().isISO8601().withMessage("Invalid date format"),
   body("priority")
@@ -31,15 +29,31 @@ const taskValidation = [
     .withMessage("Priority must be low, medium, high, or urgent"),
   body("status")
     .optional()
-    .isIn(["pending", "in progress", "completed", "cancelled", "on hold"])
+    .isIn([
+      "todo",
+      "in-progress",
+      "review",
+      "completed",
+      "cancelled",
+      "on-hold",
+    ])
     .withMessage("Invalid status"),
   body("category").optional().isString(),
   body("tags").optional().isArray(),
   body("project").optional().isMongoId().withMessage("Invalid project ID"),
   body("parentTask")
-    .optional()
+    .optional({ values: "null" })
     .isMongoId()
     .withMessage("Invalid parent task ID"),
+  body("completeWhenSubtasksDone").optional().isBoolean(),
+  body("customFields")
+    .optional()
+    .isObject()
+    .withMessage("Custom fields must be an object of values by field name"),
+  body("dependencies").optional().isArray(),
+  body("dependencies.*").isMongoId().withMessage("Invalid dependency ID"),
+  body("assignedTo").optional().isArray(),
+  body("assignedTo.*").isMongoId().withMessage("Invalid assignee ID"),
   body("progress")
     .optional()
     .isInt({ min: 0, max: 100 })
@@ -48,6 +62,10 @@ const taskValidation = [
     .optional()
     .isInt({ min: 0 })
     .withMessage("Estimated time must be positive"),
+  body("storyPoints")
+    .optional({ values: "null" })
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage("Story points must be between 0 and 1000"),
   body("actualTime")
     .optional()
     .isInt({ min: 0 })
@@ -57,7 +75,15 @@ const taskValidation = [
   body("recurring.isRecurring").optional().isBoolean(),
   body("recurring.frequency")
     .optional()
-    .isIn(["daily", "weekly", "monthly", "yearly"])
+    .isIn([
+      "daily",
+      "weekdays",
+      "weekly",
+      "biweekly",
+      "monthly",
+      "quarterly",
+      "yearly",
+    ])
     .withMessage("Invalid frequency"),
   body("recurring.interval")
     .optional()
@@ -67,12 +93,29 @@ const taskValidation = [
     .optional()
     .isISO8601()
     .withMessage("Invalid end date"),
+  body("recurring.endAfterOccurrences")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("End after occurrences must be at least 1"),
+  body("reminders").optional().isArray(),
+  body("reminders.*.remindAt").isISO8601().withMessage("Invalid reminder date"),
   body("isArchived").optional().isBoolean(),
   body("isPinned").optional().isBoolean(),
   body("isPrivate").optional().isBoolean(),
   body("isTemplate").optional().isBoolean(),
 ];
 
+// Validation middleware
+const createTaskValidation = [
+  body("title").notEmpty().withMessage("Title is required"),
+  ...taskFieldValidation,
+];
+
+const updateTaskValidation = [
+  body("title").optional().notEmpty().withMessage("Title cannot be empty"),
+  ...taskFieldValidation,
+];
+
 /**
  * @route   POST /api/tasks
  * @desc    Create a new task
@@ -81,154 +124,256 @@ const taskValidation = [
 router.post(
   "/",
   authMiddleware,
-  normalizeStatusMiddleware,
-  taskValidation,
-  async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+  createTaskValidation,
+  handleValidationErrors,
+  taskController.createTask.bind(taskController)
+);
 
-    try {
-      const task = new Task({
-        ...req.body,
-        owner: req.user.userId,
-      });
+const isAction = (...actions) => body("action").isIn(actions);
+
+// Validation for bulk requests; what `value` holds depends on the action
+const bulkTaskValidation = [
+  body("taskIds")
+    .isArray({ min: 1, max: taskService.maxBulkTasks })
+    .withMessage(
+      `Task IDs must be a list of 1 to ${taskService.maxBulkTasks} IDs`
+    ),
+  body("taskIds.*").isMongoId().withMessage("Invalid task ID"),
+  body("action")
+    .isIn([
+      "set_status",
+      "set_priority",
+      "assign",
+      "unassign",
+      "add_tags",
+      "remove_tags",
+      "move_to_project",
+      "archive",
+      "unarchive",
+      "delete",
+    ])
+    .withMessage("Invalid bulk action"),
+  body("value")
+    .if(isAction("set_status"))
+    .isIn([
+      "todo",
+      "in-progress",
+      "review",
+      "completed",
+      "cancelled",
+      "on-hold",
+    ])
+    .withMessage("Invalid status"),
+  body("value")
+    .if(isAction("set_priority"))
+    .isIn(["low", "medium", "high", "urgent"])
+    .withMessage("Priority must be low, medium, high, or urgent"),
+  body("value")
+    .if(isAction("assign", "unassign"))
+    .isArray({ min: 1 })
+    .withMessage("Value must be a list of user IDs"),
+  body("value.*")
+    .if(isAction("assign", "unassign"))
+    .isMongoId()
+    .withMessage("Invalid user ID"),
+  body("value")
+    .if(isAction("add_tags", "remove_tags"))
+    .isArray({ min: 1 })
+    .withMessage("Value must be a list of tags"),
+  body("value.*")
+    .if(isAction("add_tags", "remove_tags"))
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Invalid tag"),
+  body("value")
+    .if(isAction("move_to_project"))
+    .custom((value) => value === null || /^[0-9a-fA-F]{24}$/.test(value))
+    .withMessage("Project must be a project ID or null"),
+];
 
-      await task.save();
-      res.status(201).json({ message: "Task created successfully", task });
-    } catch (err) {
-      res.status(500).json({ message: "Server error", error: err.message });
-    }
-  }
+/**
+ * @route   POST /api/tasks/bulk
+ * @desc    Apply one action to up to 500 tasks; each task gets its own
+ *          result. Starting or completing blocked tasks needs ?force=true.
+ * @access  Private
+ */
+router.post(
+  "/bulk",
+  authMiddleware,
+  bulkTaskValidation,
+  handleValidationErrors,
+  taskController.bulkUpdateTasks.bind(taskController)
 );
 
 /**
  * @route   GET /api/tasks
- * @desc    Get all tasks for the authenticated user with filtering and pagination
+ * @desc    Get tasks the user owns, is assigned to or watches, with filtering and pagination
  * @access  Private
  */
-router.get("/", authMiddleware, async (req, res) => {
-  try {
-    const {
-      status,
-      priority,
-      category,
-      project,
-      isArchived,
-      isPinned,
-      page = 1,
-      limit = 10,
-      sortBy = "createdAt",
-      sortOrder = "desc",
-    } = req.query;
-
-    const query = { owner: req.user.userId };
-
-    // Apply filters
-    if (status) query.status = status;
-    if (priority) query.priority = priority;
-    if (category) query.category = category;
-    if (project) query.project = project;
-    if (isArchived !== undefined) query.isArchived = isArchived === "true";
-    if (isPinned !== undefined) query.isPinned = isPinned === "true";
-
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === "desc" ? -1 : 1;
-
-    // Execute query with pagination
-    const tasks = await Task.find(query)
-      .sort(sort)
-      .skip((page - 1) * limit)
-      .limit(parseInt(limit))
-      .populate("project", "name")
-      .populate("parentTask", "title")
-      .populate("assignedTo", "name email");
-
-    const total = await Task.countDocuments(query);
-
-    res.status(200).json({
-      tasks,
-      pagination: {
-        total,
-        page: parseInt(page),
-        pages: Math.ceil(total / limit),
-      },
-    });
-  } catch (err) {
-    res.status(500).json({ message: "Server error", error: err.message });
-  }
-});
+router.get("/", authMiddleware, taskController.getTasks.bind(taskController));
 
 /**
  * @route   GET /api/tasks/:id
  * @desc    Get a single task by ID with populated references
  * @access  Private
  */
-router.get("/:id", authMiddleware, async (req, res) => {
-  try {
-    const task = await Task.findOne({
-      _id: req.params.id,
-      owner: req.user.userId,
-    })
-      .populate("project", "name")
-      .populate("parentTask", "title")
-      .populate("subtasks", "title status")
-      .populate("dependencies", "title status")
-      .populate("assignedTo", "name email")
-      .populate("watchers", "name email")
-      .populate("comments.user", "name email");
-
-    if (!task) {
-      return res.status(404).json({ message: "Task not found" });
-    }
+router.get(
+  "/:id",
+  authMiddleware,
+  taskController.getTaskById.bind(taskController)
+);
 
-    res.status(200).json({ task });
-  } catch (err) {
-    res.status(500).json({ message: "Server error", error: err.message });
-  }
-});
+/**
+ * @route   GET /api/tasks/:id/occurrences
+ * @desc    Get all occurrences in a recurring task's series
+ * @access  Private
+ */
+router.get(
+  "/:id/occurrences",
+  authMiddleware,
+  taskController.getOccurrences.bind(taskController)
+);
 
 /**
- * @route   PUT /api/tasks/:id
- * @desc    Update a task
+ * @route   GET /api/tasks/:id/history
+ * @desc    Get the field-level change history of a task, newest first
+ * @access  Private
+ */
+router.get(
+  "/:id/history",
+  authMiddleware,
+  query("field").optional().isString().isLength({ max: 50 }),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+  handleValidationErrors,
+  taskController.getHistory.bind(taskController)
+);
+
+/**
+ * @route   POST /api/tasks/:id/attachments
+ * @desc    Upload a file to a task (multipart, in the "file" field)
+ * @access  Private
+ */
+router.post(
+  "/:id/attachments",
+  authMiddleware,
+  param("id").isMongoId().withMessage("Invalid task ID"),
+  handleValidationErrors,
+  uploadFile,
+  attachmentController.uploadToTask.bind(attachmentController)
+);
+
+/**
+ * @route   GET /api/tasks/:id/subtasks
+ * @desc    Get a task with its subtasks nested below it, ?depth levels deep
+ * @access  Private
+ */
+router.get(
+  "/:id/subtasks",
+  authMiddleware,
+  query("depth")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Depth must be a positive integer")
+    .toInt(),
+  handleValidationErrors,
+  taskController.getSubtasks.bind(taskController)
+);
+
+/**
+ * @route   POST /api/tasks/:id/subtasks
+ * @desc    Create a subtask; it joins the parent's project by default
+ * @access  Private
+ */
+router.post(
+  "/:id/subtasks",
+  authMiddleware,
+  createTaskValidation,
+  handleValidationErrors,
+  taskController.createSubtask.bind(taskController)
+);
+
+/**
+ * @route   PUT /api/tasks/:id/parent
+ * @desc    Move a task under another task, or to the top level with null
  * @access  Private
  */
 router.put(
-  "/:id",
+  "/:id/parent",
   authMiddleware,
-  normalizeStatusMiddleware,
-  taskValidation,
-  async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+  body("parentTask")
+    .custom((value) => value === null || /^[0-9a-fA-F]{24}$/.test(value))
+    .withMessage("Parent task must be a task ID or null"),
+  handleValidationErrors,
+  taskController.moveTask.bind(taskController)
+);
 
-    try {
-      const task = await Task.findOne({
-        _id: req.params.id,
-        owner: req.user.userId,
-      });
+/**
+ * @route   GET /api/tasks/:id/graph
+ * @desc    Get the tasks a task depends on and that depend on it, plus the
+ *          critical path of its project
+ * @access  Private
+ */
+router.get(
+  "/:id/graph",
+  authMiddleware,
+  taskController.getGraph.bind(taskController)
+);
 
-      if (!task) {
-        return res.status(404).json({ message: "Task not found" });
-      }
+/**
+ * @route   POST /api/tasks/:id/dependencies
+ * @desc    Make a task depend on another task
+ * @access  Private
+ */
+router.post(
+  "/:id/dependencies",
+  authMiddleware,
+  body("dependencyId").isMongoId().withMessage("Invalid dependency ID"),
+  handleValidationErrors,
+  taskController.addDependency.bind(taskController)
+);
 
-      // Update fields
-      Object.keys(req.body).forEach((key) => {
-        if (req.body[key] !== undefined) {
-          task[key] = req.body[key];
-        }
-      });
+/**
+ * @route   DELETE /api/tasks/:id/dependencies/:dependencyId
+ * @desc    Remove a dependency from a task
+ * @access  Private
+ */
+router.delete(
+  "/:id/dependencies/:dependencyId",
+  authMiddleware,
+  taskController.removeDependency.bind(taskController)
+);
 
-      await task.save();
-      res.status(200).json({ message: "Task updated successfully", task });
-    } catch (err) {
-      res.status(500).json({ message: "Server error", error: err.message });
-    }
-  }
+/**
+ * @route   PUT /api/tasks/:id
+ * @desc    Update a task; status and assignee changes run project automations.
+ *          For recurring tasks, ?scope=future also updates later occurrences.
+ *          Starting or completing a blocked task needs ?force=true.
+ * @access  Private
+ */
+router.put(
+  "/:id",
+  authMiddleware,
+  query("scope")
+    .optional()
+    .isIn(["this", "future"])
+    .withMessage("Scope must be this or future"),
+  query("force")
+    .optional()
+    .isBoolean()
+    .withMessage("Force must be true or false"),
+  updateTaskValidation,
+  handleValidationErrors,
+  taskController.updateTask.bind(taskController)
 );
 
 /**
@@ -236,42 +381,102 @@ router.put(
  * @desc    Delete a task and its subtasks
  * @access  Private
  */
-router.delete("/:id", authMiddleware, async (req, res) => {
-  try {
-    const task = await Task.findOne({
-      _id: req.params.id,
-      owner: req.user.userId,
-    });
-
-    if (!task) {
-      return res.status(404).json({ message: "Task not found" });
-    }
+router.delete(
+  "/:id",
+  authMiddleware,
+  taskController.deleteTask.bind(taskController)
+);
 
-    // Delete subtasks if any
-    if (task.subtasks && task.subtasks.length > 0) {
-      await Task.deleteMany({ _id: { $in: task.subtasks } });
-    }
+/**
+ * @route   GET /api/tasks/:id/watchers
+ * @desc    Get the users watching a task
+ * @access  Private
+ */
+router.get(
+  "/:id/watchers",
+  authMiddleware,
+  taskController.getWatchers.bind(taskController)
+);
+
+/**
+ * @route   POST /api/tasks/:id/watch
+ * @desc    Watch a task to be notified of status, due date, assignee and
+ *          comment changes
+ * @access  Private
+ */
+router.post(
+  "/:id/watch",
+  authMiddleware,
+  taskController.watchTask.bind(taskController)
+);
 
-    // Delete the task itself
-    await task.deleteOne();
+/**
+ * @route   DELETE /api/tasks/:id/watch
+ * @desc    Stop watching a task
+ * @access  Private
+ */
+router.delete(
+  "/:id/watch",
+  authMiddleware,
+  taskController.unwatchTask.bind(taskController)
+);
 
-    res
-      .status(200)
-      .json({ message: "Task and its subtasks deleted successfully" });
-  } catch (err) {
-    res.status(500).json({ message: "Server error", error: err.message });
-  }
-});
+/**
+ * @route   POST /api/tasks/:id/reminders
+ * @desc    Add a reminder to a task
+ * @access  Private
+ */
+router.post(
+  "/:id/reminders",
+  authMiddleware,
+  body("remindAt").isISO8601().withMessage("Invalid reminder date"),
+  handleValidationErrors,
+  taskController.addReminder.bind(taskController)
+);
+
+/**
+ * @route   PUT /api/tasks/:id/reminders/:reminderId/snooze
+ * @desc    Send a reminder again after the given number of minutes
+ * @access  Private
+ */
+router.put(
+  "/:id/reminders/:reminderId/snooze",
+  authMiddleware,
+  body("minutes")
+    .optional()
+    .isInt({ min: 1, max: 10080 })
+    .withMessage("Minutes must be between 1 and 10080")
+    .toInt(),
+  handleValidationErrors,
+  taskController.snoozeReminder.bind(taskController)
+);
+
+/**
+ * @route   PUT /api/tasks/:id/reminders/:reminderId/dismiss
+ * @desc    Dismiss a task reminder
+ * @access  Private
+ */
+router.put(
+  "/:id/reminders/:reminderId/dismiss",
+  authMiddleware,
+  taskController.dismissReminder.bind(taskController)
+);
 
 /**
  * @route   POST /api/tasks/:id/comments
- * @desc    Add a comment to a task
+ * @desc    Add a comment to a task (shortcut for POST /api/comments)
  * @access  Private
  */
 router.post(
   "/:id/comments",
   authMiddleware,
-  [body("content").notEmpty().withMessage("Comment content is required")],
+  [
+    body("content").notEmpty().withMessage("Comment content is required"),
+    body("parentComment")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid parent comment ID"),
+  ],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -279,23 +484,31 @@ router.post(
     }
 
     try {
-      const task = await Task.findOne({
-        _id: req.params.id,
-        owner: req.user.userId,
-      });
-
-      if (!task) {
+      const comment = await collaborationService.createComment(
+        {
+          content: req.body.content,
+          entityType: "Task",
+          entityId: req.params.id,
+          parentComment: req.body.parentComment,
+        },
+        req.user.userId
+      );
+
+      res.status(201).json({ message: "Comment added successfully", comment });
+    } catch (err) {
+      const reason = err.message.replace(/^Failed to create comment: /, "");
+      if (
+        reason === "Task not found" ||
+        reason.startsWith("Cast to ObjectId")
+      ) {
         return res.status(404).json({ message: "Task not found" });
       }
-
-      task.comments.push({
-        user: req.user.userId,
-        content: req.body.content,
-      });
-
-      await task.save();
-      res.status(201).json({ message: "Comment added successfully", task });
-    } catch (err) {
+      if (reason === "Parent comment not found") {
+        return res.status(400).json({ message: reason });
+      }
+      if (reason === "You don't have permission to access this task") {
+        return res.status(403).json({ message: reason });
+      }
       res.status(500).json({ message: "Server error", error: err.message });
     }
   }
@@ -321,23 +534,30 @@ router.put(
     }
 
     try {
-      const task = await Task.findOne({
-        _id: req.params.id,
-        owner: req.user.userId,
-      });
-
-      if (!task) {
-        return res.status(404).json({ message: "Task not found" });
+      const update = { progress: req.body.progress };
+      if (req.body.progress === 100) {
+        update.status = "completed";
       }
 
-      task.progress = req.body.progress;
-      if (task.progress === 100) {
-        task.status = "completed";
-      }
+      const task = await taskService.updateTask(
+        req.params.id,
+        req.user.userId,
+        update
+      );
 
-      await task.save();
       res.status(200).json({ message: "Progress updated successfully", task });
     } catch (err) {
+      if (err.message === "Task not found" || err.kind === "ObjectId") {
+        return res.status(404).json({ message: "Task not found" });
+      }
+      if (err.message === "Unauthorized access") {
+        return res
+          .status(403)
+          .json({ message: "You do not have permission to update this task" });
+      }
+      if (err.message === "Task is blocked by incomplete dependencies") {
+        return res.status(409).json({ message: err.message });
+      }
       res.status(500).json({ message: "Server error", error: err.message });
     }
   }
@@ -0,0 +1,129 @@
+import express from "express";
+
+import taskTemplateController from "../controllers/taskTemplateController.js";
+import { authenticateUser } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validation.js";
+
+const router = express.Router();
+
+const objectId = { type: "string", pattern: "^[0-9a-fA-F]{24}$" };
+
+const templateParams = {
+  templateId: { ...objectId, required: true },
+};
+
+const templateTask = {
+  type: "object",
+  required: ["key", "title"],
+  properties: {
+    key: { type: "string", minLength: 1, maxLength: 50 },
+    title: { type: "string", minLength: 1, maxLength: 200 },
+    description: { type: "string", maxLength: 5000 },
+    priority: { type: "string", enum: ["low", "medium", "high", "urgent"] },
+    category: { type: "string", maxLength: 50 },
+    tags: { type: "array", items: { type: "string", maxLength: 30 } },
+    estimatedTime: { type: "integer", minimum: 0 },
+    startOffsetDays: { type: "integer", minimum: 0 },
+    dueOffsetDays: { type: "integer", minimum: 0 },
+    parentKey: { type: "string", maxLength: 50 },
+    dependsOn: { type: "array", items: { type: "string", maxLength: 50 } },
+    completeWhenSubtasksDone: { type: "boolean" },
+  },
+  additionalProperties: false,
+};
+
+const templateTasks = {
+  type: "array",
+  minItems: 1,
+  maxItems: 200,
+  items: templateTask,
+};
+
+// Validation schemas
+const createTemplateSchema = {
+  body: {
+    name: { type: "string", required: true, minLength: 1, maxLength: 100 },
+    description: { type: "string", maxLength: 1000 },
+    organization: objectId,
+    project: objectId,
+    tasks: templateTasks,
+    fromTaskId: objectId,
+  },
+};
+
+const listTemplatesSchema = {
+  query: {
+    search: { type: "string", maxLength: 100 },
+    organization: objectId,
+    page: { type: "integer", minimum: 1 },
+    limit: { type: "integer", minimum: 1, maximum: 100 },
+    cursor: { type: "string", maxLength: 500 },
+  },
+};
+
+const updateTemplateSchema = {
+  body: {
+    name: { type: "string", minLength: 1, maxLength: 100 },
+    description: { type: "string", maxLength: 1000 },
+    project: objectId,
+    tasks: templateTasks,
+  },
+  params: templateParams,
+};
+
+const instantiateSchema = {
+  body: {
+    variables: {
+      type: "object",
+      additionalProperties: { type: "string", maxLength: 500 },
+    },
+    startDate: { type: "string", format: "date-time" },
+    project: objectId,
+  },
+  params: templateParams,
+};
+
+// Task template routes
+router.post(
+  "/",
+  authenticateUser,
+  validateRequest(createTemplateSchema),
+  taskTemplateController.createTemplate.bind(taskTemplateController)
+);
+
+router.get(
+  "/",
+  authenticateUser,
+  validateRequest(listTemplatesSchema),
+  taskTemplateController.getTemplates.bind(taskTemplateController)
+);
+
+router.get(
+  "/:templateId",
+  authenticateUser,
+  validateRequest({ params: templateParams }),
+  taskTemplateController.getTemplateById.bind(taskTemplateController)
+);
+
+router.put(
+  "/:templateId",
+  authenticateUser,
+  validateRequest(updateTemplateSchema),
+  taskTemplateController.updateTemplate.bind(taskTemplateController)
+);
+
+router.delete(
+  "/:templateId",
+  authenticateUser,
+  validateRequest({ params: templateParams }),
+  taskTemplateController.deleteTemplate.bind(taskTemplateController)
+);
+
+router.post(
+  "/:templateId/instantiate",
+  authenticateUser,
+  validateRequest(instantiateSchema),
+  taskTemplateController.instantiateTemplate.bind(taskTemplateController)
+);
+
+export default router;
@@ -0,0 +1,161 @@
+import express from "express";
+
+import teamController from "../controllers/teamController.js";
+import { authenticateUser } from "../middleware/auth.js";
+import { checkRole } from "../middleware/permissions.js";
+import { validateRequest } from "../middleware/validation.js";
+
+const router = express.Router();
+
+const objectId = { type: "string", pattern: "^[0-9a-fA-F]{24}$" };
+
+const teamParams = {
+  teamId: { ...objectId, required: true },
+};
+
+const teamFields = {
+  description: { type: "string", maxLength: 500 },
+  type: {
+    type: "string",
+    enum: ["department", "project", "functional", "cross-functional", "virtual"],
+  },
+  capabilities: { type: "array", items: { type: "object" } },
+  timeTracking: {
+    type: "object",
+    properties: {
+      capacity: { type: "number", minimum: 0, maximum: 168 },
+      utilizationTarget: { type: "number", minimum: 0, maximum: 100 },
+    },
+    additionalProperties: false,
+  },
+  workSchedule: {
+    type: "object",
+    properties: {
+      timeZone: { type: "string" },
+      workDays: {
+        type: "array",
+        items: { type: "integer", minimum: 1, maximum: 7 },
+        uniqueItems: true,
+      },
+      workHours: { type: "object" },
+    },
+    additionalProperties: false,
+  },
+  customFields: { type: "array", items: { type: "object" } },
+  communication: { type: "object" },
+};
+
+// Validation schemas
+const createTeamSchema = {
+  body: {
+    name: { type: "string", required: true, minLength: 1, maxLength: 100 },
+    organizationId: objectId,
+    ...teamFields,
+  },
+};
+
+const updateTeamSchema = {
+  body: {
+    name: { type: "string", minLength: 1, maxLength: 100 },
+    status: { type: "string", enum: ["active", "inactive"] },
+    ...teamFields,
+  },
+  params: teamParams,
+};
+
+const memberSchema = {
+  body: {
+    userId: { ...objectId, required: true },
+    role: { type: "string", enum: ["member", "senior"] },
+  },
+  params: teamParams,
+};
+
+const workloadSchema = {
+  params: teamParams,
+  query: {
+    timeRange: { type: "string", enum: ["week", "month", "quarter"] },
+    startDate: { type: "string", format: "date" },
+    endDate: { type: "string", format: "date" },
+  },
+};
+
+const leadershipSchema = {
+  body: { userId: { ...objectId, required: true } },
+  params: teamParams,
+};
+
+// Team routes
+router.post(
+  "/",
+  authenticateUser,
+  validateRequest(createTeamSchema),
+  checkRole(["admin", "member"]),
+  teamController.createTeam.bind(teamController)
+);
+
+router.get(
+  "/",
+  authenticateUser,
+  checkRole([]),
+  teamController.getTeams.bind(teamController)
+);
+
+router.get(
+  "/:teamId",
+  authenticateUser,
+  validateRequest({ params: teamParams }),
+  teamController.getTeamById.bind(teamController)
+);
+
+router.put(
+  "/:teamId",
+  authenticateUser,
+  validateRequest(updateTeamSchema),
+  teamController.updateTeam.bind(teamController)
+);
+
+router.delete(
+  "/:teamId",
+  authenticateUser,
+  validateRequest({ params: teamParams }),
+  teamController.archiveTeam.bind(teamController)
+);
+
+// Member management routes
+router.post(
+  "/:teamId/members",
+  authenticateUser,
+  validateRequest(memberSchema),
+  teamController.addMember.bind(teamController)
+);
+
+router.delete(
+  "/:teamId/members/:memberId",
+  authenticateUser,
+  teamController.removeMember.bind(teamController)
+);
+
+router.post(
+  "/:teamId/leadership",
+  authenticateUser,
+  validateRequest(leadershipSchema),
+  teamController.transferLeadership.bind(teamController)
+);
+
+// Workload and utilization routes
+router.get(
+  "/:teamId/workload",
+  authenticateUser,
+  validateRequest(workloadSchema),
+  teamController.getWorkload.bind(teamController)
+);
+
+router.get(
+  "/:teamId/utilization",
+  authenticateUser,
+  validateRequest({ params: teamParams }),
+  teamController.getUtilization.bind(teamController)
+);
+
+export default router;
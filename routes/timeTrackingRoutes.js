@@ -1,7 +1,8 @@
-const express = require("express");
-const { body, param, validationResult } = require("express-validator");
-const timeTrackingController = require("../controllers/timeTrackingController");
-const authMiddleware = require("../middleware/auth");
+import express from "express";
+import { body, param, validationResult } from "express-validator";
+
+import timeTrackingController from "../controllers/timeTrackingController.js";
+import authMiddleware from "../middleware/auth.js";
 
 const router = express.Router();
 
@@ -367,4 +368,4 @@ router.put(
   }
 );
 
-module.exports = router;
+export default router;
@@ -0,0 +1,55 @@
+import express from "express";
+
+import trashController from "../controllers/trashController.js";
+import { authenticateUser } from "../middleware/auth.js";
+import { validateRequest } from "../middleware/validation.js";
+
+const router = express.Router();
+
+const objectId = { type: "string", pattern: "^[0-9a-fA-F]{24}$" };
+
+// Validation schemas
+const listTrashSchema = {
+  query: {
+    type: { type: "string", enum: ["task", "note"] },
+    page: { type: "integer", minimum: 1 },
+    limit: { type: "integer", minimum: 1, maximum: 100 },
+    cursor: { type: "string", maxLength: 500 },
+  },
+};
+
+const itemParamsSchema = {
+  params: {
+    itemId: { ...objectId, required: true },
+  },
+};
+
+// Trash routes
+router.get(
+  "/",
+  authenticateUser,
+  validateRequest(listTrashSchema),
+  trashController.getTrash.bind(trashController)
+);
+
+router.delete(
+  "/",
+  authenticateUser,
+  trashController.emptyTrash.bind(trashController)
+);
+
+router.post(
+  "/:itemId/restore",
+  authenticateUser,
+  validateRequest(itemParamsSchema),
+  trashController.restoreItem.bind(trashController)
+);
+
+router.delete(
+  "/:itemId",
+  authenticateUser,
+  validateRequest(itemParamsSchema),
+  trashController.purgeItem.bind(trashController)
+);
+
+export default router;
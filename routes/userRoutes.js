@@ -1,8 +1,10 @@
-const express = require("express");
+import express from "express";
+import { body, validationResult } from "express-validator";
+
+import authMiddleware from "../middleware/auth.js";
+import User from "../models/User.js";
+
 const router = express.Router();
-const { body, validationResult } = require("express-validator");
-const authMiddleware = require("../middleware/auth");
-const User = require("../models/User");
 
 // Validation middleware for updating preferences
 const updatePreferencesValidation = [
@@ -90,4 +92,4 @@ router.put(
   }
 );
 
-module.exports = router;
+export default router;
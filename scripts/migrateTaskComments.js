@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Task Comment Migration
+ *
+ * Moves comments embedded in tasks (`Task.comments`) into the Comment
+ * collection and removes the embedded array. Comments keep their original
+ * IDs and timestamps, so the script can be re-run safely.
+ */
+
+import "dotenv/config";
+import mongoose from "mongoose";
+
+import Comment from "../models/Comment.js";
+import Task from "../models/Task.js";
+import logger from "../utils/logger.js";
+
+const BATCH_SIZE = 100;
+
+// Connect to the database
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGO_URI);
+    logger.info(`MongoDB Connected: ${conn.connection.host}`);
+  } catch (error) {
+    logger.error(`Error connecting to MongoDB: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+// Convert an embedded task comment into a Comment document
+const toComment = (task, embedded) => ({
+  _id: embedded._id,
+  content: embedded.content,
+  author: embedded.user,
+  entityType: "Task",
+  entityId: task._id,
+  parentComment: null,
+  mentions: (embedded.mentions || []).map((user) => ({
+    user,
+    notified: true,
+  })),
+  attachments: (embedded.attachments || []).map((attachment) => ({
+    name: attachment.filename,
+    type: attachment.type,
+    url: attachment.url,
+    size: attachment.size,
+  })),
+  reactions: [],
+  isEdited: embedded.isEdited || false,
+  isResolved: false,
+  isPinned: false,
+  isDeleted: false,
+  createdAt: embedded.createdAt || task.createdAt,
+  updatedAt: embedded.updatedAt || embedded.createdAt || task.createdAt,
+});
+
+const migrateTaskComments = async () => {
+  // The comments path is no longer in the Task schema, so use the raw collection
+  const cursor = Task.collection.find(
+    { "comments.0": { $exists: true } },
+    { projection: { comments: 1, createdAt: 1 } }
+  );
+
+  let taskCount = 0;
+  let commentCount = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+
+    const operations = batch.flatMap((task) =>
+      task.comments.map((embedded) => ({
+        updateOne: {
+          filter: { _id: embedded._id },
+          update: { $setOnInsert: toComment(task, embedded) },
+          upsert: true,
+        },
+      }))
+    );
+
+    await Comment.collection.bulkWrite(operations, { ordered: false });
+    await Task.collection.updateMany(
+      { _id: { $in: batch.map((task) => task._id) } },
+      { $unset: { comments: "" } }
+    );
+
+    taskCount += batch.length;
+    commentCount += operations.length;
+    batch = [];
+  };
+
+  for await (const task of cursor) {
+    batch.push(task);
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  // Drop empty embedded arrays left on tasks that never had comments
+  await Task.collection.updateMany(
+    { comments: { $exists: true } },
+    { $unset: { comments: "" } }
+  );
+
+  return { taskCount, commentCount };
+};
+
+// Main migration function
+const runMigration = async () => {
+  try {
+    logger.info("Migrating embedded task comments...");
+
+    await connectDB();
+    const { taskCount, commentCount } = await migrateTaskComments();
+
+    logger.info(
+      `Migrated ${commentCount} comments from ${taskCount} tasks to the Comment collection`
+    );
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Comment migration failed: ${error.message}`);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+};
+
+// Run migration
+runMigration();
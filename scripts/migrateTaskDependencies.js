@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+/**
+ * Task Dependency Migration
+ *
+ * Fills in `Task.blockedBy` (the dependencies that are not completed or
+ * cancelled yet) for tasks created before it existed. It is recomputed from
+ * the dependencies every time, so the script can be re-run safely.
+ */
+
+import "dotenv/config";
+import mongoose from "mongoose";
+
+import dependencyService from "../services/dependencyService.js";
+import logger from "../utils/logger.js";
+
+// Connect to the database
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGO_URI);
+    logger.info(`MongoDB Connected: ${conn.connection.host}`);
+  } catch (error) {
+    logger.error(`Error connecting to MongoDB: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+// Main migration function
+const runMigration = async () => {
+  try {
+    logger.info("Computing blocked tasks...");
+
+    await connectDB();
+    const taskCount = await dependencyService.refreshBlockedBy();
+
+    logger.info(`Updated ${taskCount} tasks with dependencies`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Dependency migration failed: ${error.message}`);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+};
+
+// Run migration
+runMigration();
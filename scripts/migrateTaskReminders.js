@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Task Reminder Migration
+ *
+ * Task reminders used to be stored as plain dates (`Task.reminders: [Date]`).
+ * This converts them to reminder subdocuments. Reminders already in the past
+ * are marked as sent so the reminder job does not deliver a backlog of stale
+ * notifications. Converted tasks are skipped, so the script can be re-run.
+ */
+
+import "dotenv/config";
+import mongoose from "mongoose";
+
+import Task from "../models/Task.js";
+import logger from "../utils/logger.js";
+
+const BATCH_SIZE = 100;
+
+// Connect to the database
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGO_URI);
+    logger.info(`MongoDB Connected: ${conn.connection.host}`);
+  } catch (error) {
+    logger.error(`Error connecting to MongoDB: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+// Convert a stored reminder into the subdocument shape
+const toReminder = (entry, now) => {
+  if (!(entry instanceof Date)) return entry;
+
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    remindAt: entry,
+    notificationSent: entry <= now,
+    sentAt: null,
+    dismissedAt: null,
+    snoozeCount: 0,
+  };
+};
+
+const migrateTaskReminders = async () => {
+  const now = new Date();
+
+  // Plain dates do not match the new schema, so use the raw collection
+  const cursor = Task.collection.find(
+    { reminders: { $elemMatch: { $type: "date" } } },
+    { projection: { reminders: 1 } }
+  );
+
+  let taskCount = 0;
+  let reminderCount = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+
+    const operations = batch.map((task) => ({
+      updateOne: {
+        filter: { _id: task._id },
+        update: {
+          $set: { reminders: task.reminders.map((r) => toReminder(r, now)) },
+        },
+      },
+    }));
+
+    await Task.collection.bulkWrite(operations, { ordered: false });
+
+    taskCount += batch.length;
+    reminderCount += batch.reduce(
+      (count, task) =>
+        count + task.reminders.filter((r) => r instanceof Date).length,
+      0
+    );
+    batch = [];
+  };
+
+  for await (const task of cursor) {
+    batch.push(task);
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return { taskCount, reminderCount };
+};
+
+// Main migration function
+const runMigration = async () => {
+  try {
+    logger.info("Migrating task reminders...");
+
+    await connectDB();
+    const { taskCount, reminderCount } = await migrateTaskReminders();
+
+    logger.info(`Converted ${reminderCount} reminders on ${taskCount} tasks`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Reminder migration failed: ${error.message}`);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+};
+
+// Run migration
+runMigration();
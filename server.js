@@ -19,16 +19,29 @@ import xss from "xss-clean";
 
 // Internal imports
 import passport from "./config/passport.js";
+import { startJobs } from "./jobs/index.js";
 import { requestIdMiddleware } from "./middleware/requestId.js";
+import activityRoutes from "./routes/activityRoutes.js";
+import attachmentRoutes from "./routes/attachmentRoutes.js";
 import authRoutes from "./routes/auth.js";
+import commentRoutes from "./routes/commentRoutes.js";
+import dashboardRoutes from "./routes/dashboardRoutes.js";
+import importRoutes from "./routes/importRoutes.js";
 import integrationRoutes from "./routes/integrationRoutes.js";
 import invitationRoutes from "./routes/invitationRoutes.js";
 import noteRoutes from "./routes/noteRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
 import organizationRoutes from "./routes/organizationRoutes.js";
 import permissionRoutes from "./routes/permissionRoutes.js";
+import projectRoutes from "./routes/projectRoutes.js";
 import reportRoutes from "./routes/reportRoutes.js";
+import savedViewRoutes from "./routes/savedViewRoutes.js";
+import searchRoutes from "./routes/searchRoutes.js";
 import taskRoutes from "./routes/taskRoutes.js";
+import taskTemplateRoutes from "./routes/taskTemplateRoutes.js";
+import teamRoutes from "./routes/teamRoutes.js";
 import timeTrackingRoutes from "./routes/timeTrackingRoutes.js";
+import trashRoutes from "./routes/trashRoutes.js";
 import userRoutes from "./routes/userRoutes.js";
 import logger from "./utils/logger.js";
 
@@ -147,6 +160,8 @@ const connectDB = async () => {
 app.use("/api/auth", authRoutes);
 app.use("/api/notes", noteRoutes);
 app.use("/api/tasks", taskRoutes);
+app.use("/api/task-templates", taskTemplateRoutes);
+app.use("/api/task-views", savedViewRoutes);
 app.use("/api/user", userRoutes);
 app.use("/api/time-tracking", timeTrackingRoutes);
 app.use("/api/organizations", organizationRoutes);
@@ -154,6 +169,16 @@ app.use("/api/invitations", invitationRoutes);
 app.use("/api/reports", reportRoutes);
 app.use("/api/integrations", integrationRoutes);
 app.use("/api/permissions", permissionRoutes);
+app.use("/api/projects", projectRoutes);
+app.use("/api/teams", teamRoutes);
+app.use("/api/dashboards", dashboardRoutes);
+app.use("/api/comments", commentRoutes);
+app.use("/api/activity", activityRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/trash", trashRoutes);
+app.use("/api/attachments", attachmentRoutes);
+app.use("/api/imports", importRoutes);
 
 // Health Check and Ping Routes
 app.get("/health", (req, res) => {
@@ -258,29 +283,34 @@ app.use((err, req, res, _next) => {
   });
 });
 
-// Start Server
-const PORT = process.env.PORT || 5000;
-const server = app.listen(PORT, () => {
-  logger.info(
-    `Server running on port ${PORT} in ${process.env.NODE_ENV || "development"} mode`
-  );
-});
+// Start the server, except under test where suites drive the app directly
+// and connect to their own database
+if (process.env.NODE_ENV !== "test") {
+  const PORT = process.env.PORT || 5000;
+  const server = app.listen(PORT, () => {
+    logger.info(
+      `Server running on port ${PORT} in ${process.env.NODE_ENV || "development"} mode`
+    );
+  });
 
-// Handle unhandled promise rejections
-process.on("unhandledRejection", (err) => {
-  logger.error("Unhandled Promise Rejection:", err);
-  // Close server & exit process
-  server.close(() => process.exit(1));
-});
+  // Handle unhandled promise rejections
+  process.on("unhandledRejection", (err) => {
+    logger.error("Unhandled Promise Rejection:", err);
+    // Close server & exit process
+    server.close(() => process.exit(1));
+  });
 
-// Handle uncaught exceptions
-process.on("uncaughtException", (err) => {
-  logger.error("Uncaught Exception:", err);
-  // Close server & exit process
-  server.close(() => process.exit(1));
-});
+  // Handle uncaught exceptions
+  process.on("uncaughtException", (err) => {
+    logger.error("Uncaught Exception:", err);
+    // Close server & exit process
+    server.close(() => process.exit(1));
+  });
 
-// Connect to database
-connectDB();
+  // Connect to database, then start background jobs
+  connectDB().then(() => {
+    startJobs();
+  });
+}
 
 export default app;
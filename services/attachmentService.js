@@ -0,0 +1,483 @@
+import crypto from "crypto";
+import path from "path";
+
+import mongoose from "mongoose";
+
+import Attachment from "../models/Attachment.js";
+import Comment from "../models/Comment.js";
+import Membership from "../models/Membership.js";
+import Note from "../models/Note.js";
+import Task from "../models/Task.js";
+import logger from "../utils/logger.js";
+
+import collaborationService from "./collaborationService.js";
+import storageService from "./storageService.js";
+import taskAccessService from "./taskAccessService.js";
+
+const MB = 1024 * 1024;
+
+// Largest file one upload may carry
+const MAX_FILE_SIZE = (parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || 10) * MB;
+
+// Storage each organization may use; content outside organizations counts
+// against a quota of the same size per user
+const STORAGE_QUOTA = (parseInt(process.env.ATTACHMENT_QUOTA_MB) || 1024) * MB;
+
+// How long a download URL stays valid
+const DOWNLOAD_URL_TTL_SECONDS =
+  parseInt(process.env.ATTACHMENT_URL_TTL_SECONDS) || 5 * 60;
+
+// Content types that may be uploaded. Types browsers run as active content
+// (HTML, SVG) are left out.
+const ALLOWED_TYPES = process.env.ATTACHMENT_ALLOWED_TYPES
+  ? process.env.ATTACHMENT_ALLOWED_TYPES.split(",").map((type) => type.trim())
+  : [
+      "image/png",
+      "image/jpeg",
+      "image/gif",
+      "image/webp",
+      "application/pdf",
+      "text/plain",
+      "text/csv",
+      "text/markdown",
+      "application/json",
+      "application/zip",
+      "application/msword",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      "application/vnd.ms-excel",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      "application/vnd.ms-powerpoint",
+      "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+    ];
+
+// Attachment fields clients see. Where the file is stored stays on the
+// server; clients download it through a signed URL.
+const PUBLIC_FIELDS = [
+  "_id",
+  "entityType",
+  "entityId",
+  "organization",
+  "uploadedBy",
+  "filename",
+  "contentType",
+  "size",
+  "checksum",
+  "createdAt",
+  "updatedAt",
+];
+
+const ENTITY_MODELS = {
+  Task,
+  Note,
+  Comment,
+};
+
+// Comments name their attachments "name" rather than "filename"
+const FILENAME_FIELDS = {
+  Task: "filename",
+  Note: "filename",
+  Comment: "name",
+};
+
+/**
+ * Attachment Service - files uploaded to tasks, notes and comments
+ */
+class AttachmentService {
+  /**
+   * Largest file an upload may carry, in bytes
+   */
+  get maxFileSize() {
+    return MAX_FILE_SIZE;
+  }
+
+  /**
+   * Upload a file to a task, note or comment the user can edit
+   * @param {String} entityType - Task, Note or Comment
+   * @param {String} entityId - Entity ID
+   * @param {String} userId - User ID
+   * @param {Object} file - { originalname, mimetype, size, buffer }
+   * @returns {Promise<Object>} Attachment
+   */
+  async uploadAttachment(entityType, entityId, userId, file) {
+    try {
+      if (!file) {
+        throw new Error("Invalid upload - a file is required");
+      }
+      if (!ALLOWED_TYPES.includes(file.mimetype)) {
+        throw new Error(
+          `Invalid upload - files of type ${file.mimetype} are not allowed`
+        );
+      }
+      if (file.size > MAX_FILE_SIZE) {
+        throw new Error(
+          `Invalid upload - files may be at most ${MAX_FILE_SIZE / MB} MB`
+        );
+      }
+
+      const { organization } = await this._findEntity(
+        entityType,
+        entityId,
+        userId,
+        { edit: true }
+      );
+
+      const { used, quota } = await this._getUsage(organization, userId);
+      if (used + file.size > quota) {
+        throw new Error(
+          `Storage quota exceeded - ${Math.floor(
+            (quota - used) / MB
+          )} MB of ${quota / MB} MB left`
+        );
+      }
+
+      const checksum = crypto
+        .createHash("sha256")
+        .update(file.buffer)
+        .digest("hex");
+      const { storage, key } = await storageService.save(file.buffer, {
+        contentType: file.mimetype,
+      });
+
+      let attachment;
+      try {
+        attachment = await Attachment.create({
+          entityType,
+          entityId,
+          organization,
+          uploadedBy: userId,
+          filename: this._cleanFilename(file.originalname),
+          contentType: file.mimetype,
+          size: file.size,
+          checksum,
+          storage,
+          storageKey: key,
+        });
+      } catch (error) {
+        await storageService.remove(key);
+        throw error;
+      }
+
+      await ENTITY_MODELS[entityType].updateOne(
+        { _id: entityId },
+        { $push: { attachments: this._toSummary(attachment) } }
+      );
+
+      logger.info(
+        `Attachment ${attachment._id} uploaded to ${entityType} ${entityId} by user ${userId}`
+      );
+      return this._toPublic(attachment);
+    } catch (error) {
+      logger.error(`Error uploading attachment: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an attachment with a short-lived download URL
+   * @param {String} attachmentId - Attachment ID
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Attachment, downloadUrl and its expiry
+   */
+  async getAttachment(attachmentId, userId) {
+    try {
+      const attachment = await this._findAttachment(attachmentId);
+      await this._findEntity(
+        attachment.entityType,
+        attachment.entityId,
+        userId
+      );
+
+      const expires = Math.floor(Date.now() / 1000) + DOWNLOAD_URL_TTL_SECONDS;
+      const signature = this._sign(attachment._id, expires);
+
+      return {
+        ...this._toPublic(attachment),
+        downloadUrl: `/api/attachments/${attachment._id}/download?expires=${expires}&signature=${signature}`,
+        downloadUrlExpiresAt: new Date(expires * 1000),
+      };
+    } catch (error) {
+      logger.error(`Error fetching attachment: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Open an attachment through a download URL from getAttachment
+   * @param {String} attachmentId - Attachment ID
+   * @param {Object} params - { expires, signature } from the URL
+   * @returns {Promise<Object>} { attachment, stream }
+   */
+  async openDownload(attachmentId, { expires, signature } = {}) {
+    try {
+      const expiresAt = parseInt(expires);
+      if (
+        !expiresAt ||
+        expiresAt < Date.now() / 1000 ||
+        !this._verify(attachmentId, expiresAt, signature)
+      ) {
+        throw new Error(
+          "You do not have permission to download this attachment - the link is invalid or has expired"
+        );
+      }
+
+      const attachment = await this._findAttachment(attachmentId);
+      const stream = await storageService.read(attachment.storageKey);
+
+      return { attachment, stream };
+    } catch (error) {
+      logger.error(`Error downloading attachment: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an attachment. The uploader and anyone who can edit the task,
+   * note or comment may delete it.
+   * @param {String} attachmentId - Attachment ID
+   * @param {String} userId - User ID
+   */
+  async deleteAttachment(attachmentId, userId) {
+    try {
+      const attachment = await this._findAttachment(attachmentId);
+
+      await this._findEntity(
+        attachment.entityType,
+        attachment.entityId,
+        userId,
+        { edit: attachment.uploadedBy.toString() !== userId }
+      );
+
+      await ENTITY_MODELS[attachment.entityType].updateOne(
+        { _id: attachment.entityId },
+        { $pull: { attachments: { attachment: attachment._id } } }
+      );
+      await this._remove([attachment]);
+
+      logger.info(`Attachment ${attachmentId} deleted by user ${userId}`);
+    } catch (error) {
+      logger.error(`Error deleting attachment: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Storage used against a quota: an organization's, or the user's own for
+   * content outside organizations
+   * @param {String} userId - User ID
+   * @param {String} organizationId - Organization ID, if any
+   * @returns {Promise<Object>} { used, quota, remaining } in bytes
+   */
+  async getStorageUsage(userId, organizationId) {
+    try {
+      if (organizationId) {
+        const isMember =
+          mongoose.isValidObjectId(organizationId) &&
+          (await Membership.exists({
+            user: userId,
+            organization: organizationId,
+            status: "active",
+          }));
+        if (!isMember) {
+          throw new Error(
+            "You do not have permission to view this organization's storage"
+          );
+        }
+      }
+
+      const { used, quota } = await this._getUsage(
+        organizationId || null,
+        userId
+      );
+      return { used, quota, remaining: Math.max(0, quota - used) };
+    } catch (error) {
+      logger.error(`Error fetching storage usage: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the attachments of deleted tasks or notes, files included
+   * @param {String} entityType - Task or Note
+   * @param {Array} entityIds - Entity IDs
+   */
+  async deleteForEntities(entityType, entityIds) {
+    const attachments = await Attachment.find({
+      entityType,
+      entityId: { $in: entityIds },
+    }).lean();
+    await this._remove(attachments);
+  }
+
+  /**
+   * Delete every attachment counted against a deleted organization
+   * @param {String} organizationId - Organization ID
+   */
+  async deleteForOrganization(organizationId) {
+    const attachments = await Attachment.find({
+      organization: organizationId,
+    }).lean();
+    await this._remove(attachments);
+  }
+
+  // Private helper methods
+
+  async _findAttachment(attachmentId) {
+    const attachment =
+      mongoose.isValidObjectId(attachmentId) &&
+      (await Attachment.findById(attachmentId).lean());
+    if (!attachment) {
+      throw new Error("Attachment not found");
+    }
+    return attachment;
+  }
+
+  /**
+   * Load the task, note or comment an attachment belongs to, checking the
+   * user can see it (or edit it, with edit). Returns the organization whose
+   * quota its attachments count against.
+   */
+  async _findEntity(entityType, entityId, userId, { edit = false } = {}) {
+    if (!ENTITY_MODELS[entityType]) {
+      throw new Error("Invalid entity type");
+    }
+    if (!mongoose.isValidObjectId(entityId)) {
+      throw new Error(`${entityType} not found`);
+    }
+
+    if (entityType === "Comment") {
+      const comment = await Comment.findById(entityId);
+      if (!comment || comment.isDeleted) {
+        throw new Error("Comment not found");
+      }
+
+      // Comments share the access of what they are on
+      const parent = await collaborationService.findAccessibleEntity(
+        comment.entityType,
+        comment.entityId,
+        userId
+      );
+      if (edit && comment.author.toString() !== userId) {
+        throw new Error(
+          "You don't have permission to change attachments on this comment"
+        );
+      }
+
+      return { entity: comment, organization: parent.organization || null };
+    }
+
+    const entity = await collaborationService.findAccessibleEntity(
+      entityType,
+      entityId,
+      userId
+    );
+    if (edit && !(await this._canEdit(entityType, entity, userId))) {
+      throw new Error(
+        `You don't have permission to change attachments on this ${entityType.toLowerCase()}`
+      );
+    }
+
+    return { entity, organization: entity.organization || null };
+  }
+
+  // Same rules as updating the task or note
+  async _canEdit(entityType, entity, userId) {
+    if (entityType === "Task") {
+      return taskAccessService.can(entity, userId, "edit");
+    }
+
+    if (entity.owner.toString() === userId) return true;
+    return entity.collaborators.some(
+      (collaborator) =>
+        collaborator.user.toString() === userId &&
+        ["editor", "owner"].includes(collaborator.role)
+    );
+  }
+
+  async _getUsage(organizationId, userId) {
+    const filter = organizationId
+      ? { organization: new mongoose.Types.ObjectId(String(organizationId)) }
+      : {
+          organization: null,
+          uploadedBy: new mongoose.Types.ObjectId(String(userId)),
+        };
+
+    const [usage] = await Attachment.aggregate([
+      { $match: filter },
+      { $group: { _id: null, used: { $sum: "$size" } } },
+    ]);
+
+    return { used: usage ? usage.used : 0, quota: STORAGE_QUOTA };
+  }
+
+  _toSummary(attachment) {
+    return {
+      [FILENAME_FIELDS[attachment.entityType]]: attachment.filename,
+      url: `/api/attachments/${attachment._id}`,
+      type: attachment.contentType,
+      size: attachment.size,
+      ...(attachment.entityType !== "Comment" && {
+        uploadedAt: attachment.createdAt,
+      }),
+      ...(attachment.entityType === "Task" && {
+        uploadedBy: attachment.uploadedBy,
+      }),
+      attachment: attachment._id,
+    };
+  }
+
+  _toPublic(attachment) {
+    return Object.fromEntries(
+      PUBLIC_FIELDS.map((field) => [field, attachment[field]])
+    );
+  }
+
+  // Drop any directory part and control characters from a client filename
+  _cleanFilename(filename) {
+    const base = path.basename(String(filename || "").replace(/\\/g, "/"));
+    const name = [...base]
+      .filter((char) => char.charCodeAt(0) >= 32 && char.charCodeAt(0) !== 127)
+      .join("")
+      .trim()
+      .slice(0, 255);
+    return name || "file";
+  }
+
+  _sign(attachmentId, expires) {
+    return crypto
+      .createHmac(
+        "sha256",
+        process.env.ATTACHMENT_URL_SECRET || process.env.JWT_SECRET
+      )
+      .update(`${attachmentId}:${expires}`)
+      .digest("hex");
+  }
+
+  _verify(attachmentId, expires, signature) {
+    if (typeof signature !== "string") return false;
+
+    const expected = Buffer.from(this._sign(attachmentId, expires));
+    const given = Buffer.from(signature);
+    return (
+      expected.length === given.length &&
+      crypto.timingSafeEqual(expected, given)
+    );
+  }
+
+  async _remove(attachments) {
+    for (const attachment of attachments) {
+      try {
+        await storageService.remove(attachment.storageKey);
+      } catch (error) {
+        // The record goes anyway; a stray file only wastes space
+        logger.error(
+          `Error removing file for attachment ${attachment._id}: ${error.message}`
+        );
+      }
+    }
+    await Attachment.deleteMany({
+      _id: { $in: attachments.map((attachment) => attachment._id) },
+    });
+  }
+}
+
+export default new AttachmentService();
@@ -0,0 +1,338 @@
+import mongoose from "mongoose";
+
+import Task from "../models/Task.js";
+import logger from "../utils/logger.js";
+import { rankBetween, spreadRanks } from "../utils/rankUtils.js";
+
+import projectService from "./projectService.js";
+import taskAccessService from "./taskAccessService.js";
+import taskService from "./taskService.js";
+
+// Stages a project gets the first time its board is opened
+const DEFAULT_STAGES = [
+  { name: "To Do", status: "todo" },
+  { name: "In Progress", status: "in-progress" },
+  { name: "Review", status: "review" },
+  { name: "Done", status: "completed" },
+];
+
+const TASK_STATUSES = [
+  "todo",
+  "in-progress",
+  "review",
+  "completed",
+  "cancelled",
+  "on-hold",
+];
+
+// Fields returned for each card on the board
+const CARD_FIELDS =
+  "title status priority dueDate assignedTo tags progress blockedBy parentTask board createdAt";
+
+// Ranks longer than this make the column get evenly spaced ranks again
+const MAX_RANK_LENGTH = 32;
+
+const slugify = (name = "") =>
+  name
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, "-");
+
+/**
+ * Board Service - kanban columns built from project workflow stages
+ */
+class BoardService {
+  /**
+   * Get a project's board: its stages in order, each with its tasks sorted
+   * by rank. Tasks whose status has no stage are listed under `unstaged`.
+   * @param {String} projectId - Project ID
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Board
+   */
+  async getBoard(projectId, userId) {
+    try {
+      const project = await projectService.getProjectById(projectId, userId);
+      const stages = await this._ensureStages(project);
+
+      // Private tasks only show to the users who can see them
+      const tasks = await Task.find({
+        project: project._id,
+        isArchived: false,
+        ...(await taskAccessService.getAccessFilter(userId)),
+      })
+        .select(CARD_FIELDS)
+        .populate("assignedTo", "firstName lastName username avatar")
+        .sort({ "board.rank": 1, createdAt: 1 })
+        .lean();
+
+      const columns = new Map(
+        stages.map((stage) => [stage._id.toString(), []])
+      );
+      const unstaged = [];
+      tasks.forEach((task) => {
+        const stage = this._stageFor(stages, task);
+        if (stage) {
+          columns.get(stage._id.toString()).push(task);
+        } else {
+          unstaged.push(task);
+        }
+      });
+
+      for (const stage of stages) {
+        await this._placeUnranked(stage, columns.get(stage._id.toString()));
+      }
+
+      return {
+        project: { _id: project._id, name: project.name },
+        stages: stages.map((stage) => {
+          const column = columns.get(stage._id.toString());
+          return {
+            _id: stage._id,
+            name: stage.name,
+            order: stage.order,
+            status: stage.status,
+            wipLimit: stage.wipLimit,
+            wipPolicy: stage.wipPolicy,
+            taskCount: column.length,
+            overLimit:
+              Boolean(stage.wipLimit) && column.length > stage.wipLimit,
+            tasks: column,
+          };
+        }),
+        unstaged,
+      };
+    } catch (error) {
+      logger.error(`Error fetching project board: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a task on the board. The task goes right after `afterTaskId` or
+   * right before `beforeTaskId`, or to the end of the stage when neither is
+   * given. Only the moved task is written, unless its column's ranks have
+   * grown too long and are spaced out again.
+   * Moving into a full stage fails when the stage's WIP policy is "block"
+   * (unless forced) and returns a warning when it is "warn". Moving to a
+   * stage with another status changes the task's status as well.
+   * @param {String} projectId - Project ID
+   * @param {String} taskId - Task ID
+   * @param {String} userId - User ID
+   * @param {Object} move - { stageId, beforeTaskId, afterTaskId, force }
+   * @returns {Promise<Object>} { task, warnings }
+   */
+  async moveTask(projectId, taskId, userId, move) {
+    const { stageId, beforeTaskId, afterTaskId, force = false } = move;
+
+    try {
+      const project = await projectService.getProjectById(projectId, userId);
+      const stages = await this._ensureStages(project);
+
+      const stage = stages.find((item) => item._id.toString() === stageId);
+      if (!stage) {
+        throw new Error("Stage not found");
+      }
+
+      const task = mongoose.isValidObjectId(taskId)
+        ? await Task.findOne({
+            _id: taskId,
+            project: project._id,
+            isArchived: false,
+          })
+        : null;
+      if (!task || !(await taskAccessService.can(task, userId, "edit"))) {
+        throw new Error("Task not found");
+      }
+
+      const column = await this._loadColumn(
+        project._id,
+        stages,
+        stage,
+        task._id
+      );
+      await this._placeUnranked(stage, column);
+
+      const warnings = [];
+      const currentStage = this._stageFor(stages, task);
+      const entering = !currentStage || !currentStage._id.equals(stage._id);
+      if (entering && stage.wipLimit && column.length >= stage.wipLimit) {
+        const message = `WIP limit of ${stage.wipLimit} exceeded for stage "${stage.name}"`;
+        if (stage.wipPolicy === "block" && !force) {
+          throw new Error(message);
+        }
+        warnings.push(message);
+      }
+
+      const position = this._findPosition(column, beforeTaskId, afterTaskId);
+      let rank = rankBetween(
+        column[position - 1]?.board.rank || null,
+        column[position]?.board.rank || null
+      );
+      if (rank.length > MAX_RANK_LENGTH) {
+        rank = await this._rebalance(column, position);
+      }
+
+      if (task.status !== stage.status) {
+        await taskService.updateTask(
+          task._id,
+          userId,
+          { status: stage.status },
+          { force }
+        );
+      }
+
+      await Task.updateOne(
+        { _id: task._id },
+        { $set: { board: { stage: stage._id, rank } } }
+      );
+
+      const updated = await Task.findById(task._id)
+        .select(CARD_FIELDS)
+        .populate("assignedTo", "firstName lastName username avatar")
+        .lean();
+
+      return { task: updated, warnings };
+    } catch (error) {
+      logger.error(`Error moving task on board: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Stages of a project in order. Projects without stages get the default
+   * ones; stages saved before they had a status get one from their name.
+   */
+  async _ensureStages(project) {
+    if (project.workflow.stages.length === 0) {
+      project.workflow.stages = DEFAULT_STAGES.map((stage, order) => ({
+        ...stage,
+        order,
+      }));
+    }
+
+    project.workflow.stages.forEach((stage) => {
+      if (!stage.status) {
+        const slug = slugify(stage.name);
+        stage.status = TASK_STATUSES.includes(slug) ? slug : "todo";
+      }
+    });
+
+    if (project.isModified("workflow.stages")) {
+      await project.save();
+    }
+
+    return project.workflow.stages
+      .map((stage, index) => ({ stage, index }))
+      .sort(
+        (a, b) =>
+          (a.stage.order ?? a.index) - (b.stage.order ?? b.index) ||
+          a.index - b.index
+      )
+      .map(({ stage }) => stage);
+  }
+
+  /**
+   * The stage a task shows in: the stage it was placed in while that stage
+   * still matches its status, otherwise the first stage for its status
+   */
+  _stageFor(stages, task) {
+    const placed = task.board?.stage
+      ? stages.find((stage) => stage._id.equals(task.board.stage))
+      : null;
+    if (placed && placed.status === task.status) {
+      return placed;
+    }
+
+    return stages.find((stage) => stage.status === task.status) || null;
+  }
+
+  /**
+   * Tasks in a stage sorted by rank, leaving out the task being moved
+   */
+  async _loadColumn(projectId, stages, stage, excludeId) {
+    const tasks = await Task.find({
+      project: projectId,
+      status: stage.status,
+      isArchived: false,
+      _id: { $ne: excludeId },
+    })
+      .select("status board createdAt")
+      .sort({ "board.rank": 1, createdAt: 1 })
+      .lean();
+
+    return tasks.filter((task) =>
+      this._stageFor(stages, task)?._id.equals(stage._id)
+    );
+  }
+
+  /**
+   * Give tasks that are new to a stage a rank after the ones already in it.
+   * Updates the tasks in place so the column stays sorted.
+   */
+  async _placeUnranked(stage, column) {
+    const placed = column.filter(
+      (task) => task.board?.rank && stage._id.equals(task.board.stage)
+    );
+    const unplaced = column
+      .filter((task) => !placed.includes(task))
+      .sort((a, b) => a.createdAt - b.createdAt);
+    if (unplaced.length === 0) return;
+
+    let previous = placed.at(-1)?.board.rank || null;
+    const operations = unplaced.map((task) => {
+      previous = rankBetween(previous, null);
+      task.board = { stage: stage._id, rank: previous };
+      return {
+        updateOne: {
+          filter: { _id: task._id },
+          update: { $set: { board: task.board } },
+        },
+      };
+    });
+    await Task.bulkWrite(operations, { ordered: false });
+
+    column.splice(0, column.length, ...placed, ...unplaced);
+  }
+
+  /**
+   * Index in the column the moved task goes to
+   */
+  _findPosition(column, beforeTaskId, afterTaskId) {
+    const indexOf = (taskId) => {
+      const index = column.findIndex((task) => task._id.toString() === taskId);
+      if (index === -1) {
+        throw new Error("Invalid position: task is not in the target stage");
+      }
+      return index;
+    };
+
+    if (afterTaskId) return indexOf(afterTaskId) + 1;
+    if (beforeTaskId) return indexOf(beforeTaskId);
+    return column.length;
+  }
+
+  /**
+   * Space out the ranks of a column with the moved task inserted at
+   * `position`, and return the moved task's new rank
+   */
+  async _rebalance(column, position) {
+    const ranks = spreadRanks(column.length + 1);
+    const others = ranks.filter((_, index) => index !== position);
+
+    await Task.bulkWrite(
+      column.map((task, index) => ({
+        updateOne: {
+          filter: { _id: task._id },
+          update: { $set: { "board.rank": others[index] } },
+        },
+      })),
+      { ordered: false }
+    );
+
+    return ranks[position];
+  }
+}
+
+export default new BoardService();
@@ -1,8 +1,29 @@
-const Comment = require("../models/Comment");
-const Notification = require("../models/Notification");
-const User = require("../models/User");
-const logger = require("../utils/logger");
-const mongoose = require("mongoose");
+import Comment from "../models/Comment.js";
+import Membership from "../models/Membership.js";
+import Note from "../models/Note.js";
+import Project from "../models/Project.js";
+import Task from "../models/Task.js";
+import Team from "../models/Team.js";
+import TimeLog from "../models/TimeLog.js";
+import User from "../models/User.js";
+import logger from "../utils/logger.js";
+import { paginate } from "../utils/pagination.js";
+
+import notificationService from "./notificationService.js";
+import projectService from "./projectService.js";
+import taskAccessService from "./taskAccessService.js";
+import watcherService from "./watcherService.js";
+
+const USER_FIELDS = "username firstName lastName avatar";
+
+// Models that comments and activity can be attached to
+const ENTITY_MODELS = {
+  Task,
+  Note,
+  Project,
+  Team,
+  TimeLog,
+};
 
 class CollaborationService {
   /**
@@ -12,8 +33,24 @@ class CollaborationService {
     try {
       const { content, entityType, entityId, parentComment = null } = data;
 
-      // Validate entity exists based on type
-      await this._validateEntity(entityType, entityId);
+      // Validate entity exists and the user can see it
+      const entity = await this._findAccessibleEntity(
+        entityType,
+        entityId,
+        userId
+      );
+
+      // Replies must stay on the same entity as their parent
+      if (parentComment) {
+        const parent = await Comment.findById(parentComment);
+        if (
+          !parent ||
+          parent.entityType !== entityType ||
+          parent.entityId.toString() !== entityId.toString()
+        ) {
+          throw new Error("Parent comment not found");
+        }
+      }
 
       // Create comment
       const comment = new Comment({
@@ -29,6 +66,19 @@ class CollaborationService {
       // Extract mentions from content and send notifications
       await this._processMentions(comment, userId);
 
+      if (entityType === "Task") {
+        // Watchers hear about the comment, and commenters start watching
+        await watcherService.notifyComment(entity, comment, userId);
+        await watcherService.addWatchers(entity._id, [userId]);
+
+        await projectService.runTaskAutomations(
+          entity,
+          "comment",
+          { commentId: comment._id.toString(), authorId: userId },
+          { actorId: userId }
+        );
+      }
+
       return comment;
     } catch (error) {
       logger.error(`Error creating comment: ${error.message}`);
@@ -39,16 +89,22 @@ class CollaborationService {
   /**
    * Get comment by ID
    */
-  async getCommentById(commentId) {
+  async getCommentById(commentId, userId) {
     try {
       const comment = await Comment.findById(commentId)
-        .populate("author", "name email profilePicture")
-        .populate("mentions.user", "name email profilePicture");
+        .populate("author", USER_FIELDS)
+        .populate("mentions.user", USER_FIELDS);
 
       if (!comment) {
         throw new Error("Comment not found");
       }
 
+      await this._findAccessibleEntity(
+        comment.entityType,
+        comment.entityId,
+        userId
+      );
+
       return comment;
     } catch (error) {
       logger.error(`Error getting comment: ${error.message}`);
@@ -62,16 +118,13 @@ class CollaborationService {
   async getCommentsForEntity(
     entityType,
     entityId,
+    userId,
     filters = {},
     pagination = {}
   ) {
     try {
-      const {
-        page = 1,
-        limit = 20,
-        sortBy = "createdAt",
-        sortOrder = -1,
-      } = pagination;
+      await this._findAccessibleEntity(entityType, entityId, userId);
+
       const { onlyRoot = true } = filters;
 
       const query = {
@@ -83,37 +136,23 @@ class CollaborationService {
         query.parentComment = null;
       }
 
-      const sortOption = {};
-      sortOption[sortBy] = sortOrder;
-
-      const skip = (page - 1) * limit;
-
-      const comments = await Comment.find(query)
-        .sort(sortOption)
-        .skip(skip)
-        .limit(parseInt(limit))
-        .populate("author", "name email profilePicture")
-        .populate("mentions.user", "name email profilePicture")
-        .populate({
-          path: "replies",
-          options: { sort: { createdAt: 1 } },
-          populate: {
-            path: "author",
-            select: "name email profilePicture",
-          },
-        });
-
-      const total = await Comment.countDocuments(query);
+      const page = await paginate(
+        Comment.find(query)
+          .populate("author", USER_FIELDS)
+          .populate("mentions.user", USER_FIELDS)
+          .populate({
+            path: "replies",
+            options: { sort: { createdAt: 1 } },
+            populate: {
+              path: "author",
+              select: USER_FIELDS,
+            },
+          }),
+        pagination,
+        { sortFields: ["createdAt", "updatedAt"], defaultSort: "createdAt" }
+      );
 
-      return {
-        comments,
-        pagination: {
-          total,
-          page: parseInt(page),
-          limit: parseInt(limit),
-          pages: Math.ceil(total / limit),
-        },
-      };
+      return { comments: page.items, pagination: page.pagination };
     } catch (error) {
       logger.error(`Error getting comments: ${error.message}`);
       throw new Error(`Failed to get comments: ${error.message}`);
@@ -128,6 +167,7 @@ class CollaborationService {
       const comment = await Comment.findOne({
         _id: commentId,
         author: userId,
+        isDeleted: false,
       });
 
       if (!comment) {
@@ -184,12 +224,21 @@ class CollaborationService {
    */
   async addReaction(commentId, reactionType, userId) {
     try {
-      const comment = await Comment.findById(commentId);
+      const comment = await Comment.findOne({
+        _id: commentId,
+        isDeleted: false,
+      });
 
       if (!comment) {
         throw new Error("Comment not found");
       }
 
+      await this._findAccessibleEntity(
+        comment.entityType,
+        comment.entityId,
+        userId
+      );
+
       // Check if user already reacted with this type
       const existingReaction = comment.reactions.find(
         (r) => r.user.toString() === userId && r.type === reactionType
@@ -220,23 +269,23 @@ class CollaborationService {
   /**
    * Get activity feed for an entity
    */
-  async getActivityFeed(entityType, entityId, pagination = {}) {
+  async getActivityFeed(entityType, entityId, userId, pagination = {}) {
     try {
-      const { page = 1, limit = 20 } = pagination;
+      await this._findAccessibleEntity(entityType, entityId, userId);
 
       // Get comments for entity
-      const comments = await Comment.find({
-        entityType,
-        entityId,
-        isDeleted: false,
-      })
-        .sort({ createdAt: -1 })
-        .limit(parseInt(limit))
-        .skip((page - 1) * parseInt(limit))
-        .populate("author", "name email profilePicture");
+      const page = await paginate(
+        Comment.find({
+          entityType,
+          entityId,
+          isDeleted: false,
+        }).populate("author", USER_FIELDS),
+        pagination,
+        { sortFields: ["createdAt"], defaultSort: "createdAt" }
+      );
 
       // Format activities
-      const activities = comments.map((comment) => ({
+      const activities = page.items.map((comment) => ({
         type: "comment",
         actor: comment.author,
         action: comment.parentComment ? "replied" : "commented",
@@ -250,13 +299,7 @@ class CollaborationService {
 
       // TODO: Add other activity types like status changes, assignments, etc.
 
-      return {
-        activities: activities.sort((a, b) => b.timestamp - a.timestamp),
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-        },
-      };
+      return { activities, pagination: page.pagination };
     } catch (error) {
       logger.error(`Error getting activity feed: ${error.message}`);
       throw new Error(`Failed to get activity feed: ${error.message}`);
@@ -274,10 +317,15 @@ class CollaborationService {
         throw new Error("Comment not found");
       }
 
-      // Check if user is the author or has permission on the entity
-      // For simplicity, we're just checking if user is author here
+      // The author or the owner of the commented entity can resolve
+      const entity = await this._findAccessibleEntity(
+        comment.entityType,
+        comment.entityId,
+        userId
+      );
       const isAuthor = comment.author.toString() === userId;
-      if (!isAuthor) {
+      const entityOwner = entity.owner || entity.leader || entity.user;
+      if (!isAuthor && entityOwner?.toString() !== userId) {
         throw new Error("You don't have permission to resolve this comment");
       }
 
@@ -292,142 +340,102 @@ class CollaborationService {
   }
 
   /**
-   * Create a notification
+   * Load a task, note, project, team or time log the user can see. Other
+   * services use this to follow the same access rules as comments.
+   * @param {String} entityType - Model name
+   * @param {String} entityId - Entity ID
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Entity document
    */
-  async createNotification(data) {
-    try {
-      const notification = new Notification(data);
-      await notification.save();
-      return notification;
-    } catch (error) {
-      logger.error(`Error creating notification: ${error.message}`);
-      // Don't throw, notifications should fail gracefully
-      return null;
-    }
+  async findAccessibleEntity(entityType, entityId, userId) {
+    return this._findAccessibleEntity(entityType, entityId, userId);
   }
 
+  // Private helper methods
+
   /**
-   * Get notifications for a user
+   * Load a commentable entity and verify the user can see it
    */
-  async getUserNotifications(userId, filters = {}, pagination = {}) {
-    try {
-      const { page = 1, limit = 20, onlyUnread = false } = pagination;
-      const query = { recipient: userId };
-
-      if (onlyUnread) {
-        query.isRead = false;
-      }
-
-      const notifications = await Notification.find(query)
-        .sort({ createdAt: -1 })
-        .skip((page - 1) * limit)
-        .limit(parseInt(limit))
-        .populate("sender", "name email profilePicture");
+  async _findAccessibleEntity(entityType, entityId, userId) {
+    const Entity = ENTITY_MODELS[entityType];
+    if (!Entity) {
+      throw new Error("Invalid entity type");
+    }
 
-      const total = await Notification.countDocuments(query);
-      const unreadCount = await Notification.countDocuments({
-        recipient: userId,
-        isRead: false,
-      });
+    const entity = await Entity.findById(entityId);
+    if (!entity) {
+      throw new Error(`${entityType} not found`);
+    }
 
-      return {
-        notifications,
-        pagination: {
-          total,
-          page: parseInt(page),
-          limit: parseInt(limit),
-          pages: Math.ceil(total / limit),
-        },
-        unreadCount,
-      };
-    } catch (error) {
-      logger.error(`Error getting notifications: ${error.message}`);
-      throw new Error(`Failed to get notifications: ${error.message}`);
+    if (!(await this._canAccessEntity(entityType, entity, userId))) {
+      throw new Error(
+        `You don't have permission to access this ${entityType.toLowerCase()}`
+      );
     }
+
+    return entity;
   }
 
-  /**
-   * Mark notification as read
-   */
-  async markNotificationAsRead(notificationId, userId) {
-    try {
-      const notification = await Notification.findOne({
-        _id: notificationId,
-        recipient: userId,
-      });
+  async _canAccessEntity(entityType, entity, userId) {
+    const includesUser = (ids = []) =>
+      ids.some((id) => id && id.toString() === userId);
 
-      if (!notification) {
-        throw new Error("Notification not found");
-      }
+    switch (entityType) {
+      case "Task":
+        return taskAccessService.can(entity, userId, "view");
 
-      notification.isRead = true;
-      await notification.save();
+      case "Note":
+        return (
+          entity.owner.toString() === userId ||
+          entity.isShared ||
+          includesUser(entity.sharedWith) ||
+          includesUser(entity.collaborators.map((c) => c.user))
+        );
 
-      return notification;
-    } catch (error) {
-      logger.error(`Error marking notification as read: ${error.message}`);
-      throw new Error(`Failed to update notification: ${error.message}`);
-    }
-  }
+      case "Project":
+        if (
+          entity.owner.toString() === userId ||
+          includesUser(entity.managers) ||
+          includesUser(entity.members)
+        ) {
+          return true;
+        }
+        return this._isOrganizationAdmin(entity.organization, userId);
+
+      case "Team":
+        if (
+          entity.leader.toString() === userId ||
+          includesUser(entity.members.map((m) => m.user))
+        ) {
+          return true;
+        }
+        return this._isOrganizationAdmin(entity.organization, userId);
 
-  /**
-   * Mark all notifications as read
-   */
-  async markAllNotificationsAsRead(userId) {
-    try {
-      const result = await Notification.updateMany(
-        { recipient: userId, isRead: false },
-        { $set: { isRead: true } }
-      );
+      case "TimeLog": {
+        if (entity.user.toString() === userId) return true;
 
-      return {
-        success: true,
-        count: result.modifiedCount,
-      };
-    } catch (error) {
-      logger.error(`Error marking all notifications as read: ${error.message}`);
-      throw new Error(`Failed to update notifications: ${error.message}`);
+        const task = await Task.findById(entity.task);
+        return Boolean(
+          task && (await this._canAccessEntity("Task", task, userId))
+        );
+      }
+
+      default:
+        return false;
     }
   }
 
-  // Private helper methods
-  async _validateEntity(entityType, entityId) {
-    try {
-      // Validate entity exists based on type
-      let Entity;
-      switch (entityType) {
-        case "Task":
-          Entity = require("../models/Task");
-          break;
-        case "TimeLog":
-          Entity = require("../models/TimeLog");
-          break;
-        case "Project":
-          Entity = require("../models/Project");
-          break;
-        case "Team":
-          Entity = require("../models/Team");
-          break;
-        case "Note":
-          Entity = require("../models/Note");
-          break;
-        case "Comment":
-          Entity = require("../models/Comment");
-          break;
-        default:
-          throw new Error("Invalid entity type");
-      }
+  async _isOrganizationAdmin(organizationId, userId) {
+    if (!organizationId) return false;
 
-      const entity = await Entity.findById(entityId);
-      if (!entity) {
-        throw new Error(`${entityType} not found`);
-      }
-
-      return entity;
-    } catch (error) {
-      logger.error(`Entity validation error: ${error.message}`);
-      throw new Error(`Invalid entity: ${error.message}`);
-    }
+    return Boolean(
+      await Membership.exists({
+        user: userId,
+        organization: organizationId,
+        status: "active",
+        role: "admin",
+      })
+    );
   }
 
   async _processMentions(comment, authorId) {
@@ -459,7 +467,7 @@ class CollaborationService {
         for (const mention of mentions) {
           if (mention.user.toString() !== authorId) {
             // Don't notify the author
-            await this.createNotification({
+            await notificationService.createNotification({
               type: "mention",
               recipient: mention.user,
               sender: authorId,
@@ -486,4 +494,4 @@ class CollaborationService {
   }
 }
 
-module.exports = new CollaborationService();
+export default new CollaborationService();
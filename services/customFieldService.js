@@ -0,0 +1,215 @@
+import Project from "../models/Project.js";
+
+// Operators allowed when filtering by a custom field, e.g. { gte: 3 }
+const FILTER_OPERATORS = ["eq", "ne", "in", "gt", "gte", "lt", "lte", "exists"];
+
+// Field types that can be compared with gt/gte/lt/lte
+const RANGE_TYPES = ["number", "date"];
+
+const MAX_TEXT_LENGTH = 1000;
+
+/**
+ * Custom Field Service - task values for the custom fields a project defines
+ */
+class CustomFieldService {
+  /**
+   * Whether a string can be used as a custom field name. Names become part
+   * of the stored document path, so dots and a leading "$" are not allowed.
+   */
+  isValidName(name) {
+    return (
+      typeof name === "string" &&
+      name.trim().length > 0 &&
+      !name.includes(".") &&
+      !name.startsWith("$")
+    );
+  }
+
+  /**
+   * Path of a custom field's value on a task
+   */
+  fieldPath(name) {
+    if (!this.isValidName(name)) {
+      throw new Error(`Custom field "${name}" is not a valid field name`);
+    }
+    return `customFields.${name}`;
+  }
+
+  /**
+   * Custom field definitions of a project
+   * @param {String|null} projectId - Project ID
+   * @returns {Promise<Array>} Definitions
+   */
+  async getDefinitions(projectId) {
+    if (!projectId) return [];
+
+    const project = await Project.findById(projectId)
+      .select("customFields")
+      .lean();
+    return project?.customFields || [];
+  }
+
+  /**
+   * Check a task's custom field values against its project's definitions.
+   * Values for fields the project no longer defines are dropped.
+   * @param {String|null} projectId - Project the task is in
+   * @param {Object} values - New values by field name; null clears a field
+   * @param {Object} current - Values the task already has
+   * @returns {Promise<Object>} Values to store
+   */
+  async resolveValues(projectId, values = {}, current = {}) {
+    if (!projectId) {
+      if (Object.keys(values).length > 0) {
+        throw new Error("Custom fields require the task to be in a project");
+      }
+      return {};
+    }
+
+    const definitions = await this.getDefinitions(projectId);
+    const byName = new Map(
+      definitions.map((definition) => [definition.name, definition])
+    );
+
+    const resolved = {};
+    Object.entries(current).forEach(([name, value]) => {
+      if (byName.has(name)) resolved[name] = value;
+    });
+
+    Object.entries(values).forEach(([name, value]) => {
+      const definition = byName.get(name);
+      if (!definition) {
+        throw new Error(
+          `Custom field "${name}" is not defined for this project`
+        );
+      }
+
+      if (value === null || value === "") {
+        delete resolved[name];
+      } else {
+        resolved[name] = this.castValue(definition, value);
+      }
+    });
+
+    definitions.forEach((definition) => {
+      if (definition.isRequired && resolved[definition.name] === undefined) {
+        throw new Error(`Custom field "${definition.name}" is required`);
+      }
+    });
+
+    return resolved;
+  }
+
+  /**
+   * Convert a value to a custom field's type. Query strings arrive as
+   * strings, so numbers and booleans are accepted in their string form too.
+   * @param {Object} definition - Field definition
+   * @param {*} value - Value to convert
+   * @returns {*} Converted value
+   */
+  castValue(definition, value) {
+    const { name, type, options = [] } = definition;
+
+    switch (type) {
+      case "number": {
+        const number =
+          typeof value === "string" && value.trim() !== ""
+            ? Number(value)
+            : value;
+        if (typeof number !== "number" || !Number.isFinite(number)) {
+          throw new Error(`Custom field "${name}" must be a number`);
+        }
+        return number;
+      }
+      case "date": {
+        const date =
+          typeof value === "string" || typeof value === "number"
+            ? new Date(value)
+            : value;
+        if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+          throw new Error(`Custom field "${name}" must be a date`);
+        }
+        return date;
+      }
+      case "boolean":
+        if (value === true || value === "true") return true;
+        if (value === false || value === "false") return false;
+        throw new Error(`Custom field "${name}" must be true or false`);
+      case "select":
+        if (!options.includes(value)) {
+          throw new Error(
+            `Custom field "${name}" must be one of: ${options.join(", ")}`
+          );
+        }
+        return value;
+      default:
+        if (typeof value !== "string" || value.length > MAX_TEXT_LENGTH) {
+          throw new Error(
+            `Custom field "${name}" must be text of at most ${MAX_TEXT_LENGTH} characters`
+          );
+        }
+        return value.trim();
+    }
+  }
+
+  /**
+   * Build query conditions from custom field filters. Each filter is a value
+   * to match or an operator object, e.g.
+   * `{ Severity: "high", Points: { gte: 3 }, Due: { exists: "false" } }`.
+   * @param {String} projectId - Project whose definitions give the types
+   * @param {Object} filters - Filters by field name
+   * @returns {Promise<Object>} Conditions to merge into a task query
+   */
+  async buildFilter(projectId, filters) {
+    if (!projectId) {
+      throw new Error("Custom field filters require a project filter");
+    }
+
+    const definitions = await this.getDefinitions(projectId);
+    const conditions = {};
+
+    Object.entries(filters).forEach(([name, filter]) => {
+      const definition = definitions.find((item) => item.name === name);
+      if (!definition) {
+        throw new Error(
+          `Custom field "${name}" is not defined for this project`
+        );
+      }
+
+      const operators =
+        filter && typeof filter === "object" && !Array.isArray(filter)
+          ? filter
+          : { eq: filter };
+
+      const condition = {};
+      Object.entries(operators).forEach(([operator, value]) => {
+        if (!FILTER_OPERATORS.includes(operator)) {
+          throw new Error(
+            `Custom field filter operator "${operator}" is not supported`
+          );
+        }
+
+        if (operator === "exists") {
+          condition.$exists = value === true || value === "true";
+        } else if (operator === "in") {
+          const list = Array.isArray(value) ? value : String(value).split(",");
+          condition.$in = list.map((item) => this.castValue(definition, item));
+        } else if (operator === "eq" || operator === "ne") {
+          condition[`$${operator}`] = this.castValue(definition, value);
+        } else {
+          if (!RANGE_TYPES.includes(definition.type)) {
+            throw new Error(
+              `Custom field "${name}" cannot be compared by range`
+            );
+          }
+          condition[`$${operator}`] = this.castValue(definition, value);
+        }
+      });
+
+      conditions[this.fieldPath(name)] = condition;
+    });
+
+    return conditions;
+  }
+}
+
+export default new CustomFieldService();
@@ -1,7 +1,18 @@
 import Dashboard from "../models/Dashboard.js";
-
+import Membership from "../models/Membership.js";
 import logger from "../utils/logger.js";
+
 import reportService from "./reportService.js";
+import savedViewService from "./savedViewService.js";
+
+// Widgets backed by the organization productivity report, and the roles
+// that may see it, as for GET /api/reports/organization
+const ORGANIZATION_REPORT_WIDGETS = [
+  "productivity",
+  "memberPerformance",
+  "statusDistribution",
+];
+const ORGANIZATION_REPORT_ROLES = ["admin", "member"];
 
 class DashboardService {
   /**
@@ -20,6 +31,18 @@ class DashboardService {
         refreshInterval,
       } = data;
 
+      if (organization) {
+        const isMember = await Membership.exists({
+          user: userId,
+          organization,
+          status: "active",
+        });
+        if (!isMember) {
+          throw new Error("You don't have access to this organization");
+        }
+      }
+      await this._assertCanViewReports(organization, userId, widgets);
+
       // If creating a default dashboard, unset any existing defaults for this user
       if (isDefault) {
         await Dashboard.updateMany(
@@ -40,6 +63,10 @@ class DashboardService {
         widgets: widgets || [],
         refreshInterval: refreshInterval || 0,
       });
+      // Let the refresh job warm the widget cache right away
+      if (dashboard.refreshInterval > 0) {
+        dashboard.nextRefreshAt = new Date();
+      }
 
       await dashboard.save();
       return dashboard;
@@ -106,10 +133,7 @@ class DashboardService {
       }
 
       // Check access permissions
-      if (
-        dashboard.owner.toString() !== userId &&
-        (!dashboard.isShared || !dashboard.sharedWith.includes(userId))
-      ) {
+      if (!(await this._canView(dashboard, userId))) {
         throw new Error("You don't have access to this dashboard");
       }
 
@@ -165,6 +189,12 @@ class DashboardService {
         }
       });
 
+      // Reschedule the refresh job when the interval or widgets change
+      if (data.refreshInterval !== undefined || data.widgets !== undefined) {
+        dashboard.nextRefreshAt =
+          dashboard.refreshInterval > 0 ? new Date() : undefined;
+      }
+
       dashboard.lastModified = new Date();
       await dashboard.save();
 
@@ -191,7 +221,7 @@ class DashboardService {
         throw new Error("Only the owner can delete this dashboard");
       }
 
-      await dashboard.remove();
+      await dashboard.deleteOne();
 
       return { success: true };
     } catch (error) {
@@ -215,13 +245,16 @@ class DashboardService {
       if (dashboard.owner.toString() !== userId) {
         throw new Error("Only the owner can add widgets to this dashboard");
       }
+      await this._assertCanViewReports(dashboard.organization, userId, [
+        widgetData,
+      ]);
 
       // Add widget
-      dashboard.widgets.push({
-        ...widgetData,
-        lastRefreshed: new Date(),
-      });
+      dashboard.widgets.push(widgetData);
 
+      if (dashboard.refreshInterval > 0) {
+        dashboard.nextRefreshAt = new Date();
+      }
       dashboard.lastModified = new Date();
       await dashboard.save();
 
@@ -266,7 +299,14 @@ class DashboardService {
         }
       });
 
-      dashboard.widgets[widgetIndex].lastRefreshed = new Date();
+      // Drop cached data computed with the previous configuration
+      if (widgetData.config !== undefined) {
+        dashboard.widgets[widgetIndex].cachedData = undefined;
+        dashboard.widgets[widgetIndex].lastRefreshed = undefined;
+        if (dashboard.refreshInterval > 0) {
+          dashboard.nextRefreshAt = new Date();
+        }
+      }
       dashboard.lastModified = new Date();
 
       await dashboard.save();
@@ -317,8 +357,11 @@ class DashboardService {
 
   /**
    * Get widget data
+   *
+   * Dashboards with a refreshInterval are served from the widget cache while
+   * it is fresh; pass forceRefresh to recompute on demand.
    */
-  async getWidgetData(dashboardId, widgetId, userId) {
+  async getWidgetData(dashboardId, widgetId, userId, { forceRefresh } = {}) {
     try {
       const dashboard = await Dashboard.findById(dashboardId);
 
@@ -327,10 +370,7 @@ class DashboardService {
       }
 
       // Check access permissions
-      if (
-        dashboard.owner.toString() !== userId &&
-        (!dashboard.isShared || !dashboard.sharedWith.includes(userId))
-      ) {
+      if (!(await this._canView(dashboard, userId))) {
         throw new Error("You don't have access to this dashboard");
       }
 
@@ -342,72 +382,22 @@ class DashboardService {
       if (!widget) {
         throw new Error("Widget not found");
       }
-
-      // Get data based on widget type
-      let data;
-
-      switch (widget.type) {
-        case "timeTracking":
-          data = await reportService.getTimeTrackingReport({
-            ...widget.config.filters,
-            groupBy: widget.config.groupBy || "day",
-          });
-          break;
-
-        case "taskCompletion":
-          data = await reportService.getTaskCompletionReport({
-            ...widget.config.filters,
-            period: widget.config.period || "daily",
-            groupBy: widget.config.groupBy || "date",
-          });
-          break;
-
-        case "productivity":
-          data = await reportService.getOrganizationProductivityReport(
-            widget.config.filters.organizationId,
-            widget.config.filters.startDate,
-            widget.config.filters.endDate
-          );
-          break;
-
-        case "memberPerformance":
-          const productivityReport =
-            await reportService.getOrganizationProductivityReport(
-              widget.config.filters.organizationId,
-              widget.config.filters.startDate,
-              widget.config.filters.endDate
-            );
-          data = productivityReport.memberStats;
-          break;
-
-        case "statusDistribution":
-          const statusReport =
-            await reportService.getOrganizationProductivityReport(
-              widget.config.filters.organizationId,
-              widget.config.filters.startDate,
-              widget.config.filters.endDate
-            );
-          data = statusReport.distributions.taskStatus;
-          break;
-
-        case "custom":
-          // Custom widgets might need specific handling
-          data = { message: "Custom widget data needs implementation" };
-          break;
-
-        default:
-          data = { error: "Unknown widget type" };
+      await this._assertCanViewReports(dashboard.organization, userId, [
+        widget,
+      ]);
+
+      if (forceRefresh || !this._isCacheFresh(dashboard, widget)) {
+        widget.cachedData = await this._computeWidgetData(dashboard, widget);
+        widget.lastRefreshed = new Date();
+        widget.lastRefreshError = undefined;
+        await dashboard.save();
       }
 
-      // Update last refreshed timestamp
-      widget.lastRefreshed = new Date();
-      await dashboard.save();
-
       return {
         widgetId: widget._id,
         type: widget.type,
         title: widget.title,
-        data,
+        data: widget.cachedData,
         lastRefreshed: widget.lastRefreshed,
       };
     } catch (error) {
@@ -415,6 +405,215 @@ class DashboardService {
       throw error;
     }
   }
+
+  /**
+   * Recompute and cache the data of every widget on a dashboard
+   */
+  async refreshDashboard(dashboard) {
+    for (const widget of dashboard.widgets) {
+      try {
+        widget.cachedData = await this._computeWidgetData(dashboard, widget);
+        widget.lastRefreshed = new Date();
+        widget.lastRefreshError = undefined;
+      } catch (error) {
+        // Keep the previous data so viewers still see something
+        widget.lastRefreshError = error.message;
+        logger.warn(
+          `Failed to refresh widget ${widget._id} on dashboard ${dashboard._id}: ${error.message}`
+        );
+      }
+    }
+
+    dashboard.nextRefreshAt = this._getNextRefreshAt(dashboard);
+    await dashboard.save();
+    return dashboard;
+  }
+
+  /**
+   * Refresh dashboards whose refreshInterval has elapsed
+   * @param {Object} options - Options
+   * @param {Number} options.limit - Maximum dashboards to refresh in one run
+   * @returns {Number} - Number of dashboards refreshed
+   */
+  async refreshDueDashboards({ limit = 20 } = {}) {
+    const dashboards = await Dashboard.find({
+      refreshInterval: { $gt: 0 },
+      $or: [{ nextRefreshAt: { $lte: new Date() } }, { nextRefreshAt: null }],
+    })
+      .sort({ nextRefreshAt: 1 })
+      .limit(limit);
+
+    for (const dashboard of dashboards) {
+      try {
+        await this.refreshDashboard(dashboard);
+      } catch (error) {
+        logger.error(
+          `Error refreshing dashboard ${dashboard._id}: ${error.message}`
+        );
+      }
+    }
+
+    return dashboards.length;
+  }
+
+  // Private helper methods
+
+  /**
+   * Run the report backing a widget
+   */
+  async _computeWidgetData(dashboard, widget) {
+    await this._assertCanViewReports(
+      dashboard.organization,
+      dashboard.owner.toString(),
+      [widget]
+    );
+
+    // Scope reports to the dashboard's organization, or to the owner for
+    // personal dashboards, whatever the widget filters say
+    const filters = { ...widget.config?.filters };
+    if (dashboard.organization) {
+      filters.organizationId = dashboard.organization.toString();
+    } else {
+      delete filters.organizationId;
+      filters.userId = dashboard.owner.toString();
+    }
+
+    // Task queries run as the dashboard owner, who must be able to use any
+    // saved view the widget refers to
+    filters.viewerId = dashboard.owner.toString();
+    if (filters.viewId) {
+      const view = await savedViewService.getViewById(
+        filters.viewId,
+        filters.viewerId
+      );
+      filters.query = [view.query, filters.query].filter(Boolean).join(" ");
+      delete filters.viewId;
+    }
+
+    switch (widget.type) {
+      case "timeTracking":
+        return reportService.getTimeTrackingReport({
+          ...filters,
+          groupBy: widget.config?.groupBy || "day",
+        });
+
+      case "taskCompletion":
+        return reportService.getTaskCompletionReport({
+          ...filters,
+          period: widget.config?.period || "daily",
+          groupBy: widget.config?.groupBy || "date",
+        });
+
+      case "productivity":
+        return reportService.getOrganizationProductivityReport(
+          filters.organizationId,
+          filters.startDate,
+          filters.endDate
+        );
+
+      case "memberPerformance": {
+        const productivityReport =
+          await reportService.getOrganizationProductivityReport(
+            filters.organizationId,
+            filters.startDate,
+            filters.endDate
+          );
+        return productivityReport.memberStats;
+      }
+
+      case "statusDistribution": {
+        const statusReport =
+          await reportService.getOrganizationProductivityReport(
+            filters.organizationId,
+            filters.startDate,
+            filters.endDate
+          );
+        return statusReport.distributions.taskStatus;
+      }
+
+      case "custom":
+        // Custom widgets might need specific handling
+        return { message: "Custom widget data needs implementation" };
+
+      default:
+        return { error: "Unknown widget type" };
+    }
+  }
+
+  /**
+   * Whether a widget's cached data is still within the refresh interval
+   */
+  _isCacheFresh(dashboard, widget) {
+    if (!dashboard.refreshInterval || widget.cachedData === undefined) {
+      return false;
+    }
+    if (!widget.lastRefreshed) {
+      return false;
+    }
+
+    const age = Date.now() - widget.lastRefreshed.getTime();
+    return age < dashboard.refreshInterval * 60 * 1000;
+  }
+
+  _getNextRefreshAt(dashboard) {
+    if (!dashboard.refreshInterval) {
+      return undefined;
+    }
+    return new Date(Date.now() + dashboard.refreshInterval * 60 * 1000);
+  }
+
+  /**
+   * Check the user may see the organization reports behind any of the
+   * widgets. They only exist for organization dashboards.
+   */
+  async _assertCanViewReports(organizationId, userId, widgets = []) {
+    if (
+      !widgets.some((widget) =>
+        ORGANIZATION_REPORT_WIDGETS.includes(widget?.type)
+      )
+    ) {
+      return;
+    }
+
+    const canView =
+      organizationId &&
+      (await Membership.exists({
+        user: userId,
+        organization: organizationId,
+        status: "active",
+        role: { $in: ORGANIZATION_REPORT_ROLES },
+      }));
+    if (!canView) {
+      throw new Error("You don't have access to organization reports");
+    }
+  }
+
+  /**
+   * Owners, explicitly shared users and, for shared organization
+   * dashboards, active members of the organization can view a dashboard
+   */
+  async _canView(dashboard, userId) {
+    if (dashboard.owner.toString() === userId) {
+      return true;
+    }
+    if (!dashboard.isShared) {
+      return false;
+    }
+    if (dashboard.sharedWith.some((id) => id.toString() === userId)) {
+      return true;
+    }
+    if (!dashboard.organization) {
+      return false;
+    }
+
+    return Boolean(
+      await Membership.exists({
+        user: userId,
+        organization: dashboard.organization,
+        status: "active",
+      })
+    );
+  }
 }
 
 export default new DashboardService();
@@ -0,0 +1,446 @@
+import mongoose from "mongoose";
+
+import Task from "../models/Task.js";
+import logger from "../utils/logger.js";
+
+import taskAccessService from "./taskAccessService.js";
+
+// Statuses that resolve a dependency
+const DONE_STATUSES = ["completed", "cancelled"];
+
+// Statuses a blocked task cannot move to without forcing
+const BLOCKED_STATUSES = ["in-progress", "completed"];
+
+// Fields returned for each task in a dependency graph
+const GRAPH_FIELDS =
+  "title status priority estimatedTime dueDate project dependencies blockedBy";
+
+const toIdString = (id) => id.toString();
+
+/**
+ * Dependency Service - task dependency graph, cycle detection and blocking
+ */
+class DependencyService {
+  /**
+   * Whether a task in this status no longer blocks its dependents
+   */
+  isDone(status) {
+    return DONE_STATUSES.includes(status);
+  }
+
+  /**
+   * Make a task depend on another task
+   * @param {String} taskId - Dependent task
+   * @param {String} dependencyId - Task it depends on
+   * @param {String} userId - User making the change
+   * @returns {Promise<Object>} Updated task
+   */
+  async addDependency(taskId, dependencyId, userId) {
+    try {
+      const task = await this._findEditableTask(taskId, userId);
+      const dependency = await this._findVisibleTask(
+        dependencyId,
+        userId,
+        "Dependency not found"
+      );
+
+      if (task.dependencies.some((id) => id.equals(dependency._id))) {
+        return task;
+      }
+
+      await this._assertNoCycle(task._id, dependency._id);
+
+      task.dependencies.push(dependency._id);
+      if (!this.isDone(dependency.status)) {
+        task.blockedBy.addToSet(dependency._id);
+      }
+      await task.save();
+
+      return task;
+    } catch (error) {
+      logger.error(`Error adding task dependency: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a dependency from a task
+   * @param {String} taskId - Dependent task
+   * @param {String} dependencyId - Task it no longer depends on
+   * @param {String} userId - User making the change
+   * @returns {Promise<Object>} Updated task
+   */
+  async removeDependency(taskId, dependencyId, userId) {
+    try {
+      const task = await this._findEditableTask(taskId, userId);
+
+      if (!task.dependencies.some((id) => id.toString() === dependencyId)) {
+        throw new Error("Dependency not found");
+      }
+
+      task.dependencies.pull(dependencyId);
+      task.blockedBy.pull(dependencyId);
+      await task.save();
+
+      return task;
+    } catch (error) {
+      logger.error(`Error removing task dependency: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a full dependency list set through task create/update. New
+   * dependencies must be tasks the user can see; ones the task already has
+   * are kept as they are.
+   * @param {String|null} taskId - Task being changed, or null for a new task
+   * @param {Array} dependencyIds - Requested dependencies
+   * @param {String} userId - User making the change
+   * @returns {Promise<Array>} The dependencies that are not done yet
+   */
+  async validateDependencies(taskId, dependencyIds, userId) {
+    const ids = [...new Set(dependencyIds.map(toIdString))];
+
+    const existing = taskId
+      ? (await Task.findById(taskId).select("dependencies").lean())
+          ?.dependencies || []
+      : [];
+    const kept = new Set(existing.map(toIdString));
+
+    const dependencies = [];
+    for (const id of ids) {
+      dependencies.push(
+        kept.has(id)
+          ? await Task.findById(id).select("status")
+          : await this._findVisibleTask(id, userId, "Dependency not found")
+      );
+    }
+    if (dependencies.some((dependency) => !dependency)) {
+      throw new Error("Dependency not found");
+    }
+
+    // Nothing depends on a task that does not exist yet, so only existing
+    // tasks can close a cycle
+    if (taskId) {
+      for (const dependency of dependencies) {
+        await this._assertNoCycle(taskId, dependency._id);
+      }
+    }
+
+    return dependencies
+      .filter((dependency) => !this.isDone(dependency.status))
+      .map((dependency) => dependency._id);
+  }
+
+  /**
+   * Refuse moving a blocked task to in-progress or completed unless forced
+   * @param {Object} task - Task with its current blockedBy list
+   * @param {String} status - Requested status
+   * @param {Boolean} force - Skip the check
+   */
+  assertCanMoveTo(task, status, force = false) {
+    if (
+      !force &&
+      status !== task.status &&
+      BLOCKED_STATUSES.includes(status) &&
+      task.blockedBy.length > 0
+    ) {
+      throw new Error("Task is blocked by incomplete dependencies");
+    }
+  }
+
+  /**
+   * Update the tasks that depend on a task after its status changed
+   * @param {Object} task - Task whose status changed
+   */
+  async syncDependents(task) {
+    const update = this.isDone(task.status)
+      ? { $pull: { blockedBy: task._id } }
+      : { $addToSet: { blockedBy: task._id } };
+
+    await Task.updateMany({ dependencies: task._id }, update);
+  }
+
+  /**
+   * Remove deleted tasks from every dependency list
+   * @param {Array} taskIds - Deleted tasks
+   */
+  async removeFromGraph(taskIds) {
+    await Task.updateMany(
+      { dependencies: { $in: taskIds } },
+      {
+        $pull: {
+          dependencies: { $in: taskIds },
+          blockedBy: { $in: taskIds },
+        },
+      }
+    );
+  }
+
+  /**
+   * Recompute blockedBy for tasks from their dependencies' statuses
+   * @param {Object} filter - Tasks to recompute
+   * @returns {Promise<Number>} Number of tasks updated
+   */
+  async refreshBlockedBy(filter = { "dependencies.0": { $exists: true } }) {
+    const tasks = await Task.find(filter).select("dependencies").lean();
+    const dependencyIds = [
+      ...new Set(tasks.flatMap((task) => task.dependencies.map(toIdString))),
+    ];
+    const open = new Set(
+      (
+        await Task.find({
+          _id: { $in: dependencyIds },
+          status: { $nin: DONE_STATUSES },
+        })
+          .select("_id")
+          .lean()
+      ).map((task) => task._id.toString())
+    );
+
+    const operations = tasks.map((task) => ({
+      updateOne: {
+        filter: { _id: task._id },
+        update: {
+          $set: {
+            blockedBy: task.dependencies.filter((id) =>
+              open.has(id.toString())
+            ),
+          },
+        },
+      },
+    }));
+
+    if (operations.length > 0) {
+      await Task.bulkWrite(operations, { ordered: false });
+    }
+    return operations.length;
+  }
+
+  /**
+   * Get a task's dependency graph: everything it waits on (upstream), every
+   * task waiting on it (downstream), and the critical path of its project.
+   * Only tasks the user can see are included.
+   * @param {String} taskId - Task ID
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Graph
+   */
+  async getGraph(taskId, userId) {
+    try {
+      const task = await this._findVisibleTask(
+        taskId,
+        userId,
+        "Task not found"
+      );
+
+      const accessFilter = await taskAccessService.getAccessFilter(userId);
+      const [upstream, downstream, criticalPath] = await Promise.all([
+        this._collect(task, "upstream", accessFilter),
+        this._collect(task, "downstream", accessFilter),
+        task.project ? this.getCriticalPath(task.project, userId) : null,
+      ]);
+
+      return {
+        task: this._toNode(task.toObject(), 0),
+        upstream,
+        downstream,
+        criticalPath,
+      };
+    } catch (error) {
+      logger.error(`Error fetching task graph: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Longest chain of unfinished, dependent tasks in a project, weighted by
+   * estimated time. It is the shortest time in which the project can finish.
+   * Only tasks the user can see are included.
+   * @param {String} projectId - Project ID
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { tasks, totalEstimatedTime }
+   */
+  async getCriticalPath(projectId, userId) {
+    const tasks = await Task.find({
+      project: projectId,
+      isArchived: false,
+      status: { $nin: DONE_STATUSES },
+      ...(await taskAccessService.getAccessFilter(userId)),
+    })
+      .select(GRAPH_FIELDS)
+      .lean();
+
+    const byId = new Map(tasks.map((task) => [task._id.toString(), task]));
+    const dependents = new Map(tasks.map((task) => [task._id.toString(), []]));
+    const pending = new Map();
+
+    tasks.forEach((task) => {
+      const id = task._id.toString();
+      const inProject = task.dependencies
+        .map(toIdString)
+        .filter((dependencyId) => byId.has(dependencyId));
+      pending.set(id, inProject.length);
+      inProject.forEach((dependencyId) =>
+        dependents.get(dependencyId).push(id)
+      );
+    });
+
+    // Walk the tasks in dependency order, keeping the longest chain to each
+    const best = new Map();
+    const queue = tasks
+      .map((task) => task._id.toString())
+      .filter((id) => pending.get(id) === 0);
+    queue.forEach((id) => best.set(id, { time: 0, length: 0, previous: null }));
+
+    let end = null;
+    while (queue.length > 0) {
+      const id = queue.shift();
+      const reached = best.get(id);
+      const chain = {
+        time: reached.time + (byId.get(id).estimatedTime || 0),
+        length: reached.length + 1,
+        previous: reached.previous,
+      };
+      best.set(id, chain);
+
+      if (!end || this._isLonger(chain, best.get(end))) {
+        end = id;
+      }
+
+      for (const dependentId of dependents.get(id)) {
+        const current = best.get(dependentId);
+        const candidate = {
+          time: chain.time,
+          length: chain.length,
+          previous: id,
+        };
+        if (!current || this._isLonger(candidate, current)) {
+          best.set(dependentId, candidate);
+        }
+
+        pending.set(dependentId, pending.get(dependentId) - 1);
+        if (pending.get(dependentId) === 0) {
+          queue.push(dependentId);
+        }
+      }
+    }
+
+    const path = [];
+    for (let id = end; id; id = best.get(id).previous) {
+      path.unshift(this._toNode(byId.get(id)));
+    }
+
+    return {
+      tasks: path,
+      totalEstimatedTime: end ? best.get(end).time : 0,
+    };
+  }
+
+  // Private helper methods
+
+  /**
+   * Walk the graph breadth-first from a task. Upstream follows dependencies,
+   * downstream follows the tasks that depend on it. Tasks outside the access
+   * filter are left out, along with what lies beyond them.
+   */
+  async _collect(task, direction, accessFilter) {
+    const seen = new Set([task._id.toString()]);
+    const nodes = [];
+    let frontier = [task];
+
+    for (let depth = 1; frontier.length > 0; depth += 1) {
+      const query =
+        direction === "upstream"
+          ? { _id: { $in: frontier.flatMap((node) => node.dependencies) } }
+          : { dependencies: { $in: frontier.map((node) => node._id) } };
+
+      const next = (
+        await Task.find({ $and: [query, accessFilter] })
+          .select(GRAPH_FIELDS)
+          .lean()
+      ).filter((node) => !seen.has(node._id.toString()));
+
+      next.forEach((node) => {
+        seen.add(node._id.toString());
+        nodes.push(this._toNode(node, depth));
+      });
+      frontier = next;
+    }
+
+    return nodes;
+  }
+
+  /**
+   * A task cannot depend on a task that (transitively) depends on it
+   */
+  async _assertNoCycle(taskId, dependencyId) {
+    if (taskId.toString() === dependencyId.toString()) {
+      throw new Error("A task cannot depend on itself");
+    }
+
+    const seen = new Set([dependencyId.toString()]);
+    let frontier = [dependencyId];
+
+    while (frontier.length > 0) {
+      const tasks = await Task.find({ _id: { $in: frontier } })
+        .select("dependencies")
+        .lean();
+
+      frontier = [];
+      for (const id of tasks.flatMap((task) => task.dependencies)) {
+        const key = id.toString();
+        if (key === taskId.toString()) {
+          throw new Error("Dependency would create a cycle");
+        }
+        if (!seen.has(key)) {
+          seen.add(key);
+          frontier.push(id);
+        }
+      }
+    }
+  }
+
+  _isLonger(a, b) {
+    return a.time > b.time || (a.time === b.time && a.length > b.length);
+  }
+
+  _toNode(task, depth) {
+    return {
+      _id: task._id,
+      title: task.title,
+      status: task.status,
+      priority: task.priority,
+      estimatedTime: task.estimatedTime,
+      dueDate: task.dueDate,
+      project: task.project,
+      dependencies: task.dependencies,
+      isBlocked: (task.blockedBy || []).length > 0,
+      ...(depth !== undefined && { depth }),
+    };
+  }
+
+  /**
+   * Load a task the user can edit
+   */
+  async _findEditableTask(taskId, userId) {
+    return taskAccessService.findTask(taskId, userId, "edit");
+  }
+
+  /**
+   * Load a task the user can see
+   */
+  async _findVisibleTask(taskId, userId, notFoundMessage) {
+    if (!mongoose.isValidObjectId(taskId)) {
+      throw new Error(notFoundMessage);
+    }
+
+    const task = await Task.findById(taskId);
+    if (!task || !(await taskAccessService.can(task, userId, "view"))) {
+      throw new Error(notFoundMessage);
+    }
+
+    return task;
+  }
+}
+
+export default new DependencyService();
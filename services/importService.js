@@ -0,0 +1,559 @@
+import mongoose from "mongoose";
+import { clean } from "xss-clean/lib/xss.js";
+
+import Comment from "../models/Comment.js";
+import ImportBatch from "../models/ImportBatch.js";
+import Membership from "../models/Membership.js";
+import Task from "../models/Task.js";
+import logger from "../utils/logger.js";
+import { paginate } from "../utils/pagination.js";
+
+import attachmentService from "./attachmentService.js";
+import dependencyService from "./dependencyService.js";
+import { IMPORT_FORMATS } from "./importers/index.js";
+import projectService from "./projectService.js";
+import schedulerService from "./schedulerService.js";
+import subtaskService from "./subtaskService.js";
+import taskHistoryService from "./taskHistoryService.js";
+import taskService from "./taskService.js";
+
+const MB = 1024 * 1024;
+
+// Largest file an import may read
+const MAX_IMPORT_SIZE = (parseInt(process.env.IMPORT_MAX_SIZE_MB) || 5) * MB;
+
+// Most tasks (subtasks included) one import may create
+const MAX_IMPORT_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 2000;
+
+// How long a preview can be committed
+const PREVIEW_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Status names used by other tools, by their lowercase form
+const STATUS_ALIASES = {
+  todo: "todo",
+  "to do": "todo",
+  open: "todo",
+  backlog: "todo",
+  "not started": "todo",
+  "in progress": "in-progress",
+  doing: "in-progress",
+  started: "in-progress",
+  review: "review",
+  "in review": "review",
+  done: "completed",
+  complete: "completed",
+  completed: "completed",
+  closed: "completed",
+  cancelled: "cancelled",
+  canceled: "cancelled",
+  "on hold": "on-hold",
+  blocked: "on-hold",
+};
+
+const PRIORITY_ALIASES = {
+  lowest: "low",
+  low: "low",
+  normal: "medium",
+  medium: "medium",
+  high: "high",
+  highest: "urgent",
+  critical: "urgent",
+  urgent: "urgent",
+};
+
+// Import item fields copied onto the task
+const TASK_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "dueDate",
+  "startDate",
+  "category",
+  "estimatedTime",
+];
+
+// Text the API would have escaped on the way in (see xss-clean in server.js)
+const cleanText = (value) =>
+  value === undefined || value === null || value === ""
+    ? undefined
+    : clean(String(value));
+
+const toAlias = (value, aliases) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const name = String(value).trim().toLowerCase().replace(/[-_]+/g, " ");
+  // Unknown values are kept so the Task schema reports them
+  return aliases[name] || String(value).trim();
+};
+
+/**
+ * Import Service - creates tasks from CSV, JSON, Trello and Todoist files.
+ * An import is previewed first, then committed, and can be undone.
+ */
+class ImportService {
+  /**
+   * Largest file an import may read, in bytes
+   */
+  get maxFileSize() {
+    return MAX_IMPORT_SIZE;
+  }
+
+  /**
+   * Parse and validate a file without creating anything
+   * @param {String} userId - User ID
+   * @param {Object} params - { format, file, mapping, project, organization }
+   * @returns {Promise<Object>} Preview with per-row errors
+   */
+  async previewImport(userId, params = {}) {
+    try {
+      const { format, file } = params;
+
+      if (!IMPORT_FORMATS[format]) {
+        throw new Error(
+          `Invalid import - format must be one of ${Object.keys(
+            IMPORT_FORMATS
+          ).join(", ")}`
+        );
+      }
+      if (!file) {
+        throw new Error("Invalid import - a file is required");
+      }
+      if (file.size > MAX_IMPORT_SIZE) {
+        throw new Error(
+          `Invalid import - files may be at most ${MAX_IMPORT_SIZE / MB} MB`
+        );
+      }
+
+      const mapping = this._parseMapping(params.mapping);
+      const target = await this._resolveTarget(userId, params);
+
+      const parsed = IMPORT_FORMATS[format](file.buffer.toString("utf8"), {
+        mapping,
+      });
+      if (parsed.length === 0) {
+        throw new Error("Invalid import - the file has no tasks");
+      }
+      if (parsed.length > MAX_IMPORT_ROWS) {
+        throw new Error(
+          `Invalid import - at most ${MAX_IMPORT_ROWS} tasks can be imported at once`
+        );
+      }
+
+      const items = this._validateItems(parsed, userId, target);
+      const invalid = items.filter((item) => item.errors.length > 0).length;
+
+      const batch = await ImportBatch.create({
+        owner: userId,
+        organization: target.organization,
+        project: target.project,
+        format,
+        filename: file.originalname,
+        items,
+        summary: {
+          rows: items.length,
+          valid: items.length - invalid,
+          invalid,
+          subtasks: items.filter((item) => item.parentIndex !== null).length,
+          comments: items.reduce((sum, item) => sum + item.comments.length, 0),
+        },
+        expiresAt: new Date(Date.now() + PREVIEW_TTL_MS),
+      });
+
+      return this._toResult(batch.toObject());
+    } catch (error) {
+      logger.error(`Error previewing import: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the tasks of a preview. Rows with errors, and the subtasks below
+   * them, are skipped.
+   * @param {String} batchId - Import ID
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Committed import
+   */
+  async commitImport(batchId, userId) {
+    try {
+      const batch = await this._findBatch(batchId, userId);
+      if (batch.status !== "preview") {
+        throw new Error(`Invalid import - it has already been ${batch.status}`);
+      }
+
+      // Access to the project may have changed since the preview
+      await this._resolveTarget(userId, {
+        project: batch.project,
+        organization: batch.organization,
+      });
+
+      const { items } = batch;
+      const created = new Map();
+      const failures = [];
+
+      // Parents are created before their subtasks
+      const order = items
+        .map((item, index) => index)
+        .sort((a, b) => items[a].level - items[b].level);
+
+      for (const index of order) {
+        const item = items[index];
+        if (item.errors.length > 0) continue;
+
+        const parent =
+          item.parentIndex === null ? null : created.get(item.parentIndex);
+        if (item.parentIndex !== null && !parent) {
+          failures.push({
+            row: item.row,
+            error: `Parent row ${items[item.parentIndex].row} was not imported`,
+          });
+          continue;
+        }
+
+        try {
+          const task = await taskService.createTask({
+            ...item.fields,
+            owner: userId,
+            createdBy: userId,
+            organization: batch.organization || undefined,
+            project: batch.project || undefined,
+            parentTask: parent ? parent._id : undefined,
+          });
+          created.set(index, task);
+        } catch (error) {
+          failures.push({
+            row: item.row,
+            error:
+              error.name === "ValidationError"
+                ? Object.values(error.errors)
+                    .map((err) => err.message)
+                    .join("; ")
+                : error.message,
+          });
+        }
+      }
+
+      const comments = await Comment.insertMany(
+        [...created].flatMap(([index, task]) =>
+          items[index].comments.map((content) => ({
+            content,
+            author: userId,
+            entityType: "Task",
+            entityId: task._id,
+          }))
+        )
+      );
+
+      batch.status = "committed";
+      batch.tasks = [...created.values()].map((task) => task._id);
+      batch.comments = comments.map((comment) => comment._id);
+      batch.failures = failures;
+      batch.summary.created = created.size;
+      batch.committedAt = new Date();
+      batch.items = undefined;
+      batch.expiresAt = undefined;
+      await batch.save();
+
+      logger.info(
+        `Import ${batch._id} committed by user ${userId}: ${created.size} task(s) created`
+      );
+
+      return this._toResult(batch.toObject());
+    } catch (error) {
+      logger.error(`Error committing import: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete everything a committed import created, including changes made to
+   * those tasks since
+   * @param {String} batchId - Import ID
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Undone import
+   */
+  async undoImport(batchId, userId) {
+    try {
+      const batch = await this._findBatch(batchId, userId);
+      if (batch.status !== "committed") {
+        throw new Error(
+          "Invalid import - only committed imports can be undone"
+        );
+      }
+
+      const ids = batch.tasks;
+
+      // Tasks that were moved under imported ones since stay, at the top
+      // level; parents that imported tasks were moved under lose them
+      await Task.updateMany(
+        { _id: { $nin: ids }, parentTask: { $in: ids } },
+        { $set: { parentTask: null } }
+      );
+      const parentIds = await Task.find({
+        _id: { $nin: ids },
+        subtasks: { $in: ids },
+      }).distinct("_id");
+      await Task.updateMany(
+        { _id: { $in: parentIds } },
+        { $pull: { subtasks: { $in: ids } } }
+      );
+
+      const { deletedCount } = await Task.deleteMany({ _id: { $in: ids } });
+      await dependencyService.removeFromGraph(ids);
+      await Comment.deleteMany({ entityType: "Task", entityId: { $in: ids } });
+      await taskHistoryService.deleteForTasks(ids);
+      await attachmentService.deleteForEntities("Task", ids);
+      await schedulerService.cancelForEntity("Task", { $in: ids });
+
+      for (const parentId of parentIds) {
+        await subtaskService.refreshRollups(parentId);
+      }
+
+      batch.status = "undone";
+      batch.undoneAt = new Date();
+      await batch.save();
+
+      logger.info(
+        `Import ${batch._id} undone by user ${userId}: ${deletedCount} task(s) deleted`
+      );
+
+      return { ...this._toResult(batch.toObject()), deleted: deletedCount };
+    } catch (error) {
+      logger.error(`Error undoing import: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * List the user's imports, newest first
+   * @param {String} userId - User ID
+   * @param {Object} query - { cursor, page, limit }
+   * @returns {Promise<Object>} Imports and pagination
+   */
+  async getImports(userId, query = {}) {
+    try {
+      const { items: imports, pagination } = await paginate(
+        ImportBatch.find({ owner: userId })
+          .select("-items -tasks -comments")
+          .lean(),
+        { cursor: query.cursor, page: query.page, limit: query.limit },
+        { sortFields: ["createdAt"], defaultSort: "createdAt" }
+      );
+
+      return { imports, pagination };
+    } catch (error) {
+      logger.error(`Error fetching imports: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an import; previews include their rows
+   * @param {String} batchId - Import ID
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Import
+   */
+  async getImport(batchId, userId) {
+    try {
+      const batch = await this._findBatch(batchId, userId);
+      return this._toResult(batch.toObject());
+    } catch (error) {
+      logger.error(`Error fetching import: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Private helper methods
+
+  async _findBatch(batchId, userId) {
+    const batch =
+      mongoose.isValidObjectId(batchId) &&
+      (await ImportBatch.findOne({ _id: batchId, owner: userId }));
+    if (!batch) {
+      throw new Error("Import not found");
+    }
+    return batch;
+  }
+
+  /**
+   * The project (and its organization) or organization imported tasks join
+   */
+  async _resolveTarget(userId, { project, organization }) {
+    if (project) {
+      if (!mongoose.isValidObjectId(project)) {
+        throw new Error("Project not found");
+      }
+      const found = await projectService.getProjectById(
+        project.toString(),
+        userId
+      );
+      return { project: found._id, organization: found.organization };
+    }
+
+    if (organization) {
+      const isMember =
+        mongoose.isValidObjectId(organization) &&
+        (await Membership.exists({
+          user: userId,
+          organization,
+          status: "active",
+        }));
+      if (!isMember) {
+        throw new Error(
+          "You do not have permission to import into this organization"
+        );
+      }
+      return { project: null, organization };
+    }
+
+    return { project: null, organization: null };
+  }
+
+  _parseMapping(mapping) {
+    if (mapping === undefined || mapping === null || mapping === "") {
+      return undefined;
+    }
+    if (typeof mapping === "object") return mapping;
+
+    try {
+      const parsed = JSON.parse(mapping);
+      if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+        throw new Error();
+      }
+      return parsed;
+    } catch (error) {
+      throw new Error(
+        'Invalid mapping - use a JSON object such as {"title": "Name"}'
+      );
+    }
+  }
+
+  /**
+   * Check every item against the Task schema and the subtask rules. Items
+   * under an invalid parent are invalid too.
+   */
+  _validateItems(parsed, userId, target) {
+    const items = parsed.map((item) => ({
+      row: item.row,
+      ref: item.ref,
+      parentRef: item.parentRef,
+      fields: this._toTaskFields(item),
+      comments: (item.comments || []).map(cleanText).filter(Boolean),
+      errors: [],
+      warnings: item.warnings || [],
+      parentIndex: null,
+      level: 0,
+    }));
+
+    const byRef = new Map();
+    items.forEach((item, index) => {
+      if (!item.ref) return;
+      if (byRef.has(item.ref)) {
+        item.errors.push(`Duplicate id "${item.ref}"`);
+      } else {
+        byRef.set(item.ref, index);
+      }
+    });
+
+    items.forEach((item) => {
+      if (!item.parentRef) return;
+      if (!byRef.has(item.parentRef)) {
+        item.errors.push(`Parent "${item.parentRef}" is not in the import`);
+      } else {
+        item.parentIndex = byRef.get(item.parentRef);
+      }
+    });
+
+    items.forEach((item, index) => {
+      const seen = new Set([index]);
+      let parentIndex = item.parentIndex;
+      while (parentIndex !== null) {
+        if (seen.has(parentIndex)) {
+          item.errors.push("A task cannot be a subtask of itself");
+          item.parentIndex = null;
+          break;
+        }
+        seen.add(parentIndex);
+        item.level++;
+        parentIndex = items[parentIndex].parentIndex;
+      }
+      if (item.level > subtaskService.maxDepth) {
+        item.errors.push(
+          `Subtasks cannot be nested more than ${subtaskService.maxDepth} levels deep`
+        );
+      }
+
+      const error = new Task({
+        ...item.fields,
+        owner: userId,
+        organization: target.organization,
+        project: target.project,
+      }).validateSync();
+      if (error) {
+        item.errors.push(
+          ...Object.values(error.errors).map((err) => err.message)
+        );
+      }
+    });
+
+    // Parents come before their subtasks in level order
+    [...items]
+      .sort((a, b) => a.level - b.level)
+      .forEach((item) => {
+        const parent =
+          item.parentIndex === null ? null : items[item.parentIndex];
+        if (parent && parent.errors.length > 0) {
+          item.errors.push(`Parent row ${parent.row} has errors`);
+        }
+      });
+
+    return items;
+  }
+
+  _toTaskFields(item) {
+    const fields = {
+      title: cleanText(item.title),
+      description: cleanText(item.description),
+      status: toAlias(item.status, STATUS_ALIASES),
+      priority: toAlias(item.priority, PRIORITY_ALIASES),
+      dueDate: item.dueDate,
+      startDate: item.startDate,
+      category: cleanText(item.category),
+      estimatedTime: item.estimatedTime,
+    };
+    const tags = [...new Set((item.tags || []).map(cleanText).filter(Boolean))];
+
+    return {
+      ...Object.fromEntries(
+        TASK_FIELDS.filter(
+          (field) => fields[field] !== undefined && fields[field] !== null
+        ).map((field) => [field, fields[field]])
+      ),
+      ...(tags.length > 0 && { tags }),
+    };
+  }
+
+  /**
+   * An import as returned by the API. Previews list each row with its
+   * errors instead of the stored items.
+   */
+  _toResult(batch) {
+    const { items, ...result } = batch;
+    if (!items) return result;
+
+    return {
+      ...result,
+      rows: items.map((item) => ({
+        row: item.row,
+        title: item.fields.title || null,
+        parentRow:
+          item.parentIndex === null ? null : items[item.parentIndex].row,
+        subtaskLevel: item.level,
+        comments: item.comments.length,
+        errors: item.errors,
+        warnings: item.warnings,
+      })),
+    };
+  }
+}
+
+export default new ImportService();
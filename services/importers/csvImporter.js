@@ -0,0 +1,111 @@
+import { parseCsv } from "../../utils/csv.js";
+
+// Fields a CSV column can be mapped to, with the headers each one is
+// matched to when no mapping is given
+const CSV_FIELDS = {
+  id: ["id", "externalid", "ref"],
+  parent: ["parent", "parentid"],
+  title: ["title", "name", "task", "summary"],
+  description: ["description", "desc", "notes", "details"],
+  status: ["status", "state"],
+  priority: ["priority"],
+  dueDate: ["duedate", "due"],
+  startDate: ["startdate", "start"],
+  tags: ["tags", "labels"],
+  category: ["category", "list"],
+  estimatedTime: ["estimatedtime", "estimate"],
+  comments: ["comments", "comment"],
+};
+
+const normalizeHeader = (header) =>
+  header.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Column index of each field, from the mapping or else from the headers
+ */
+const resolveColumns = (header, mapping) => {
+  const normalized = header.map(normalizeHeader);
+
+  if (!mapping) {
+    return Object.fromEntries(
+      Object.entries(CSV_FIELDS)
+        .map(([field, aliases]) => [
+          field,
+          normalized.findIndex((name) => aliases.includes(name)),
+        ])
+        .filter(([, index]) => index !== -1)
+    );
+  }
+
+  return Object.fromEntries(
+    Object.entries(mapping).map(([field, column]) => {
+      if (!CSV_FIELDS[field]) {
+        throw new Error(
+          `Invalid mapping - ${field} is not a field; use ${Object.keys(
+            CSV_FIELDS
+          ).join(", ")}`
+        );
+      }
+      const index = header.indexOf(column);
+      const fallback = normalized.indexOf(normalizeHeader(String(column)));
+      if (index === -1 && fallback === -1) {
+        throw new Error(`Invalid mapping - there is no column "${column}"`);
+      }
+      return [field, index !== -1 ? index : fallback];
+    })
+  );
+};
+
+// Lists are separated by commas or semicolons within a cell
+const splitList = (value) =>
+  value
+    ? value
+        .split(/[,;]/)
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : [];
+
+/**
+ * Read tasks from a CSV file with a header row. Subtasks name their
+ * parent's id in the parent column.
+ * @param {String} content - File contents
+ * @param {Object} options - { mapping: { field: column header } }
+ * @returns {Array} Import items
+ */
+export const parseCsvImport = (content, { mapping } = {}) => {
+  const [header, ...rows] = parseCsv(content);
+  if (!header) {
+    throw new Error("Invalid import - the file is empty");
+  }
+
+  const columns = resolveColumns(header, mapping);
+  if (columns.title === undefined) {
+    throw new Error("Invalid mapping - no column is mapped to title");
+  }
+
+  return rows.map((cells) => {
+    const value = (field) =>
+      columns[field] === undefined
+        ? undefined
+        : (cells[columns[field]] || "").trim() || undefined;
+
+    return {
+      row: cells.line,
+      ref: value("id"),
+      parentRef: value("parent"),
+      title: value("title"),
+      description: value("description"),
+      status: value("status"),
+      priority: value("priority"),
+      dueDate: value("dueDate"),
+      startDate: value("startDate"),
+      tags: splitList(value("tags")),
+      category: value("category"),
+      estimatedTime: value("estimatedTime"),
+      comments: (value("comments") || "")
+        .split(/\r?\n/)
+        .map((comment) => comment.trim())
+        .filter(Boolean),
+    };
+  });
+};
@@ -0,0 +1,19 @@
+import { parseCsvImport } from "./csvImporter.js";
+import { parseJsonImport } from "./jsonImporter.js";
+import { parseTodoistImport } from "./todoistImporter.js";
+import { parseTrelloImport } from "./trelloImporter.js";
+
+/**
+ * Parsers for each import format. Each turns file contents into a flat list
+ * of items:
+ * { row, ref, parentRef, title, description, status, priority, dueDate,
+ *   startDate, category, estimatedTime, tags: [], comments: [], warnings: [] }
+ * row locates the item in the file for error reports; parentRef is the ref
+ * of the item it is a subtask of.
+ */
+export const IMPORT_FORMATS = {
+  csv: parseCsvImport,
+  json: parseJsonImport,
+  trello: parseTrelloImport,
+  todoist: parseTodoistImport,
+};
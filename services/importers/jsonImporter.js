@@ -0,0 +1,58 @@
+const TASK_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "dueDate",
+  "startDate",
+  "category",
+  "estimatedTime",
+];
+
+/**
+ * Read tasks from JSON: an array of tasks (or { tasks: [...] }), each with
+ * the usual task fields, tags, comments as strings and nested subtasks
+ * @param {String} content - File contents
+ * @returns {Array} Import items
+ */
+export const parseJsonImport = (content) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid import - the file is not valid JSON`);
+  }
+
+  const tasks = Array.isArray(data) ? data : data?.tasks;
+  if (!Array.isArray(tasks)) {
+    throw new Error("Invalid import - expected an array of tasks");
+  }
+
+  const items = [];
+  const addTask = (task, parentRef) => {
+    const ref = `task-${items.length + 1}`;
+    const source = task && typeof task === "object" ? task : {};
+
+    items.push({
+      row: items.length + 1,
+      ref,
+      parentRef,
+      ...Object.fromEntries(
+        TASK_FIELDS.filter((field) => source[field] !== undefined).map(
+          (field) => [field, source[field]]
+        )
+      ),
+      tags: Array.isArray(source.tags) ? source.tags.map(String) : [],
+      comments: Array.isArray(source.comments)
+        ? source.comments.map(String)
+        : [],
+    });
+
+    if (Array.isArray(source.subtasks)) {
+      source.subtasks.forEach((subtask) => addTask(subtask, ref));
+    }
+  };
+  tasks.forEach((task) => addTask(task));
+
+  return items;
+};
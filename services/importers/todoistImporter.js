@@ -0,0 +1,131 @@
+import { parseCsv } from "../../utils/csv.js";
+
+// Todoist API priorities run from 1 (normal) to 4 (urgent)
+const API_PRIORITIES = { 1: "low", 2: "medium", 3: "high", 4: "urgent" };
+
+// CSV exports use the p1-p4 labels, where p1 is the most urgent
+const CSV_PRIORITIES = { 1: "urgent", 2: "high", 3: "medium", 4: "low" };
+
+/**
+ * Read a Todoist export: the CSV a project exports to (Project menu >
+ * Export as a template), or JSON from the API (an array of tasks, or a
+ * backup with items and notes)
+ * @param {String} content - File contents
+ * @returns {Array} Import items
+ */
+export const parseTodoistImport = (content) => {
+  const text = content.trim();
+  return text.startsWith("{") || text.startsWith("[")
+    ? parseTodoistJson(text)
+    : parseTodoistCsv(text);
+};
+
+/**
+ * Task rows are nested by INDENT, NOTE rows are comments on the task above
+ * them and SECTION rows set the category of the tasks below them
+ */
+function parseTodoistCsv(content) {
+  const [header, ...rows] = parseCsv(content);
+  const columns = Object.fromEntries(
+    (header || []).map((name, index) => [name.trim().toUpperCase(), index])
+  );
+  if (columns.TYPE === undefined || columns.CONTENT === undefined) {
+    throw new Error(
+      "Invalid import - a Todoist CSV export needs TYPE and CONTENT columns"
+    );
+  }
+
+  const items = [];
+  // Last task at each indent level, to find the parent of the next one
+  const parents = [];
+  let section;
+
+  rows.forEach((cells) => {
+    const value = (column) =>
+      columns[column] === undefined
+        ? undefined
+        : (cells[columns[column]] || "").trim() || undefined;
+    const type = (value("TYPE") || "").toLowerCase();
+
+    if (type === "section") {
+      section = value("CONTENT")?.slice(0, 50);
+      parents.length = 0;
+      return;
+    }
+    if (type === "note") {
+      const task = items[items.length - 1];
+      if (task && value("CONTENT")) task.comments.push(value("CONTENT"));
+      return;
+    }
+    if (type !== "task") return;
+
+    const indent = Math.max(1, parseInt(value("INDENT")) || 1);
+    const parent = parents[indent - 2];
+    const ref = `row-${cells.line}`;
+    const date = value("DATE");
+    const warnings = [];
+    // Todoist dates may be natural language such as "every monday"
+    let dueDate;
+    if (date && !Number.isNaN(Date.parse(date))) {
+      dueDate = date;
+    } else if (date) {
+      warnings.push(`Due date "${date}" was not understood and is left out`);
+    }
+
+    items.push({
+      row: cells.line,
+      ref,
+      parentRef: indent > 1 ? parent : undefined,
+      title: value("CONTENT"),
+      description: value("DESCRIPTION"),
+      priority: CSV_PRIORITIES[value("PRIORITY")],
+      dueDate,
+      category: section,
+      tags: [],
+      comments: [],
+      warnings,
+    });
+
+    parents[indent - 1] = ref;
+    parents.length = indent;
+  });
+
+  return items;
+}
+
+function parseTodoistJson(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error("Invalid import - the file is not valid JSON");
+  }
+
+  const tasks = Array.isArray(data) ? data : data.items;
+  if (!Array.isArray(tasks)) {
+    throw new Error("Invalid import - this is not a Todoist export");
+  }
+
+  const comments = new Map();
+  (Array.isArray(data) ? [] : data.notes || data.comments || []).forEach(
+    (note) => {
+      const taskId = String(note.item_id || note.task_id);
+      comments.set(taskId, [...(comments.get(taskId) || []), note.content]);
+    }
+  );
+
+  return tasks
+    .filter((task) => !task.is_deleted)
+    .map((task, index) => ({
+      row: index + 1,
+      ref: String(task.id),
+      parentRef: task.parent_id ? String(task.parent_id) : undefined,
+      title: task.content,
+      description: task.description || undefined,
+      status: task.checked || task.is_completed ? "completed" : "todo",
+      priority: API_PRIORITIES[task.priority],
+      dueDate: task.due?.datetime || task.due?.date || undefined,
+      tags: task.labels || [],
+      comments: (comments.get(String(task.id)) || []).filter(Boolean),
+    }));
+}
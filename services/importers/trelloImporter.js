@@ -0,0 +1,87 @@
+// Trello list names that stand for a task status; other lists are to do
+const LIST_STATUSES = [
+  [/\b(done|complete|completed|finished|shipped)\b/i, "completed"],
+  [/\b(review|testing|qa)\b/i, "review"],
+  [/\b(doing|in progress|in-progress|wip|started)\b/i, "in-progress"],
+  [/\b(blocked|on hold|waiting)\b/i, "on-hold"],
+];
+
+const listStatus = (name = "") =>
+  (LIST_STATUSES.find(([pattern]) => pattern.test(name)) || [])[1] || "todo";
+
+/**
+ * Read a Trello board export (Board menu > Print, export and share > JSON).
+ * Cards become tasks in a status taken from their list, checklist items
+ * become subtasks, labels become tags and card comments become comments.
+ * Archived cards and lists are left out.
+ * @param {String} content - File contents
+ * @returns {Array} Import items
+ */
+export const parseTrelloImport = (content) => {
+  let board;
+  try {
+    board = JSON.parse(content);
+  } catch (error) {
+    throw new Error("Invalid import - the file is not valid JSON");
+  }
+  if (!Array.isArray(board?.cards) || !Array.isArray(board?.lists)) {
+    throw new Error("Invalid import - this is not a Trello board export");
+  }
+
+  const lists = new Map(board.lists.map((list) => [list.id, list]));
+  const checklists = board.checklists || [];
+
+  // Actions come newest first
+  const comments = new Map();
+  [...(board.actions || [])]
+    .reverse()
+    .filter((action) => action.type === "commentCard" && action.data?.card)
+    .forEach((action) => {
+      const author = action.memberCreator?.fullName;
+      const text = action.data.text || "";
+      const cardComments = comments.get(action.data.card.id) || [];
+      cardComments.push(author ? `${author}: ${text}` : text);
+      comments.set(action.data.card.id, cardComments);
+    });
+
+  const items = [];
+  board.cards
+    .filter((card) => !card.closed && !lists.get(card.idList)?.closed)
+    .forEach((card) => {
+      const list = lists.get(card.idList);
+
+      items.push({
+        row: items.length + 1,
+        ref: card.id,
+        title: card.name,
+        description: card.desc || undefined,
+        status: card.dueComplete ? "completed" : listStatus(list?.name),
+        dueDate: card.due || undefined,
+        startDate: card.start || undefined,
+        category: list?.name?.slice(0, 50),
+        tags: (card.labels || [])
+          .map((label) => label.name || label.color)
+          .filter(Boolean),
+        comments: comments.get(card.id) || [],
+      });
+
+      checklists
+        .filter((checklist) => checklist.idCard === card.id)
+        .flatMap((checklist) => checklist.checkItems || [])
+        .sort((a, b) => (a.pos || 0) - (b.pos || 0))
+        .forEach((checkItem) => {
+          items.push({
+            row: items.length + 1,
+            ref: checkItem.id,
+            parentRef: card.id,
+            title: checkItem.name,
+            status: checkItem.state === "complete" ? "completed" : "todo",
+            dueDate: checkItem.due || undefined,
+            tags: [],
+            comments: [],
+          });
+        });
+    });
+
+  return items;
+};
@@ -5,6 +5,7 @@ import Membership from "../models/Membership.js";
 import Organization from "../models/Organization.js";
 import User from "../models/User.js";
 import logger from "../utils/logger.js";
+import { paginate } from "../utils/pagination.js";
 
 // Email service for sending invitations (mock implementation)
 const sendInvitationEmail = async (
@@ -135,13 +136,7 @@ class InvitationService {
    */
   async getOrganizationInvitations(organizationId, query = {}) {
     try {
-      const {
-        page = 1,
-        limit = 10,
-        sortBy = "createdAt",
-        sortOrder = "desc",
-        status = "pending",
-      } = query;
+      const { status = "pending" } = query;
 
       // Build query
       const queryObj = { organization: organizationId };
@@ -150,32 +145,21 @@ class InvitationService {
         queryObj.status = status;
       }
 
-      // Build sort object
-      const sort = {};
-      sort[sortBy] = sortOrder === "desc" ? -1 : 1;
-
       // Find invitations and populate inviter details
-      const invitations = await Invitation.find(queryObj)
-        .sort(sort)
-        .skip((page - 1) * limit)
-        .limit(parseInt(limit))
-        .populate({
+      const { items: invitations, pagination } = await paginate(
+        Invitation.find(queryObj).populate({
           path: "invitedBy",
           select: "username firstName lastName",
-        });
+        }),
+        query,
+        {
+          sortFields: ["createdAt", "expiresAt", "email", "role"],
+          defaultSort: "createdAt",
+          defaultLimit: 10,
+        }
+      );
 
-      // Get total count for pagination
-      const total = await Invitation.countDocuments(queryObj);
-
-      return {
-        invitations,
-        pagination: {
-          total,
-          page: parseInt(page),
-          pages: Math.ceil(total / limit),
-          limit: parseInt(limit),
-        },
-      };
+      return { invitations, pagination };
     } catch (error) {
       logger.error(`Error fetching organization invitations: ${error.message}`);
       throw error;
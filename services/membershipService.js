@@ -2,6 +2,7 @@ import Membership from "../models/Membership.js";
 import Organization from "../models/Organization.js";
 import User from "../models/User.js";
 import logger from "../utils/logger.js";
+import { paginate } from "../utils/pagination.js";
 
 class MembershipService {
   /**
@@ -9,13 +10,7 @@ class MembershipService {
    */
   async getOrganizationMembers(organizationId, query = {}) {
     try {
-      const {
-        page = 1,
-        limit = 10,
-        sortBy = "joinedAt",
-        sortOrder = "desc",
-        role,
-      } = query;
+      const { role } = query;
 
       // Build query
       const queryObj = { organization: organizationId, status: "active" };
@@ -24,26 +19,24 @@ class MembershipService {
         queryObj.role = role;
       }
 
-      // Build sort object
-      const sort = {};
-      sort[sortBy] = sortOrder === "desc" ? -1 : 1;
-
       // Find memberships and populate user details
-      const memberships = await Membership.find(queryObj)
-        .sort(sort)
-        .skip((page - 1) * limit)
-        .limit(parseInt(limit))
-        .populate({
-          path: "user",
-          select: "username email firstName lastName avatar",
-        })
-        .populate({
-          path: "invitedBy",
-          select: "username firstName lastName",
-        });
-
-      // Get total count for pagination
-      const total = await Membership.countDocuments(queryObj);
+      const { items: memberships, pagination } = await paginate(
+        Membership.find(queryObj)
+          .populate({
+            path: "user",
+            select: "username email firstName lastName avatar",
+          })
+          .populate({
+            path: "invitedBy",
+            select: "username firstName lastName",
+          }),
+        query,
+        {
+          sortFields: ["joinedAt", "lastActive", "role", "title"],
+          defaultSort: "joinedAt",
+          defaultLimit: 10,
+        }
+      );
 
       // Format the response
       const members = memberships.map((membership) => ({
@@ -58,15 +51,7 @@ class MembershipService {
         permissions: membership.permissions,
       }));
 
-      return {
-        members,
-        pagination: {
-          total,
-          page: parseInt(page),
-          pages: Math.ceil(total / limit),
-          limit: parseInt(limit),
-        },
-      };
+      return { members, pagination };
     } catch (error) {
       logger.error(`Error fetching organization members: ${error.message}`);
       throw error;
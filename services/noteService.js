@@ -2,8 +2,11 @@ import mongoose from "mongoose";
 
 import Note from "../models/Note.js";
 import logger from "../utils/logger.js";
+import { paginate } from "../utils/pagination.js";
 import { sanitizeHtml } from "../utils/sanitizers.js";
 
+import trashService from "./trashService.js";
+
 class NoteService {
   async createNote(noteData) {
     try {
@@ -51,10 +54,11 @@ class NoteService {
   async getNotes(userId, query = {}) {
     try {
       const {
-        page = 1,
-        limit = 10,
-        sortBy = "updatedAt",
-        sortOrder = "desc",
+        cursor,
+        page,
+        limit,
+        sortBy,
+        sortOrder,
         category,
         isPinned,
         isArchived,
@@ -63,10 +67,6 @@ class NoteService {
         search,
       } = query;
 
-      // Validate query parameters
-      const pageNum = Math.max(1, parseInt(page));
-      const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
-
       // Build the query object
       const queryObj = { owner: userId };
 
@@ -92,42 +92,27 @@ class NoteService {
         ];
       }
 
-      // Validate sort field (whitelist approach)
-      const allowedSortFields = [
-        "title",
-        "createdAt",
-        "updatedAt",
-        "lastEdited",
-        "priority",
-      ];
-      const finalSortBy = allowedSortFields.includes(sortBy)
-        ? sortBy
-        : "updatedAt";
-
-      const sort = {};
-      sort[finalSortBy] = sortOrder === "asc" ? 1 : -1;
-
-      // Execute the query with pagination
-      const notes = await Note.find(queryObj)
-        .sort(sort)
-        .skip((pageNum - 1) * limitNum)
-        .limit(limitNum)
-        .select(
-          "title content createdAt updatedAt isPinned isArchived category tags color preview readingTimeFormatted isFavorite"
-        )
-        .lean();
-
-      const total = await Note.countDocuments(queryObj);
-
-      return {
-        notes,
-        pagination: {
-          total,
-          page: pageNum,
-          pages: Math.ceil(total / limitNum),
-          limit: limitNum,
-        },
-      };
+      const { items: notes, pagination } = await paginate(
+        Note.find(queryObj)
+          .select(
+            "title content createdAt updatedAt isPinned isArchived category tags color preview readingTimeFormatted isFavorite"
+          )
+          .lean(),
+        { cursor, page, limit, sortBy, sortOrder },
+        {
+          sortFields: [
+            "title",
+            "createdAt",
+            "updatedAt",
+            "lastEdited",
+            "priority",
+          ],
+          defaultSort: "updatedAt",
+          defaultLimit: 10,
+        }
+      );
+
+      return { notes, pagination };
     } catch (error) {
       logger.error(`Error fetching notes: ${error.message}`, { userId, error });
       throw new Error(`Failed to retrieve notes: ${error.message}`);
@@ -254,6 +239,9 @@ class NoteService {
         throw new Error("You don't have permission to delete this note");
       }
 
+      // Keep a copy in the trash so it can be restored
+      await trashService.trashNote(note, userId);
+
       // Perform the delete
       const deletedNote = await Note.findByIdAndDelete(noteId);
 
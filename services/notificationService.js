@@ -0,0 +1,382 @@
+import Notification, { NOTIFICATION_TYPES } from "../models/Notification.js";
+import User from "../models/User.js";
+import logger from "../utils/logger.js";
+import { assertPublicUrl } from "../utils/networkUtils.js";
+import { paginate } from "../utils/pagination.js";
+
+import schedulerService from "./schedulerService.js";
+
+const USER_FIELDS = "username firstName lastName avatar";
+
+// Channels used for notification types the user has not configured
+const DEFAULT_CHANNELS = { inApp: true, email: false, webhook: false };
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// Email service for notifications (mock implementation)
+const sendNotificationEmail = async (email, notification) => {
+  // In a real implementation, this would use nodemailer or similar to send an email
+  logger.info(
+    `Mock notification email sent to ${email}: ${notification.title}`
+  );
+  return true;
+};
+
+class NotificationService {
+  /**
+   * Create a notification and queue delivery on the channels the recipient
+   * enabled for its type. Returns null when the recipient muted it.
+   * Never throws: notifications should fail gracefully.
+   */
+  async createNotification(data) {
+    try {
+      const recipient = await User.findById(data.recipient).select(
+        "email preferences"
+      );
+      if (!recipient) {
+        return null;
+      }
+
+      const channels = this._resolveChannels(recipient, data.type);
+      if (!channels.inApp && !channels.email && !channels.webhook) {
+        return null;
+      }
+
+      const notification = new Notification({
+        ...data,
+        deliveryChannels: {
+          inApp: channels.inApp,
+          email: { enabled: channels.email },
+          webhook: { enabled: channels.webhook },
+        },
+      });
+      await notification.save();
+
+      // Email and webhooks go out from the job runner, off the request path
+      const queued = ["email", "webhook"].filter(
+        (channel) => channels[channel]
+      );
+      await Promise.all(
+        queued.map((channel) =>
+          schedulerService.schedule(
+            "notification_delivery",
+            new Date(),
+            { channel },
+            { entityType: "Notification", entityId: notification._id }
+          )
+        )
+      );
+
+      return notification;
+    } catch (error) {
+      logger.error(`Error creating notification: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Deliver a notification on one channel. Run by the scheduled job runner
+   * for jobs queued by createNotification; the outcome is recorded on the
+   * notification and a failed delivery fails the job.
+   * @param {Object} payload - { channel: "email" | "webhook" }
+   * @param {Object} job - Scheduled job, whose entityId is the notification
+   */
+  async deliver(payload, job) {
+    const { channel } = payload;
+    const notification = await Notification.findById(job.entityId);
+    if (!notification) return null;
+
+    const recipient = await User.findById(notification.recipient).select(
+      "email preferences"
+    );
+    if (!recipient) return null;
+
+    const send =
+      channel === "email"
+        ? () => sendNotificationEmail(recipient.email, notification)
+        : () =>
+            this._sendWebhook(
+              recipient.preferences.notificationWebhookUrl,
+              notification
+            );
+
+    await this._deliver(notification, channel, send);
+    await notification.save();
+
+    const { error } = notification.deliveryChannels[channel];
+    if (error) {
+      throw new Error(`Failed to deliver via ${channel}: ${error}`);
+    }
+    return notification;
+  }
+
+  /**
+   * Get in-app notifications for a user
+   */
+  async getUserNotifications(userId, filters = {}, pagination = {}) {
+    try {
+      const { unreadOnly = false, type, archived = false } = filters;
+
+      const query = {
+        recipient: userId,
+        "deliveryChannels.inApp": true,
+        isArchived: archived,
+      };
+      if (unreadOnly) query.isRead = false;
+      if (type) query.type = type;
+
+      const page = await paginate(
+        Notification.find(query).populate("sender", USER_FIELDS),
+        pagination,
+        { sortFields: ["createdAt"], defaultSort: "createdAt" }
+      );
+      const unreadCount = await this.getUnreadCount(userId);
+
+      return {
+        notifications: page.items,
+        pagination: page.pagination,
+        unreadCount,
+      };
+    } catch (error) {
+      logger.error(`Error getting notifications: ${error.message}`);
+      throw new Error(`Failed to get notifications: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count unread, unarchived in-app notifications
+   */
+  async getUnreadCount(userId) {
+    return Notification.countDocuments({
+      recipient: userId,
+      "deliveryChannels.inApp": true,
+      isRead: false,
+      isArchived: false,
+    });
+  }
+
+  /**
+   * Mark notification as read
+   */
+  async markAsRead(notificationId, userId) {
+    try {
+      const notification = await Notification.findOne({
+        _id: notificationId,
+        recipient: userId,
+      });
+
+      if (!notification) {
+        throw new Error("Notification not found");
+      }
+
+      if (!notification.isRead) {
+        notification.isRead = true;
+        notification.readAt = new Date();
+        await notification.save();
+      }
+
+      return notification;
+    } catch (error) {
+      logger.error(`Error marking notification as read: ${error.message}`);
+      throw new Error(`Failed to update notification: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark all notifications as read
+   */
+  async markAllAsRead(userId) {
+    try {
+      const result = await Notification.updateMany(
+        { recipient: userId, isRead: false },
+        { $set: { isRead: true, readAt: new Date() } }
+      );
+
+      return {
+        success: true,
+        count: result.modifiedCount,
+      };
+    } catch (error) {
+      logger.error(`Error marking all notifications as read: ${error.message}`);
+      throw new Error(`Failed to update notifications: ${error.message}`);
+    }
+  }
+
+  /**
+   * Archive or restore a notification. Archiving also marks it read.
+   */
+  async setArchived(notificationId, userId, archived = true) {
+    try {
+      const notification = await Notification.findOne({
+        _id: notificationId,
+        recipient: userId,
+      });
+
+      if (!notification) {
+        throw new Error("Notification not found");
+      }
+
+      notification.isArchived = archived;
+      notification.archivedAt = archived ? new Date() : undefined;
+      if (archived && !notification.isRead) {
+        notification.isRead = true;
+        notification.readAt = new Date();
+      }
+      await notification.save();
+
+      return notification;
+    } catch (error) {
+      logger.error(`Error archiving notification: ${error.message}`);
+      throw new Error(`Failed to archive notification: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a user's notification preferences with defaults filled in
+   */
+  async getPreferences(userId) {
+    const user = await User.findById(userId).select("preferences");
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    return this._formatPreferences(user);
+  }
+
+  /**
+   * Update notification preferences
+   * @param {String} userId - User ID
+   * @param {Object} updates - { enabled, webhookUrl, channels: { [type]: { inApp, email, webhook } } }
+   */
+  async updatePreferences(userId, updates) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error("User not found");
+      }
+
+      const { enabled, webhookUrl, channels = {} } = updates;
+
+      if (enabled !== undefined) {
+        user.preferences.notifications = enabled;
+      }
+      if (webhookUrl) {
+        await assertPublicUrl(webhookUrl);
+      }
+      if (webhookUrl !== undefined) {
+        user.preferences.notificationWebhookUrl = webhookUrl || undefined;
+      }
+
+      Object.entries(channels).forEach(([type, typeChannels]) => {
+        if (!NOTIFICATION_TYPES.includes(type)) {
+          throw new Error(`Invalid notification type: ${type}`);
+        }
+
+        const current = user.preferences.notificationChannels.get(type);
+        user.preferences.notificationChannels.set(type, {
+          ...DEFAULT_CHANNELS,
+          ...(current && current.toObject()),
+          ...typeChannels,
+        });
+      });
+
+      await user.save();
+      return this._formatPreferences(user);
+    } catch (error) {
+      logger.error(`Error updating notification preferences: ${error.message}`);
+      throw new Error(`Failed to update preferences: ${error.message}`);
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Work out which channels a notification type goes to for a user
+   */
+  _resolveChannels(user, type) {
+    const { preferences = {} } = user;
+    if (preferences.notifications === false) {
+      return { inApp: false, email: false, webhook: false };
+    }
+
+    const configured = preferences.notificationChannels?.get(type);
+    const channels = {
+      ...DEFAULT_CHANNELS,
+      ...(configured && configured.toObject()),
+    };
+
+    // Webhooks need somewhere to go
+    if (!preferences.notificationWebhookUrl) {
+      channels.webhook = false;
+    }
+
+    return channels;
+  }
+
+  _formatPreferences(user) {
+    const channels = {};
+    NOTIFICATION_TYPES.forEach((type) => {
+      const configured = user.preferences.notificationChannels?.get(type);
+      channels[type] = {
+        ...DEFAULT_CHANNELS,
+        ...(configured && configured.toObject()),
+      };
+    });
+
+    return {
+      enabled: user.preferences.notifications !== false,
+      webhookUrl: user.preferences.notificationWebhookUrl || null,
+      channels,
+    };
+  }
+
+  /**
+   * Run a delivery and record its outcome on the notification
+   */
+  async _deliver(notification, channel, send) {
+    const status = notification.deliveryChannels[channel];
+    try {
+      await send();
+      status.sent = true;
+      status.sentAt = new Date();
+      status.error = undefined;
+    } catch (error) {
+      status.error = error.message;
+      logger.warn(
+        `Failed to deliver notification ${notification._id} via ${channel}: ${error.message}`
+      );
+    }
+  }
+
+  async _sendWebhook(url, notification) {
+    if (!url) {
+      throw new Error("No webhook URL configured");
+    }
+    // Checked again on send: the host may resolve elsewhere since it was saved
+    await assertPublicUrl(url);
+
+    const response = await fetch(url, {
+      redirect: "error",
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        id: notification._id,
+        type: notification.type,
+        title: notification.title,
+        message: notification.message,
+        entityType: notification.entityType,
+        entityId: notification.entityId,
+        link: notification.link,
+        priority: notification.priority,
+        createdAt: notification.createdAt,
+      }),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
+  }
+}
+
+export default new NotificationService();
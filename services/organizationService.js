@@ -5,9 +5,12 @@ import Membership from "../models/Membership.js";
 import Note from "../models/Note.js";
 import Organization from "../models/Organization.js";
 import Task from "../models/Task.js";
+import TrashItem from "../models/TrashItem.js";
 import User from "../models/User.js";
 import logger from "../utils/logger.js";
 
+import attachmentService from "./attachmentService.js";
+
 class OrganizationService {
   /**
    * Create a new organization
@@ -211,6 +214,12 @@ class OrganizationService {
         // Delete all notes in the organization
         await Note.deleteMany({ organization: organizationId }, { session });
 
+        // Deleted tasks and notes can no longer be restored into it
+        await TrashItem.deleteMany(
+          { organization: organizationId },
+          { session }
+        );
+
         // Delete all invitations
         await Invitation.deleteMany(
           { organization: organizationId },
@@ -247,6 +256,10 @@ class OrganizationService {
 
         await session.commitTransaction();
 
+        // Files are not part of the transaction; remove them once it is
+        // committed
+        await attachmentService.deleteForOrganization(organizationId);
+
         logger.info(
           `Organization ${organization.name} deleted by user ${userId}`
         );
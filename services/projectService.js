@@ -1,9 +1,70 @@
-const Project = require("../models/Project");
-const Team = require("../models/Team");
-const Task = require("../models/Task");
-const User = require("../models/User");
-const Comment = require("../models/Comment");
-const logger = require("../utils/logger");
+import mongoose from "mongoose";
+
+import AutomationRun from "../models/AutomationRun.js";
+import Comment from "../models/Comment.js";
+import Membership from "../models/Membership.js";
+import { NOTIFICATION_PRIORITIES } from "../models/Notification.js";
+import Project from "../models/Project.js";
+import Task from "../models/Task.js";
+import Team from "../models/Team.js";
+import User from "../models/User.js";
+import logger from "../utils/logger.js";
+import { paginate } from "../utils/pagination.js";
+
+import notificationService from "./notificationService.js";
+import schedulerService from "./schedulerService.js";
+import taskHistoryService from "./taskHistoryService.js";
+import taskService from "./taskService.js";
+import watcherService from "./watcherService.js";
+
+const USER_FIELDS = "username firstName lastName avatar";
+
+// Fields the project list can be sorted by
+const PROJECT_SORT_FIELDS = [
+  "name",
+  "status",
+  "priority",
+  "startDate",
+  "dueDate",
+  "createdAt",
+  "updatedAt",
+];
+
+// How many levels of automation-triggered events one change may cause
+const MAX_AUTOMATION_DEPTH = 5;
+
+// Operators allowed in automation conditions, e.g. { priority: { in: [...] } }
+const CONDITION_OPERATORS = [
+  "eq",
+  "ne",
+  "in",
+  "gt",
+  "gte",
+  "lt",
+  "lte",
+  "contains",
+  "changedFrom",
+  "changedTo",
+];
+
+const TASK_STATUSES = [
+  "todo",
+  "in-progress",
+  "review",
+  "completed",
+  "cancelled",
+  "on-hold",
+];
+
+const TASK_PRIORITIES = ["low", "medium", "high", "urgent"];
+
+// Default notification titles for the notify action, by trigger
+const AUTOMATION_NOTIFICATION_TITLES = {
+  status_change: "Task status changed",
+  assignment: "Task assigned",
+  comment: "New comment on task",
+  due_date: "Task due soon",
+};
 
 class ProjectService {
   /**
@@ -14,6 +75,7 @@ class ProjectService {
       const project = new Project({
         ...data,
         owner: userId,
+        managers: [...new Set([userId, ...(data.managers || [])])],
       });
 
       await project.save();
@@ -29,17 +91,14 @@ class ProjectService {
    */
   async getProjectById(projectId, userId) {
     try {
-      const project = await Project.findOne({
-        _id: projectId,
-        $or: [{ owner: userId }, { managers: userId }, { members: userId }],
-      })
-        .populate("owner", "name email profilePicture")
-        .populate("managers", "name email profilePicture")
-        .populate("teams", "name description");
+      const project = await this._findAccessibleProject(projectId, userId);
 
-      if (!project) {
-        throw new Error("Project not found or access denied");
-      }
+      await project.populate([
+        { path: "owner", select: USER_FIELDS },
+        { path: "managers", select: USER_FIELDS },
+        { path: "members", select: USER_FIELDS },
+        { path: "teams", select: "name description" },
+      ]);
 
       return project;
     } catch (error) {
@@ -49,59 +108,82 @@ class ProjectService {
   }
 
   /**
-   * Get all projects for a user
+   * Get a project the user can manage: its owner and managers, organization
+   * admins and members with the manageProjects permission
    */
-  async getProjects(userId, filters = {}, pagination = {}) {
+  async getManageableProject(projectId, userId) {
+    try {
+      return await this._findAccessibleProject(projectId, userId, {
+        manage: true,
+      });
+    } catch (error) {
+      logger.error(`Error getting project: ${error.message}`);
+      throw new Error(`Failed to get project: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get all projects for a user within an organization
+   * @param {String} userId - User ID
+   * @param {Object} filters - Filters, including the organization to scope to
+   * @param {Object} pagination - Pagination and sort options
+   * @param {Object} membership - Caller's membership in the organization
+   */
+  async getProjects(userId, filters = {}, pagination = {}, membership = null) {
     try {
-      const { status, priority, search, startDate, dueDate, isArchived } =
-        filters;
       const {
-        page = 1,
-        limit = 20,
-        sortBy = "updatedAt",
-        sortOrder = -1,
-      } = pagination;
-
-      const query = {
-        $or: [{ owner: userId }, { managers: userId }, { members: userId }],
-      };
+        organization,
+        status,
+        priority,
+        search,
+        startDate,
+        dueDate,
+        isArchived,
+      } = filters;
+      const query = {};
+      if (organization) query.organization = organization;
+
+      // Members who manage projects can see every project in the organization
+      const canSeeAll =
+        organization &&
+        membership &&
+        (membership.role === "admin" || membership.permissions?.manageProjects);
+
+      const conditions = [];
+      if (!canSeeAll) {
+        conditions.push({
+          $or: [{ owner: userId }, { managers: userId }, { members: userId }],
+        });
+      }
 
       // Apply filters
       if (status) query.status = status;
       if (priority) query.priority = priority;
       if (search) {
-        query.$or = [
-          { name: { $regex: search, $options: "i" } },
-          { description: { $regex: search, $options: "i" } },
-        ];
+        conditions.push({
+          $or: [
+            { name: { $regex: search, $options: "i" } },
+            { description: { $regex: search, $options: "i" } },
+          ],
+        });
       }
+      if (conditions.length > 0) query.$and = conditions;
       if (startDate) query.startDate = { $gte: new Date(startDate) };
       if (dueDate) query.dueDate = { $lte: new Date(dueDate) };
-      if (isArchived !== undefined) query.isArchived = isArchived;
-
-      const sortOption = {};
-      sortOption[sortBy] = sortOrder;
-
-      const skip = (page - 1) * limit;
-
-      const projects = await Project.find(query)
-        .sort(sortOption)
-        .skip(skip)
-        .limit(parseInt(limit))
-        .populate("owner", "name email profilePicture")
-        .populate("teams", "name");
-
-      const total = await Project.countDocuments(query);
+      query.isArchived = isArchived === true || isArchived === "true";
+
+      const page = await paginate(
+        Project.find(query)
+          .populate("owner", USER_FIELDS)
+          .populate("teams", "name"),
+        pagination,
+        {
+          sortFields: PROJECT_SORT_FIELDS,
+          defaultSort: "updatedAt",
+        }
+      );
 
-      return {
-        projects,
-        pagination: {
-          total,
-          page: parseInt(page),
-          limit: parseInt(limit),
-          pages: Math.ceil(total / limit),
-        },
-      };
+      return { projects: page.items, pagination: page.pagination };
     } catch (error) {
       logger.error(`Error getting projects: ${error.message}`);
       throw new Error(`Failed to get projects: ${error.message}`);
@@ -113,26 +195,24 @@ class ProjectService {
    */
   async updateProject(projectId, updates, userId) {
     try {
-      const project = await Project.findOne({
-        _id: projectId,
-        $or: [{ owner: userId }, { managers: userId }],
+      const project = await this._findAccessibleProject(projectId, userId, {
+        manage: true,
       });
 
-      if (!project) {
-        throw new Error(
-          "Project not found or you don't have permission to update it"
-        );
-      }
+      // Ownership and organization are not editable through updates
+      const allowed = { ...updates };
+      delete allowed.owner;
+      delete allowed.organization;
 
       // Apply updates
-      Object.keys(updates).forEach((key) => {
+      Object.keys(allowed).forEach((key) => {
         // Handle nested fields like timeTracking.estimatedHours
         if (key.includes(".")) {
           const [parent, child] = key.split(".");
           if (!project[parent]) project[parent] = {};
-          project[parent][child] = updates[key];
+          project[parent][child] = allowed[key];
         } else {
-          project[key] = updates[key];
+          project[key] = allowed[key];
         }
       });
 
@@ -176,25 +256,27 @@ class ProjectService {
    */
   async addMember(projectId, memberId, userId) {
     try {
-      const project = await Project.findOne({
-        _id: projectId,
-        $or: [{ owner: userId }, { managers: userId }],
+      const project = await this._findAccessibleProject(projectId, userId, {
+        manage: true,
       });
 
-      if (!project) {
-        throw new Error(
-          "Project not found or you don't have permission to update it"
-        );
-      }
-
-      // Validate user exists
+      // Validate user exists and belongs to the project's organization
       const user = await User.findById(memberId);
       if (!user) {
         throw new Error("User not found");
       }
 
+      const isOrganizationMember = await Membership.exists({
+        user: memberId,
+        organization: project.organization,
+        status: "active",
+      });
+      if (!isOrganizationMember) {
+        throw new Error("User is not a member of the project's organization");
+      }
+
       // Add member if not already in project
-      if (!project.members.includes(memberId)) {
+      if (!project.members.some((id) => id.toString() === memberId)) {
         project.members.push(memberId);
         await project.save();
       }
@@ -211,17 +293,10 @@ class ProjectService {
    */
   async removeMember(projectId, memberId, userId) {
     try {
-      const project = await Project.findOne({
-        _id: projectId,
-        $or: [{ owner: userId }, { managers: userId }],
+      const project = await this._findAccessibleProject(projectId, userId, {
+        manage: true,
       });
 
-      if (!project) {
-        throw new Error(
-          "Project not found or you don't have permission to update it"
-        );
-      }
-
       // Remove member
       project.members = project.members.filter(
         (id) => id.toString() !== memberId
@@ -241,31 +316,26 @@ class ProjectService {
   async addTeam(projectId, teamId, userId) {
     try {
       const [project, team] = await Promise.all([
-        Project.findOne({
-          _id: projectId,
-          $or: [{ owner: userId }, { managers: userId }],
-        }),
+        this._findAccessibleProject(projectId, userId, { manage: true }),
         Team.findById(teamId),
       ]);
 
-      if (!project) {
-        throw new Error(
-          "Project not found or you don't have permission to update it"
-        );
-      }
-
       if (!team) {
         throw new Error("Team not found");
       }
 
+      if (team.organization.toString() !== project.organization.toString()) {
+        throw new Error("Team does not belong to the project's organization");
+      }
+
       // Add team if not already in project
-      if (!project.teams.includes(teamId)) {
+      if (!project.teams.some((id) => id.toString() === teamId)) {
         project.teams.push(teamId);
         await project.save();
       }
 
       // Add project to team
-      if (!team.projects.includes(projectId)) {
+      if (!team.projects.some((id) => id.toString() === projectId)) {
         team.projects.push(projectId);
         await team.save();
       }
@@ -283,19 +353,10 @@ class ProjectService {
   async removeTeam(projectId, teamId, userId) {
     try {
       const [project, team] = await Promise.all([
-        Project.findOne({
-          _id: projectId,
-          $or: [{ owner: userId }, { managers: userId }],
-        }),
+        this._findAccessibleProject(projectId, userId, { manage: true }),
         Team.findById(teamId),
       ]);
 
-      if (!project) {
-        throw new Error(
-          "Project not found or you don't have permission to update it"
-        );
-      }
-
       // Remove team from project
       project.teams = project.teams.filter((id) => id.toString() !== teamId);
       await project.save();
@@ -320,7 +381,7 @@ class ProjectService {
    */
   async getProjectStatistics(projectId, userId) {
     try {
-      const project = await this.getProjectById(projectId, userId);
+      const project = await this._findAccessibleProject(projectId, userId);
 
       // Get task stats
       const tasks = await Task.find({ project: projectId });
@@ -329,7 +390,7 @@ class ProjectService {
         total: tasks.length,
         completed: tasks.filter((t) => t.status === "completed").length,
         inProgress: tasks.filter((t) => t.status === "in-progress").length,
-        notStarted: tasks.filter((t) => t.status === "not-started").length,
+        notStarted: tasks.filter((t) => t.status === "todo").length,
         overdue: tasks.filter(
           (t) => t.dueDate && t.dueDate < new Date() && t.status !== "completed"
         ).length,
@@ -369,19 +430,12 @@ class ProjectService {
    */
   async addWorkflowAutomation(projectId, automation, userId) {
     try {
-      const project = await Project.findOne({
-        _id: projectId,
-        $or: [{ owner: userId }, { managers: userId }],
+      const project = await this._findAccessibleProject(projectId, userId, {
+        manage: true,
       });
 
-      if (!project) {
-        throw new Error(
-          "Project not found or you don't have permission to update it"
-        );
-      }
-
       // Validate automation structure
-      const { trigger, condition, action, actionConfig } = automation;
+      const { trigger, action, condition, actionConfig = {} } = automation;
 
       if (!trigger || !action) {
         throw new Error(
@@ -389,6 +443,9 @@ class ProjectService {
         );
       }
 
+      this._validateCondition(condition);
+      await this._validateActionConfig(project, action, actionConfig);
+
       project.workflow.automations.push(automation);
       await project.save();
 
@@ -400,7 +457,65 @@ class ProjectService {
   }
 
   /**
-   * Process workflow automation rules for an event
+   * Remove a workflow automation rule
+   */
+  async removeWorkflowAutomation(projectId, automationId, userId) {
+    try {
+      const project = await this._findAccessibleProject(projectId, userId, {
+        manage: true,
+      });
+
+      const automation = project.workflow.automations.id(automationId);
+      if (!automation) {
+        throw new Error("Automation not found");
+      }
+
+      automation.deleteOne();
+      await project.save();
+
+      return project;
+    } catch (error) {
+      logger.error(`Error removing workflow automation: ${error.message}`);
+      throw new Error(`Failed to remove workflow automation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the workflow stages shown as board columns. Stages keep their
+   * ID when it is passed back, so tasks stay in the stage they were placed in.
+   */
+  async updateWorkflowStages(projectId, stages, userId) {
+    try {
+      const project = await this._findAccessibleProject(projectId, userId, {
+        manage: true,
+      });
+
+      const names = stages.map((stage) => stage.name.trim().toLowerCase());
+      if (new Set(names).size !== names.length) {
+        throw new Error("Invalid stages - stage names must be unique");
+      }
+
+      project.workflow.stages = stages.map((stage, order) => ({
+        ...stage,
+        order,
+      }));
+      await project.save();
+
+      return project;
+    } catch (error) {
+      logger.error(`Error updating workflow stages: ${error.message}`);
+      throw new Error(`Failed to update workflow stages: ${error.message}`);
+    }
+  }
+
+  /**
+   * Process workflow automation rules for an event.
+   * Rules run one after another; actions that change the task re-emit their
+   * own events, which are processed in the same chain up to
+   * MAX_AUTOMATION_DEPTH levels deep. A rule never runs twice for the same
+   * task within one chain, which stops rules from triggering each other forever.
+   * @param {Object} event - { trigger, data }
+   * @param {Object} context - { entityId, entityType, actorId, chain }
    */
   async processWorkflowAutomations(projectId, event, context) {
     try {
@@ -410,7 +525,7 @@ class ProjectService {
         return { processed: false };
       }
 
-      const { trigger, entityId, entityType, data } = event;
+      const { trigger, data = {} } = event;
 
       // Find matching automation rules
       const matchingRules = project.workflow.automations.filter(
@@ -423,12 +538,60 @@ class ProjectService {
         return { processed: false };
       }
 
+      const chain = context.chain || this.createAutomationChain();
+
       // Execute actions for matching rules
-      const results = await Promise.all(
-        matchingRules.map((rule) =>
-          this._executeAutomationAction(rule, context)
-        )
-      );
+      const results = [];
+      for (const rule of matchingRules) {
+        // Assignment events are per assignee, so each one may fire a rule once
+        const ruleKey = [rule._id, context.entityId, data.assigneeId]
+          .filter(Boolean)
+          .join(":");
+        let result;
+
+        if (chain.depth >= MAX_AUTOMATION_DEPTH) {
+          result = {
+            success: false,
+            skipped: true,
+            action: rule.action,
+            message: "Skipped: maximum automation depth reached",
+          };
+        } else if (chain.firedRules.has(ruleKey)) {
+          result = {
+            success: false,
+            skipped: true,
+            action: rule.action,
+            message: "Skipped: rule already ran in this automation chain",
+          };
+        } else if (rule.delayMinutes > 0) {
+          chain.firedRules.add(ruleKey);
+          result = await this._scheduleAutomationAction(
+            project,
+            rule,
+            event,
+            context,
+            chain
+          );
+        } else {
+          chain.firedRules.add(ruleKey);
+          result = await this._executeAutomationAction(rule, {
+            ...context,
+            project,
+            trigger,
+            chain,
+          });
+        }
+
+        await this._recordAutomationRun(
+          project,
+          rule,
+          event,
+          context,
+          chain,
+          result
+        );
+        results.push(result);
+      }
 
       return {
         processed: true,
@@ -442,92 +605,825 @@ class ProjectService {
     }
   }
 
+  /**
+   * Start a new automation chain. Pass the same chain to every event caused
+   * by one change so loop protection covers all of them.
+   */
+  createAutomationChain() {
+    return {
+      id: new mongoose.Types.ObjectId().toString(),
+      depth: 0,
+      firedRules: new Set(),
+    };
+  }
+
+  /**
+   * Run a task's project automations for a lifecycle event. Automation
+   * failures are logged rather than thrown so they never fail the change
+   * that caused them.
+   * @param {Object} task - Task document
+   * @param {String} trigger - status_change, assignment, comment or due_date
+   * @param {Object} data - Event data matched against rule conditions
+   * @param {Object} options - { actorId, chain }
+   */
+  async runTaskAutomations(task, trigger, data = {}, options = {}) {
+    if (!task || !task.project) {
+      return { processed: false };
+    }
+
+    try {
+      return await this.processWorkflowAutomations(
+        task.project,
+        { trigger, data: { ...this._taskEventData(task), ...data } },
+        {
+          entityId: task._id,
+          entityType: "Task",
+          actorId: options.actorId,
+          chain: options.chain,
+        }
+      );
+    } catch (error) {
+      logger.error(
+        `Automation failed for task ${task._id} (${trigger}): ${error.message}`
+      );
+      return { processed: false, error: error.message };
+    }
+  }
+
+  /**
+   * Fire due_date automations for open project tasks due within the window.
+   * Each task fires once per due date; moving the due date re-arms it.
+   */
+  async processDueDateAutomations({ windowHours = 24, limit = 100 } = {}) {
+    const projectIds = await Project.distinct("_id", {
+      "workflow.automations.trigger": "due_date",
+    });
+    if (projectIds.length === 0) {
+      return { processed: 0 };
+    }
+
+    const now = new Date();
+    const windowEnd = new Date(now.getTime() + windowHours * 60 * 60 * 1000);
+
+    const tasks = await Task.find({
+      project: { $in: projectIds },
+      dueDate: { $gte: now, $lte: windowEnd },
+      status: { $nin: ["completed", "cancelled"] },
+      $expr: { $ne: ["$automation.dueDateTriggeredFor", "$dueDate"] },
+    })
+      .sort({ dueDate: 1 })
+      .limit(limit);
+
+    for (const task of tasks) {
+      // Mark first so a failing rule cannot make the task fire on every poll
+      await Task.updateOne(
+        { _id: task._id },
+        { $set: { "automation.dueDateTriggeredFor": task.dueDate } }
+      );
+
+      await this.runTaskAutomations(task, "due_date", {
+        dueDate: task.dueDate,
+        hoursUntilDue: Math.max(
+          0,
+          Math.round((task.dueDate - now) / (60 * 60 * 1000))
+        ),
+      });
+    }
+
+    return { processed: tasks.length };
+  }
+
+  /**
+   * Run a delayed automation action scheduled by processWorkflowAutomations.
+   * The rule's condition is checked again against the task's current state,
+   * so "still in review after a day" style rules only fire if still true.
+   */
+  async runScheduledAutomation(payload) {
+    const project = await Project.findById(payload.projectId);
+    const rule = project?.workflow.automations.id(payload.automationId);
+    if (!rule) {
+      logger.info(
+        `Skipping delayed automation ${payload.automationId}: rule no longer exists`
+      );
+      return { success: false, skipped: true };
+    }
+
+    const chain = {
+      ...payload.chain,
+      firedRules: new Set(payload.chain.firedRules),
+    };
+    const context = {
+      entityId: payload.entityId,
+      entityType: payload.entityType,
+      actorId: payload.actorId,
+    };
+
+    const task = await Task.findById(payload.entityId);
+    const data = task
+      ? { ...payload.data, ...this._taskEventData(task) }
+      : payload.data;
+    const event = { trigger: payload.trigger, data };
+
+    let result;
+    if (task && !this._evaluateCondition(rule.condition, data)) {
+      result = {
+        success: false,
+        skipped: true,
+        action: rule.action,
+        message: "Skipped: condition no longer matches",
+      };
+    } else {
+      result = await this._executeAutomationAction(rule, {
+        ...context,
+        project,
+        trigger: payload.trigger,
+        chain,
+      });
+    }
+
+    await this._recordAutomationRun(
+      project,
+      rule,
+      event,
+      context,
+      chain,
+      result
+    );
+    return result;
+  }
+
+  /**
+   * Get automation run history for a project, newest first
+   */
+  async getAutomationHistory(projectId, userId, filters = {}, pagination = {}) {
+    try {
+      await this._findAccessibleProject(projectId, userId);
+
+      const { automationId, entityId, status } = filters;
+
+      const query = { project: projectId };
+      if (automationId) query.automation = automationId;
+      if (entityId) query.entityId = entityId;
+      if (status) query.status = status;
+
+      const page = await paginate(
+        AutomationRun.find(query).populate("triggeredBy", USER_FIELDS),
+        pagination,
+        { sortFields: ["createdAt"], defaultSort: "createdAt" }
+      );
+
+      return { runs: page.items, pagination: page.pagination };
+    } catch (error) {
+      logger.error(`Error getting automation history: ${error.message}`);
+      throw new Error(`Failed to get automation history: ${error.message}`);
+    }
+  }
+
   // Private helper methods
+
+  /**
+   * Load a project the user can access. Project owners, managers and members
+   * have access, as do organization admins and members with the
+   * manageProjects permission. Pass `manage: true` to exclude plain members.
+   */
+  async _findAccessibleProject(projectId, userId, { manage = false } = {}) {
+    const project = await Project.findById(projectId);
+    if (!project) {
+      throw new Error("Project not found");
+    }
+
+    const isOwnerOrManager = [project.owner, ...project.managers].some(
+      (id) => id.toString() === userId
+    );
+    const isMember = project.members.some((id) => id.toString() === userId);
+
+    if (isOwnerOrManager || (!manage && isMember)) {
+      return project;
+    }
+
+    const membership = await Membership.findOne({
+      user: userId,
+      organization: project.organization,
+      status: "active",
+    });
+
+    if (
+      membership &&
+      (membership.role === "admin" || membership.permissions?.manageProjects)
+    ) {
+      return project;
+    }
+
+    throw new Error(
+      manage
+        ? "You don't have permission to manage this project"
+        : "You don't have permission to access this project"
+    );
+  }
+
+  /**
+   * Check a rule condition against event data. A condition maps field names
+   * to either a value (equality) or an operator object such as
+   * `{ in: ["high", "urgent"] }`; every entry must match. `all` and `any`
+   * take lists of nested conditions.
+   */
   _evaluateCondition(condition, data) {
-    // Simple condition evaluation
     if (!condition || Object.keys(condition).length === 0) {
       return true; // No condition means always true
     }
 
     try {
-      // Check each condition property against data
-      for (const [key, value] of Object.entries(condition)) {
-        if (data[key] !== value) {
-          return false;
+      return Object.entries(condition).every(([key, expected]) => {
+        if (key === "all") {
+          return expected.every((nested) =>
+            this._evaluateCondition(nested, data)
+          );
         }
-      }
-      return true;
+        if (key === "any") {
+          return expected.some((nested) =>
+            this._evaluateCondition(nested, data)
+          );
+        }
+        if (!this._isOperatorObject(expected)) {
+          return this._valuesEqual(data[key], expected);
+        }
+
+        return Object.entries(expected).every(([operator, operand]) =>
+          this._evaluateOperator(
+            operator,
+            operand,
+            data[key],
+            data.changes?.[key]
+          )
+        );
+      });
     } catch (error) {
       logger.error(`Condition evaluation error: ${error.message}`);
       return false;
     }
   }
 
+  _evaluateOperator(operator, operand, value, change) {
+    switch (operator) {
+      case "eq":
+        return this._valuesEqual(value, operand);
+      case "ne":
+        return !this._valuesEqual(value, operand);
+      case "in":
+        return []
+          .concat(operand)
+          .some((item) => this._valuesEqual(value, item));
+      case "gt":
+      case "gte":
+      case "lt":
+      case "lte": {
+        const left = this._toComparable(value);
+        const right = this._toComparable(operand);
+        if (Number.isNaN(left) || Number.isNaN(right)) return false;
+        if (operator === "gt") return left > right;
+        if (operator === "gte") return left >= right;
+        if (operator === "lt") return left < right;
+        return left <= right;
+      }
+      case "contains":
+        if (Array.isArray(value)) {
+          return value.some((item) => this._valuesEqual(item, operand));
+        }
+        return (
+          typeof value === "string" &&
+          value.toLowerCase().includes(String(operand).toLowerCase())
+        );
+      case "changedFrom":
+        return Boolean(change) && this._valuesEqual(change.from, operand);
+      case "changedTo":
+        return Boolean(change) && this._valuesEqual(change.to, operand);
+      default:
+        return false;
+    }
+  }
+
+  _isOperatorObject(value) {
+    return (
+      value !== null &&
+      typeof value === "object" &&
+      !Array.isArray(value) &&
+      Object.keys(value).length > 0 &&
+      Object.keys(value).every((key) => CONDITION_OPERATORS.includes(key))
+    );
+  }
+
+  _valuesEqual(a, b) {
+    if (a === b) return true;
+    if (a === null || a === undefined || b === null || b === undefined) {
+      return false;
+    }
+    return a.toString() === b.toString();
+  }
+
+  // Numbers compare as-is; dates and date strings compare by timestamp
+  _toComparable(value) {
+    if (typeof value === "number") return value;
+    if (value === null || value === undefined || value === "") return NaN;
+    return new Date(value).getTime();
+  }
+
+  /**
+   * Reject conditions with unknown operators or malformed all/any lists
+   */
+  _validateCondition(condition) {
+    if (condition === undefined || condition === null) return;
+    if (typeof condition !== "object" || Array.isArray(condition)) {
+      throw new Error("Invalid automation condition: must be an object");
+    }
+
+    Object.entries(condition).forEach(([key, expected]) => {
+      if (key === "all" || key === "any") {
+        if (!Array.isArray(expected)) {
+          throw new Error(
+            `Invalid automation condition: "${key}" must be a list of conditions`
+          );
+        }
+        expected.forEach((nested) => this._validateCondition(nested));
+        return;
+      }
+
+      if (
+        expected !== null &&
+        typeof expected === "object" &&
+        !Array.isArray(expected) &&
+        !this._isOperatorObject(expected)
+      ) {
+        const unknown = Object.keys(expected).filter(
+          (operator) => !CONDITION_OPERATORS.includes(operator)
+        );
+        throw new Error(
+          `Invalid automation condition: unknown operator "${unknown[0]}" on ${key}`
+        );
+      }
+    });
+  }
+
+  /**
+   * Check an action has the config it needs to run
+   */
+  async _validateActionConfig(project, action, actionConfig) {
+    const required = {
+      change_status: "status",
+      assign: "assigneeId",
+      add_tag: "tag",
+      set_priority: "priority",
+      create_subtask: "title",
+      move_to_project: "projectId",
+      post_comment: "content",
+    };
+
+    if (required[action] && !actionConfig[required[action]]) {
+      throw new Error(
+        `Invalid actionConfig for ${action}: ${required[action]} is required`
+      );
+    }
+
+    if (
+      action === "change_status" &&
+      !TASK_STATUSES.includes(actionConfig.status)
+    ) {
+      throw new Error(
+        `Invalid actionConfig for change_status: ${actionConfig.status} is not a valid status`
+      );
+    }
+
+    if (
+      action === "set_priority" &&
+      !TASK_PRIORITIES.includes(actionConfig.priority)
+    ) {
+      throw new Error(
+        `Invalid actionConfig for set_priority: ${actionConfig.priority} is not a valid priority`
+      );
+    }
+
+    if (
+      action === "notify" &&
+      actionConfig.priority !== undefined &&
+      !NOTIFICATION_PRIORITIES.includes(actionConfig.priority)
+    ) {
+      throw new Error(
+        `Invalid actionConfig for notify: ${actionConfig.priority} is not a valid notification priority`
+      );
+    }
+
+    if (
+      action === "set_due_date" &&
+      !["days", "hours"].some((unit) => Number.isFinite(actionConfig[unit]))
+    ) {
+      throw new Error(
+        "Invalid actionConfig for set_due_date: days or hours is required"
+      );
+    }
+
+    if (action === "move_to_project") {
+      const target = mongoose.isValidObjectId(actionConfig.projectId)
+        ? await Project.findById(actionConfig.projectId)
+        : null;
+      if (
+        !target ||
+        target.organization.toString() !== project.organization.toString()
+      ) {
+        throw new Error(
+          "Invalid actionConfig for move_to_project: target project must be in the same organization"
+        );
+      }
+    }
+  }
+
   async _executeAutomationAction(rule, context) {
-    const { action, actionConfig } = rule;
-    const { entityId, entityType } = context;
+    const { action, actionConfig = {} } = rule;
+    const { entityId, entityType, actorId, chain } = context;
 
     try {
+      if (entityType !== "Task") {
+        return { success: false, action, message: "Unsupported entity type" };
+      }
+
+      const task = await Task.findById(entityId);
+      if (!task) {
+        return { success: false, action, message: "Task not found" };
+      }
+
+      // Changes made by the rule are recorded as the actor's, by automation
+      const before = taskHistoryService.snapshot(task);
+      const saveTask = async () => {
+        await task.save();
+        const events = await taskHistoryService.recordChanges(
+          task,
+          before,
+          actorId,
+          { source: "automation" }
+        );
+        await watcherService.notifyChanges(task, events, actorId);
+      };
+
+      // Events re-emitted by this action run one level deeper in the chain
+      const nextOptions = {
+        actorId,
+        chain: { ...chain, depth: chain.depth + 1 },
+      };
+
+      // Status, subtask and project changes go through the task service for
+      // its checks and side effects, acting with the task owner's access
+      const ownerId = task.owner.toString();
+      const updateOptions = {
+        source: "automation",
+        actorId,
+        chain: nextOptions.chain,
+      };
+
       switch (action) {
-        case "change_status":
-          if (entityType === "Task") {
-            const task = await Task.findById(entityId);
-            if (task) {
-              task.status = actionConfig.status;
-              await task.save();
-              return {
-                success: true,
-                action,
-                message: `Task status updated to ${actionConfig.status}`,
-              };
-            }
+        case "change_status": {
+          if (!actionConfig.status) break;
+          if (task.status === actionConfig.status) {
+            return {
+              success: true,
+              action,
+              message: `Task already has status ${actionConfig.status}`,
+            };
           }
-          break;
 
-        case "notify":
-          // Would integrate with notification system here
-          return { success: true, action, message: "Notification triggered" };
+          await taskService.updateTask(
+            task._id.toString(),
+            ownerId,
+            { status: actionConfig.status },
+            updateOptions
+          );
+
+          return {
+            success: true,
+            action,
+            message: `Task status updated to ${actionConfig.status}`,
+          };
+        }
 
-        case "assign":
-          if (entityType === "Task" && actionConfig.assigneeId) {
-            const task = await Task.findById(entityId);
-            if (task) {
-              task.assignedTo = actionConfig.assigneeId;
-              await task.save();
-              return {
-                success: true,
-                action,
-                message: `Task assigned to user`,
-              };
-            }
+        case "notify": {
+          const recipients = this._resolveNotifyRecipients(
+            task,
+            actionConfig.recipients,
+            actorId
+          );
+
+          const notifications = await Promise.all(
+            recipients.map((recipient) =>
+              notificationService.createNotification({
+                recipient,
+                sender: actorId,
+                type: context.trigger,
+                title:
+                  actionConfig.title ||
+                  AUTOMATION_NOTIFICATION_TITLES[context.trigger],
+                message:
+                  actionConfig.message ||
+                  `Automation rule ran on task "${task.title}"`,
+                entityType: "Task",
+                entityId: task._id,
+                link: `/tasks/${task._id}`,
+                priority: actionConfig.priority || "normal",
+              })
+            )
+          );
+
+          const sent = notifications.filter(Boolean).length;
+          return {
+            success: true,
+            action,
+            message: `Notification sent to ${sent} recipient(s)`,
+          };
+        }
+
+        case "assign": {
+          if (!actionConfig.assigneeId) break;
+          const alreadyAssigned = task.assignedTo.some(
+            (id) => id.toString() === actionConfig.assigneeId.toString()
+          );
+          if (alreadyAssigned && task.assignedTo.length === 1) {
+            return {
+              success: true,
+              action,
+              message: "Task already assigned to user",
+            };
+          }
+
+          task.assignedTo = [actionConfig.assigneeId];
+          await saveTask();
+
+          if (!alreadyAssigned) {
+            await this.runTaskAutomations(
+              task,
+              "assignment",
+              { assigneeId: actionConfig.assigneeId.toString() },
+              nextOptions
+            );
           }
-          break;
+
+          return {
+            success: true,
+            action,
+            message: `Task assigned to user`,
+          };
+        }
 
         case "add_tag":
-          if (entityType === "Task" && actionConfig.tag) {
-            const task = await Task.findById(entityId);
-            if (task && !task.tags.includes(actionConfig.tag)) {
-              task.tags.push(actionConfig.tag);
-              await task.save();
+          if (actionConfig.tag) {
+            if (task.tags.includes(actionConfig.tag)) {
               return {
                 success: true,
                 action,
-                message: `Tag ${actionConfig.tag} added to task`,
+                message: `Task already tagged ${actionConfig.tag}`,
               };
             }
+
+            task.tags.push(actionConfig.tag);
+            await saveTask();
+            return {
+              success: true,
+              action,
+              message: `Tag ${actionConfig.tag} added to task`,
+            };
           }
           break;
 
+        case "set_priority": {
+          if (!actionConfig.priority) break;
+          if (task.priority === actionConfig.priority) {
+            return {
+              success: true,
+              action,
+              message: `Task already has priority ${actionConfig.priority}`,
+            };
+          }
+
+          task.priority = actionConfig.priority;
+          await saveTask();
+          return {
+            success: true,
+            action,
+            message: `Task priority set to ${actionConfig.priority}`,
+          };
+        }
+
+        case "set_due_date": {
+          const offsetHours =
+            (actionConfig.days || 0) * 24 + (actionConfig.hours || 0);
+          task.dueDate = new Date(Date.now() + offsetHours * 60 * 60 * 1000);
+          await saveTask();
+          return {
+            success: true,
+            action,
+            message: `Task due date set to ${task.dueDate.toISOString()}`,
+          };
+        }
+
+        case "create_subtask": {
+          if (!actionConfig.title) break;
+          const subtask = await taskService.createSubtask(
+            task._id.toString(),
+            ownerId,
+            {
+              title: actionConfig.title,
+              description: actionConfig.description || "",
+              priority: actionConfig.priority || task.priority,
+              assignedTo: actionConfig.assigneeId
+                ? [actionConfig.assigneeId]
+                : [],
+              createdBy: actorId,
+            },
+            { chain: nextOptions.chain }
+          );
+
+          return {
+            success: true,
+            action,
+            message: `Subtask "${subtask.title}" created`,
+          };
+        }
+
+        case "move_to_project": {
+          if (!actionConfig.projectId) break;
+          if (task.project?.toString() === actionConfig.projectId.toString()) {
+            return {
+              success: true,
+              action,
+              message: "Task already in target project",
+            };
+          }
+
+          const target = await Project.findById(actionConfig.projectId);
+          if (
+            !target ||
+            target.organization.toString() !==
+              context.project.organization.toString()
+          ) {
+            return {
+              success: false,
+              action,
+              message: "Target project not found in this organization",
+            };
+          }
+
+          await taskService.updateTask(
+            task._id.toString(),
+            ownerId,
+            { project: target._id.toString() },
+            updateOptions
+          );
+
+          return {
+            success: true,
+            action,
+            message: `Task moved to project ${target.name}`,
+          };
+        }
+
+        case "post_comment": {
+          if (!actionConfig.content) break;
+          const comment = await Comment.create({
+            content: actionConfig.content,
+            author: actorId || task.owner,
+            entityType: "Task",
+            entityId: task._id,
+          });
+
+          // Watchers hear about it as they do about comments people post
+          await watcherService.notifyComment(task, comment, comment.author);
+
+          await this.runTaskAutomations(
+            task,
+            "comment",
+            {
+              commentId: comment._id.toString(),
+              authorId: comment.author.toString(),
+            },
+            nextOptions
+          );
+
+          return {
+            success: true,
+            action,
+            message: "Comment posted on task",
+          };
+        }
+
         default:
           return { success: false, message: `Unsupported action: ${action}` };
       }
 
-      return { success: false, message: "Action could not be executed" };
+      return {
+        success: false,
+        action,
+        message: "Action could not be executed",
+      };
     } catch (error) {
       logger.error(`Execute automation action error: ${error.message}`);
-      return { success: false, error: error.message };
+      return { success: false, action, error: error.message };
+    }
+  }
+
+  /**
+   * Fields of a task that automation conditions can match on
+   */
+  _taskEventData(task) {
+    return {
+      status: task.status,
+      priority: task.priority,
+      category: task.category,
+      tags: [...(task.tags || [])],
+      progress: task.progress,
+      dueDate: task.dueDate,
+      assignedTo: (task.assignedTo || []).map((id) => id.toString()),
+    };
+  }
+
+  /**
+   * Work out who a notify action goes to. `recipients` may be "assignees",
+   * "owner", "watchers", user IDs, or a list of those. The user who caused
+   * the event is never notified about it.
+   */
+  _resolveNotifyRecipients(task, recipients = ["assignees", "owner"], actorId) {
+    const groups = {
+      assignees: task.assignedTo || [],
+      owner: [task.owner],
+      watchers: task.watchers || [],
+    };
+
+    const ids = [].concat(recipients).flatMap((recipient) => {
+      if (groups[recipient]) return groups[recipient];
+      return mongoose.isValidObjectId(recipient) ? [recipient] : [];
+    });
+
+    return [...new Set(ids.filter(Boolean).map((id) => id.toString()))].filter(
+      (id) => !actorId || id !== actorId.toString()
+    );
+  }
+
+  /**
+   * Queue a rule's action to run after its delay. The chain goes with it so
+   * loop protection still applies when the action runs.
+   */
+  async _scheduleAutomationAction(project, rule, event, context, chain) {
+    const runAt = new Date(Date.now() + rule.delayMinutes * 60 * 1000);
+
+    await schedulerService.schedule(
+      "automation_action",
+      runAt,
+      {
+        projectId: project._id.toString(),
+        automationId: rule._id.toString(),
+        trigger: event.trigger,
+        data: event.data,
+        entityType: context.entityType,
+        entityId: context.entityId.toString(),
+        actorId: context.actorId?.toString(),
+        chain: {
+          id: chain.id,
+          depth: chain.depth,
+          firedRules: [...chain.firedRules],
+        },
+      },
+      { entityType: context.entityType, entityId: context.entityId }
+    );
+
+    return {
+      success: true,
+      scheduled: true,
+      action: rule.action,
+      message: `Scheduled for ${runAt.toISOString()}`,
+    };
+  }
+
+  _getRunStatus(result) {
+    if (result.skipped) return "skipped";
+    if (result.scheduled) return "scheduled";
+    return result.success ? "success" : "failed";
+  }
+
+  async _recordAutomationRun(project, rule, event, context, chain, result) {
+    try {
+      await AutomationRun.create({
+        project: project._id,
+        automation: rule._id,
+        trigger: event.trigger,
+        action: rule.action,
+        entityType: context.entityType,
+        entityId: context.entityId,
+        status: this._getRunStatus(result),
+        message: result.message,
+        error: result.error,
+        chainId: chain.id,
+        depth: chain.depth,
+        triggeredBy: context.actorId,
+        eventData: event.data,
+      });
+    } catch (error) {
+      logger.error(`Error recording automation run: ${error.message}`);
     }
   }
 }
 
-module.exports = new ProjectService();
+export default new ProjectService();
@@ -0,0 +1,276 @@
+import Task from "../models/Task.js";
+import logger from "../utils/logger.js";
+import { getNextRecurrenceDate } from "../utils/timeUtils.js";
+
+import subtaskService from "./subtaskService.js";
+import taskAccessService from "./taskAccessService.js";
+
+// Fields each occurrence copies from the one before it
+const SERIES_FIELDS = [
+  "title",
+  "description",
+  "priority",
+  "category",
+  "tags",
+  "assignedTo",
+  "watchers",
+  "estimatedTime",
+  "color",
+  "location",
+  "isPrivate",
+  "completeWhenSubtasksDone",
+  "customFields",
+  "project",
+  "organization",
+  "owner",
+];
+
+// Fields copied onto subtasks of a new occurrence
+const SUBTASK_FIELDS = [
+  "title",
+  "description",
+  "priority",
+  "category",
+  "tags",
+  "assignedTo",
+  "estimatedTime",
+  "project",
+  "organization",
+  "owner",
+];
+
+const pick = (task, fields) =>
+  fields.reduce((copy, field) => {
+    if (task[field] !== undefined) copy[field] = task[field];
+    return copy;
+  }, {});
+
+/**
+ * Recurrence Service - materializes occurrences of recurring tasks
+ */
+class RecurrenceService {
+  /**
+   * Create the next occurrence of a recurring task. Each occurrence
+   * generates its successor once, when it is completed or its period ends.
+   * @param {String} taskId - Current occurrence
+   * @returns {Promise<Object|null>} New occurrence, or null if the series has ended
+   */
+  async generateNextOccurrence(taskId) {
+    try {
+      // Claim the occurrence so completion and the job cannot both generate
+      const current = await Task.findOneAndUpdate(
+        {
+          _id: taskId,
+          "recurring.isRecurring": true,
+          "recurring.lastGenerated": null,
+        },
+        { $set: { "recurring.lastGenerated": new Date() } },
+        { new: true }
+      );
+      if (!current || !current.recurring.frequency) {
+        return null;
+      }
+
+      const { recurring } = current;
+      const occurrenceNumber = (recurring.occurrence || 1) + 1;
+      if (
+        recurring.endAfterOccurrences &&
+        occurrenceNumber > recurring.endAfterOccurrences
+      ) {
+        logger.info(`Recurring series ${recurring.seriesId} has ended`);
+        return null;
+      }
+
+      // Skip periods that are already over, e.g. after a long absence
+      const reference =
+        current.dueDate || current.startDate || current.createdAt;
+      const now = new Date();
+      let nextReference = reference;
+      do {
+        nextReference = getNextRecurrenceDate(
+          nextReference,
+          recurring.frequency,
+          recurring.interval
+        );
+      } while (nextReference <= now);
+
+      if (recurring.endDate && nextReference > recurring.endDate) {
+        logger.info(`Recurring series ${recurring.seriesId} has ended`);
+        return null;
+      }
+
+      const offset = nextReference - reference;
+      const template = await this._getSeriesTemplate(current);
+
+      const occurrence = new Task({
+        ...pick(template, SERIES_FIELDS),
+        dueDate: current.dueDate ? nextReference : undefined,
+        startDate: current.startDate
+          ? new Date(current.startDate.getTime() + offset)
+          : undefined,
+        recurring: {
+          isRecurring: true,
+          frequency: recurring.frequency,
+          interval: recurring.interval,
+          endDate: recurring.endDate,
+          endAfterOccurrences: recurring.endAfterOccurrences,
+          seriesId: recurring.seriesId,
+          occurrence: occurrenceNumber,
+        },
+        createdBy: current.createdBy,
+      });
+      await occurrence.save();
+
+      occurrence.subtasks = await this._copySubtasks(
+        template,
+        occurrence,
+        offset
+      );
+      if (occurrence.subtasks.length > 0) {
+        await occurrence.save();
+        await subtaskService.refreshRollups(occurrence._id);
+      }
+
+      logger.info(
+        `Generated occurrence ${occurrenceNumber} of recurring series ${recurring.seriesId}`
+      );
+      return occurrence;
+    } catch (error) {
+      logger.error(`Error generating recurring task: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate the next occurrence for every occurrence that is completed or
+   * whose period has ended
+   * @returns {Promise<Number>} Number of occurrences checked
+   */
+  async processDueOccurrences({ limit = 100 } = {}) {
+    const due = await Task.find({
+      "recurring.isRecurring": true,
+      "recurring.lastGenerated": null,
+      isArchived: false,
+      $or: [
+        { status: "completed" },
+        { "recurring.periodEndsAt": { $lte: new Date() } },
+      ],
+    })
+      .select("_id")
+      .limit(limit);
+
+    for (const task of due) {
+      try {
+        await this.generateNextOccurrence(task._id);
+      } catch (error) {
+        logger.error(
+          `Failed to generate next occurrence of task ${task._id}: ${error.message}`
+        );
+      }
+    }
+
+    return due.length;
+  }
+
+  /**
+   * Apply an update to the later, unfinished occurrences of a series
+   * ("this and all future occurrences"). Dates are left alone since each
+   * occurrence has its own.
+   * @param {Object} task - Occurrence the user edited
+   * @param {Object} updateData - Fields the user changed
+   * @returns {Promise<Number>} Number of later occurrences updated
+   */
+  async applyToFutureOccurrences(task, updateData) {
+    const updates = pick(updateData, SERIES_FIELDS);
+    ["frequency", "interval", "endDate", "endAfterOccurrences"].forEach(
+      (field) => {
+        if (updateData.recurring?.[field] !== undefined) {
+          updates[`recurring.${field}`] = updateData.recurring[field];
+        }
+      }
+    );
+
+    if (Object.keys(updates).length === 0) {
+      return 0;
+    }
+
+    const result = await Task.updateMany(
+      {
+        "recurring.seriesId": task.recurring.seriesId,
+        "recurring.occurrence": { $gt: task.recurring.occurrence },
+        status: { $nin: ["completed", "cancelled"] },
+      },
+      { $set: { ...updates, "recurring.isException": false } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Whether an update changes fields that occurrences copy from each other
+   */
+  touchesSeriesFields(updateData) {
+    return SERIES_FIELDS.some((field) => updateData[field] !== undefined);
+  }
+
+  /**
+   * List the occurrences in a task's series, oldest first
+   */
+  async getOccurrences(taskId, userId) {
+    try {
+      const task = await taskAccessService.findTask(taskId, userId);
+      if (!task.recurring?.seriesId) {
+        return [task];
+      }
+
+      return await Task.find({ "recurring.seriesId": task.recurring.seriesId })
+        .sort({ "recurring.occurrence": 1 })
+        .select("title status dueDate startDate completedAt recurring");
+    } catch (error) {
+      logger.error(`Error fetching task occurrences: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * The occurrence the next one is copied from: the current one, unless it
+   * was edited on its own, in which case the latest regular occurrence
+   */
+  async _getSeriesTemplate(current) {
+    if (!current.recurring.isException) {
+      return current;
+    }
+
+    const template = await Task.findOne({
+      "recurring.seriesId": current.recurring.seriesId,
+      "recurring.isException": { $ne: true },
+    }).sort({ "recurring.occurrence": -1 });
+
+    return template || current;
+  }
+
+  async _copySubtasks(template, occurrence, offset) {
+    const subtasks = await Task.find({ parentTask: template._id });
+    const now = new Date();
+
+    const copies = await Task.insertMany(
+      subtasks.map((subtask) => {
+        const dueDate = subtask.dueDate
+          ? new Date(subtask.dueDate.getTime() + offset)
+          : undefined;
+
+        return {
+          ...pick(subtask, SUBTASK_FIELDS),
+          parentTask: occurrence._id,
+          dueDate: dueDate && dueDate > now ? dueDate : undefined,
+          createdBy: subtask.createdBy,
+        };
+      })
+    );
+
+    return copies.map((copy) => copy._id);
+  }
+}
+
+export default new RecurrenceService();
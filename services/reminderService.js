@@ -0,0 +1,309 @@
+import mongoose from "mongoose";
+
+import Note from "../models/Note.js";
+import Task from "../models/Task.js";
+import logger from "../utils/logger.js";
+
+import notificationService from "./notificationService.js";
+import taskAccessService from "./taskAccessService.js";
+
+const DEFAULT_SNOOZE_MINUTES = 10;
+
+/**
+ * Reminder Service - delivers task and note reminders as notifications
+ */
+class ReminderService {
+  /**
+   * Send notifications for every task and note reminder that has come due.
+   * Each reminder is marked sent before it is delivered, so a restart or a
+   * second runner never sends it twice.
+   * @returns {Promise<Number>} Number of reminders sent
+   */
+  async deliverDueReminders({ limit = 100 } = {}) {
+    const taskCount = await this._deliverTaskReminders(limit);
+    const noteCount = await this._deliverNoteReminders(limit);
+    return taskCount + noteCount;
+  }
+
+  /**
+   * Add a reminder to a task
+   */
+  async addTaskReminder(taskId, userId, remindAt) {
+    try {
+      const task = await this._findEditableTask(taskId, userId);
+
+      const date = new Date(remindAt);
+      if (Number.isNaN(date.getTime()) || date <= new Date()) {
+        throw new Error("Invalid reminder time: must be in the future");
+      }
+
+      task.reminders.push({ remindAt: date });
+      await task.save();
+
+      return task.reminders[task.reminders.length - 1];
+    } catch (error) {
+      logger.error(`Error adding task reminder: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Push a task reminder back and send it again when the new time comes
+   */
+  async snoozeTaskReminder(
+    taskId,
+    reminderId,
+    userId,
+    minutes = DEFAULT_SNOOZE_MINUTES
+  ) {
+    try {
+      const task = await this._findEditableTask(taskId, userId);
+      const reminder = this._findReminder(task, reminderId);
+
+      reminder.remindAt = new Date(Date.now() + minutes * 60 * 1000);
+      reminder.notificationSent = false;
+      reminder.sentAt = undefined;
+      reminder.dismissedAt = undefined;
+      reminder.snoozeCount += 1;
+      await task.save();
+
+      return reminder;
+    } catch (error) {
+      logger.error(`Error snoozing task reminder: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Dismiss a task reminder so it is never sent (again)
+   */
+  async dismissTaskReminder(taskId, reminderId, userId) {
+    try {
+      const task = await this._findEditableTask(taskId, userId);
+      const reminder = this._findReminder(task, reminderId);
+
+      reminder.dismissedAt = new Date();
+      await task.save();
+
+      return reminder;
+    } catch (error) {
+      logger.error(`Error dismissing task reminder: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Set or change a note's reminder. A new date re-arms a reminder that
+   * was already sent.
+   */
+  async setNoteReminder(noteId, userId, { date, isEnabled = true }) {
+    try {
+      const note = await this._findOwnedNote(noteId, userId);
+
+      note.reminder.isEnabled = isEnabled;
+      if (date !== undefined) {
+        note.reminder.date = date;
+        note.reminder.notificationSent = false;
+        note.reminder.sentAt = undefined;
+      }
+      await note.save();
+
+      return note.reminder;
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        throw new Error(
+          `Validation failed: ${Object.values(error.errors)
+            .map((e) => e.message)
+            .join(", ")}`
+        );
+      }
+      logger.error(`Error setting note reminder: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Push a note's reminder back and send it again when the new time comes
+   */
+  async snoozeNoteReminder(noteId, userId, minutes = DEFAULT_SNOOZE_MINUTES) {
+    try {
+      const note = await this._findOwnedNote(noteId, userId);
+      if (!note.reminder.isEnabled) {
+        throw new Error("Reminder not found");
+      }
+
+      note.reminder.date = new Date(Date.now() + minutes * 60 * 1000);
+      note.reminder.notificationSent = false;
+      note.reminder.sentAt = undefined;
+      note.reminder.snoozeCount += 1;
+      await note.save();
+
+      return note.reminder;
+    } catch (error) {
+      logger.error(`Error snoozing note reminder: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn off a note's reminder
+   */
+  async dismissNoteReminder(noteId, userId) {
+    try {
+      const note = await this._findOwnedNote(noteId, userId);
+
+      note.reminder.isEnabled = false;
+      await note.save();
+
+      return note.reminder;
+    } catch (error) {
+      logger.error(`Error dismissing note reminder: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Private helper methods
+
+  async _deliverTaskReminders(limit) {
+    const now = new Date();
+    const dueReminder = {
+      remindAt: { $lte: now },
+      notificationSent: false,
+      dismissedAt: null,
+    };
+
+    const tasks = await Task.find({
+      reminders: { $elemMatch: dueReminder },
+      status: { $nin: ["completed", "cancelled"] },
+      isArchived: false,
+    })
+      .select("title owner assignedTo dueDate reminders")
+      .limit(limit);
+
+    let sent = 0;
+    for (const task of tasks) {
+      const due = task.reminders.filter(
+        (reminder) =>
+          reminder.remindAt <= now &&
+          !reminder.notificationSent &&
+          !reminder.dismissedAt
+      );
+
+      for (const reminder of due) {
+        const claimed = await Task.updateOne(
+          {
+            _id: task._id,
+            reminders: {
+              $elemMatch: { _id: reminder._id, notificationSent: false },
+            },
+          },
+          {
+            $set: {
+              "reminders.$.notificationSent": true,
+              "reminders.$.sentAt": now,
+            },
+          }
+        );
+        if (claimed.modifiedCount === 0) continue;
+
+        const recipients = [
+          ...new Set(
+            [task.owner, ...task.assignedTo].map((id) => id.toString())
+          ),
+        ];
+        await Promise.all(
+          recipients.map((recipient) =>
+            notificationService.createNotification({
+              recipient,
+              type: "due_date",
+              title: `Reminder: ${task.title}`,
+              message: task.dueDate
+                ? `"${task.title}" is due ${task.dueDate.toISOString()}`
+                : `Reminder for "${task.title}"`,
+              entityType: "Task",
+              entityId: task._id,
+              link: `/tasks/${task._id}`,
+              isActionRequired: true,
+            })
+          )
+        );
+        sent += 1;
+      }
+    }
+
+    return sent;
+  }
+
+  async _deliverNoteReminders(limit) {
+    const now = new Date();
+    const dueQuery = {
+      "reminder.isEnabled": true,
+      "reminder.notificationSent": false,
+      "reminder.date": { $lte: now },
+    };
+
+    const notes = await Note.find(dueQuery)
+      .select("title owner reminder")
+      .limit(limit);
+
+    let sent = 0;
+    for (const note of notes) {
+      const claimed = await Note.updateOne(
+        { _id: note._id, ...dueQuery },
+        {
+          $set: {
+            "reminder.notificationSent": true,
+            "reminder.sentAt": now,
+          },
+        }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      await notificationService.createNotification({
+        recipient: note.owner,
+        type: "due_date",
+        title: `Reminder: ${note.title}`,
+        message: `Reminder for note "${note.title}"`,
+        entityType: "Note",
+        entityId: note._id,
+        link: `/notes/${note._id}`,
+      });
+      sent += 1;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Load a task the user can edit
+   */
+  async _findEditableTask(taskId, userId) {
+    return taskAccessService.findTask(taskId, userId, "edit");
+  }
+
+  _findReminder(task, reminderId) {
+    const reminder = mongoose.isValidObjectId(reminderId)
+      ? task.reminders.id(reminderId)
+      : null;
+    if (!reminder) {
+      throw new Error("Reminder not found");
+    }
+
+    return reminder;
+  }
+
+  async _findOwnedNote(noteId, userId) {
+    if (!mongoose.isValidObjectId(noteId)) {
+      throw new Error("Invalid note ID format");
+    }
+
+    const note = await Note.findOne({ _id: noteId, owner: userId });
+    if (!note) {
+      throw new Error("Note not found");
+    }
+
+    return note;
+  }
+}
+
+export default new ReminderService();
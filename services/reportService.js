@@ -2,10 +2,16 @@ import mongoose from "mongoose";
 
 import Membership from "../models/Membership.js";
 import Organization from "../models/Organization.js";
+import Project from "../models/Project.js";
 import Task from "../models/Task.js";
+import TaskHistory from "../models/TaskHistory.js";
 import TimeLog from "../models/TimeLog.js";
 import User from "../models/User.js";
 import logger from "../utils/logger.js";
+import { compileTaskQuery } from "../utils/taskQuery.js";
+
+import customFieldService from "./customFieldService.js";
+import taskAccessService from "./taskAccessService.js";
 
 class ReportService {
   /**
@@ -370,6 +376,9 @@ class ReportService {
    * @param {string} filters.period - Report period (daily, weekly, monthly)
    * @param {string} filters.startDate - Start date (YYYY-MM-DD)
    * @param {string} filters.endDate - End date (YYYY-MM-DD)
+   * @param {string} filters.projectId - Filter by project ID
+   * @param {string} filters.groupBy - How to group results (date, user,
+   *   category, priority, or customFields.<field name>)
    * @returns {Array} - Report data
    */
   async getTaskCompletionReport(filters) {
@@ -380,9 +389,17 @@ class ReportService {
         period = "daily",
         startDate,
         endDate,
+        projectId,
         groupBy = "date",
+        query,
+        viewerId,
       } = filters;
 
+      // Name of the custom field to group by, if any
+      const customField = groupBy.startsWith("customFields.")
+        ? groupBy.slice("customFields.".length)
+        : null;
+
       // Base match query - we're looking for completed tasks
       const matchQuery = {
         status: "completed",
@@ -409,6 +426,15 @@ class ReportService {
         matchQuery.organization = mongoose.Types.ObjectId(organizationId);
       }
 
+      if (projectId) {
+        matchQuery.project = new mongoose.Types.ObjectId(projectId);
+      }
+
+      // Task query language filter; "me" is the user viewing the report
+      if (query) {
+        matchQuery.$and = [compileTaskQuery(query, { userId: viewerId })];
+      }
+
       // Default group by day
       let groupByConfig = {
         _id: { $dateToString: { format: "%Y-%m-%d", date: "$completedAt" } },
@@ -494,6 +520,14 @@ class ReportService {
           count: { $sum: 1 },
           tasks: { $push: "$$ROOT" },
         };
+      } else if (customField) {
+        const path = `$${customFieldService.fieldPath(customField)}`;
+        groupByConfig = {
+          _id: path,
+          value: { $first: path },
+          count: { $sum: 1 },
+          tasks: { $push: "$$ROOT" },
+        };
       }
 
       // Build the pipeline
@@ -508,7 +542,8 @@ class ReportService {
       } else if (
         groupBy === "user" ||
         groupBy === "category" ||
-        groupBy === "priority"
+        groupBy === "priority" ||
+        customField
       ) {
         pipeline.push({ $sort: { count: -1 } });
       }
@@ -530,10 +565,15 @@ class ReportService {
                 category: "$$task.category",
                 priority: "$$task.priority",
                 actualTime: "$$task.actualTime",
+                customFields: "$$task.customFields",
               },
             },
           },
           count: 1,
+          ...(customField && {
+            field: { $literal: customField },
+            value: 1,
+          }),
         },
       });
 
@@ -655,6 +695,136 @@ class ReportService {
     }
   }
 
+  /**
+   * Get status history report from the tasks' recorded status changes
+   *
+   * @param {Object} filters - Query filters
+   * @param {string} filters.organizationId - Filter by organization ID
+   * @param {string} filters.userId - Filter by task owner
+   * @param {string} filters.projectId - Filter by project ID
+   * @param {string} filters.taskId - Filter by task ID
+   * @param {string} filters.startDate - Start date (YYYY-MM-DD)
+   * @param {string} filters.endDate - End date (YYYY-MM-DD)
+   * @param {string} filters.viewerId - User requesting the report; only
+   *   tasks they can view are counted
+   * @returns {Object} - Transition counts and time spent in each status.
+   *   Time only counts periods that a later change in the range ended.
+   */
+  async getStatusHistoryReport(filters) {
+    try {
+      const {
+        organizationId,
+        userId,
+        projectId,
+        taskId,
+        startDate,
+        endDate,
+        viewerId,
+      } = filters;
+
+      const ids = { organizationId, userId, projectId, taskId };
+      Object.entries(ids).forEach(([name, id]) => {
+        if (id !== undefined && !mongoose.isValidObjectId(id)) {
+          throw new Error(`Invalid ${name} - must be a valid ID`);
+        }
+      });
+
+      const taskQuery = {
+        $and: [await taskAccessService.getAccessFilter(viewerId)],
+      };
+      if (userId) taskQuery.owner = new mongoose.Types.ObjectId(userId);
+      if (organizationId) {
+        // Tasks in the organization's projects count as the organization's
+        const organization = new mongoose.Types.ObjectId(organizationId);
+        const projectIds = await Project.find({ organization }).distinct("_id");
+        taskQuery.$and.push({
+          $or: [{ organization }, { project: { $in: projectIds } }],
+        });
+      }
+      if (projectId) {
+        taskQuery.project = new mongoose.Types.ObjectId(projectId);
+      }
+      if (taskId) taskQuery._id = new mongoose.Types.ObjectId(taskId);
+
+      const eventQuery = {
+        $expr: { $eq: ["$task", "$$taskId"] },
+        field: "status",
+      };
+      if (startDate || endDate) {
+        eventQuery.changedAt = {};
+        if (startDate) eventQuery.changedAt.$gte = new Date(startDate);
+        if (endDate) {
+          eventQuery.changedAt.$lte = new Date(`${endDate}T23:59:59.999Z`);
+        }
+      }
+
+      const tasks = await Task.aggregate([
+        { $match: taskQuery },
+        {
+          $lookup: {
+            from: TaskHistory.collection.name,
+            let: { taskId: "$_id" },
+            pipeline: [
+              { $match: eventQuery },
+              { $sort: { changedAt: 1, _id: 1 } },
+              { $project: { oldValue: 1, newValue: 1, changedAt: 1 } },
+            ],
+            as: "events",
+          },
+        },
+        { $match: { "events.0": { $exists: true } } },
+        { $project: { events: 1 } },
+      ]);
+
+      const transitions = new Map();
+      const durations = new Map();
+
+      tasks.forEach(({ events }) => {
+        events.forEach((event, index) => {
+          const key = `${event.oldValue}>${event.newValue}`;
+          const transition = transitions.get(key) || {
+            from: event.oldValue,
+            to: event.newValue,
+            count: 0,
+          };
+          transition.count += 1;
+          transitions.set(key, transition);
+
+          const next = events[index + 1];
+          if (next) {
+            const hours = (next.changedAt - event.changedAt) / (60 * 60 * 1000);
+            const duration = durations.get(event.newValue) || {
+              status: event.newValue,
+              totalHours: 0,
+              periods: 0,
+            };
+            duration.totalHours += hours;
+            duration.periods += 1;
+            durations.set(event.newValue, duration);
+          }
+        });
+      });
+
+      const round = (value) => Math.round(value * 100) / 100;
+
+      return {
+        taskCount: tasks.length,
+        transitions: [...transitions.values()].sort(
+          (a, b) => b.count - a.count
+        ),
+        timeInStatus: [...durations.values()].map((duration) => ({
+          status: duration.status,
+          periods: duration.periods,
+          totalHours: round(duration.totalHours),
+          averageHours: round(duration.totalHours / duration.periods),
+        })),
+      };
+    } catch (error) {
+      logger.error(`Error generating status history report: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Generate a productivity overview report for an organization
    *
@@ -703,7 +873,7 @@ class ReportService {
                   { completedAt: { $gte: start, $lte: end } },
                   { updatedAt: { $gte: start, $lte: end } },
                 ],
-              }
+              },
             ],
           },
         },
@@ -0,0 +1,232 @@
+import mongoose from "mongoose";
+
+import Membership from "../models/Membership.js";
+import SavedView from "../models/SavedView.js";
+import logger from "../utils/logger.js";
+import { compileTaskQuery } from "../utils/taskQuery.js";
+
+// View fields the owner can change
+const UPDATABLE_FIELDS = [
+  "name",
+  "description",
+  "organization",
+  "visibility",
+  "query",
+  "sortBy",
+  "sortOrder",
+];
+
+/**
+ * Saved View Service - named task queries, personal or shared with an
+ * organization
+ */
+class SavedViewService {
+  /**
+   * Create a view
+   * @param {Object} data - View data
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Created view
+   */
+  async createView(data, userId) {
+    try {
+      compileTaskQuery(data.query || "", { userId });
+      if (data.organization) {
+        await this._assertMember(data.organization, userId);
+      }
+
+      const view = new SavedView({ ...data, owner: userId });
+      await view.save();
+
+      return view;
+    } catch (error) {
+      throw this._toRequestError(error, "creating saved view");
+    }
+  }
+
+  /**
+   * Get the user's own views and the views shared with their organizations
+   * @param {String} userId - User ID
+   * @param {Object} filters - { organization }
+   * @returns {Promise<Array>} Views
+   */
+  async getViews(userId, filters = {}) {
+    try {
+      const organizationIds = await this._getOrganizationIds(userId);
+      const query = {
+        $or: [
+          { owner: userId },
+          {
+            visibility: "organization",
+            organization: { $in: organizationIds },
+          },
+        ],
+      };
+      if (filters.organization) query.organization = filters.organization;
+
+      return await SavedView.find(query)
+        .sort({ name: 1, _id: 1 })
+        .populate("owner", "firstName lastName username")
+        .lean();
+    } catch (error) {
+      logger.error(`Error fetching saved views: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a view the user can use
+   * @param {String} viewId - View ID
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} View
+   */
+  async getViewById(viewId, userId) {
+    try {
+      return await this._findAccessibleView(viewId, userId);
+    } catch (error) {
+      logger.error(`Error fetching saved view: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a view. Only its owner can change it.
+   * @param {String} viewId - View ID
+   * @param {String} userId - User ID
+   * @param {Object} updateData - Fields to change
+   * @returns {Promise<Object>} Updated view
+   */
+  async updateView(viewId, userId, updateData) {
+    try {
+      const view = await this._findOwnedView(viewId, userId);
+
+      if (updateData.query !== undefined) {
+        compileTaskQuery(updateData.query, { userId });
+      }
+      if (updateData.organization) {
+        await this._assertMember(updateData.organization, userId);
+      }
+
+      UPDATABLE_FIELDS.forEach((field) => {
+        if (updateData[field] !== undefined) {
+          view[field] = updateData[field];
+        }
+      });
+      await view.save();
+
+      return view;
+    } catch (error) {
+      throw this._toRequestError(error, "updating saved view");
+    }
+  }
+
+  /**
+   * Delete a view. Only its owner can delete it.
+   * @param {String} viewId - View ID
+   * @param {String} userId - User ID
+   */
+  async deleteView(viewId, userId) {
+    try {
+      const view = await this._findOwnedView(viewId, userId);
+      await view.deleteOne();
+    } catch (error) {
+      logger.error(`Error deleting saved view: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Combine a view with task list parameters. The view's query is added to
+   * any `q` given; its sort applies unless the parameters set their own.
+   * "me" in a shared view means whoever lists the tasks.
+   * @param {String} viewId - View ID
+   * @param {String} userId - User listing the tasks
+   * @param {Object} params - Task list parameters
+   * @returns {Promise<Object>} Parameters for taskService.getTasks
+   */
+  async applyView(viewId, userId, params = {}) {
+    const view = await this._findAccessibleView(viewId, userId);
+
+    const applied = {
+      sortBy: view.sortBy,
+      sortOrder: view.sortOrder,
+      ...params,
+      q: [view.query, params.q].filter(Boolean).join(" "),
+    };
+    delete applied.view;
+
+    return applied;
+  }
+
+  // Private helper methods
+
+  async _findAccessibleView(viewId, userId) {
+    if (!mongoose.isValidObjectId(viewId)) {
+      throw new Error("View not found");
+    }
+
+    const organizationIds = await this._getOrganizationIds(userId);
+    const view = await SavedView.findOne({
+      _id: viewId,
+      $or: [
+        { owner: userId },
+        {
+          visibility: "organization",
+          organization: { $in: organizationIds },
+        },
+      ],
+    });
+    if (!view) {
+      throw new Error("View not found");
+    }
+
+    return view;
+  }
+
+  async _findOwnedView(viewId, userId) {
+    const view = await this._findAccessibleView(viewId, userId);
+    if (view.owner.toString() !== userId.toString()) {
+      throw new Error("You do not have permission to change this view");
+    }
+
+    return view;
+  }
+
+  async _getOrganizationIds(userId) {
+    const memberships = await Membership.find({
+      user: userId,
+      status: "active",
+    })
+      .select("organization")
+      .lean();
+
+    return memberships.map((membership) => membership.organization);
+  }
+
+  async _assertMember(organizationId, userId) {
+    const organizationIds = await this._getOrganizationIds(userId);
+    if (!organizationIds.some((id) => id.toString() === organizationId)) {
+      throw new Error(
+        "You do not have permission to share views with this organization"
+      );
+    }
+  }
+
+  /**
+   * Log an error and turn mongoose validation errors into a message the
+   * controller reports as a bad request
+   */
+  _toRequestError(error, action) {
+    logger.error(`Error ${action}: ${error.message}`);
+
+    if (error.name === "ValidationError") {
+      return new Error(
+        `Validation failed: ${Object.values(error.errors)
+          .map((e) => e.message)
+          .join(", ")}`
+      );
+    }
+    return error;
+  }
+}
+
+export default new SavedViewService();
@@ -0,0 +1,145 @@
+import ScheduledJob from "../models/ScheduledJob.js";
+import logger from "../utils/logger.js";
+
+// Minutes a job may stay running before its claim is treated as abandoned,
+// e.g. because the runner holding it crashed
+const STALE_JOB_MINUTES =
+  parseInt(process.env.SCHEDULED_JOB_TIMEOUT_MINUTES) || 15;
+
+// Attempts after which an abandoned job is failed instead of retried
+const MAX_JOB_ATTEMPTS = 3;
+
+class SchedulerService {
+  /**
+   * Schedule a job to run at a later time
+   * @param {String} type - Handler type, e.g. "automation_action"
+   * @param {Date} runAt - When the job becomes due
+   * @param {Object} payload - Data passed to the handler
+   * @param {Object} entity - Optional { entityType, entityId } the job acts on
+   */
+  async schedule(type, runAt, payload = {}, entity = {}) {
+    const job = await ScheduledJob.create({
+      type,
+      runAt,
+      payload,
+      entityType: entity.entityType,
+      entityId: entity.entityId,
+    });
+
+    logger.info(`Scheduled ${type} job ${job._id} for ${runAt.toISOString()}`);
+    return job;
+  }
+
+  /**
+   * Add an item to the pending job of a type for an entity and key, or
+   * schedule a new job with it. Items added before the job runs reach its
+   * handler together in payload.items.
+   * @param {String} type - Handler type, e.g. "watcher_digest"
+   * @param {Date} runAt - When a new job becomes due
+   * @param {Object} entity - { entityType, entityId } the job acts on
+   * @param {String} key - Separates jobs for the same entity, e.g. a user ID
+   * @param {Object} item - Item to add
+   */
+  async scheduleBatched(type, runAt, entity, key, item) {
+    return ScheduledJob.findOneAndUpdate(
+      {
+        type,
+        status: "pending",
+        entityType: entity.entityType,
+        entityId: entity.entityId,
+        "payload.key": key,
+      },
+      { $push: { "payload.items": item }, $setOnInsert: { runAt } },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Cancel pending jobs for an entity, optionally only of one type
+   */
+  async cancelForEntity(entityType, entityId, type) {
+    const query = { entityType, entityId, status: "pending" };
+    if (type) query.type = type;
+
+    const result = await ScheduledJob.updateMany(query, {
+      $set: { status: "cancelled" },
+    });
+    return result.modifiedCount;
+  }
+
+  /**
+   * Run due jobs one at a time. Each job is claimed atomically, so several
+   * runners can share the queue without running a job twice. Claims older
+   * than STALE_JOB_MINUTES are released first.
+   * @param {Object} handlers - Map of job type to async handler(payload, job)
+   * @returns {Promise<Number>} Number of jobs run
+   */
+  async runDueJobs(handlers, { limit = 50 } = {}) {
+    await this.releaseStaleJobs();
+
+    let processed = 0;
+
+    while (processed < limit) {
+      const job = await ScheduledJob.findOneAndUpdate(
+        { status: "pending", runAt: { $lte: new Date() } },
+        {
+          $set: { status: "running", startedAt: new Date() },
+          $inc: { attempts: 1 },
+        },
+        { sort: { runAt: 1 }, new: true }
+      );
+      if (!job) break;
+
+      try {
+        const handler = handlers[job.type];
+        if (!handler) {
+          throw new Error(`No handler for scheduled job type: ${job.type}`);
+        }
+
+        await handler(job.payload, job);
+        job.status = "completed";
+        job.completedAt = new Date();
+      } catch (error) {
+        job.status = "failed";
+        job.lastError = error.message;
+        logger.error(`Scheduled job ${job._id} failed: ${error.message}`);
+      }
+
+      await job.save();
+      processed += 1;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Put jobs left running past STALE_JOB_MINUTES back to pending, so a
+   * runner that stopped mid-job does not hold them forever. Jobs that have
+   * used up their attempts are failed instead.
+   * @returns {Promise<Number>} Number of jobs released
+   */
+  async releaseStaleJobs() {
+    const staleQuery = {
+      status: "running",
+      startedAt: { $lt: new Date(Date.now() - STALE_JOB_MINUTES * 60 * 1000) },
+    };
+    const lastError = `Timed out after ${STALE_JOB_MINUTES} minutes`;
+
+    const failed = await ScheduledJob.updateMany(
+      { ...staleQuery, attempts: { $gte: MAX_JOB_ATTEMPTS } },
+      { $set: { status: "failed", lastError } }
+    );
+    const released = await ScheduledJob.updateMany(staleQuery, {
+      $set: { status: "pending", lastError },
+    });
+
+    if (failed.modifiedCount > 0 || released.modifiedCount > 0) {
+      logger.warn(
+        `Released ${released.modifiedCount} and failed ${failed.modifiedCount} stale scheduled job(s)`
+      );
+    }
+    return released.modifiedCount;
+  }
+}
+
+export default new SchedulerService();
@@ -0,0 +1,479 @@
+import mongoose from "mongoose";
+
+import Comment from "../models/Comment.js";
+import Membership from "../models/Membership.js";
+import Note from "../models/Note.js";
+import Project from "../models/Project.js";
+import Task from "../models/Task.js";
+import logger from "../utils/logger.js";
+
+import taskAccessService from "./taskAccessService.js";
+
+const MAX_SEARCH_LIMIT = 50;
+const SNIPPET_LENGTH = 200;
+// Characters kept before the first match in a snippet
+const SNIPPET_CONTEXT = 60;
+const FACET_SIZE = 20;
+
+// How each searchable type is loaded and shown in results
+const SEARCH_SOURCES = {
+  task: {
+    model: Task,
+    title: "title",
+    body: "description",
+    fields: ["title", "description", "status", "tags", "project", "updatedAt"],
+  },
+  note: {
+    model: Note,
+    title: "title",
+    body: "content",
+    fields: ["title", "content", "tags", "organization", "updatedAt"],
+  },
+  comment: {
+    model: Comment,
+    title: null,
+    body: "content",
+    fields: ["content", "entityType", "entityId", "author", "updatedAt"],
+  },
+  project: {
+    model: Project,
+    title: "name",
+    body: "description",
+    fields: [
+      "name",
+      "description",
+      "status",
+      "tags",
+      "organization",
+      "updatedAt",
+    ],
+  },
+};
+
+const SEARCH_TYPES = Object.keys(SEARCH_SOURCES);
+
+// Types with tags, counted in the tag facet
+const TAGGED_TYPES = ["task", "note", "project"];
+
+// Models whose comments are searchable, keyed by their search type
+const COMMENT_ENTITY_TYPES = {
+  task: "Task",
+  note: "Note",
+  project: "Project",
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * Search Service - full-text search across tasks, notes, comments and
+ * projects the user can access
+ */
+class SearchService {
+  /**
+   * Search everything the user can access
+   * @param {String} userId - User ID
+   * @param {Object} params - { q, types, organization, project, tag, page, limit }
+   * @returns {Promise<Object>} Ranked results, facets and pagination
+   */
+  async search(userId, params = {}) {
+    try {
+      const { q, types, organization, project, tag } = params;
+
+      const text = typeof q === "string" ? q.trim() : "";
+      if (!text) {
+        throw new Error("Invalid search - q is required");
+      }
+
+      const selectedTypes = this._parseTypes(types);
+      const page = Math.max(1, parseInt(params.page) || 1);
+      const limit = Math.min(
+        MAX_SEARCH_LIMIT,
+        Math.max(1, parseInt(params.limit) || 20)
+      );
+
+      const scope = await this._getScope(userId, organization);
+      const filters = await this._buildFilters(userId, scope, {
+        text,
+        project,
+        tag,
+      });
+      const match = (type) => ({
+        ...filters[type],
+        $text: { $search: text },
+      });
+
+      // Every type is counted, so the type facet shows what a search
+      // narrowed to some types leaves out
+      const counts = {};
+      for (const type of SEARCH_TYPES) {
+        counts[type] = filters[type]
+          ? await SEARCH_SOURCES[type].model.countDocuments(match(type))
+          : 0;
+      }
+
+      // The top page * limit hits of each type hold the top page * limit
+      // hits overall
+      const hits = [];
+      for (const type of selectedTypes) {
+        if (!filters[type]) continue;
+
+        const source = SEARCH_SOURCES[type];
+        const projection = Object.fromEntries(
+          source.fields.map((field) => [field, 1])
+        );
+        const documents = await source.model
+          .find(match(type), {
+            ...projection,
+            score: { $meta: "textScore" },
+          })
+          .sort({ score: { $meta: "textScore" } })
+          .limit(page * limit)
+          .lean();
+
+        hits.push(...documents.map((document) => ({ type, document })));
+      }
+
+      hits.sort((a, b) => b.document.score - a.document.score);
+
+      const terms = this._getTerms(text);
+      const results = hits
+        .slice((page - 1) * limit, page * limit)
+        .map(({ type, document }) => this._toResult(type, document, terms));
+      await this._attachCommentEntities(results);
+
+      const total = selectedTypes.reduce((sum, type) => sum + counts[type], 0);
+
+      return {
+        results,
+        facets: {
+          types: counts,
+          tags: await this._getTagFacet(selectedTypes, match, filters),
+          projects: await this._getProjectFacet(selectedTypes, match, filters),
+        },
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      logger.error(`Error searching: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Private helper methods
+
+  _parseTypes(types) {
+    if (!types) return SEARCH_TYPES;
+
+    const list = (Array.isArray(types) ? types : String(types).split(","))
+      .map((type) => type.trim().toLowerCase())
+      .filter(Boolean);
+    const unknown = list.find((type) => !SEARCH_TYPES.includes(type));
+    if (unknown) {
+      throw new Error(
+        `Invalid search - type must be one of ${SEARCH_TYPES.join(", ")}`
+      );
+    }
+
+    return SEARCH_TYPES.filter((type) => list.includes(type));
+  }
+
+  /**
+   * The organizations the user belongs to, limited to one organization when
+   * the search is scoped to it
+   */
+  async _getScope(userId, organization) {
+    const memberships = await Membership.find({
+      user: userId,
+      status: "active",
+    })
+      .select("organization role permissions")
+      .lean();
+
+    if (organization) {
+      const isMember =
+        mongoose.isValidObjectId(organization) &&
+        memberships.some(
+          (membership) => membership.organization.toString() === organization
+        );
+      if (!isMember) {
+        throw new Error(
+          "You do not have permission to search this organization"
+        );
+      }
+    }
+
+    const inScope = memberships.filter(
+      (membership) =>
+        !organization || membership.organization.toString() === organization
+    );
+
+    return {
+      organization: organization ? toObjectId(organization) : null,
+      organizationIds: inScope.map((membership) => membership.organization),
+      // Members who manage projects can see every project in the organization
+      projectOrganizationIds: inScope
+        .filter(
+          (membership) =>
+            membership.role === "admin" ||
+            membership.permissions?.manageProjects
+        )
+        .map((membership) => membership.organization),
+    };
+  }
+
+  /**
+   * Access filters per type, following the rules of each type's own
+   * endpoints. A type that cannot match the filters is null.
+   */
+  async _buildFilters(userId, scope, { text, project, tag }) {
+    const user = toObjectId(userId);
+    const inOrganization = scope.organization
+      ? { organization: scope.organization }
+      : {};
+
+    const filters = {
+      task: {
+        ...inOrganization,
+        ...(await taskAccessService.getAccessFilter(user)),
+      },
+      // Notes shared publicly are found by members of their organization
+      note: {
+        ...inOrganization,
+        $or: [
+          { owner: user },
+          { sharedWith: user },
+          { "collaborators.user": user },
+          { isShared: true, organization: { $in: scope.organizationIds } },
+        ],
+      },
+      project: {
+        ...inOrganization,
+        $or: [
+          { owner: user },
+          { managers: user },
+          { members: user },
+          { organization: { $in: scope.projectOrganizationIds } },
+        ],
+      },
+    };
+
+    if (project) {
+      if (!mongoose.isValidObjectId(project)) {
+        throw new Error("Invalid search - project must be a valid ID");
+      }
+      filters.task.project = toObjectId(project);
+      filters.project._id = toObjectId(project);
+      filters.note = null;
+    }
+
+    if (tag) {
+      TAGGED_TYPES.forEach((type) => {
+        if (filters[type]) filters[type].tags = String(tag);
+      });
+      // Comments have no tags
+      filters.comment = null;
+      return filters;
+    }
+
+    // Comments are found through the tasks, notes and projects they are on.
+    // Only entities with comments matching the search are checked, so the
+    // ID lists stay as small as the comment hits.
+    const entityTypes = Object.entries(COMMENT_ENTITY_TYPES)
+      .filter(([type]) => filters[type])
+      .map(([, entityType]) => entityType);
+    const commented = await Comment.aggregate([
+      {
+        $match: {
+          $text: { $search: text },
+          isDeleted: false,
+          entityType: { $in: entityTypes },
+        },
+      },
+      { $group: { _id: "$entityType", ids: { $addToSet: "$entityId" } } },
+    ]);
+
+    const entities = [];
+    for (const { _id: entityType, ids: commentedIds } of commented) {
+      const [type] = Object.entries(COMMENT_ENTITY_TYPES).find(
+        ([, name]) => name === entityType
+      );
+
+      const ids = await SEARCH_SOURCES[type].model.distinct("_id", {
+        $and: [filters[type], { _id: { $in: commentedIds } }],
+      });
+      if (ids.length > 0) {
+        entities.push({ entityType, entityId: { $in: ids } });
+      }
+    }
+    filters.comment =
+      entities.length > 0 ? { isDeleted: false, $or: entities } : null;
+
+    return filters;
+  }
+
+  /**
+   * Words and quoted phrases to highlight; negated terms are left out
+   */
+  _getTerms(text) {
+    return (text.match(/-?"[^"]*"|\S+/g) || [])
+      .filter((term) => !term.startsWith("-"))
+      .map((term) => term.replace(/"/g, "").trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Positions of the terms in a text, matched at the start of words
+   */
+  _findMatches(text, terms) {
+    if (!text || terms.length === 0) return [];
+
+    const pattern = new RegExp(
+      `(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join("|")})`,
+      "giu"
+    );
+    return [...text.matchAll(pattern)].map((found) => ({
+      start: found.index,
+      length: found[0].length,
+    }));
+  }
+
+  /**
+   * Cut a text down to a window around its first match
+   */
+  _snippet(text, terms) {
+    if (text.length <= SNIPPET_LENGTH) {
+      return { snippet: text, highlights: this._findMatches(text, terms) };
+    }
+
+    const [first] = this._findMatches(text, terms);
+    let start = first ? Math.max(0, first.start - SNIPPET_CONTEXT) : 0;
+    if (start > 0) {
+      // Start on a whole word
+      const space = text.indexOf(" ", start);
+      if (space !== -1 && space < first.start) start = space + 1;
+    }
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+    const snippet = `${start > 0 ? "…" : ""}${text.slice(start, end)}${
+      end < text.length ? "…" : ""
+    }`;
+    return { snippet, highlights: this._findMatches(snippet, terms) };
+  }
+
+  _toResult(type, document, terms) {
+    const source = SEARCH_SOURCES[type];
+    const title = source.title ? document[source.title] : null;
+    const { snippet, highlights } = this._snippet(
+      document[source.body] || "",
+      terms
+    );
+
+    const result = {
+      type,
+      id: document._id,
+      title,
+      snippet,
+      highlights: {
+        title: this._findMatches(title, terms),
+        snippet: highlights,
+      },
+      score: document.score,
+      updatedAt: document.updatedAt,
+    };
+
+    if (document.tags) result.tags = document.tags;
+    if (type === "task") result.project = document.project || null;
+    if (type === "comment") {
+      result.entity = { type: document.entityType, id: document.entityId };
+    }
+
+    return result;
+  }
+
+  /**
+   * Title comment results after the task, note or project they are on
+   */
+  async _attachCommentEntities(results) {
+    const comments = results.filter((result) => result.type === "comment");
+
+    for (const [type, entityType] of Object.entries(COMMENT_ENTITY_TYPES)) {
+      const onType = comments.filter(
+        (result) => result.entity.type === entityType
+      );
+      if (onType.length === 0) continue;
+
+      const source = SEARCH_SOURCES[type];
+      const entities = await source.model
+        .find({ _id: { $in: onType.map((result) => result.entity.id) } })
+        .select(source.title)
+        .lean();
+      const titles = new Map(
+        entities.map((entity) => [entity._id.toString(), entity[source.title]])
+      );
+
+      onType.forEach((result) => {
+        result.entity.title = titles.get(result.entity.id.toString()) || null;
+      });
+    }
+  }
+
+  async _getTagFacet(selectedTypes, match, filters) {
+    const counts = new Map();
+
+    for (const type of TAGGED_TYPES) {
+      if (!selectedTypes.includes(type) || !filters[type]) continue;
+
+      const rows = await SEARCH_SOURCES[type].model.aggregate([
+        { $match: match(type) },
+        { $unwind: "$tags" },
+        { $group: { _id: "$tags", count: { $sum: 1 } } },
+      ]);
+      rows.forEach((row) => {
+        counts.set(row._id, (counts.get(row._id) || 0) + row.count);
+      });
+    }
+
+    return [...counts]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+      .slice(0, FACET_SIZE);
+  }
+
+  /**
+   * Matching tasks per project
+   */
+  async _getProjectFacet(selectedTypes, match, filters) {
+    if (!selectedTypes.includes("task") || !filters.task) return [];
+
+    const rows = await Task.aggregate([
+      { $match: match("task") },
+      { $match: { project: { $ne: null } } },
+      { $group: { _id: "$project", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: FACET_SIZE },
+    ]);
+
+    const projects = await Project.find({
+      _id: { $in: rows.map((row) => row._id) },
+    })
+      .select("name")
+      .lean();
+    const names = new Map(
+      projects.map((project) => [project._id.toString(), project.name])
+    );
+
+    return rows.map((row) => ({
+      project: row._id,
+      name: names.get(row._id.toString()) || null,
+      count: row.count,
+    }));
+  }
+}
+
+export default new SearchService();
@@ -0,0 +1,733 @@
+import Project from "../models/Project.js";
+import Sprint from "../models/Sprint.js";
+import Task from "../models/Task.js";
+import TaskHistory from "../models/TaskHistory.js";
+import Team from "../models/Team.js";
+import User from "../models/User.js";
+import logger from "../utils/logger.js";
+import { paginate } from "../utils/pagination.js";
+import { countWorkingDays } from "../utils/timeUtils.js";
+
+import projectService from "./projectService.js";
+import taskAccessService from "./taskAccessService.js";
+import taskHistoryService from "./taskHistoryService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const USER_FIELDS = "firstName lastName username avatar";
+
+// Fields returned for each task in a sprint
+const TASK_FIELDS =
+  "title status priority dueDate assignedTo storyPoints estimatedTime";
+
+// Task fields replayed from history to draw the charts
+const CHART_FIELDS = ["sprint", "status", "storyPoints"];
+
+// Statuses of tasks that do not carry over to the next sprint
+const CLOSED_STATUSES = ["completed", "cancelled"];
+
+// Work days when a team has none set, ISO numbered (1 is Monday)
+const DEFAULT_WORK_DAYS = [1, 2, 3, 4, 5];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const pointsOf = (tasks) =>
+  round(tasks.reduce((sum, task) => sum + (task.storyPoints || 0), 0));
+
+/**
+ * Sprint Service - time-boxed iterations of a project, with the commitment,
+ * carry-over, charts and capacity planning around them
+ */
+class SprintService {
+  /**
+   * Create a planned sprint
+   * @param {String} projectId - Project ID
+   * @param {Object} data - { name, goal, startDate, endDate }
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Created sprint
+   */
+  async createSprint(projectId, data, userId) {
+    try {
+      const project = await projectService.getManageableProject(
+        projectId,
+        userId
+      );
+      this._validateDates(data.startDate, data.endDate);
+
+      return await Sprint.create({
+        project: project._id,
+        organization: project.organization,
+        name: data.name,
+        goal: data.goal,
+        startDate: data.startDate,
+        endDate: data.endDate,
+        createdBy: userId,
+      });
+    } catch (error) {
+      logger.error(`Error creating sprint: ${error.message}`);
+      throw new Error(`Failed to create sprint: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the sprints of a project, newest first
+   * @param {String} projectId - Project ID
+   * @param {String} userId - User ID
+   * @param {Object} filters - { status }
+   * @param {Object} pagination - { cursor, page, limit }
+   * @returns {Promise<Object>} { sprints, pagination }
+   */
+  async getSprints(projectId, userId, filters = {}, pagination = {}) {
+    try {
+      const project = await projectService.getProjectById(projectId, userId);
+
+      const query = { project: project._id };
+      if (filters.status) query.status = filters.status;
+
+      const page = await paginate(Sprint.find(query), pagination, {
+        sortFields: ["startDate", "endDate", "createdAt"],
+        defaultSort: "startDate",
+      });
+
+      return { sprints: page.items, pagination: page.pagination };
+    } catch (error) {
+      logger.error(`Error getting sprints: ${error.message}`);
+      throw new Error(`Failed to get sprints: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a sprint with its tasks and point totals
+   * @param {String} projectId - Project ID
+   * @param {String} sprintId - Sprint ID
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { sprint, tasks, totals }
+   */
+  async getSprint(projectId, sprintId, userId) {
+    try {
+      const { sprint } = await this._findSprint(projectId, sprintId, userId);
+      return await this._withTasks(sprint, userId);
+    } catch (error) {
+      logger.error(`Error getting sprint: ${error.message}`);
+      throw new Error(`Failed to get sprint: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a sprint's name, goal or dates. Completed sprints are final.
+   * @param {String} projectId - Project ID
+   * @param {String} sprintId - Sprint ID
+   * @param {Object} data - { name, goal, startDate, endDate }
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Updated sprint
+   */
+  async updateSprint(projectId, sprintId, data, userId) {
+    try {
+      const { sprint } = await this._findSprint(projectId, sprintId, userId, {
+        manage: true,
+      });
+      if (sprint.status === "completed") {
+        throw new Error("Completed sprints cannot be changed");
+      }
+
+      ["name", "goal", "startDate", "endDate"].forEach((field) => {
+        if (data[field] !== undefined) sprint[field] = data[field];
+      });
+      this._validateDates(sprint.startDate, sprint.endDate);
+
+      return await sprint.save();
+    } catch (error) {
+      logger.error(`Error updating sprint: ${error.message}`);
+      throw new Error(`Failed to update sprint: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a planned sprint. Its tasks go back to the backlog.
+   * @param {String} projectId - Project ID
+   * @param {String} sprintId - Sprint ID
+   * @param {String} userId - User ID
+   */
+  async deleteSprint(projectId, sprintId, userId) {
+    try {
+      const { sprint } = await this._findSprint(projectId, sprintId, userId, {
+        manage: true,
+      });
+      if (sprint.status !== "planned") {
+        throw new Error("Only planned sprints can be deleted");
+      }
+
+      const tasks = await Task.find({ sprint: sprint._id });
+      await this._moveTasks(tasks, null, userId);
+      await sprint.deleteOne();
+
+      return { success: true, message: "Sprint deleted successfully" };
+    } catch (error) {
+      logger.error(`Error deleting sprint: ${error.message}`);
+      throw new Error(`Failed to delete sprint: ${error.message}`);
+    }
+  }
+
+  /**
+   * Plan tasks of the project into a sprint. Tasks already in another
+   * sprint move over; adding to an active sprint grows its scope.
+   * @param {String} projectId - Project ID
+   * @param {String} sprintId - Sprint ID
+   * @param {Array} taskIds - Tasks to add
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { sprint, tasks, totals }
+   */
+  async addTasks(projectId, sprintId, taskIds, userId) {
+    try {
+      const { project, sprint } = await this._findSprint(
+        projectId,
+        sprintId,
+        userId
+      );
+      if (sprint.status === "completed") {
+        throw new Error("Completed sprints cannot be changed");
+      }
+
+      const tasks = [];
+      for (const taskId of [...new Set(taskIds.map(String))]) {
+        const task = await taskAccessService.findTask(taskId, userId, "edit");
+        if (String(task.project) !== project._id.toString()) {
+          throw new Error(
+            `Invalid sprint task - "${task.title}" does not belong to this project`
+          );
+        }
+        tasks.push(task);
+      }
+
+      await this._moveTasks(
+        tasks.filter((task) => String(task.sprint) !== sprint._id.toString()),
+        sprint._id,
+        userId
+      );
+
+      return await this._withTasks(sprint, userId);
+    } catch (error) {
+      logger.error(`Error adding tasks to sprint: ${error.message}`);
+      throw new Error(`Failed to add tasks to sprint: ${error.message}`);
+    }
+  }
+
+  /**
+   * Take a task out of a sprint and back to the backlog
+   * @param {String} projectId - Project ID
+   * @param {String} sprintId - Sprint ID
+   * @param {String} taskId - Task ID
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { sprint, tasks, totals }
+   */
+  async removeTask(projectId, sprintId, taskId, userId) {
+    try {
+      const { sprint } = await this._findSprint(projectId, sprintId, userId);
+      if (sprint.status === "completed") {
+        throw new Error("Completed sprints cannot be changed");
+      }
+
+      const task = await taskAccessService.findTask(taskId, userId, "edit");
+      if (String(task.sprint) !== sprint._id.toString()) {
+        throw new Error("Task not found in this sprint");
+      }
+
+      await this._moveTasks([task], null, userId);
+
+      return await this._withTasks(sprint, userId);
+    } catch (error) {
+      logger.error(`Error removing task from sprint: ${error.message}`);
+      throw new Error(`Failed to remove task from sprint: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start a planned sprint, recording its tasks and points as the
+   * commitment. A project has one active sprint at a time.
+   * @param {String} projectId - Project ID
+   * @param {String} sprintId - Sprint ID
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { sprint, capacity }
+   */
+  async startSprint(projectId, sprintId, userId) {
+    try {
+      const { sprint } = await this._findSprint(projectId, sprintId, userId, {
+        manage: true,
+      });
+      if (sprint.status !== "planned") {
+        throw new Error("Only planned sprints can be started");
+      }
+      if (await Sprint.exists({ project: sprint.project, status: "active" })) {
+        throw new Error("The project already has an active sprint");
+      }
+
+      const tasks = await Task.find({
+        sprint: sprint._id,
+        status: { $ne: "cancelled" },
+      }).select("storyPoints");
+
+      sprint.status = "active";
+      sprint.startedAt = new Date();
+      sprint.commitment = {
+        tasks: tasks.map((task) => task._id),
+        points: pointsOf(tasks),
+      };
+      await sprint.save();
+
+      return { sprint, capacity: await this._checkCapacity(sprint, userId) };
+    } catch (error) {
+      logger.error(`Error starting sprint: ${error.message}`);
+      throw new Error(`Failed to start sprint: ${error.message}`);
+    }
+  }
+
+  /**
+   * Complete the active sprint. Completed tasks count towards velocity,
+   * cancelled ones are dropped, and the rest carry over to the chosen
+   * planned sprint. Without a choice they go to the next planned sprint,
+   * or to the backlog if there is none.
+   * @param {String} projectId - Project ID
+   * @param {String} sprintId - Sprint ID
+   * @param {String} userId - User ID
+   * @param {Object} options - { nextSprintId: Sprint ID, or null for the backlog }
+   * @returns {Promise<Object>} { sprint, carriedOverTo }
+   */
+  async completeSprint(projectId, sprintId, userId, { nextSprintId } = {}) {
+    try {
+      const { sprint } = await this._findSprint(projectId, sprintId, userId, {
+        manage: true,
+      });
+      if (sprint.status !== "active") {
+        throw new Error("Only active sprints can be completed");
+      }
+
+      let next = null;
+      if (nextSprintId === undefined) {
+        next = await Sprint.findOne({
+          project: sprint.project,
+          status: "planned",
+        }).sort({ startDate: 1 });
+      } else if (nextSprintId) {
+        next = await Sprint.findOne({
+          _id: nextSprintId,
+          project: sprint.project,
+          status: "planned",
+        });
+        if (!next) {
+          throw new Error(
+            "Invalid sprint - unfinished work can only move to a planned sprint of this project"
+          );
+        }
+      }
+
+      const tasks = await Task.find({ sprint: sprint._id });
+      const completed = tasks.filter((task) => task.status === "completed");
+      const unfinished = tasks.filter(
+        (task) => !CLOSED_STATUSES.includes(task.status)
+      );
+
+      // Completed before the carry-over, so the charts end with the
+      // unfinished work still in the sprint
+      sprint.status = "completed";
+      sprint.completedAt = new Date();
+      sprint.result = {
+        completedTasks: completed.length,
+        completedPoints: pointsOf(completed),
+        carriedOverTasks: unfinished.map((task) => task._id),
+        carriedOverPoints: pointsOf(unfinished),
+        carriedOverTo: next ? next._id : null,
+      };
+      await sprint.save();
+
+      await this._moveTasks(unfinished, next ? next._id : null, userId);
+
+      return { sprint, carriedOverTo: next };
+    } catch (error) {
+      logger.error(`Error completing sprint: ${error.message}`);
+      throw new Error(`Failed to complete sprint: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a sprint's burndown and burnup, one point per day from its start
+   * to its end date. Days are replayed from task history, so scope added
+   * or re-estimated mid-sprint shows on the day it happened. Days not
+   * reached yet have no values.
+   * @param {String} projectId - Project ID
+   * @param {String} sprintId - Sprint ID
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { sprint, committedPoints, burndown, burnup }
+   */
+  async getChart(projectId, sprintId, userId) {
+    try {
+      const { sprint } = await this._findSprint(projectId, sprintId, userId);
+      const stateAt = await this._replay(sprint, userId);
+
+      const first = startOfDay(sprint.startDate);
+      const until = sprint.completedAt || new Date();
+      const dayCount =
+        Math.round((startOfDay(sprint.endDate) - first) / DAY_MS) + 1;
+      const committedPoints =
+        sprint.status === "planned"
+          ? stateAt(new Date()).scope
+          : sprint.commitment.points;
+
+      const days = Array.from({ length: dayCount }, (_, index) => {
+        const date = new Date(first.getTime() + index * DAY_MS);
+        const ideal = round(
+          committedPoints * (1 - index / Math.max(dayCount - 1, 1))
+        );
+        if (date > until) {
+          return { date, scope: null, completed: null, remaining: null, ideal };
+        }
+
+        const end = new Date(Math.min(date.getTime() + DAY_MS, until));
+        const { scope, completed } = stateAt(end);
+        return {
+          date,
+          scope,
+          completed,
+          remaining: round(scope - completed),
+          ideal,
+        };
+      });
+
+      return {
+        sprint: {
+          _id: sprint._id,
+          name: sprint.name,
+          status: sprint.status,
+          startDate: sprint.startDate,
+          endDate: sprint.endDate,
+        },
+        committedPoints,
+        burndown: days.map(({ date, remaining, ideal }) => ({
+          date,
+          remaining,
+          ideal,
+        })),
+        burnup: days.map(({ date, completed, scope }) => ({
+          date,
+          completed,
+          scope,
+        })),
+      };
+    } catch (error) {
+      logger.error(`Error getting sprint chart: ${error.message}`);
+      throw new Error(`Failed to get sprint chart: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get committed and completed points of a project's last completed
+   * sprints, oldest first, with their average velocity
+   * @param {String} projectId - Project ID
+   * @param {String} userId - User ID
+   * @param {Object} options - { limit: number of sprints }
+   * @returns {Promise<Object>} { sprints, averageVelocity }
+   */
+  async getVelocity(projectId, userId, { limit = 6 } = {}) {
+    try {
+      const project = await projectService.getProjectById(projectId, userId);
+      return await this._velocity(project._id, limit);
+    } catch (error) {
+      logger.error(`Error getting velocity: ${error.message}`);
+      throw new Error(`Failed to get velocity: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check a sprint's open work against the capacity of the project's teams
+   * @param {String} projectId - Project ID
+   * @param {String} sprintId - Sprint ID
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Capacity check
+   */
+  async getCapacity(projectId, sprintId, userId) {
+    try {
+      const { sprint } = await this._findSprint(projectId, sprintId, userId);
+      return await this._checkCapacity(sprint, userId);
+    } catch (error) {
+      logger.error(`Error getting sprint capacity: ${error.message}`);
+      throw new Error(`Failed to get sprint capacity: ${error.message}`);
+    }
+  }
+
+  // Private helper methods
+
+  async _findSprint(projectId, sprintId, userId, { manage = false } = {}) {
+    const project = manage
+      ? await projectService.getManageableProject(projectId, userId)
+      : await projectService.getProjectById(projectId, userId);
+
+    const sprint = await Sprint.findOne({
+      _id: sprintId,
+      project: project._id,
+    });
+    if (!sprint) {
+      throw new Error("Sprint not found");
+    }
+
+    return { project, sprint };
+  }
+
+  _validateDates(startDate, endDate) {
+    if (new Date(endDate) <= new Date(startDate)) {
+      throw new Error("Invalid sprint - end date must be after start date");
+    }
+  }
+
+  async _withTasks(sprint, userId) {
+    const tasks = await Task.find({
+      sprint: sprint._id,
+      ...(await taskAccessService.getAccessFilter(userId)),
+    })
+      .select(TASK_FIELDS)
+      .populate("assignedTo", USER_FIELDS)
+      .sort({ createdAt: 1 })
+      .lean();
+
+    return {
+      sprint,
+      tasks,
+      totals: {
+        tasks: tasks.length,
+        points: pointsOf(tasks.filter((task) => task.status !== "cancelled")),
+        completedPoints: pointsOf(
+          tasks.filter((task) => task.status === "completed")
+        ),
+      },
+    };
+  }
+
+  async _moveTasks(tasks, sprintId, userId) {
+    for (const task of tasks) {
+      const before = taskHistoryService.snapshot(task);
+      task.sprint = sprintId;
+      await task.save();
+      await taskHistoryService.recordChanges(task, before, userId);
+    }
+  }
+
+  /**
+   * Load every task the user can see that was ever in the sprint with its
+   * history since the sprint started, and return a function giving the
+   * sprint's scope and completed points at a moment
+   */
+  async _replay(sprint, userId) {
+    const sprintKey = sprint._id.toString();
+    const first = startOfDay(sprint.startDate);
+
+    const formerIds = await TaskHistory.distinct("task", {
+      field: "sprint",
+      $or: [{ oldValue: sprintKey }, { newValue: sprintKey }],
+    });
+    const tasks = await Task.find({
+      $and: [
+        { $or: [{ sprint: sprint._id }, { _id: { $in: formerIds } }] },
+        await taskAccessService.getAccessFilter(userId),
+      ],
+    })
+      .select(CHART_FIELDS.join(" "))
+      .lean();
+
+    const events = await TaskHistory.find({
+      task: { $in: tasks.map((task) => task._id) },
+      field: { $in: CHART_FIELDS },
+      changedAt: { $gte: first },
+    })
+      .sort({ changedAt: 1 })
+      .lean();
+
+    const eventsByTask = new Map();
+    events.forEach((event) => {
+      const key = event.task.toString();
+      if (!eventsByTask.has(key)) eventsByTask.set(key, []);
+      eventsByTask.get(key).push(event);
+    });
+
+    return (moment) => {
+      let scope = 0;
+      let completed = 0;
+
+      tasks.forEach((task) => {
+        // Current values, with each field's first change since the moment
+        // undone
+        const values = {
+          sprint: task.sprint ? task.sprint.toString() : null,
+          status: task.status,
+          storyPoints: task.storyPoints,
+        };
+        const undone = new Set();
+        (eventsByTask.get(task._id.toString()) || []).forEach((event) => {
+          if (event.changedAt < moment || undone.has(event.field)) return;
+          values[event.field] = event.oldValue;
+          undone.add(event.field);
+        });
+
+        if (values.sprint !== sprintKey || values.status === "cancelled") {
+          return;
+        }
+        scope += values.storyPoints || 0;
+        if (values.status === "completed") completed += values.storyPoints || 0;
+      });
+
+      return { scope: round(scope), completed: round(completed) };
+    };
+  }
+
+  async _velocity(projectId, limit = 6) {
+    const sprints = await Sprint.find({
+      project: projectId,
+      status: "completed",
+    })
+      .sort({ completedAt: -1 })
+      .limit(limit)
+      .lean();
+
+    const history = sprints.reverse().map((sprint) => ({
+      _id: sprint._id,
+      name: sprint.name,
+      startDate: sprint.startDate,
+      endDate: sprint.endDate,
+      committedPoints: sprint.commitment.points,
+      completedPoints: sprint.result.completedPoints,
+      carriedOverPoints: sprint.result.carriedOverPoints,
+      completedTasks: sprint.result.completedTasks,
+    }));
+
+    const averageVelocity = history.length
+      ? round(
+          history.reduce((sum, sprint) => sum + sprint.completedPoints, 0) /
+            history.length
+        )
+      : 0;
+
+    return { sprints: history, averageVelocity };
+  }
+
+  /**
+   * Team capacity is weekly hours per member, scaled to the team's work
+   * days within the sprint in the team's time zone. A member of several
+   * teams counts once, at their largest capacity. Open tasks' estimates are
+   * split evenly between their assignees; only tasks the user can see count.
+   */
+  async _checkCapacity(sprint, userId) {
+    const project = await Project.findById(sprint.project).select("teams");
+    const teams = await Team.find({
+      _id: { $in: project ? project.teams : [] },
+      status: "active",
+    })
+      .select("members timeTracking workSchedule")
+      .lean();
+
+    const capacityMinutes = new Map();
+    teams.forEach((team) => {
+      const workDays = team.workSchedule?.workDays?.length
+        ? team.workSchedule.workDays
+        : DEFAULT_WORK_DAYS;
+      const days = countWorkingDays(
+        sprint.startDate,
+        sprint.endDate,
+        workDays,
+        team.workSchedule?.timeZone
+      );
+      const minutes =
+        ((team.timeTracking?.capacity ?? 40) * 60 * days) / workDays.length;
+
+      team.members.forEach(({ user }) => {
+        if (!user) return;
+        const key = user.toString();
+        capacityMinutes.set(
+          key,
+          Math.max(capacityMinutes.get(key) || 0, minutes)
+        );
+      });
+    });
+
+    const tasks = await Task.find({
+      sprint: sprint._id,
+      status: { $nin: CLOSED_STATUSES },
+      ...(await taskAccessService.getAccessFilter(userId)),
+    })
+      .select("title estimatedTime storyPoints assignedTo")
+      .lean();
+
+    const plannedMinutes = new Map();
+    const unestimatedTasks = [];
+    let unassignedMinutes = 0;
+    tasks.forEach((task) => {
+      if (!task.estimatedTime) {
+        unestimatedTasks.push({ _id: task._id, title: task.title });
+      } else if (task.assignedTo.length === 0) {
+        unassignedMinutes += task.estimatedTime;
+      } else {
+        const share = task.estimatedTime / task.assignedTo.length;
+        task.assignedTo.forEach((id) => {
+          const key = id.toString();
+          plannedMinutes.set(key, (plannedMinutes.get(key) || 0) + share);
+        });
+      }
+    });
+
+    const users = await User.find({
+      _id: {
+        $in: [
+          ...new Set([...capacityMinutes.keys(), ...plannedMinutes.keys()]),
+        ],
+      },
+    })
+      .select(USER_FIELDS)
+      .lean();
+
+    const members = users.map((user) => {
+      const key = user._id.toString();
+      const capacityHours = round((capacityMinutes.get(key) || 0) / 60);
+      const plannedHours = round((plannedMinutes.get(key) || 0) / 60);
+
+      return {
+        user,
+        capacityHours,
+        plannedHours,
+        utilization: capacityHours
+          ? Math.round((plannedHours / capacityHours) * 100)
+          : null,
+        overCapacity: plannedHours > capacityHours,
+      };
+    });
+
+    const capacityHours = round(
+      members.reduce((sum, member) => sum + member.capacityHours, 0)
+    );
+    const plannedHours = round(
+      members.reduce((sum, member) => sum + member.plannedHours, 0) +
+        unassignedMinutes / 60
+    );
+    const { averageVelocity } = await this._velocity(sprint.project);
+    const plannedPoints = pointsOf(tasks);
+
+    return {
+      capacityHours,
+      plannedHours,
+      unassignedHours: round(unassignedMinutes / 60),
+      overCapacity:
+        plannedHours > capacityHours ||
+        members.some((member) => member.overCapacity),
+      members,
+      unestimatedTasks,
+      points: {
+        planned: plannedPoints,
+        averageVelocity,
+        overVelocity: averageVelocity > 0 && plannedPoints > averageVelocity,
+      },
+    };
+  }
+}
+
+export default new SprintService();
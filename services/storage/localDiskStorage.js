@@ -0,0 +1,44 @@
+import { createReadStream } from "fs";
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Storage adapter that keeps files in a directory on the local disk
+ */
+class LocalDiskStorage {
+  /**
+   * @param {String} root - Directory the files are written under
+   */
+  constructor(root) {
+    this.name = "local";
+    this.root = path.resolve(root);
+  }
+
+  async put(key, buffer) {
+    const filePath = this._resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer, { flag: "wx" });
+  }
+
+  async createReadStream(key) {
+    const filePath = this._resolve(key);
+    // Fail before any response is sent when the file is missing
+    await fs.access(filePath);
+    return createReadStream(filePath);
+  }
+
+  async remove(key) {
+    await fs.rm(this._resolve(key), { force: true });
+  }
+
+  // Keys come from the database, but never let one point outside the root
+  _resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(`${this.root}${path.sep}`)) {
+      throw new Error("Invalid storage key");
+    }
+    return filePath;
+  }
+}
+
+export default LocalDiskStorage;
@@ -0,0 +1,87 @@
+import crypto from "crypto";
+
+import LocalDiskStorage from "./storage/localDiskStorage.js";
+
+/**
+ * A storage adapter keeps file contents under string keys. An S3-compatible
+ * adapter maps these onto PutObject, GetObject and DeleteObject.
+ * @typedef {Object} StorageAdapter
+ * @property {String} name - Stored with each attachment
+ * @property {Function} put - (key, buffer, { contentType }) => Promise
+ * @property {Function} createReadStream - (key) => Promise<Readable>
+ * @property {Function} remove - (key) => Promise, no error if missing
+ */
+
+// Adapters by STORAGE_DRIVER
+const STORAGE_DRIVERS = {
+  local: () =>
+    new LocalDiskStorage(process.env.STORAGE_LOCAL_PATH || "uploads"),
+};
+
+/**
+ * Storage Service - file contents for attachments, through the adapter
+ * chosen by STORAGE_DRIVER
+ */
+class StorageService {
+  constructor() {
+    this.adapter = null;
+  }
+
+  /**
+   * Adapter in use, created on first use
+   * @returns {StorageAdapter} Adapter
+   */
+  getAdapter() {
+    if (!this.adapter) {
+      const driver = process.env.STORAGE_DRIVER || "local";
+      if (!STORAGE_DRIVERS[driver]) {
+        throw new Error(`Unknown storage driver: ${driver}`);
+      }
+      this.adapter = STORAGE_DRIVERS[driver]();
+    }
+    return this.adapter;
+  }
+
+  /**
+   * Replace the adapter, e.g. with an S3-compatible one
+   * @param {StorageAdapter} adapter - Adapter
+   */
+  setAdapter(adapter) {
+    this.adapter = adapter;
+  }
+
+  /**
+   * Store a file under a new key
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - { contentType }
+   * @returns {Promise<Object>} { storage, key }
+   */
+  async save(buffer, { contentType } = {}) {
+    const adapter = this.getAdapter();
+    const now = new Date();
+    const month = String(now.getUTCMonth() + 1).padStart(2, "0");
+    const key = `${now.getUTCFullYear()}/${month}/${crypto.randomUUID()}`;
+
+    await adapter.put(key, buffer, { contentType });
+    return { storage: adapter.name, key };
+  }
+
+  /**
+   * Open a stored file for reading
+   * @param {String} key - Storage key
+   * @returns {Promise<Readable>} File contents
+   */
+  async read(key) {
+    return this.getAdapter().createReadStream(key);
+  }
+
+  /**
+   * Delete a stored file
+   * @param {String} key - Storage key
+   */
+  async remove(key) {
+    return this.getAdapter().remove(key);
+  }
+}
+
+export default new StorageService();
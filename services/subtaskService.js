@@ -0,0 +1,329 @@
+import mongoose from "mongoose";
+
+import Task from "../models/Task.js";
+import logger from "../utils/logger.js";
+
+import taskAccessService from "./taskAccessService.js";
+
+// How many levels of subtasks a task may have below it
+const MAX_SUBTASK_DEPTH = parseInt(process.env.MAX_SUBTASK_DEPTH) || 5;
+
+// Fields returned for each task in a subtask tree
+const TREE_FIELDS =
+  "title status priority progress estimatedTime totalTimeSpent dueDate assignedTo parentTask rollup completeWhenSubtasksDone";
+
+// Fields needed to recompute a parent's rollup
+const PARENT_FIELDS =
+  "status progress estimatedTime totalTimeSpent parentTask owner rollup completeWhenSubtasksDone";
+
+// Task fields whose changes affect the parent's rollup
+const ROLLUP_FIELDS = [
+  "status",
+  "progress",
+  "estimatedTime",
+  "parentTask",
+  "completeWhenSubtasksDone",
+];
+
+const EMPTY_ROLLUP = {
+  progress: 0,
+  estimatedTime: 0,
+  totalTimeSpent: 0,
+  subtaskCount: 0,
+  completedSubtaskCount: 0,
+};
+
+/**
+ * Subtask Service - task hierarchy, nesting limits and parent rollups
+ */
+class SubtaskService {
+  /**
+   * How many levels of subtasks a task may have below it
+   */
+  get maxDepth() {
+    return MAX_SUBTASK_DEPTH;
+  }
+
+  /**
+   * Whether an update changes anything a parent's rollup is built from
+   * @param {Object} updateData - Task update
+   */
+  touchesRollupFields(updateData) {
+    return ROLLUP_FIELDS.some((field) => updateData[field] !== undefined);
+  }
+
+  /**
+   * Check that a task can be placed under a parent: the user can edit the
+   * parent, it is not the task or one of its subtasks, and the hierarchy
+   * stays within the depth limit
+   * @param {String|null} taskId - Task being moved, or null for a new task
+   * @param {String} parentId - New parent
+   * @param {String} userId - User making the change
+   * @returns {Promise<Object>} Parent task
+   */
+  async validateParent(taskId, parentId, userId) {
+    const parent = mongoose.isValidObjectId(parentId)
+      ? await Task.findById(parentId)
+      : null;
+    if (!parent || !(await taskAccessService.can(parent, userId, "view"))) {
+      throw new Error("Parent task not found");
+    }
+    // Adding a subtask changes the parent's subtask list and rollup
+    if (!(await taskAccessService.can(parent, userId, "edit"))) {
+      throw new Error("Unauthorized access");
+    }
+
+    const ancestorIds = await this._getAncestorIds(parent);
+    if (taskId && ancestorIds.includes(taskId.toString())) {
+      throw new Error("A task cannot be moved under itself or its subtasks");
+    }
+
+    const height = taskId ? await this._getHeight(taskId) : 0;
+    if (ancestorIds.length + height > MAX_SUBTASK_DEPTH) {
+      throw new Error(
+        `Subtasks cannot be nested more than ${MAX_SUBTASK_DEPTH} levels deep`
+      );
+    }
+
+    return parent;
+  }
+
+  /**
+   * Keep the parents' subtask lists in line with a task's parentTask
+   * @param {Object} task - Saved task
+   * @param {String|null} previousParentId - Parent before the change
+   */
+  async syncParentLinks(task, previousParentId) {
+    if (previousParentId) {
+      await Task.updateOne(
+        { _id: previousParentId },
+        { $pull: { subtasks: task._id } }
+      );
+    }
+    if (task.parentTask) {
+      await Task.updateOne(
+        { _id: task.parentTask },
+        { $addToSet: { subtasks: task._id } }
+      );
+    }
+  }
+
+  /**
+   * Recompute the rollup of a task and each of its ancestors
+   * @param {String} taskId - First task to recompute
+   * @returns {Promise<Array>} Tasks, nearest first, whose subtasks are all
+   *   completed and that are set to complete themselves when that happens
+   */
+  async refreshRollups(taskId) {
+    const ready = [];
+    const seen = new Set();
+    let task = await Task.findById(taskId).select(PARENT_FIELDS);
+
+    while (task && !seen.has(task._id.toString())) {
+      seen.add(task._id.toString());
+
+      if (await this._recompute(task)) {
+        ready.push(task);
+      }
+      if (!task.parentTask) break;
+
+      task = await Task.findById(task.parentTask).select(PARENT_FIELDS);
+    }
+
+    return ready;
+  }
+
+  /**
+   * IDs of every task below a task, at any depth
+   * @param {String} taskId - Task ID
+   * @returns {Promise<Array>} Descendant IDs
+   */
+  async getDescendantIds(taskId) {
+    const ids = [];
+    let frontier = [taskId];
+
+    while (frontier.length > 0) {
+      const children = await Task.find({
+        parentTask: { $in: frontier },
+        _id: { $nin: ids },
+      })
+        .select("_id")
+        .lean();
+
+      frontier = children.map((child) => child._id);
+      ids.push(...frontier);
+    }
+
+    return ids;
+  }
+
+  /**
+   * Get a task with its subtasks nested below it
+   * @param {String} taskId - Task ID
+   * @param {String} userId - User ID
+   * @param {Number} depth - Levels of subtasks to include
+   * @returns {Promise<Object>} Task tree
+   */
+  async getSubtaskTree(taskId, userId, depth = MAX_SUBTASK_DEPTH) {
+    try {
+      await taskAccessService.findTask(taskId, userId);
+      const root = await Task.findById(taskId).select(TREE_FIELDS).lean();
+
+      const accessFilter = await taskAccessService.getAccessFilter(userId);
+
+      const maxLevel = Math.min(depth, MAX_SUBTASK_DEPTH);
+      const nodes = new Map([[root._id.toString(), root]]);
+      root.subtasks = [];
+      let frontier = [root._id];
+
+      for (let level = 1; level <= maxLevel && frontier.length > 0; level++) {
+        // Subtasks the user cannot see are left out, with their own subtasks
+        const children = await Task.find({
+          parentTask: { $in: frontier },
+          ...accessFilter,
+        })
+          .select(TREE_FIELDS)
+          .sort({ createdAt: 1 })
+          .lean();
+
+        frontier = [];
+        for (const child of children) {
+          if (nodes.has(child._id.toString())) continue;
+
+          child.subtasks = [];
+          nodes.set(child._id.toString(), child);
+          nodes.get(child.parentTask.toString()).subtasks.push(child);
+          frontier.push(child._id);
+        }
+      }
+
+      return root;
+    } catch (error) {
+      logger.error(`Error fetching subtasks: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Roll a task's direct subtasks up into it. Each subtask that has its own
+   * subtasks contributes its rollup, so the totals cover every descendant.
+   * Progress is the average of the subtasks' progress weighted by their
+   * estimates; cancelled subtasks are left out of it.
+   * @returns {Promise<Boolean>} Whether the task should now complete itself
+   */
+  async _recompute(task) {
+    const children = await Task.find({ parentTask: task._id })
+      .select("status progress estimatedTime totalTimeSpent rollup")
+      .lean();
+
+    if (children.length === 0) {
+      if (task.rollup?.subtaskCount > 0) {
+        await Task.updateOne({ _id: task._id }, { rollup: EMPTY_ROLLUP });
+      }
+      return false;
+    }
+
+    const rollup = {
+      ...EMPTY_ROLLUP,
+      estimatedTime: task.estimatedTime || 0,
+      totalTimeSpent: task.totalTimeSpent || 0,
+    };
+    let weightedProgress = 0;
+    let totalWeight = 0;
+    let plainProgress = 0;
+    let activeCount = 0;
+    let completedCount = 0;
+
+    for (const child of children) {
+      const nested = child.rollup?.subtaskCount > 0 ? child.rollup : null;
+      const estimate = nested ? nested.estimatedTime : child.estimatedTime || 0;
+      const completed = child.status === "completed";
+
+      rollup.estimatedTime += estimate;
+      rollup.totalTimeSpent += nested
+        ? nested.totalTimeSpent
+        : child.totalTimeSpent || 0;
+      rollup.subtaskCount += 1 + (nested ? nested.subtaskCount : 0);
+      rollup.completedSubtaskCount +=
+        (completed ? 1 : 0) + (nested ? nested.completedSubtaskCount : 0);
+
+      if (child.status === "cancelled") continue;
+
+      const progress = completed
+        ? 100
+        : nested
+          ? nested.progress
+          : child.progress || 0;
+      weightedProgress += progress * estimate;
+      totalWeight += estimate;
+      plainProgress += progress;
+      activeCount += 1;
+      if (completed) completedCount += 1;
+    }
+
+    if (activeCount > 0) {
+      rollup.progress = Math.round(
+        totalWeight > 0
+          ? weightedProgress / totalWeight
+          : plainProgress / activeCount
+      );
+    }
+
+    const update = { rollup };
+    if (task.status !== "completed") {
+      update.progress = rollup.progress;
+    }
+    await Task.updateOne({ _id: task._id }, update);
+
+    return (
+      task.completeWhenSubtasksDone &&
+      task.status !== "completed" &&
+      activeCount > 0 &&
+      completedCount === activeCount
+    );
+  }
+
+  /**
+   * IDs of a task and everything above it, nearest first
+   */
+  async _getAncestorIds(task) {
+    const ids = [task._id.toString()];
+    let parentId = task.parentTask;
+
+    while (parentId && !ids.includes(parentId.toString())) {
+      ids.push(parentId.toString());
+      const parent = await Task.findById(parentId).select("parentTask").lean();
+      parentId = parent?.parentTask;
+    }
+
+    return ids;
+  }
+
+  /**
+   * Number of subtask levels below a task
+   */
+  async _getHeight(taskId) {
+    const seen = [taskId];
+    let frontier = [taskId];
+    let height = 0;
+
+    while (frontier.length > 0) {
+      const children = await Task.find({
+        parentTask: { $in: frontier },
+        _id: { $nin: seen },
+      })
+        .select("_id")
+        .lean();
+
+      frontier = children.map((child) => child._id);
+      seen.push(...frontier);
+      if (frontier.length > 0) height += 1;
+    }
+
+    return height;
+  }
+}
+
+export default new SubtaskService();
@@ -0,0 +1,224 @@
+import mongoose from "mongoose";
+
+import Membership from "../models/Membership.js";
+import Project from "../models/Project.js";
+import Task from "../models/Task.js";
+
+// What each relationship to a task allows
+const ACCESS_LEVELS = {
+  owner: { view: true, edit: true, delete: true },
+  assignee: { view: true, edit: true, delete: false },
+  watcher: { view: true, edit: false, delete: false },
+  projectManager: { view: true, edit: true, delete: true },
+  projectMember: { view: true, edit: true, delete: false },
+};
+
+// Task permissions of organization members without a custom role. Members
+// need a custom role granting tasks.edit to change tasks that are not theirs.
+const ROLE_TASK_PERMISSIONS = {
+  admin: { view: true, edit: true, delete: true },
+  member: { view: true, edit: false, delete: false },
+  viewer: { view: true, edit: false, delete: false },
+};
+
+const NO_ACCESS = { view: false, edit: false, delete: false };
+
+const PERMISSIONS = Object.keys(NO_ACCESS);
+
+const refId = (ref) => (ref?._id || ref)?.toString();
+
+/**
+ * Task Access Service - who may view, edit and delete a task
+ *
+ * The owner has full access. Assignees may view and edit, watchers may view.
+ * Unless a task is private, project owners and managers have full access to
+ * the project's tasks and project members may view and edit them, and
+ * organization members get the tasks permissions of their custom role, or
+ * of their organization role without one. Only the owner may change who
+ * owns a task, its organization and whether it is private.
+ */
+class TaskAccessService {
+  /**
+   * Filter matching the tasks a user has a permission on
+   * @param {String} userId - User ID
+   * @param {String} permission - "view", "edit" or "delete"
+   * @returns {Promise<Object>} Task filter
+   */
+  async getAccessFilter(userId, permission = "view") {
+    const user = new mongoose.Types.ObjectId(String(userId));
+
+    const [projectIds, organizationIds] = await Promise.all([
+      this._getProjectIds(user, permission),
+      this._getOrganizationIds(user, permission),
+    ]);
+
+    const conditions = [{ owner: user }];
+    if (ACCESS_LEVELS.assignee[permission]) {
+      conditions.push({ assignedTo: user });
+    }
+    if (ACCESS_LEVELS.watcher[permission]) {
+      conditions.push({ watchers: user });
+    }
+
+    // Tasks in the organization's projects count as the organization's,
+    // whether or not they name it
+    if (organizationIds.length > 0) {
+      projectIds.push(
+        ...(await Project.find({
+          organization: { $in: organizationIds },
+        }).distinct("_id"))
+      );
+    }
+
+    const shared = [];
+    if (projectIds.length > 0) {
+      shared.push({ project: { $in: projectIds } });
+    }
+    if (organizationIds.length > 0) {
+      shared.push({ organization: { $in: organizationIds } });
+    }
+    if (shared.length > 0) {
+      conditions.push({ isPrivate: { $ne: true }, $or: shared });
+    }
+
+    return { $or: conditions };
+  }
+
+  /**
+   * What a user may do with a task
+   * @param {Object} task - Task with owner, assignedTo, watchers, project,
+   *   organization and isPrivate
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { view, edit, delete }
+   */
+  async getPermissions(task, userId) {
+    const id = String(userId);
+    const includes = (users) =>
+      (users || []).some((user) => refId(user) === id);
+
+    if (refId(task.owner) === id) {
+      return { ...ACCESS_LEVELS.owner };
+    }
+
+    const permissions = { ...NO_ACCESS };
+    const grant = (granted) =>
+      PERMISSIONS.forEach((permission) => {
+        if (granted[permission]) permissions[permission] = true;
+      });
+
+    if (includes(task.assignedTo)) grant(ACCESS_LEVELS.assignee);
+    if (includes(task.watchers)) grant(ACCESS_LEVELS.watcher);
+    if (task.isPrivate) {
+      return permissions;
+    }
+
+    const organizationIds = new Set();
+    if (task.organization) organizationIds.add(refId(task.organization));
+
+    if (task.project) {
+      const project = await Project.findById(refId(task.project))
+        .select("owner managers members organization")
+        .lean();
+      if (project) {
+        if (refId(project.owner) === id || includes(project.managers)) {
+          grant(ACCESS_LEVELS.projectManager);
+        } else if (includes(project.members)) {
+          grant(ACCESS_LEVELS.projectMember);
+        }
+        organizationIds.add(refId(project.organization));
+      }
+    }
+
+    if (organizationIds.size > 0) {
+      const memberships = await Membership.find({
+        user: id,
+        organization: { $in: [...organizationIds] },
+        status: "active",
+      })
+        .select("role customRole")
+        .populate("customRole", "permissions.tasks")
+        .lean();
+      memberships.forEach((membership) =>
+        grant(this._getRolePermissions(membership))
+      );
+    }
+
+    return permissions;
+  }
+
+  /**
+   * Whether a user has a permission on a task
+   * @param {Object} task - Task
+   * @param {String} userId - User ID
+   * @param {String} permission - "view", "edit" or "delete"
+   * @returns {Promise<Boolean>}
+   */
+  async can(task, userId, permission = "view") {
+    const permissions = await this.getPermissions(task, userId);
+    return permissions[permission];
+  }
+
+  /**
+   * Load a task and check the user's permission on it. Tasks the user cannot
+   * view are reported as not found.
+   * @param {String} taskId - Task ID
+   * @param {String} userId - User ID
+   * @param {String} permission - "view", "edit" or "delete"
+   * @returns {Promise<Object>} Task
+   */
+  async findTask(taskId, userId, permission = "view") {
+    const task = mongoose.isValidObjectId(taskId)
+      ? await Task.findById(taskId)
+      : null;
+    if (!task) {
+      throw new Error("Task not found");
+    }
+
+    const permissions = await this.getPermissions(task, userId);
+    if (!permissions.view) {
+      throw new Error("Task not found");
+    }
+    if (!permissions[permission]) {
+      throw new Error("Unauthorized access");
+    }
+
+    return task;
+  }
+
+  // Private helper methods
+
+  async _getProjectIds(user, permission) {
+    const roles = [{ owner: user }, { managers: user }];
+    if (ACCESS_LEVELS.projectMember[permission]) {
+      roles.push({ members: user });
+    }
+
+    return Project.find({ $or: roles }).distinct("_id");
+  }
+
+  async _getOrganizationIds(user, permission) {
+    const memberships = await Membership.find({ user, status: "active" })
+      .select("organization role customRole")
+      .populate("customRole", "permissions.tasks")
+      .lean();
+
+    return memberships
+      .filter((membership) => this._getRolePermissions(membership)[permission])
+      .map((membership) => membership.organization);
+  }
+
+  _getRolePermissions(membership) {
+    const tasks = membership.customRole?.permissions?.tasks;
+    if (tasks) {
+      return {
+        view: Boolean(tasks.view),
+        edit: Boolean(tasks.edit),
+        delete: Boolean(tasks.delete),
+      };
+    }
+
+    return ROLE_TASK_PERMISSIONS[membership.role] || NO_ACCESS;
+  }
+}
+
+export default new TaskAccessService();
@@ -0,0 +1,143 @@
+import TaskHistory from "../models/TaskHistory.js";
+import logger from "../utils/logger.js";
+import { paginate } from "../utils/pagination.js";
+
+import taskAccessService from "./taskAccessService.js";
+
+// Task fields whose changes are recorded
+const HISTORY_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "category",
+  "tags",
+  "dueDate",
+  "startDate",
+  "estimatedTime",
+  "storyPoints",
+  "progress",
+  "project",
+  "sprint",
+  "parentTask",
+  "assignedTo",
+  "watchers",
+  "dependencies",
+  "customFields",
+  "isArchived",
+  "isPinned",
+];
+
+const USER_FIELDS = "firstName lastName username avatar";
+
+// Comparable JSON copy of a field value
+const toPlain = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Map) return toPlain(Object.fromEntries(value));
+  return JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Task History Service - field-level change events for tasks
+ */
+class TaskHistoryService {
+  /**
+   * Copy the recorded fields of a task, to compare against after a change
+   * @param {Object} task - Task document
+   * @returns {Object} Field values as plain JSON
+   */
+  snapshot(task) {
+    return Object.fromEntries(
+      HISTORY_FIELDS.map((field) => [field, toPlain(task.get(field))])
+    );
+  }
+
+  /**
+   * Record an event for every field that differs from a snapshot
+   * @param {Object} task - Task document after the change
+   * @param {Object} before - snapshot() taken before the change
+   * @param {String} actorId - User who made the change, if any
+   * @param {Object} options - { source: "user" | "automation" | "system" }
+   * @returns {Promise<Array>} Recorded events
+   */
+  async recordChanges(task, before, actorId, { source = "user" } = {}) {
+    try {
+      const after = this.snapshot(task);
+      const changedAt = new Date();
+
+      const events = HISTORY_FIELDS.filter(
+        (field) =>
+          JSON.stringify(before[field]) !== JSON.stringify(after[field])
+      ).map((field) => ({
+        task: task._id,
+        actor: actorId || undefined,
+        source,
+        field,
+        oldValue: before[field],
+        newValue: after[field],
+        changedAt,
+      }));
+
+      if (events.length === 0) return [];
+      return await TaskHistory.insertMany(events);
+    } catch (error) {
+      // History must never undo a change that has already been saved
+      logger.error(
+        `Error recording history for task ${task._id}: ${error.message}`
+      );
+      return [];
+    }
+  }
+
+  /**
+   * Record the status a task starts with, so status history covers its
+   * whole life
+   * @param {Object} task - Newly created task
+   * @param {String} actorId - User who created it
+   */
+  async recordCreation(task, actorId) {
+    const before = { ...this.snapshot(task), status: null };
+    return this.recordChanges(task, before, actorId);
+  }
+
+  /**
+   * Get the change history of a task, newest first
+   * @param {String} taskId - Task ID
+   * @param {String} userId - User ID
+   * @param {Object} query - { field, cursor, page, limit }
+   * @returns {Promise<Object>} Events and pagination
+   */
+  async getHistory(taskId, userId, query = {}) {
+    try {
+      await taskAccessService.findTask(taskId, userId);
+
+      const filter = { task: taskId };
+      if (query.field) filter.field = String(query.field);
+
+      const { items: history, pagination } = await paginate(
+        TaskHistory.find(filter).populate("actor", USER_FIELDS).lean(),
+        { cursor: query.cursor, page: query.page, limit: query.limit },
+        {
+          sortFields: ["changedAt"],
+          defaultSort: "changedAt",
+          defaultLimit: 50,
+        }
+      );
+
+      return { history, pagination };
+    } catch (error) {
+      logger.error(`Error fetching task history: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the history of deleted tasks
+   * @param {Array} taskIds - Task IDs
+   */
+  async deleteForTasks(taskIds) {
+    await TaskHistory.deleteMany({ task: { $in: taskIds } });
+  }
+}
+
+export default new TaskHistoryService();
@@ -1,6 +1,105 @@
 import Task from "../models/Task.js";
 import User from "../models/User.js";
 import logger from "../utils/logger.js";
+import { paginate } from "../utils/pagination.js";
+import { compileTaskQuery } from "../utils/taskQuery.js";
+
+import customFieldService from "./customFieldService.js";
+import dependencyService from "./dependencyService.js";
+import projectService from "./projectService.js";
+import recurrenceService from "./recurrenceService.js";
+import schedulerService from "./schedulerService.js";
+import subtaskService from "./subtaskService.js";
+import taskAccessService from "./taskAccessService.js";
+import taskHistoryService from "./taskHistoryService.js";
+import trashService from "./trashService.js";
+import watcherService from "./watcherService.js";
+
+// Task fields whose changes are passed to automation conditions
+const TRACKED_FIELDS = [
+  "status",
+  "priority",
+  "dueDate",
+  "category",
+  "progress",
+  "project",
+  "assignedTo",
+  "tags",
+];
+
+// Fields the task list can be sorted by
+const TASK_SORT_FIELDS = [
+  "createdAt",
+  "updatedAt",
+  "dueDate",
+  "startDate",
+  "completedAt",
+  "title",
+  "status",
+  "priority",
+  "progress",
+  "estimatedTime",
+  "storyPoints",
+  /^customFields\.[^.$]+$/,
+];
+
+// Fields anyone who may edit a task can change through updateTask. The
+// rest are derived, resolved separately or set through their own endpoints.
+const EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "dueDate",
+  "status",
+  "priority",
+  "category",
+  "tags",
+  "project",
+  "parentTask",
+  "completeWhenSubtasksDone",
+  "dependencies",
+  "assignedTo",
+  "progress",
+  "estimatedTime",
+  "storyPoints",
+  "actualTime",
+  "startDate",
+  "color",
+  "reminders",
+  "isArchived",
+  "isPinned",
+  "isTemplate",
+];
+
+// Fields only the task's owner may change, as they decide who has access
+const OWNER_FIELDS = ["owner", "organization", "isPrivate"];
+
+// Most tasks a single bulk request may change
+const MAX_BULK_TASKS = 500;
+
+// Actions a bulk request can apply, with the update each makes to a task
+const BULK_ACTIONS = {
+  set_status: (task, value) => ({ status: value }),
+  set_priority: (task, value) => ({ priority: value }),
+  assign: (task, value) => ({
+    assignedTo: [
+      ...new Set([...task.assignedTo.map(String), ...[].concat(value)]),
+    ],
+  }),
+  unassign: (task, value) => ({
+    assignedTo: task.assignedTo
+      .map(String)
+      .filter((id) => ![].concat(value).includes(id)),
+  }),
+  add_tags: (task, value) => ({
+    tags: [...new Set([...task.tags, ...[].concat(value)])],
+  }),
+  remove_tags: (task, value) => ({
+    tags: task.tags.filter((tag) => ![].concat(value).includes(tag)),
+  }),
+  move_to_project: (task, value) => ({ project: value }),
+  archive: () => ({ isArchived: true }),
+  unarchive: () => ({ isArchived: false }),
+};
 
 /**
  * Task Service - Business logic for task operations
@@ -9,11 +108,15 @@ class TaskService {
   /**
    * Create a new task
    * @param {Object} taskData - Task data
+   * @param {Object} options - { chain } to run project automations in an
+   *   automation chain that is already running
    * @returns {Promise<Object>} Newly created task
    */
-  async createTask(taskData) {
+  async createTask(taskData, options = {}) {
     try {
       const task = new Task(taskData);
+      // Tasks join sprints through the sprint endpoints
+      task.sprint = null;
 
       // Validate the owner exists
       const owner = await User.findById(taskData.owner);
@@ -21,6 +124,41 @@ class TaskService {
         throw new Error("User not found");
       }
 
+      // Only into a project the owner can access
+      if (taskData.project) {
+        await projectService.getProjectById(
+          String(taskData.project),
+          String(taskData.owner)
+        );
+      }
+
+      if (taskData.parentTask) {
+        await subtaskService.validateParent(
+          null,
+          taskData.parentTask,
+          taskData.owner
+        );
+      }
+
+      if (taskData.project || taskData.customFields) {
+        task.customFields = await customFieldService.resolveValues(
+          taskData.project,
+          taskData.customFields
+        );
+      }
+
+      // blockedBy is derived from the dependencies, never set directly
+      task.blockedBy = taskData.dependencies
+        ? await dependencyService.validateDependencies(
+            null,
+            taskData.dependencies,
+            taskData.owner
+          )
+        : [];
+
+      // Creators and assignees watch the task
+      task.watchers.addToSet(taskData.owner, ...task.assignedTo);
+
       await task.save();
 
       // Update user stats
@@ -31,6 +169,25 @@ class TaskService {
       );
 
       logger.info(`Task created with ID: ${task._id}`);
+
+      await taskHistoryService.recordCreation(
+        task,
+        taskData.createdBy || taskData.owner
+      );
+
+      if (task.parentTask) {
+        await subtaskService.syncParentLinks(task, null);
+        await this._refreshRollups(task.parentTask);
+      }
+
+      // Assigning on create counts as an assignment for project automations
+      await this._runLifecycleAutomations(
+        task,
+        { ...this._snapshotTrackedFields(task), assignedTo: [] },
+        taskData.owner,
+        options.chain
+      );
+
       return task;
     } catch (error) {
       logger.error(`Error creating task: ${error.message}`);
@@ -38,6 +195,30 @@ class TaskService {
     }
   }
 
+  /**
+   * Create a subtask under a task. The subtask joins the parent's project
+   * unless another one is given.
+   * @param {String} parentId - Parent task ID
+   * @param {String} userId - User ID
+   * @param {Object} taskData - Subtask data
+   * @param {Object} options - Passed on to createTask
+   * @returns {Promise<Object>} Newly created subtask
+   */
+  async createSubtask(parentId, userId, taskData, options = {}) {
+    const parent = await taskAccessService.findTask(parentId, userId, "edit");
+
+    return this.createTask(
+      {
+        project: parent.project,
+        organization: parent.organization,
+        ...taskData,
+        owner: userId,
+        parentTask: parent._id,
+      },
+      options
+    );
+  }
+
   /**
    * Get tasks with pagination, filtering and sorting
    * @param {String} userId - User ID
@@ -47,32 +228,35 @@ class TaskService {
   async getTasks(userId, query) {
     try {
       const {
-        page = 1,
-        limit = 10,
-        sortBy = "createdAt",
-        sortOrder = "desc",
+        cursor,
+        page,
+        limit,
+        sortBy,
+        sortOrder,
         status,
         priority,
         category,
         project,
+        sprint,
         dueDate,
         isArchived,
         isPinned,
         search,
         tags,
         assignedTo,
+        customFields,
+        q,
       } = query;
 
-      // Build query object
-      const queryObj = {
-        $or: [{ owner: userId }, { assignedTo: userId }, { watchers: userId }],
-      };
+      // Build query object, starting from the tasks the user may view
+      const queryObj = await taskAccessService.getAccessFilter(userId);
 
       // Add filters
       if (status) queryObj.status = status;
       if (priority) queryObj.priority = priority;
       if (category) queryObj.category = category;
       if (project) queryObj.project = project;
+      if (sprint) queryObj.sprint = sprint === "backlog" ? null : sprint;
       if (isArchived !== undefined) queryObj.isArchived = isArchived === "true";
       if (isPinned !== undefined) queryObj.isPinned = isPinned === "true";
       if (assignedTo) queryObj.assignedTo = assignedTo;
@@ -125,6 +309,14 @@ class TaskService {
         queryObj.tags = { $all: tagArray };
       }
 
+      // Custom field filtering, e.g. customFields[Points][gte]=3
+      if (customFields && typeof customFields === "object") {
+        Object.assign(
+          queryObj,
+          await customFieldService.buildFilter(project, customFields)
+        );
+      }
+
       // Search functionality
       if (search) {
         const searchRegex = { $regex: search, $options: "i" };
@@ -141,41 +333,29 @@ class TaskService {
         delete queryObj.$or;
       }
 
-      // Setup sort options
-      const sort = {};
-      sort[sortBy] = sortOrder === "desc" ? -1 : 1;
-
-      // For consistent pagination with changing data
-      if (sortBy !== "_id") {
-        sort._id = 1; // Secondary sort by _id for stable pagination
+      // Task query language, e.g. q=status:in-progress priority>=high
+      if (q) {
+        queryObj.$and = [
+          ...(queryObj.$and || []),
+          compileTaskQuery(q, { userId }),
+        ];
       }
 
-      // Pagination and data retrieval
-      const limitNum = parseInt(limit);
-      const skip = (parseInt(page) - 1) * limitNum;
+      const { items: tasks, pagination } = await paginate(
+        Task.find(queryObj)
+          .populate("project", "name")
+          .populate("parentTask", "title")
+          .populate("assignedTo", "firstName lastName username avatar")
+          .lean(),
+        { cursor, page, limit, sortBy, sortOrder },
+        {
+          sortFields: TASK_SORT_FIELDS,
+          defaultSort: "createdAt",
+          defaultLimit: 10,
+        }
+      );
 
-      // Execute query with lean() for better performance
-      const tasks = await Task.find(queryObj)
-        .sort(sort)
-        .skip(skip)
-        .limit(limitNum)
-        .populate("project", "name")
-        .populate("parentTask", "title")
-        .populate("assignedTo", "firstName lastName username avatar")
-        .lean();
-
-      // Count total matching documents
-      const total = await Task.countDocuments(queryObj);
-
-      return {
-        tasks,
-        pagination: {
-          total,
-          page: parseInt(page),
-          pages: Math.ceil(total / limitNum),
-          limit: limitNum,
-        },
-      };
+      return { tasks, pagination };
     } catch (error) {
       logger.error(`Error fetching tasks: ${error.message}`);
       throw error;
@@ -190,26 +370,16 @@ class TaskService {
    */
   async getTaskById(taskId, userId) {
     try {
-      const task = await Task.findOne({
-        _id: taskId,
-        $or: [{ owner: userId }, { assignedTo: userId }, { watchers: userId }],
-      })
-        .populate("project", "name")
-        .populate("parentTask", "title")
-        .populate("subtasks", "title status")
-        .populate("dependencies", "title status")
-        .populate("assignedTo", "firstName lastName username avatar")
-        .populate("watchers", "firstName lastName username avatar")
-        .populate({
-          path: "comments.user",
-          select: "firstName lastName username avatar",
-        });
-
-      if (!task) {
-        throw new Error("Task not found");
-      }
-
-      return task;
+      const task = await taskAccessService.findTask(taskId, userId);
+
+      return await task.populate([
+        { path: "project", select: "name" },
+        { path: "parentTask", select: "title" },
+        { path: "subtasks", select: "title status" },
+        { path: "dependencies", select: "title status" },
+        { path: "assignedTo", select: "firstName lastName username avatar" },
+        { path: "watchers", select: "firstName lastName username avatar" },
+      ]);
     } catch (error) {
       logger.error(`Error fetching task: ${error.message}`);
       throw error;
@@ -221,41 +391,159 @@ class TaskService {
    * @param {String} taskId - Task ID
    * @param {String} userId - User ID
    * @param {Object} updateData - Data to update
+   * @param {Object} options - { scope: "this" | "future" } for recurring
+   *   tasks: update only this occurrence, or it and all later ones;
+   *   { force } to start or complete a task with unfinished dependencies;
+   *   { source } recorded in the task history ("user" by default);
+   *   { actorId } recorded as the user who made the change, when it is not
+   *   the user whose access is checked (automations act as the task owner);
+   *   { chain } to run project automations in an automation chain that is
+   *   already running
    * @returns {Promise<Object>} Updated task
    */
-  async updateTask(taskId, userId, updateData) {
+  async updateTask(taskId, userId, updateData, options = {}) {
+    const {
+      scope = "this",
+      force = false,
+      source = "user",
+      actorId = userId,
+      chain,
+    } = options;
+
     try {
-      // Check if the task exists and user has permission
-      const task = await Task.findOne({
-        _id: taskId,
-        $or: [{ owner: userId }, { assignedTo: userId }],
-      });
-
-      if (!task) {
-        throw new Error("Task not found");
-      }
+      // Check if the task exists and user has permission to edit it
+      const task = await taskAccessService.findTask(taskId, userId, "edit");
 
-      // Check if user has permission to update (only owner or assigned user)
-      if (
-        task.owner.toString() !== userId &&
-        (!task.assignedTo || task.assignedTo.toString() !== userId)
-      ) {
+      const accessChanged = OWNER_FIELDS.some(
+        (field) =>
+          updateData[field] !== undefined &&
+          String(updateData[field] ?? "") !== String(task.get(field) ?? "")
+      );
+      if (accessChanged && task.owner.toString() !== String(userId)) {
         throw new Error("Unauthorized access");
       }
 
+      const before = taskHistoryService.snapshot(task);
+
+      if (updateData.dependencies) {
+        task.blockedBy = await dependencyService.validateDependencies(
+          task._id,
+          updateData.dependencies,
+          userId
+        );
+      }
+
+      if (updateData.status) {
+        dependencyService.assertCanMoveTo(task, updateData.status, force);
+      }
+
+      const previousParentId = task.parentTask
+        ? task.parentTask.toString()
+        : null;
+      const parentChanged =
+        updateData.parentTask !== undefined &&
+        (updateData.parentTask ? updateData.parentTask.toString() : null) !==
+          previousParentId;
+
+      if (parentChanged && updateData.parentTask) {
+        await subtaskService.validateParent(
+          task._id,
+          updateData.parentTask,
+          userId
+        );
+      }
+
+      // Values are merged into the current ones and checked against the
+      // project's definitions, which change when the task changes project
+      const projectChanged =
+        updateData.project !== undefined &&
+        String(updateData.project || "") !== String(task.project || "");
+      if (projectChanged && updateData.project) {
+        await projectService.getProjectById(
+          String(updateData.project),
+          String(userId)
+        );
+      }
+      if (updateData.customFields !== undefined || projectChanged) {
+        task.customFields = await customFieldService.resolveValues(
+          projectChanged ? updateData.project : task.project,
+          updateData.customFields || {},
+          Object.fromEntries(task.customFields || [])
+        );
+      }
+
       // Check if status is changed to completed
       const statusChanged =
         updateData.status === "completed" && task.status !== "completed";
 
-      // Update task
-      Object.assign(task, updateData);
+      // Remember what automations care about before applying the update
+      const previous = this._snapshotTrackedFields(task);
+
+      // Update task, merging recurrence settings so series links survive
+      const { recurring } = updateData;
+      const fields = Object.fromEntries(
+        [...EDITABLE_FIELDS, ...OWNER_FIELDS]
+          .filter((field) => updateData[field] !== undefined)
+          .map((field) => [field, updateData[field]])
+      );
+      // A sprint and a board position stay with their project
+      if (projectChanged) {
+        task.sprint = null;
+        task.board = undefined;
+      }
+      Object.assign(task, fields);
+      if (recurring) {
+        task.set("recurring", recurring, { merge: true });
+      }
+
+      // New assignees start watching the task
+      if (fields.assignedTo) {
+        task.watchers.addToSet(
+          ...task.assignedTo.filter(
+            (id) => !previous.assignedTo.includes(id.toString())
+          )
+        );
+      }
+
+      if (
+        task.recurring.seriesId &&
+        recurrenceService.touchesSeriesFields(fields)
+      ) {
+        // Editing just this occurrence keeps later ones copying the series;
+        // editing the series makes this occurrence its template again
+        task.recurring.isException = scope !== "future";
+      }
 
       // Add audit data
-      task.updatedBy = userId;
+      task.updatedBy = actorId;
       task.lastUpdated = new Date();
 
       // Save the updated task
       await task.save();
+      const events = await taskHistoryService.recordChanges(
+        task,
+        before,
+        actorId,
+        { source }
+      );
+      await watcherService.notifyChanges(task, events, actorId);
+
+      if (parentChanged) {
+        await subtaskService.syncParentLinks(task, previousParentId);
+        if (previousParentId) {
+          await this._refreshRollups(previousParentId);
+        }
+      }
+
+      // Roll the change up into the parents, completing them if needed
+      if (subtaskService.touchesRollupFields(updateData)) {
+        await this._refreshRollups(task._id);
+      }
+
+      // Unblock or re-block the tasks that depend on this one
+      if (previous.status !== task.status) {
+        await dependencyService.syncDependents(task);
+      }
 
       // If task is now completed, update user stats
       if (statusChanged) {
@@ -264,6 +552,22 @@ class TaskService {
         });
       }
 
+      if (task.recurring.seriesId && scope === "future") {
+        await recurrenceService.applyToFutureOccurrences(task, {
+          ...updateData,
+          ...(updateData.customFields !== undefined && {
+            customFields: Object.fromEntries(task.customFields),
+          }),
+        });
+      }
+
+      // Completing an occurrence of a recurring task creates the next one
+      if (statusChanged && task.recurring.isRecurring) {
+        await recurrenceService.generateNextOccurrence(task._id);
+      }
+
+      await this._runLifecycleAutomations(task, previous, actorId, chain);
+
       // Return populated task
       return await Task.findById(taskId)
         .populate("project", "name")
@@ -283,27 +587,31 @@ class TaskService {
    */
   async deleteTask(taskId, userId) {
     try {
-      // Check if the task exists and user has permission to delete
-      const task = await Task.findOne({
-        _id: taskId,
-        owner: userId, // Only owner can delete
-      });
-
-      if (!task) {
-        throw new Error("Task not found");
-      }
+      // Check if the task exists and user has permission to delete it
+      const task = await taskAccessService.findTask(taskId, userId, "delete");
 
-      // Check all subtasks and delete them
-      await Task.deleteMany({ parentTask: taskId });
+      // Keep the task, its subtasks at every level and the links to them in
+      // the trash so they can be restored
+      const descendantIds = await subtaskService.getDescendantIds(task._id);
+      await trashService.trashTasks(task, descendantIds, userId);
+      await Task.deleteMany({ _id: { $in: descendantIds } });
 
-      // Remove this task as a dependency for other tasks
-      await Task.updateMany(
-        { dependencies: taskId },
-        { $pull: { dependencies: taskId } }
-      );
+      // Remove the deleted tasks as dependencies for other tasks
+      await dependencyService.removeFromGraph([task._id, ...descendantIds]);
 
       // Delete task
-      await task.remove();
+      await task.deleteOne();
+
+      if (task.parentTask) {
+        await Task.updateOne(
+          { _id: task.parentTask },
+          { $pull: { subtasks: task._id } }
+        );
+        await this._refreshRollups(task.parentTask);
+      }
+
+      // Drop delayed automation actions that would act on it
+      await schedulerService.cancelForEntity("Task", taskId);
 
       return task;
     } catch (error) {
@@ -311,6 +619,160 @@ class TaskService {
       throw error;
     }
   }
+
+  /**
+   * Most tasks a single bulk request may change
+   */
+  get maxBulkTasks() {
+    return MAX_BULK_TASKS;
+  }
+
+  /**
+   * Apply one action to many tasks. Each task goes through updateTask (or
+   * deleteTask), so it gets the same permission checks and side effects as
+   * a single update. A task that fails does not stop the others.
+   * @param {String} userId - User ID
+   * @param {Array} taskIds - Tasks to change
+   * @param {String} action - One of BULK_ACTIONS, or "delete"
+   * @param {*} value - Status, priority, user IDs, tags or project ID
+   * @param {Object} options - { force } to start or complete blocked tasks
+   * @returns {Promise<Object>} Per-task results and a summary
+   */
+  async bulkUpdateTasks(userId, taskIds, action, value, options = {}) {
+    const ids = [...new Set(taskIds.map(String))];
+    if (ids.length > MAX_BULK_TASKS) {
+      throw new Error(
+        `Invalid bulk request - at most ${MAX_BULK_TASKS} tasks at a time`
+      );
+    }
+    if (action !== "delete" && !BULK_ACTIONS[action]) {
+      throw new Error(`Invalid bulk request - unknown action ${action}`);
+    }
+
+    // Check the target project once rather than failing every task
+    if (action === "move_to_project" && value) {
+      await projectService.getProjectById(value, userId);
+    }
+
+    const results = [];
+    for (const taskId of ids) {
+      try {
+        if (action === "delete") {
+          await this.deleteTask(taskId, userId);
+        } else {
+          const task = await taskAccessService.findTask(taskId, userId, "edit");
+
+          await this.updateTask(
+            taskId,
+            userId,
+            BULK_ACTIONS[action](task, value),
+            { force: options.force }
+          );
+        }
+
+        results.push({ taskId, success: true });
+      } catch (error) {
+        results.push({ taskId, success: false, error: error.message });
+      }
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+    logger.info(
+      `Bulk ${action} by user ${userId}: ${succeeded} of ${ids.length} tasks`
+    );
+
+    return {
+      results,
+      summary: {
+        total: ids.length,
+        succeeded,
+        failed: ids.length - succeeded,
+      },
+    };
+  }
+
+  /**
+   * Recompute rollups from a task up through its parents, and complete the
+   * nearest parent whose subtasks are now all completed if it asks for that.
+   * Completing it rolls up in turn, so the completion can cascade upwards.
+   * @param {String} taskId - First task to recompute
+   */
+  async _refreshRollups(taskId) {
+    const [ready] = await subtaskService.refreshRollups(taskId);
+
+    if (ready) {
+      await this.updateTask(
+        ready._id.toString(),
+        ready.owner.toString(),
+        { status: "completed" },
+        { force: true, source: "system" }
+      );
+    }
+  }
+
+  /**
+   * Emit status_change and assignment events for project automations.
+   * Both events share one chain so rules cannot loop between them, and both
+   * carry the field changes so conditions can use changedFrom/changedTo.
+   * @param {Object} task - Saved task
+   * @param {Object} previous - Tracked field values before the change
+   * @param {String} userId - User who made the change
+   * @param {Object} chain - Automation chain to continue, if any
+   */
+  async _runLifecycleAutomations(task, previous, userId, chain) {
+    if (!task.project) return;
+
+    const current = this._snapshotTrackedFields(task);
+    const changes = {};
+    TRACKED_FIELDS.forEach((field) => {
+      if (JSON.stringify(previous[field]) !== JSON.stringify(current[field])) {
+        changes[field] = { from: previous[field], to: current[field] };
+      }
+    });
+
+    const options = {
+      actorId: userId,
+      chain: chain || projectService.createAutomationChain(),
+    };
+
+    if (changes.status) {
+      await projectService.runTaskAutomations(
+        task,
+        "status_change",
+        { previousStatus: previous.status, changes },
+        options
+      );
+    }
+
+    const addedAssignees = current.assignedTo.filter(
+      (id) => !previous.assignedTo.includes(id)
+    );
+
+    for (const assigneeId of addedAssignees) {
+      await projectService.runTaskAutomations(
+        task,
+        "assignment",
+        { assigneeId, changes },
+        options
+      );
+    }
+  }
+
+  /**
+   * Plain copies of the fields automations track, with IDs as strings
+   */
+  _snapshotTrackedFields(task) {
+    return {
+      status: task.status,
+      priority: task.priority,
+      dueDate: task.dueDate ? task.dueDate.toISOString() : null,
+      category: task.category || null,
+      progress: task.progress,
+      project: task.project ? task.project.toString() : null,
+      assignedTo: task.assignedTo.map((id) => id.toString()),
+      tags: [...task.tags],
+    };
+  }
 }
 
 export default new TaskService();
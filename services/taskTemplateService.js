@@ -0,0 +1,442 @@
+import mongoose from "mongoose";
+
+import Membership from "../models/Membership.js";
+import Task from "../models/Task.js";
+import TaskTemplate, {
+  TEMPLATE_VARIABLE_PATTERN,
+} from "../models/TaskTemplate.js";
+import logger from "../utils/logger.js";
+import { paginate } from "../utils/pagination.js";
+
+import subtaskService from "./subtaskService.js";
+import taskAccessService from "./taskAccessService.js";
+import taskService from "./taskService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TEMPLATE_TASKS = 200;
+
+// Task fields a template keeps
+const TEMPLATE_TASK_FIELDS = [
+  "title",
+  "description",
+  "priority",
+  "category",
+  "tags",
+  "estimatedTime",
+  "completeWhenSubtasksDone",
+];
+
+// Template fields the owner can change
+const UPDATABLE_FIELDS = ["name", "description", "project", "tasks"];
+
+/**
+ * Task Template Service - reusable task trees with variables
+ */
+class TaskTemplateService {
+  /**
+   * Create a template from a list of tasks, or from an existing task and
+   * all of its subtasks
+   * @param {Object} data - Template data, with `tasks` or `fromTaskId`
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Created template
+   */
+  async createTemplate(data, userId) {
+    try {
+      const { fromTaskId, ...templateData } = data;
+
+      const tasks = fromTaskId
+        ? await this._captureTaskTree(fromTaskId, userId)
+        : templateData.tasks;
+      if (!tasks) {
+        throw new Error("Invalid template: provide tasks or fromTaskId");
+      }
+      this._orderTasks(tasks);
+
+      if (templateData.organization) {
+        await this._assertMember(templateData.organization, userId);
+      }
+
+      const template = new TaskTemplate({
+        ...templateData,
+        tasks,
+        owner: userId,
+      });
+      await template.save();
+
+      logger.info(`Task template ${template._id} created by user ${userId}`);
+      return template;
+    } catch (error) {
+      throw this._toRequestError(error, "creating task template");
+    }
+  }
+
+  /**
+   * Get the templates a user owns or shares through an organization
+   * @param {String} userId - User ID
+   * @param {Object} filters - { search, organization }
+   * @param {Object} options - { cursor, page, limit }
+   * @returns {Promise<Object>} Templates and pagination info
+   */
+  async getTemplates(userId, filters = {}, options = {}) {
+    try {
+      const organizationIds = await this._getOrganizationIds(userId);
+      const query = {
+        $or: [{ owner: userId }, { organization: { $in: organizationIds } }],
+      };
+      if (filters.organization) query.organization = filters.organization;
+      if (filters.search) {
+        query.name = { $regex: filters.search, $options: "i" };
+      }
+
+      const { items: templates, pagination } = await paginate(
+        TaskTemplate.find(query)
+          .populate("owner", "firstName lastName username")
+          .lean(),
+        options,
+        { sortFields: ["name"], defaultSort: "name", defaultOrder: "asc" }
+      );
+
+      return { templates, pagination };
+    } catch (error) {
+      logger.error(`Error fetching task templates: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a template the user can use
+   * @param {String} templateId - Template ID
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Template
+   */
+  async getTemplateById(templateId, userId) {
+    try {
+      return await this._findAccessibleTemplate(templateId, userId);
+    } catch (error) {
+      logger.error(`Error fetching task template: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a template. Only its owner can change it.
+   * @param {String} templateId - Template ID
+   * @param {String} userId - User ID
+   * @param {Object} updateData - Fields to change
+   * @returns {Promise<Object>} Updated template
+   */
+  async updateTemplate(templateId, userId, updateData) {
+    try {
+      const template = await this._findOwnedTemplate(templateId, userId);
+
+      if (updateData.tasks) {
+        this._orderTasks(updateData.tasks);
+      }
+
+      UPDATABLE_FIELDS.forEach((field) => {
+        if (updateData[field] !== undefined) {
+          template[field] = updateData[field];
+        }
+      });
+      await template.save();
+
+      return template;
+    } catch (error) {
+      throw this._toRequestError(error, "updating task template");
+    }
+  }
+
+  /**
+   * Delete a template. Only its owner can delete it.
+   * @param {String} templateId - Template ID
+   * @param {String} userId - User ID
+   */
+  async deleteTemplate(templateId, userId) {
+    try {
+      const template = await this._findOwnedTemplate(templateId, userId);
+      await template.deleteOne();
+
+      logger.info(`Task template ${templateId} deleted by user ${userId}`);
+    } catch (error) {
+      logger.error(`Error deleting task template: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the template's tasks. Variables are filled into titles and
+   * descriptions; start dates fall at the start of their day and due dates
+   * at the end of it (UTC), counting offsets from `startDate`.
+   * @param {String} templateId - Template ID
+   * @param {String} userId - User the tasks are created for
+   * @param {Object} options - { variables, startDate, project }
+   * @returns {Promise<Array>} Created tasks, parents before subtasks
+   */
+  async instantiateTemplate(templateId, userId, options = {}) {
+    const { variables = {}, startDate, project } = options;
+    const created = [];
+
+    try {
+      const template = await this._findAccessibleTemplate(templateId, userId);
+
+      const missing = template.variables.filter(
+        (name) => variables[name] === undefined
+      );
+      if (missing.length > 0) {
+        throw new Error(
+          `Invalid variables: missing values for ${missing.join(", ")}`
+        );
+      }
+
+      const fill = (text) =>
+        text &&
+        text.replace(TEMPLATE_VARIABLE_PATTERN, (_match, name) =>
+          String(variables[name])
+        );
+
+      const anchor = new Date(startDate || Date.now());
+      const anchorDay = Date.UTC(
+        anchor.getUTCFullYear(),
+        anchor.getUTCMonth(),
+        anchor.getUTCDate()
+      );
+      const dayStart = (offset) =>
+        offset === undefined || offset === null
+          ? undefined
+          : new Date(anchorDay + offset * DAY_MS);
+      const dayEnd = (offset) =>
+        offset === undefined || offset === null
+          ? undefined
+          : new Date(anchorDay + (offset + 1) * DAY_MS - 1);
+
+      const taskIds = new Map();
+      const items = this._orderTasks(
+        template.tasks.map((item) => item.toObject())
+      );
+
+      for (const item of items) {
+        const task = await taskService.createTask({
+          title: fill(item.title),
+          description: fill(item.description),
+          priority: item.priority,
+          category: item.category,
+          tags: item.tags,
+          estimatedTime: item.estimatedTime,
+          completeWhenSubtasksDone: item.completeWhenSubtasksDone,
+          startDate: dayStart(item.startOffsetDays),
+          dueDate: dayEnd(item.dueOffsetDays),
+          project: project || template.project,
+          organization: template.organization,
+          parentTask: item.parentKey ? taskIds.get(item.parentKey) : undefined,
+          dependencies: item.dependsOn.map((key) => taskIds.get(key)),
+          owner: userId,
+        });
+
+        taskIds.set(item.key, task._id);
+        created.push(task);
+      }
+
+      await TaskTemplate.updateOne(
+        { _id: template._id },
+        { $inc: { usageCount: 1 }, lastUsedAt: new Date() }
+      );
+
+      logger.info(
+        `Task template ${templateId} instantiated with ${created.length} tasks by user ${userId}`
+      );
+      return created;
+    } catch (error) {
+      // Don't leave half a checklist behind
+      if (created.length > 0) {
+        await Task.deleteMany({
+          _id: { $in: created.map((task) => task._id) },
+        });
+      }
+      throw this._toRequestError(error, "instantiating task template");
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Turn a task and its subtasks into template tasks. Offsets count from
+   * the task's start date, or its creation date if it has none.
+   */
+  async _captureTaskTree(taskId, userId) {
+    const root = await taskAccessService.findTask(taskId, userId);
+
+    // Descendants come level by level, so parents precede their subtasks
+    const descendantIds = await subtaskService.getDescendantIds(root._id);
+    const descendants = await Task.find({ _id: { $in: descendantIds } });
+    const byId = new Map(
+      descendants.map((task) => [task._id.toString(), task])
+    );
+    const tasks = [
+      root,
+      ...descendantIds.map((id) => byId.get(id.toString())).filter(Boolean),
+    ];
+
+    const keys = new Map(
+      tasks.map((task, index) => [task._id.toString(), `task${index + 1}`])
+    );
+    const anchor = root.startDate || root.createdAt;
+    const toOffset = (date) =>
+      date ? Math.max(0, Math.round((date - anchor) / DAY_MS)) : undefined;
+
+    return tasks.map((task) => {
+      const item = { key: keys.get(task._id.toString()) };
+      TEMPLATE_TASK_FIELDS.forEach((field) => {
+        if (task[field] !== undefined) item[field] = task[field];
+      });
+
+      return {
+        ...item,
+        startOffsetDays: toOffset(task.startDate),
+        dueOffsetDays: toOffset(task.dueDate),
+        parentKey:
+          task === root ? undefined : keys.get(task.parentTask.toString()),
+        dependsOn: task.dependencies
+          .map((id) => keys.get(id.toString()))
+          .filter(Boolean),
+      };
+    });
+  }
+
+  /**
+   * Check that template tasks form a valid tree and return them in an order
+   * where every task comes after its parent and its dependencies
+   */
+  _orderTasks(tasks) {
+    if (!Array.isArray(tasks) || tasks.length === 0) {
+      throw new Error("Invalid template: a template needs at least one task");
+    }
+    if (tasks.length > MAX_TEMPLATE_TASKS) {
+      throw new Error(
+        `Invalid template: a template can have at most ${MAX_TEMPLATE_TASKS} tasks`
+      );
+    }
+
+    const byKey = new Map();
+    tasks.forEach((task) => {
+      if (!task.key) {
+        throw new Error("Invalid template: every task needs a key");
+      }
+      if (byKey.has(task.key)) {
+        throw new Error(`Invalid template: duplicate task key ${task.key}`);
+      }
+      byKey.set(task.key, task);
+    });
+
+    const prerequisites = new Map(
+      tasks.map((task) => {
+        const keys = [
+          ...(task.parentKey ? [task.parentKey] : []),
+          ...(task.dependsOn || []),
+        ];
+        keys.forEach((key) => {
+          if (!byKey.has(key)) {
+            throw new Error(`Invalid template: unknown task key ${key}`);
+          }
+        });
+        return [task.key, new Set(keys)];
+      })
+    );
+
+    const ordered = [];
+    const placed = new Set();
+    while (ordered.length < tasks.length) {
+      const ready = tasks.filter(
+        (task) =>
+          !placed.has(task.key) &&
+          [...prerequisites.get(task.key)].every((key) => placed.has(key))
+      );
+      if (ready.length === 0) {
+        throw new Error(
+          "Invalid template: tasks cannot contain or depend on each other in a cycle"
+        );
+      }
+      ready.forEach((task) => {
+        placed.add(task.key);
+        ordered.push(task);
+      });
+    }
+
+    const depths = new Map();
+    ordered.forEach((task) => {
+      const depth = task.parentKey ? depths.get(task.parentKey) + 1 : 0;
+      if (depth > subtaskService.maxDepth) {
+        throw new Error(
+          `Invalid template: subtasks cannot be nested more than ${subtaskService.maxDepth} levels deep`
+        );
+      }
+      depths.set(task.key, depth);
+    });
+
+    return ordered;
+  }
+
+  async _findAccessibleTemplate(templateId, userId) {
+    if (!mongoose.isValidObjectId(templateId)) {
+      throw new Error("Template not found");
+    }
+
+    const organizationIds = await this._getOrganizationIds(userId);
+    const template = await TaskTemplate.findOne({
+      _id: templateId,
+      $or: [{ owner: userId }, { organization: { $in: organizationIds } }],
+    });
+    if (!template) {
+      throw new Error("Template not found");
+    }
+
+    return template;
+  }
+
+  async _findOwnedTemplate(templateId, userId) {
+    const template = await this._findAccessibleTemplate(templateId, userId);
+    if (template.owner.toString() !== userId.toString()) {
+      throw new Error("You do not have permission to change this template");
+    }
+
+    return template;
+  }
+
+  async _getOrganizationIds(userId) {
+    const memberships = await Membership.find({
+      user: userId,
+      status: "active",
+    })
+      .select("organization")
+      .lean();
+
+    return memberships.map((membership) => membership.organization);
+  }
+
+  async _assertMember(organizationId, userId) {
+    const organizationIds = await this._getOrganizationIds(userId);
+    if (!organizationIds.some((id) => id.toString() === organizationId)) {
+      throw new Error(
+        "You do not have permission to share templates with this organization"
+      );
+    }
+  }
+
+  /**
+   * Log an error and turn mongoose validation errors into a message the
+   * controller reports as a bad request
+   */
+  _toRequestError(error, action) {
+    logger.error(`Error ${action}: ${error.message}`);
+
+    if (error.name === "ValidationError") {
+      return new Error(
+        `Validation failed: ${Object.values(error.errors)
+          .map((e) => e.message)
+          .join(", ")}`
+      );
+    }
+    return error;
+  }
+}
+
+export default new TaskTemplateService();
@@ -1,8 +1,12 @@
-const Team = require("../models/Team");
-const User = require("../models/User");
-const Project = require("../models/Project");
-const TimeLog = require("../models/TimeLog");
-const logger = require("../utils/logger");
+import Membership from "../models/Membership.js";
+import Team from "../models/Team.js";
+import TimeLog from "../models/TimeLog.js";
+import User from "../models/User.js";
+import logger from "../utils/logger.js";
+import { paginate } from "../utils/pagination.js";
+import { countWorkingDays } from "../utils/timeUtils.js";
+
+const USER_FIELDS = "username firstName lastName avatar";
 
 class TeamService {
   /**
@@ -29,18 +33,13 @@ class TeamService {
    */
   async getTeamById(teamId, userId) {
     try {
-      // Check if user is part of team
-      const team = await Team.findOne({
-        _id: teamId,
-        $or: [{ leader: userId }, { "members.user": userId }],
-      })
-        .populate("leader", "name email profilePicture")
-        .populate("members.user", "name email profilePicture")
-        .populate("projects", "name description status");
+      const team = await this._findAccessibleTeam(teamId, userId);
 
-      if (!team) {
-        throw new Error("Team not found or access denied");
-      }
+      await team.populate([
+        { path: "leader", select: USER_FIELDS },
+        { path: "members.user", select: USER_FIELDS },
+        { path: "projects", select: "name description status" },
+      ]);
 
       return team;
     } catch (error) {
@@ -50,55 +49,53 @@ class TeamService {
   }
 
   /**
-   * Get all teams for a user
+   * Get all teams for a user within an organization
+   * @param {String} userId - User ID
+   * @param {Object} filters - Filters, including the organization to scope to
+   * @param {Object} pagination - Pagination and sort options
+   * @param {Object} membership - Caller's membership in the organization
    */
-  async getTeams(userId, filters = {}, pagination = {}) {
+  async getTeams(userId, filters = {}, pagination = {}, membership = null) {
     try {
-      const { status, type, search } = filters;
-      const {
-        page = 1,
-        limit = 20,
-        sortBy = "updatedAt",
-        sortOrder = -1,
-      } = pagination;
-
-      const query = {
-        $or: [{ leader: userId }, { "members.user": userId }],
-      };
+      const { organization, status, type, search, isArchived } = filters;
+
+      const query = {};
+      if (organization) query.organization = organization;
+
+      // Organization admins can see every team in the organization
+      const conditions = [];
+      if (!(organization && membership?.role === "admin")) {
+        conditions.push({
+          $or: [{ leader: userId }, { "members.user": userId }],
+        });
+      }
 
       // Apply filters
       if (status) query.status = status;
       if (type) query.type = type;
       if (search) {
-        query.$or = [
-          { name: { $regex: search, $options: "i" } },
-          { description: { $regex: search, $options: "i" } },
-        ];
+        conditions.push({
+          $or: [
+            { name: { $regex: search, $options: "i" } },
+            { description: { $regex: search, $options: "i" } },
+          ],
+        });
       }
+      if (conditions.length > 0) query.$and = conditions;
+      query.isArchived = isArchived === true || isArchived === "true";
+
+      const page = await paginate(
+        Team.find(query)
+          .populate("leader", USER_FIELDS)
+          .populate("projects", "name"),
+        pagination,
+        {
+          sortFields: ["name", "status", "type", "createdAt", "updatedAt"],
+          defaultSort: "updatedAt",
+        }
+      );
 
-      const sortOption = {};
-      sortOption[sortBy] = sortOrder;
-
-      const skip = (page - 1) * limit;
-
-      const teams = await Team.find(query)
-        .sort(sortOption)
-        .skip(skip)
-        .limit(parseInt(limit))
-        .populate("leader", "name email profilePicture")
-        .populate("projects", "name");
-
-      const total = await Team.countDocuments(query);
-
-      return {
-        teams,
-        pagination: {
-          total,
-          page: parseInt(page),
-          limit: parseInt(limit),
-          pages: Math.ceil(total / limit),
-        },
-      };
+      return { teams: page.items, pagination: page.pagination };
     } catch (error) {
       logger.error(`Error getting teams: ${error.message}`);
       throw new Error(`Failed to get teams: ${error.message}`);
@@ -110,26 +107,23 @@ class TeamService {
    */
   async updateTeam(teamId, updates, userId) {
     try {
-      const team = await Team.findOne({
-        _id: teamId,
-        leader: userId,
-      });
+      const team = await this._findManageableTeam(teamId, userId);
 
-      if (!team) {
-        throw new Error(
-          "Team not found or you don't have permission to update it"
-        );
-      }
+      // Leadership, membership and organization have dedicated operations
+      const allowed = { ...updates };
+      ["leader", "members", "organization"].forEach((key) => {
+        delete allowed[key];
+      });
 
       // Apply updates
-      Object.keys(updates).forEach((key) => {
+      Object.keys(allowed).forEach((key) => {
         // Handle nested fields like timeTracking.capacity
         if (key.includes(".")) {
           const [parent, child] = key.split(".");
           if (!team[parent]) team[parent] = {};
-          team[parent][child] = updates[key];
+          team[parent][child] = allowed[key];
         } else {
-          team[key] = updates[key];
+          team[key] = allowed[key];
         }
       });
 
@@ -141,28 +135,50 @@ class TeamService {
     }
   }
 
+  /**
+   * Archive a team
+   */
+  async archiveTeam(teamId, userId) {
+    try {
+      const team = await this._findManageableTeam(teamId, userId);
+
+      team.isArchived = true;
+      team.status = "archived";
+      await team.save();
+
+      return { success: true, message: "Team archived successfully" };
+    } catch (error) {
+      logger.error(`Error archiving team: ${error.message}`);
+      throw new Error(`Failed to archive team: ${error.message}`);
+    }
+  }
+
   /**
    * Add a member to a team
    */
   async addMember(teamId, memberId, role, userId) {
     try {
-      const team = await Team.findOne({
-        _id: teamId,
-        leader: userId,
-      });
+      const team = await this._findManageableTeam(teamId, userId);
 
-      if (!team) {
-        throw new Error(
-          "Team not found or you don't have permission to update it"
-        );
-      }
-
-      // Validate user exists
+      // Validate user exists and belongs to the team's organization
       const user = await User.findById(memberId);
       if (!user) {
         throw new Error("User not found");
       }
 
+      const isOrganizationMember = await Membership.exists({
+        user: memberId,
+        organization: team.organization,
+        status: "active",
+      });
+      if (!isOrganizationMember) {
+        throw new Error("User is not a member of the team's organization");
+      }
+
+      if (role === "lead") {
+        throw new Error("Use leadership transfer to assign the lead role");
+      }
+
       // Check if already a member
       const existingMemberIndex = team.members.findIndex(
         (member) => member.user.toString() === memberId
@@ -193,16 +209,7 @@ class TeamService {
    */
   async removeMember(teamId, memberId, userId) {
     try {
-      const team = await Team.findOne({
-        _id: teamId,
-        leader: userId,
-      });
-
-      if (!team) {
-        throw new Error(
-          "Team not found or you don't have permission to update it"
-        );
-      }
+      const team = await this._findManageableTeam(teamId, userId);
 
       // Prevent removing the leader
       if (team.leader.toString() === memberId) {
@@ -235,6 +242,7 @@ class TeamService {
       }
 
       const utilization = await team.calculateUtilization();
+      await team.save();
 
       return {
         currentUtilization: utilization,
@@ -248,9 +256,21 @@ class TeamService {
   }
 
   /**
-   * Get team workload distribution
+   * Get team workload distribution with per-member capacity.
+   *
+   * Capacity comes from `timeTracking.capacity` (weekly hours per member),
+   * spread evenly over the team's `workSchedule.workDays`, and is compared
+   * with the time each member logged in the selected range. TimeLog
+   * durations are stored in seconds; all figures here are in minutes.
+   * Pass timeRange "custom" with customRange.startDate/endDate for an
+   * explicit window.
    */
-  async getTeamWorkloadDistribution(teamId, userId, timeRange = "week") {
+  async getTeamWorkloadDistribution(
+    teamId,
+    userId,
+    timeRange = "week",
+    customRange = {}
+  ) {
     try {
       const team = await this.getTeamById(teamId, userId);
 
@@ -261,8 +281,12 @@ class TeamService {
       const endDate = new Date();
 
       switch (timeRange) {
-        case "week":
-          startDate.setDate(startDate.getDate() - 7);
+        case "custom":
+          startDate.setTime(new Date(customRange.startDate).getTime());
+          endDate.setTime(new Date(customRange.endDate).getTime());
+          if (isNaN(startDate) || isNaN(endDate) || startDate > endDate) {
+            throw new Error("Invalid date range");
+          }
           break;
         case "month":
           startDate.setMonth(startDate.getMonth() - 1);
@@ -270,37 +294,57 @@ class TeamService {
         case "quarter":
           startDate.setMonth(startDate.getMonth() - 3);
           break;
+        case "week":
         default:
           startDate.setDate(startDate.getDate() - 7);
       }
 
+      // Capacity per member for the range
+      const { workDays, timeZone } = team.workSchedule;
+      const workingDays = countWorkingDays(
+        startDate,
+        endDate,
+        workDays,
+        timeZone
+      );
+      const dailyCapacityMinutes =
+        workDays.length > 0
+          ? (team.timeTracking.capacity * 60) / workDays.length
+          : 0;
+      const capacityMinutes = Math.round(workingDays * dailyCapacityMinutes);
+
       // Get time entries for all team members
       const timeLogs = await TimeLog.find({
         user: { $in: memberIds },
         startTime: { $gte: startDate, $lte: endDate },
         duration: { $gt: 0 },
-      }).populate("user", "name email");
+      }).populate("task", "project");
 
-      // Group and calculate minutes by user
+      // Group and calculate minutes by member
       const workloadByUser = {};
       const workloadByProject = {};
       const workloadByDay = {};
 
+      team.members.forEach((member) => {
+        workloadByUser[member.user._id.toString()] = {
+          userId: member.user._id,
+          user: member.user,
+          role: member.role,
+          capacityMinutes,
+          loggedMinutes: 0,
+          entryCount: 0,
+        };
+      });
+
       timeLogs.forEach((log) => {
-        const userId = log.user._id.toString();
-        const userName = log.user.name;
+        const minutes = log.duration / 60;
 
         // By user
-        if (!workloadByUser[userId]) {
-          workloadByUser[userId] = {
-            userId,
-            userName,
-            minutes: 0,
-            entryCount: 0,
-          };
+        const entry = workloadByUser[log.user.toString()];
+        if (entry) {
+          entry.loggedMinutes += minutes;
+          entry.entryCount += 1;
         }
-        workloadByUser[userId].minutes += log.duration;
-        workloadByUser[userId].entryCount += 1;
 
         // By project
         if (log.task && log.task.project) {
@@ -312,7 +356,7 @@ class TeamService {
               entryCount: 0,
             };
           }
-          workloadByProject[projectId].minutes += log.duration;
+          workloadByProject[projectId].minutes += minutes;
           workloadByProject[projectId].entryCount += 1;
         }
 
@@ -325,19 +369,50 @@ class TeamService {
             entryCount: 0,
           };
         }
-        workloadByDay[day].minutes += log.duration;
+        workloadByDay[day].minutes += minutes;
         workloadByDay[day].entryCount += 1;
       });
 
+      const byUser = Object.values(workloadByUser).map((entry) => ({
+        ...entry,
+        loggedMinutes: Math.round(entry.loggedMinutes),
+        remainingMinutes: Math.max(
+          0,
+          Math.round(entry.capacityMinutes - entry.loggedMinutes)
+        ),
+        utilization:
+          entry.capacityMinutes > 0
+            ? Math.round((entry.loggedMinutes / entry.capacityMinutes) * 100)
+            : 0,
+      }));
+
+      const totalMinutes = byUser.reduce(
+        (sum, entry) => sum + entry.loggedMinutes,
+        0
+      );
+      const totalCapacityMinutes = capacityMinutes * byUser.length;
+
       return {
         timeRange,
-        totalMinutes: timeLogs.reduce((sum, log) => sum + log.duration, 0),
+        startDate,
+        endDate,
+        workingDays,
+        totalMinutes,
+        totalCapacityMinutes,
+        utilization:
+          totalCapacityMinutes > 0
+            ? Math.round((totalMinutes / totalCapacityMinutes) * 100)
+            : 0,
+        utilizationTarget: team.timeTracking.utilizationTarget,
         entryCount: timeLogs.length,
-        byUser: Object.values(workloadByUser),
-        byProject: Object.values(workloadByProject),
-        byDay: Object.values(workloadByDay).sort((a, b) =>
-          a.date.localeCompare(b.date)
-        ),
+        byUser,
+        byProject: Object.values(workloadByProject).map((entry) => ({
+          ...entry,
+          minutes: Math.round(entry.minutes),
+        })),
+        byDay: Object.values(workloadByDay)
+          .map((entry) => ({ ...entry, minutes: Math.round(entry.minutes) }))
+          .sort((a, b) => a.date.localeCompare(b.date)),
       };
     } catch (error) {
       logger.error(
@@ -352,16 +427,8 @@ class TeamService {
    */
   async transferLeadership(teamId, newLeaderId, userId) {
     try {
-      const team = await Team.findOne({
-        _id: teamId,
-        leader: userId,
-      });
-
-      if (!team) {
-        throw new Error(
-          "Team not found or you don't have permission to update it"
-        );
-      }
+      const team = await this._findManageableTeam(teamId, userId);
+      const previousLeaderId = team.leader.toString();
 
       // Verify new leader is a team member
       const isMember = team.members.some(
@@ -379,8 +446,10 @@ class TeamService {
       team.members.forEach((member) => {
         if (member.user.toString() === newLeaderId) {
           member.role = "lead";
-        }
-        if (member.user.toString() === userId && member.role === "lead") {
+        } else if (
+          member.user.toString() === previousLeaderId &&
+          member.role === "lead"
+        ) {
           member.role = "senior"; // Demote previous leader to senior
         }
       });
@@ -392,6 +461,59 @@ class TeamService {
       throw new Error(`Failed to transfer leadership: ${error.message}`);
     }
   }
+
+  // Private helper methods
+
+  /**
+   * Load a team the user belongs to, or any team in an organization the
+   * user administers
+   */
+  async _findAccessibleTeam(teamId, userId) {
+    const team = await Team.findById(teamId);
+    if (!team) {
+      throw new Error("Team not found");
+    }
+
+    const isMember =
+      team.leader.toString() === userId ||
+      team.members.some((member) => member.user.toString() === userId);
+
+    if (isMember || (await this._isOrganizationAdmin(team, userId))) {
+      return team;
+    }
+
+    throw new Error("You don't have permission to access this team");
+  }
+
+  /**
+   * Load a team the user leads or administers through its organization
+   */
+  async _findManageableTeam(teamId, userId) {
+    const team = await Team.findById(teamId);
+    if (!team) {
+      throw new Error("Team not found");
+    }
+
+    if (
+      team.leader.toString() === userId ||
+      (await this._isOrganizationAdmin(team, userId))
+    ) {
+      return team;
+    }
+
+    throw new Error("You don't have permission to manage this team");
+  }
+
+  async _isOrganizationAdmin(team, userId) {
+    return Boolean(
+      await Membership.exists({
+        user: userId,
+        organization: team.organization,
+        status: "active",
+        role: "admin",
+      })
+    );
+  }
 }
 
-module.exports = new TeamService();
+export default new TeamService();
@@ -3,6 +3,7 @@ import TimeLog from "../models/TimeLog.js";
 import User from "../models/User.js";
 
 import logger from "../utils/logger.js";
+import { paginate } from "../utils/pagination.js";
 import {
   roundTimeToInterval,
   isWithinWorkingHours,
@@ -12,6 +13,9 @@ import {
   getPomodoroSessionInfo,
 } from "../utils/timeUtils.js";
 
+import subtaskService from "./subtaskService.js";
+import taskAccessService from "./taskAccessService.js";
+
 class TimeTrackingService {
   /**
    * Start a timer for a task
@@ -19,13 +23,10 @@ class TimeTrackingService {
    */
   async startTimer(userId, taskId, description = "", stopRunningTimers = true) {
     try {
-      // Validate task exists and belongs to user
-      const task = await Task.findOne({
-        _id: taskId,
-        $or: [{ owner: userId }, { assignedTo: userId }],
-      });
+      // Validate task exists and the user can edit it
+      const task = await Task.findById(taskId);
 
-      if (!task) {
+      if (!task || !(await taskAccessService.can(task, userId, "edit"))) {
         throw new Error(
           "Task not found or you don't have permission to access it"
         );
@@ -96,6 +97,9 @@ class TimeTrackingService {
         task.hasActiveTimer = false;
 
         await task.save();
+        if (task.parentTask) {
+          await subtaskService.refreshRollups(task.parentTask);
+        }
       }
 
       logger.info(`Timer stopped for timeLog ${timeLogId} by user ${userId}`);
@@ -128,6 +132,9 @@ class TimeTrackingService {
           task.totalTimeSpent = (task.totalTimeSpent || 0) + timer.duration;
           task.hasActiveTimer = false;
           await task.save();
+          if (task.parentTask) {
+            await subtaskService.refreshRollups(task.parentTask);
+          }
         }
       }
 
@@ -151,12 +158,9 @@ class TimeTrackingService {
   ) {
     try {
       // Validate the task
-      const task = await Task.findOne({
-        _id: taskId,
-        $or: [{ owner: userId }, { assignedTo: userId }],
-      });
+      const task = await Task.findById(taskId);
 
-      if (!task) {
+      if (!task || !(await taskAccessService.can(task, userId, "edit"))) {
         throw new Error(
           "Task not found or you don't have permission to access it"
         );
@@ -197,6 +201,9 @@ class TimeTrackingService {
       task.timeEntries.push(timeLog._id);
       task.totalTimeSpent = (task.totalTimeSpent || 0) + duration;
       await task.save();
+      if (task.parentTask) {
+        await subtaskService.refreshRollups(task.parentTask);
+      }
 
       logger.info(
         `Manual time entry added for task ${taskId} by user ${userId}`
@@ -213,48 +220,30 @@ class TimeTrackingService {
    */
   async getTimeLogsByTask(userId, taskId, query = {}) {
     try {
-      const {
-        page = 1,
-        limit = 10,
-        sortBy = "startTime",
-        sortOrder = "desc",
-      } = query;
-
       // Validate user has access to the task
-      const task = await Task.findOne({
-        _id: taskId,
-        $or: [{ owner: userId }, { assignedTo: userId }],
-      });
+      const task = await Task.findById(taskId);
 
-      if (!task) {
+      if (!task || !(await taskAccessService.can(task, userId, "view"))) {
         throw new Error(
           "Task not found or you don't have permission to access it"
         );
       }
 
-      // Build sort object
-      const sort = {};
-      sort[sortBy] = sortOrder === "desc" ? -1 : 1;
-
       // Execute query with pagination
-      const timeLogs = await TimeLog.find({ task: taskId })
-        .sort(sort)
-        .skip((page - 1) * limit)
-        .limit(parseInt(limit))
-        .populate("user", "username firstName lastName");
-
-      // Get total count for pagination
-      const total = await TimeLog.countDocuments({ task: taskId });
+      const { items: timeLogs, pagination } = await paginate(
+        TimeLog.find({ task: taskId }).populate(
+          "user",
+          "username firstName lastName"
+        ),
+        query,
+        {
+          sortFields: ["startTime", "endTime", "duration", "createdAt"],
+          defaultSort: "startTime",
+          defaultLimit: 10,
+        }
+      );
 
-      return {
-        timeLogs,
-        pagination: {
-          total,
-          page: parseInt(page),
-          pages: Math.ceil(total / limit),
-          limit: parseInt(limit),
-        },
-      };
+      return { timeLogs, pagination };
     } catch (error) {
       logger.error(`Error fetching time logs: ${error.message}`);
       throw error;
@@ -402,6 +391,9 @@ class TimeTrackingService {
         }
 
         await task.save();
+        if (task.parentTask) {
+          await subtaskService.refreshRollups(task.parentTask);
+        }
       }
 
       // Delete the time log
@@ -0,0 +1,330 @@
+import mongoose from "mongoose";
+
+import Comment from "../models/Comment.js";
+import Note from "../models/Note.js";
+import Task from "../models/Task.js";
+import TrashItem from "../models/TrashItem.js";
+import logger from "../utils/logger.js";
+import { paginate } from "../utils/pagination.js";
+
+import attachmentService from "./attachmentService.js";
+import dependencyService from "./dependencyService.js";
+import subtaskService from "./subtaskService.js";
+import taskHistoryService from "./taskHistoryService.js";
+
+// Days a deleted item can be restored before it is purged
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRASH_TYPES = {
+  task: "Task",
+  note: "Note",
+};
+
+/**
+ * Trash Service - deleted tasks and notes, kept for TRASH_RETENTION_DAYS so
+ * they can be restored
+ */
+class TrashService {
+  /**
+   * Days deleted items are kept
+   */
+  get retentionDays() {
+    return TRASH_RETENTION_DAYS;
+  }
+
+  /**
+   * Move a task and its subtasks to the trash. The caller removes them from
+   * the tasks collection afterwards.
+   * @param {Object} task - Task being deleted
+   * @param {Array} descendantIds - Its subtasks at every level
+   * @param {String} userId - User deleting it
+   * @returns {Promise<Object>} Trash item
+   */
+  async trashTasks(task, descendantIds, userId) {
+    const ids = [task._id, ...descendantIds];
+    const documents = await Task.collection
+      .find({ _id: { $in: ids } })
+      .toArray();
+
+    // Links from tasks outside the tree, put back on restore
+    const idSet = new Set(ids.map(String));
+    const dependents = await Task.find({
+      _id: { $nin: ids },
+      dependencies: { $in: ids },
+    })
+      .select("dependencies blockedBy")
+      .lean();
+    const links = dependents.flatMap((dependent) =>
+      ["dependencies", "blockedBy"].flatMap((field) =>
+        (dependent[field] || [])
+          .filter((id) => idSet.has(id.toString()))
+          .map((target) => ({ task: dependent._id, field, target }))
+      )
+    );
+
+    return this._createItem({
+      entityType: "Task",
+      entityId: task._id,
+      title: task.title,
+      owner: userId,
+      organization: task.organization,
+      documents,
+      links,
+      itemCount: documents.length,
+    });
+  }
+
+  /**
+   * Move a note to the trash. The caller removes it from the notes
+   * collection afterwards.
+   * @param {Object} note - Note being deleted
+   * @param {String} userId - User deleting it
+   * @returns {Promise<Object>} Trash item
+   */
+  async trashNote(note, userId) {
+    const document = await Note.collection.findOne({ _id: note._id });
+
+    return this._createItem({
+      entityType: "Note",
+      entityId: note._id,
+      title: note.title,
+      owner: userId,
+      organization: note.organization,
+      documents: [document],
+    });
+  }
+
+  /**
+   * List the user's trash, most recently deleted first
+   * @param {String} userId - User ID
+   * @param {Object} query - { type: "task" | "note", cursor, page, limit }
+   * @returns {Promise<Object>} Items and pagination
+   */
+  async getTrash(userId, query = {}) {
+    try {
+      const filter = { owner: userId };
+      if (query.type) {
+        if (!TRASH_TYPES[query.type]) {
+          throw new Error("Invalid trash type - use task or note");
+        }
+        filter.entityType = TRASH_TYPES[query.type];
+      }
+
+      return await paginate(
+        TrashItem.find(filter).select("-documents -links").lean(),
+        { cursor: query.cursor, page: query.page, limit: query.limit },
+        { sortFields: ["deletedAt"], defaultSort: "deletedAt" }
+      );
+    } catch (error) {
+      logger.error(`Error fetching trash: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Put a trashed task tree or note back as it was
+   * @param {String} itemId - Trash item ID
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Restored task or note
+   */
+  async restoreItem(itemId, userId) {
+    try {
+      const item = await this._findOwnedItem(itemId, userId);
+
+      const restored =
+        item.entityType === "Task"
+          ? await this._restoreTasks(item)
+          : await this._restoreNote(item);
+
+      await TrashItem.deleteOne({ _id: item._id });
+      logger.info(
+        `${item.entityType} ${item.entityId} restored from trash by user ${userId}`
+      );
+
+      return restored;
+    } catch (error) {
+      logger.error(`Error restoring from trash: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete one trash item
+   * @param {String} itemId - Trash item ID
+   * @param {String} userId - User ID
+   */
+  async purgeItem(itemId, userId) {
+    try {
+      const item = await this._findOwnedItem(itemId, userId);
+      await this._purge(item);
+    } catch (error) {
+      logger.error(`Error purging trash item: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete everything in the user's trash
+   * @param {String} userId - User ID
+   * @returns {Promise<Number>} Number of items purged
+   */
+  async emptyTrash(userId) {
+    try {
+      const items = await TrashItem.find({ owner: userId })
+        .select("entityType documents._id")
+        .lean();
+      for (const item of items) {
+        await this._purge(item);
+      }
+
+      return items.length;
+    } catch (error) {
+      logger.error(`Error emptying trash: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Purge items whose retention window has passed
+   * @param {Object} options - Options
+   * @param {Number} options.limit - Maximum items to purge in one run
+   * @returns {Promise<Number>} Number of items purged
+   */
+  async purgeExpired({ limit = 100 } = {}) {
+    const items = await TrashItem.find({ expiresAt: { $lte: new Date() } })
+      .select("entityType documents._id")
+      .sort({ expiresAt: 1 })
+      .limit(limit)
+      .lean();
+
+    for (const item of items) {
+      try {
+        await this._purge(item);
+      } catch (error) {
+        logger.error(`Error purging trash item ${item._id}: ${error.message}`);
+      }
+    }
+
+    return items.length;
+  }
+
+  // Private helper methods
+
+  async _createItem(data) {
+    const deletedAt = new Date();
+
+    return TrashItem.create({
+      ...data,
+      deletedAt,
+      expiresAt: new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS),
+    });
+  }
+
+  async _findOwnedItem(itemId, userId) {
+    if (!mongoose.isValidObjectId(itemId)) {
+      throw new Error("Trash item not found");
+    }
+
+    const item = await TrashItem.findOne({ _id: itemId, owner: userId }).lean();
+    if (!item) {
+      throw new Error("Trash item not found");
+    }
+
+    return item;
+  }
+
+  /**
+   * Insert the trashed tasks again with their parent, subtask and
+   * dependency links. Links to tasks deleted since are dropped, and a task
+   * whose parent is gone comes back at the top level.
+   */
+  async _restoreTasks(item) {
+    const { documents } = item;
+    const ids = documents.map((document) => document._id);
+
+    if (await Task.exists({ _id: { $in: ids } })) {
+      throw new Error("Invalid restore - the task already exists");
+    }
+
+    const referenced = documents.flatMap((document) => [
+      ...(document.dependencies || []),
+      ...(document.blockedBy || []),
+      ...(document.parentTask ? [document.parentTask] : []),
+    ]);
+    const existing = new Set(
+      [
+        ...ids,
+        ...(await Task.find({ _id: { $in: referenced } }).distinct("_id")),
+      ].map(String)
+    );
+    const exists = (id) => existing.has(id.toString());
+
+    const root = documents.find((document) =>
+      document._id.equals(item.entityId)
+    );
+    if (root.parentTask && !exists(root.parentTask)) {
+      root.parentTask = null;
+    }
+    documents.forEach((document) => {
+      document.dependencies = (document.dependencies || []).filter(exists);
+      document.blockedBy = (document.blockedBy || []).filter(exists);
+    });
+
+    await Task.collection.insertMany(documents);
+
+    // Put back the dependencies other tasks had on the restored ones
+    const operations = item.links.map((link) => ({
+      updateOne: {
+        filter: { _id: link.task },
+        update: { $addToSet: { [link.field]: link.target } },
+      },
+    }));
+    if (operations.length > 0) {
+      await Task.bulkWrite(operations, { ordered: false });
+    }
+
+    // Dependencies may have finished or reopened while the tasks were away
+    await dependencyService.refreshBlockedBy({
+      _id: { $in: [...ids, ...item.links.map((link) => link.task)] },
+      "dependencies.0": { $exists: true },
+    });
+
+    if (root.parentTask) {
+      await Task.updateOne(
+        { _id: root.parentTask },
+        { $addToSet: { subtasks: root._id } }
+      );
+      await subtaskService.refreshRollups(root.parentTask);
+    }
+
+    return Task.findById(root._id);
+  }
+
+  async _restoreNote(item) {
+    const [document] = item.documents;
+
+    if (await Note.exists({ _id: document._id })) {
+      throw new Error("Invalid restore - the note already exists");
+    }
+
+    await Note.collection.insertOne(document);
+    return Note.findById(document._id);
+  }
+
+  async _purge(item) {
+    const ids = item.documents.map((document) => document._id);
+    if (item.entityType === "Task") {
+      await taskHistoryService.deleteForTasks(ids);
+    }
+    await Comment.deleteMany({
+      entityType: item.entityType,
+      entityId: { $in: ids },
+    });
+    await attachmentService.deleteForEntities(item.entityType, ids);
+    await TrashItem.deleteOne({ _id: item._id });
+  }
+}
+
+export default new TrashService();
@@ -0,0 +1,278 @@
+import Task from "../models/Task.js";
+import logger from "../utils/logger.js";
+
+import notificationService from "./notificationService.js";
+import schedulerService from "./schedulerService.js";
+import taskAccessService from "./taskAccessService.js";
+
+// Changes to a watched task within this window reach its watchers as one
+// notification
+const DIGEST_WINDOW_MS =
+  (parseInt(process.env.WATCHER_DIGEST_MINUTES) || 5) * 60 * 1000;
+
+const USER_FIELDS = "firstName lastName username avatar";
+
+// Task fields watchers are told about, with the notification type of each
+const WATCHED_FIELDS = {
+  status: "status_change",
+  dueDate: "due_date",
+  assignedTo: "assignment",
+};
+
+const formatDate = (value) => (value ? String(value).slice(0, 10) : "none");
+
+const countOf = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
+
+/**
+ * Watcher Service - task subscriptions and the notifications watchers get
+ */
+class WatcherService {
+  /**
+   * Get the users watching a task
+   * @param {String} taskId - Task ID
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { watchers, isWatching }
+   */
+  async getWatchers(taskId, userId) {
+    const task = await taskAccessService.findTask(taskId, userId);
+    return this._formatWatchers(task, userId);
+  }
+
+  /**
+   * Start watching a task
+   * @param {String} taskId - Task ID
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { watchers, isWatching }
+   */
+  async watch(taskId, userId) {
+    const task = await taskAccessService.findTask(taskId, userId);
+
+    await this.addWatchers(task._id, [userId]);
+    task.watchers.addToSet(userId);
+
+    return this._formatWatchers(task, userId);
+  }
+
+  /**
+   * Stop watching a task
+   * @param {String} taskId - Task ID
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { watchers, isWatching }
+   */
+  async unwatch(taskId, userId) {
+    const task = await taskAccessService.findTask(taskId, userId);
+
+    await Task.updateOne({ _id: task._id }, { $pull: { watchers: userId } });
+    task.watchers.pull(userId);
+
+    return this._formatWatchers(task, userId);
+  }
+
+  /**
+   * Add users to a task's watchers, leaving the ones already there
+   * @param {String} taskId - Task ID
+   * @param {Array} userIds - Users to add
+   */
+  async addWatchers(taskId, userIds) {
+    const ids = userIds.filter(Boolean);
+    if (ids.length === 0) return;
+
+    await Task.updateOne(
+      { _id: taskId },
+      { $addToSet: { watchers: { $each: ids } } }
+    );
+  }
+
+  /**
+   * Queue notifications to a task's watchers for the watched fields among
+   * recorded changes
+   * @param {Object} task - Task document after the change
+   * @param {Array} events - Events from taskHistoryService.recordChanges
+   * @param {String} actorId - User who made the change, if any
+   */
+  async notifyChanges(task, events, actorId) {
+    const changes = events
+      .filter((event) => WATCHED_FIELDS[event.field])
+      .map((event) => ({
+        field: event.field,
+        oldValue: event.oldValue,
+        newValue: event.newValue,
+        actor: actorId ? String(actorId) : null,
+        at: event.changedAt,
+      }));
+
+    await this._queue(task, changes, actorId);
+  }
+
+  /**
+   * Queue notifications to a task's watchers about a new comment
+   * @param {Object} task - Task the comment is on
+   * @param {Object} comment - New comment
+   * @param {String} authorId - User who wrote it
+   */
+  async notifyComment(task, comment, authorId) {
+    await this._queue(
+      task,
+      [
+        {
+          field: "comment",
+          commentId: String(comment._id),
+          excerpt: comment.content.substring(0, 100),
+          actor: String(authorId),
+          at: comment.createdAt,
+        },
+      ],
+      authorId
+    );
+  }
+
+  /**
+   * Send one watcher the changes collected for a task. Runs as the
+   * watcher_digest scheduled job.
+   * @param {Object} payload - { key: watcher ID, items: changes }
+   * @param {Object} job - Scheduled job, naming the task
+   * @returns {Promise<Object>} Notification, or null if none was sent
+   */
+  async sendDigest(payload, job) {
+    const { key: recipientId, items = [] } = payload;
+
+    const task = await Task.findById(job.entityId);
+    if (!task) return null;
+
+    // Watchers who left or lost access in the meantime are not told
+    const isWatching = task.watchers.some(
+      (id) => id.toString() === recipientId
+    );
+    if (!isWatching || !(await taskAccessService.can(task, recipientId))) {
+      return null;
+    }
+
+    const lines = this._summarize(items);
+    if (lines.length === 0) return null;
+
+    const types = [...new Set(lines.map((line) => line.type))];
+    const actors = [...new Set(items.map((item) => item.actor))];
+
+    return notificationService.createNotification({
+      type: types.length === 1 ? types[0] : "task_update",
+      recipient: recipientId,
+      sender: actors.length === 1 && actors[0] ? actors[0] : undefined,
+      title: `Updates to "${task.title}"`,
+      message: lines.map((line) => line.text).join("\n"),
+      entityType: "Task",
+      entityId: task._id,
+      link: `/tasks/${task._id}`,
+      priority: "normal",
+    });
+  }
+
+  // Private helper methods
+
+  async _queue(task, changes, actorId) {
+    if (changes.length === 0) return;
+
+    try {
+      const recipients = task.watchers
+        .map((id) => id.toString())
+        .filter((id) => id !== String(actorId));
+      const runAt = new Date(Date.now() + DIGEST_WINDOW_MS);
+
+      for (const recipient of recipients) {
+        for (const change of changes) {
+          await schedulerService.scheduleBatched(
+            "watcher_digest",
+            runAt,
+            { entityType: "Task", entityId: task._id },
+            recipient,
+            change
+          );
+        }
+      }
+    } catch (error) {
+      // Notifications should never fail the change itself
+      logger.error(
+        `Error queueing watcher notifications for task ${task._id}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * One line per field from its first old value to its last new value, so
+   * a field changed back and forth is left out. Comments are counted.
+   */
+  _summarize(items) {
+    const fields = new Map();
+    const comments = [];
+
+    items.forEach((item) => {
+      if (item.field === "comment") {
+        comments.push(item);
+      } else if (fields.has(item.field)) {
+        fields.get(item.field).newValue = item.newValue;
+      } else {
+        fields.set(item.field, { ...item });
+      }
+    });
+
+    const lines = [];
+    fields.forEach(({ field, oldValue, newValue }) => {
+      const text = this._describeChange(field, oldValue, newValue);
+      if (text) lines.push({ type: WATCHED_FIELDS[field], text });
+    });
+
+    if (comments.length === 1) {
+      lines.push({
+        type: "comment",
+        text: `New comment: ${comments[0].excerpt}`,
+      });
+    } else if (comments.length > 1) {
+      lines.push({
+        type: "comment",
+        text: countOf(comments.length, "new comment"),
+      });
+    }
+
+    return lines;
+  }
+
+  _describeChange(field, oldValue, newValue) {
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return null;
+
+    switch (field) {
+      case "status":
+        return `Status: ${oldValue || "none"} → ${newValue}`;
+
+      case "dueDate":
+        return `Due date: ${formatDate(oldValue)} → ${formatDate(newValue)}`;
+
+      case "assignedTo": {
+        const before = (oldValue || []).map(String);
+        const after = (newValue || []).map(String);
+        const added = after.filter((id) => !before.includes(id)).length;
+        const removed = before.filter((id) => !after.includes(id)).length;
+        if (!added && !removed) return null;
+
+        const parts = [];
+        if (added) parts.push(`${countOf(added, "assignee")} added`);
+        if (removed) parts.push(`${countOf(removed, "assignee")} removed`);
+        return `Assignees: ${parts.join(", ")}`;
+      }
+
+      default:
+        return `${field} changed`;
+    }
+  }
+
+  async _formatWatchers(task, userId) {
+    await task.populate("watchers", USER_FIELDS);
+
+    return {
+      watchers: task.watchers,
+      isWatching: task.watchers.some(
+        (watcher) => watcher._id.toString() === String(userId)
+      ),
+    };
+  }
+}
+
+export default new WatcherService();
@@ -0,0 +1,280 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import request from "supertest";
+
+import Attachment from "../models/Attachment.js";
+import Comment from "../models/Comment.js";
+import Membership from "../models/Membership.js";
+import Note from "../models/Note.js";
+import Organization from "../models/Organization.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import app from "../server.js";
+
+describe("Attachment Tests", () => {
+  let mongoServer;
+  let testUser;
+  let otherUser;
+  let organization;
+  let authToken;
+  let otherToken;
+
+  const contents = Buffer.from("Quarterly numbers\n");
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    [testUser, otherUser] = await User.create([
+      {
+        username: "attachmentuser",
+        email: "attachment@example.com",
+        password: "password123",
+        firstName: "Attachment",
+        lastName: "User",
+      },
+      {
+        username: "attachmentother",
+        email: "attachmentother@example.com",
+        password: "password123",
+        firstName: "Attachment",
+        lastName: "Other",
+      },
+    ]);
+
+    organization = await Organization.create({
+      name: "Attachment Organization",
+      createdBy: testUser._id,
+    });
+    await Membership.create({
+      user: testUser._id,
+      organization: organization._id,
+      role: "admin",
+      invitedBy: testUser._id,
+    });
+
+    authToken = jwt.sign(
+      { userId: testUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+    otherToken = jwt.sign(
+      { userId: otherUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+  });
+
+  afterAll(async () => {
+    await fs.rm(process.env.STORAGE_LOCAL_PATH, {
+      recursive: true,
+      force: true,
+    });
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await Promise.all([
+      Task.deleteMany({}),
+      Note.deleteMany({}),
+      Comment.deleteMany({}),
+      Attachment.deleteMany({}),
+    ]);
+  });
+
+  const upload = (path, options = {}) =>
+    request(app)
+      .post(path)
+      .set("Authorization", `Bearer ${options.token || authToken}`)
+      .attach("file", options.contents || contents, {
+        filename: options.filename || "report.txt",
+        contentType: options.contentType || "text/plain",
+      });
+
+  const getAttachment = (attachmentId, token = authToken) =>
+    request(app)
+      .get(`/api/attachments/${attachmentId}`)
+      .set("Authorization", `Bearer ${token}`);
+
+  it("should upload a file to a task", async () => {
+    const task = await Task.create({ title: "Report", owner: testUser._id });
+
+    const response = await upload(`/api/tasks/${task._id}/attachments`);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({
+      entityType: "Task",
+      filename: "report.txt",
+      contentType: "text/plain",
+      size: contents.length,
+      checksum: crypto.createHash("sha256").update(contents).digest("hex"),
+    });
+    expect(response.body.data.storageKey).toBeUndefined();
+
+    const updated = await Task.findById(task._id);
+    expect(updated.attachments).toHaveLength(1);
+    expect(updated.attachments[0]).toMatchObject({
+      filename: "report.txt",
+      url: `/api/attachments/${response.body.data._id}`,
+    });
+  });
+
+  it("should download through a signed URL", async () => {
+    const task = await Task.create({ title: "Report", owner: testUser._id });
+    const uploaded = await upload(`/api/tasks/${task._id}/attachments`);
+
+    const details = await getAttachment(uploaded.body.data._id);
+    const download = await request(app).get(details.body.data.downloadUrl);
+
+    expect(details.body.data.filename).toBe("report.txt");
+    expect(details.body.data.storage).toBeUndefined();
+    expect(details.body.data.storageKey).toBeUndefined();
+
+    expect(download.status).toBe(200);
+    expect(download.headers["content-type"]).toMatch(/^text\/plain/);
+    expect(download.headers["content-disposition"]).toContain("report.txt");
+    expect(download.text).toBe(contents.toString());
+  });
+
+  it("should reject tampered and expired download URLs", async () => {
+    const task = await Task.create({ title: "Report", owner: testUser._id });
+    const uploaded = await upload(`/api/tasks/${task._id}/attachments`);
+    const details = await getAttachment(uploaded.body.data._id);
+    const url = new URL(details.body.data.downloadUrl, "http://localhost");
+
+    const tampered = await request(app)
+      .get(url.pathname)
+      .query({
+        expires: Number(url.searchParams.get("expires")) + 3600,
+        signature: url.searchParams.get("signature"),
+      });
+    const unsigned = await request(app).get(url.pathname);
+
+    expect(tampered.status).toBe(403);
+    expect(unsigned.status).toBe(403);
+  });
+
+  it("should only show attachments to users who can see the entity", async () => {
+    const task = await Task.create({ title: "Private", owner: testUser._id });
+    const uploaded = await upload(`/api/tasks/${task._id}/attachments`);
+
+    const response = await getAttachment(uploaded.body.data._id, otherToken);
+
+    expect(response.status).toBe(403);
+  });
+
+  it("should only let editors upload", async () => {
+    const note = await Note.create({
+      title: "Shared",
+      content: "",
+      owner: testUser._id,
+      isShared: true,
+    });
+
+    const response = await upload(`/api/notes/${note._id}/attachments`, {
+      token: otherToken,
+    });
+
+    expect(response.status).toBe(403);
+    expect(await Attachment.countDocuments()).toBe(0);
+  });
+
+  it("should upload to notes and comments", async () => {
+    const note = await Note.create({
+      title: "Notes",
+      content: "",
+      owner: testUser._id,
+    });
+    const comment = await Comment.create({
+      content: "See attached",
+      author: testUser._id,
+      entityType: "Note",
+      entityId: note._id,
+    });
+
+    const onNote = await upload(`/api/notes/${note._id}/attachments`);
+    const onComment = await upload(`/api/comments/${comment._id}/attachments`, {
+      filename: "photo.png",
+      contentType: "image/png",
+    });
+
+    expect(onNote.status).toBe(201);
+    expect(onComment.status).toBe(201);
+    // Notes still validate with an uploaded attachment in the list
+    const updatedNote = await Note.findById(note._id);
+    await expect(updatedNote.validate()).resolves.toBeUndefined();
+    const updatedComment = await Comment.findById(comment._id);
+    expect(updatedComment.attachments[0].name).toBe("photo.png");
+  });
+
+  it("should reject file types that are not allowed", async () => {
+    const task = await Task.create({ title: "Report", owner: testUser._id });
+
+    const response = await upload(`/api/tasks/${task._id}/attachments`, {
+      filename: "page.html",
+      contentType: "text/html",
+    });
+
+    expect(response.status).toBe(400);
+  });
+
+  it("should reject files over the size limit", async () => {
+    const task = await Task.create({ title: "Report", owner: testUser._id });
+
+    const response = await upload(`/api/tasks/${task._id}/attachments`, {
+      contents: Buffer.alloc(10 * 1024 * 1024 + 1),
+    });
+
+    expect(response.status).toBe(413);
+  });
+
+  it("should enforce the organization quota", async () => {
+    const task = await Task.create({
+      title: "Report",
+      owner: testUser._id,
+      organization: organization._id,
+    });
+    // Fill the quota with an existing record
+    await Attachment.create({
+      entityType: "Task",
+      entityId: task._id,
+      organization: organization._id,
+      uploadedBy: testUser._id,
+      filename: "large.zip",
+      contentType: "application/zip",
+      size: 1024 * 1024 * 1024,
+      checksum: "0".repeat(64),
+      storage: "local",
+      storageKey: "missing",
+    });
+
+    const response = await upload(`/api/tasks/${task._id}/attachments`);
+    const usage = await request(app)
+      .get("/api/attachments/usage")
+      .query({ organization: organization._id.toString() })
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(response.status).toBe(413);
+    expect(usage.body.data).toMatchObject({ remaining: 0 });
+  });
+
+  it("should delete an attachment and its file", async () => {
+    const task = await Task.create({ title: "Report", owner: testUser._id });
+    const uploaded = await upload(`/api/tasks/${task._id}/attachments`);
+    const details = await getAttachment(uploaded.body.data._id);
+
+    const response = await request(app)
+      .delete(`/api/attachments/${uploaded.body.data._id}`)
+      .set("Authorization", `Bearer ${authToken}`);
+    const download = await request(app).get(details.body.data.downloadUrl);
+
+    expect(response.status).toBe(200);
+    expect((await Task.findById(task._id)).attachments).toHaveLength(0);
+    expect(download.status).toBe(404);
+  });
+});
@@ -0,0 +1,561 @@
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import request from "supertest";
+
+import AutomationRun from "../models/AutomationRun.js";
+import Comment from "../models/Comment.js";
+import Membership from "../models/Membership.js";
+import Notification from "../models/Notification.js";
+import Organization from "../models/Organization.js";
+import Project from "../models/Project.js";
+import ScheduledJob from "../models/ScheduledJob.js";
+import Task from "../models/Task.js";
+import TaskHistory from "../models/TaskHistory.js";
+import User from "../models/User.js";
+import app from "../server.js";
+import projectService from "../services/projectService.js";
+import schedulerService from "../services/schedulerService.js";
+
+describe("Workflow Automation Tests", () => {
+  let mongoServer;
+  let ownerUser;
+  let assigneeUser;
+  let organization;
+  let ownerToken;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    ownerUser = await User.create({
+      username: "automationowner",
+      email: "automationowner@example.com",
+      password: "password123",
+      firstName: "Automation",
+      lastName: "Owner",
+    });
+
+    assigneeUser = await User.create({
+      username: "automationassignee",
+      email: "automationassignee@example.com",
+      password: "password123",
+      firstName: "Automation",
+      lastName: "Assignee",
+    });
+
+    organization = await Organization.create({
+      name: "Automation Organization",
+      createdBy: ownerUser._id,
+    });
+
+    await Membership.create({
+      user: ownerUser._id,
+      organization: organization._id,
+      role: "admin",
+      invitedBy: ownerUser._id,
+    });
+
+    ownerToken = jwt.sign(
+      { userId: ownerUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await Promise.all([
+      Project.deleteMany({}),
+      Task.deleteMany({}),
+      AutomationRun.deleteMany({}),
+      Notification.deleteMany({}),
+      Comment.deleteMany({}),
+      ScheduledJob.deleteMany({}),
+      TaskHistory.deleteMany({}),
+    ]);
+  });
+
+  const createProject = (automations) =>
+    Project.create({
+      name: "Automated Project",
+      organization: organization._id,
+      owner: ownerUser._id,
+      members: [assigneeUser._id],
+      workflow: { automations },
+    });
+
+  const createTask = (project, data = {}) =>
+    Task.create({
+      title: "Automated Task",
+      owner: ownerUser._id,
+      project: project._id,
+      ...data,
+    });
+
+  describe("Task lifecycle events", () => {
+    it("should run status_change rules when a task is updated", async () => {
+      const project = await createProject([
+        {
+          trigger: "status_change",
+          condition: { status: "review" },
+          action: "add_tag",
+          actionConfig: { tag: "needs-review" },
+        },
+      ]);
+      const task = await createTask(project);
+
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set("Authorization", `Bearer ${ownerToken}`)
+        .send({ status: "review" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.task.tags).toContain("needs-review");
+
+      const runs = await AutomationRun.find({ entityId: task._id });
+      expect(runs).toHaveLength(1);
+      expect(runs[0].status).toBe("success");
+      expect(runs[0].triggeredBy.toString()).toBe(ownerUser._id.toString());
+    });
+
+    it("should notify assignees when a task is assigned", async () => {
+      const project = await createProject([
+        {
+          trigger: "assignment",
+          action: "notify",
+          actionConfig: { recipients: "assignees" },
+        },
+      ]);
+      const task = await createTask(project);
+
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set("Authorization", `Bearer ${ownerToken}`)
+        .send({ assignedTo: [assigneeUser._id.toString()] });
+
+      const notifications = await Notification.find({
+        recipient: assigneeUser._id,
+      });
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].type).toBe("assignment");
+      expect(notifications[0].entityId.toString()).toBe(task._id.toString());
+    });
+
+    it("should run comment rules when a task gets a comment", async () => {
+      const project = await createProject([
+        {
+          trigger: "comment",
+          condition: { status: "todo" },
+          action: "change_status",
+          actionConfig: { status: "in-progress" },
+        },
+      ]);
+      const task = await createTask(project);
+
+      const response = await request(app)
+        .post(`/api/tasks/${task._id}/comments`)
+        .set("Authorization", `Bearer ${ownerToken}`)
+        .send({ content: "Starting on this" });
+
+      expect(response.status).toBe(201);
+      const updated = await Task.findById(task._id);
+      expect(updated.status).toBe("in-progress");
+    });
+
+    it("should stop rules that trigger each other from looping", async () => {
+      const project = await createProject([
+        {
+          trigger: "status_change",
+          condition: { status: "review" },
+          action: "change_status",
+          actionConfig: { status: "in-progress" },
+        },
+        {
+          trigger: "status_change",
+          condition: { status: "in-progress" },
+          action: "change_status",
+          actionConfig: { status: "review" },
+        },
+      ]);
+      const task = await createTask(project);
+
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set("Authorization", `Bearer ${ownerToken}`)
+        .send({ status: "review" });
+
+      expect(response.status).toBe(200);
+
+      const runs = await AutomationRun.find({ entityId: task._id }).sort({
+        createdAt: 1,
+      });
+      expect(runs.map((run) => run.status)).toContain("skipped");
+      expect(new Set(runs.map((run) => run.chainId)).size).toBe(1);
+    });
+  });
+
+  describe("Conditions", () => {
+    it("should match operator and compound conditions", async () => {
+      const project = await createProject([
+        {
+          trigger: "status_change",
+          condition: {
+            status: { changedFrom: "todo", changedTo: "in-progress" },
+            any: [{ priority: { in: ["high", "urgent"] } }, { tags: "vip" }],
+          },
+          action: "add_tag",
+          actionConfig: { tag: "escalated" },
+        },
+      ]);
+      const highTask = await createTask(project, { priority: "high" });
+      const lowTask = await createTask(project, { priority: "low" });
+
+      for (const task of [highTask, lowTask]) {
+        await request(app)
+          .put(`/api/tasks/${task._id}`)
+          .set("Authorization", `Bearer ${ownerToken}`)
+          .send({ status: "in-progress" });
+      }
+
+      expect((await Task.findById(highTask._id)).tags).toContain("escalated");
+      expect((await Task.findById(lowTask._id)).tags).not.toContain(
+        "escalated"
+      );
+    });
+
+    it("should reject rules with unknown operators", async () => {
+      const project = await createProject([]);
+
+      const response = await request(app)
+        .post(`/api/projects/${project._id}/automations`)
+        .set("Authorization", `Bearer ${ownerToken}`)
+        .send({
+          trigger: "status_change",
+          condition: { progress: { between: [1, 2] } },
+          action: "add_tag",
+          actionConfig: { tag: "x" },
+        });
+
+      expect(response.status).toBe(400);
+    });
+
+    it("should reject notify rules with an unknown priority", async () => {
+      const project = await createProject([]);
+
+      const response = await request(app)
+        .post(`/api/projects/${project._id}/automations`)
+        .set("Authorization", `Bearer ${ownerToken}`)
+        .send({
+          trigger: "assignment",
+          action: "notify",
+          actionConfig: { recipients: "assignees", priority: "medium" },
+        });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("Actions", () => {
+    it("should set priority, due date and post a comment", async () => {
+      const project = await createProject([
+        {
+          trigger: "status_change",
+          condition: { status: "review" },
+          action: "set_priority",
+          actionConfig: { priority: "urgent" },
+        },
+        {
+          trigger: "status_change",
+          condition: { status: "review" },
+          action: "set_due_date",
+          actionConfig: { days: 2 },
+        },
+        {
+          trigger: "status_change",
+          condition: { status: "review" },
+          action: "post_comment",
+          actionConfig: { content: "Ready for review" },
+        },
+      ]);
+      const task = await createTask(project, {
+        watchers: [assigneeUser._id],
+      });
+
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set("Authorization", `Bearer ${ownerToken}`)
+        .send({ status: "review" });
+
+      const updated = await Task.findById(task._id);
+      expect(updated.priority).toBe("urgent");
+      expect(updated.dueDate.getTime()).toBeGreaterThan(
+        Date.now() + 47 * 60 * 60 * 1000
+      );
+
+      const comments = await Comment.find({ entityId: task._id });
+      expect(comments).toHaveLength(1);
+      expect(comments[0].content).toBe("Ready for review");
+
+      const digest = await ScheduledJob.findOne({
+        type: "watcher_digest",
+        "payload.key": assigneeUser._id.toString(),
+      });
+      expect(digest.payload.items.map((item) => item.field)).toContain(
+        "comment"
+      );
+    });
+
+    it("should create subtasks and move tasks between projects", async () => {
+      const archive = await Project.create({
+        name: "Archive",
+        organization: organization._id,
+        owner: ownerUser._id,
+      });
+      const project = await createProject([
+        {
+          trigger: "status_change",
+          condition: { status: "review" },
+          action: "create_subtask",
+          actionConfig: { title: "Write release notes" },
+        },
+        {
+          trigger: "status_change",
+          condition: { status: "completed" },
+          action: "move_to_project",
+          actionConfig: { projectId: archive._id.toString() },
+        },
+      ]);
+      const task = await createTask(project, {
+        sprint: new mongoose.Types.ObjectId(),
+        board: { stage: new mongoose.Types.ObjectId(), rank: "m" },
+      });
+
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set("Authorization", `Bearer ${ownerToken}`)
+        .send({ status: "review" });
+
+      const subtask = await Task.findOne({ parentTask: task._id });
+      expect(subtask.title).toBe("Write release notes");
+      expect(subtask.watchers.map(String)).toContain(ownerUser._id.toString());
+      expect(await TaskHistory.exists({ task: subtask._id })).toBeTruthy();
+
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set("Authorization", `Bearer ${ownerToken}`)
+        .send({ status: "completed" });
+
+      const updated = await Task.findById(task._id);
+      expect(updated.subtasks.map(String)).toContain(subtask._id.toString());
+      expect(updated.project.toString()).toBe(archive._id.toString());
+      expect(updated.sprint).toBeNull();
+      expect(updated.board?.stage).toBeUndefined();
+
+      const moved = await TaskHistory.findOne({
+        task: task._id,
+        field: "project",
+      });
+      expect(moved.source).toBe("automation");
+    });
+
+    it("should not complete blocked tasks through change_status", async () => {
+      const project = await createProject([
+        {
+          trigger: "status_change",
+          condition: { status: "review" },
+          action: "change_status",
+          actionConfig: { status: "completed" },
+        },
+      ]);
+      const blocker = await createTask(project);
+      const task = await createTask(project, {
+        dependencies: [blocker._id],
+        blockedBy: [blocker._id],
+      });
+
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set("Authorization", `Bearer ${ownerToken}`)
+        .send({ status: "review" });
+
+      expect((await Task.findById(task._id)).status).toBe("review");
+      const [run] = await AutomationRun.find({ entityId: task._id });
+      expect(run.status).toBe("failed");
+    });
+
+    it("should reject change_status rules with an unknown status", async () => {
+      const project = await createProject([]);
+
+      const response = await request(app)
+        .post(`/api/projects/${project._id}/automations`)
+        .set("Authorization", `Bearer ${ownerToken}`)
+        .send({
+          trigger: "assignment",
+          action: "change_status",
+          actionConfig: { status: "done" },
+        });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("Delayed actions", () => {
+    it("should schedule the action and run it once due", async () => {
+      const project = await createProject([
+        {
+          trigger: "status_change",
+          condition: { status: "review" },
+          action: "add_tag",
+          actionConfig: { tag: "stale-review" },
+          delayMinutes: 60,
+        },
+      ]);
+      const task = await createTask(project);
+
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set("Authorization", `Bearer ${ownerToken}`)
+        .send({ status: "review" });
+
+      expect((await Task.findById(task._id)).tags).not.toContain(
+        "stale-review"
+      );
+      const job = await ScheduledJob.findOne({ entityId: task._id });
+      expect(job.status).toBe("pending");
+
+      // Make the job due and run it
+      await ScheduledJob.updateOne({ _id: job._id }, { runAt: new Date() });
+      await schedulerService.runDueJobs({
+        automation_action: (payload) =>
+          projectService.runScheduledAutomation(payload),
+      });
+
+      expect((await Task.findById(task._id)).tags).toContain("stale-review");
+      expect((await ScheduledJob.findById(job._id)).status).toBe("completed");
+
+      const statuses = (await AutomationRun.find({ entityId: task._id })).map(
+        (run) => run.status
+      );
+      expect(statuses).toEqual(
+        expect.arrayContaining(["scheduled", "success"])
+      );
+    });
+
+    it("should skip the action if the condition no longer matches", async () => {
+      const project = await createProject([
+        {
+          trigger: "status_change",
+          condition: { status: "review" },
+          action: "add_tag",
+          actionConfig: { tag: "stale-review" },
+          delayMinutes: 60,
+        },
+      ]);
+      const task = await createTask(project, { status: "review" });
+      await projectService.runTaskAutomations(task, "status_change");
+
+      await Task.updateOne({ _id: task._id }, { status: "completed" });
+      await ScheduledJob.updateMany({}, { runAt: new Date() });
+      await schedulerService.runDueJobs({
+        automation_action: (payload) =>
+          projectService.runScheduledAutomation(payload),
+      });
+
+      expect((await Task.findById(task._id)).tags).not.toContain(
+        "stale-review"
+      );
+    });
+
+    it("should retry jobs whose runner stopped mid-run", async () => {
+      const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+      const [abandoned, exhausted] = await ScheduledJob.create([
+        {
+          type: "noop",
+          runAt: hourAgo,
+          status: "running",
+          startedAt: hourAgo,
+          attempts: 1,
+        },
+        {
+          type: "noop",
+          runAt: hourAgo,
+          status: "running",
+          startedAt: hourAgo,
+          attempts: 3,
+        },
+      ]);
+
+      const processed = await schedulerService.runDueJobs({
+        noop: async () => {},
+      });
+
+      expect(processed).toBe(1);
+      expect((await ScheduledJob.findById(abandoned._id)).status).toBe(
+        "completed"
+      );
+      expect((await ScheduledJob.findById(exhausted._id)).status).toBe(
+        "failed"
+      );
+    });
+  });
+
+  describe("Due date automations", () => {
+    it("should fire once per due date for tasks due soon", async () => {
+      const project = await createProject([
+        {
+          trigger: "due_date",
+          action: "add_tag",
+          actionConfig: { tag: "due-soon" },
+        },
+      ]);
+      const task = await createTask(project, {
+        dueDate: new Date(Date.now() + 2 * 60 * 60 * 1000),
+      });
+
+      const first = await projectService.processDueDateAutomations({
+        windowHours: 24,
+      });
+      const second = await projectService.processDueDateAutomations({
+        windowHours: 24,
+      });
+
+      expect(first.processed).toBe(1);
+      expect(second.processed).toBe(0);
+
+      const updated = await Task.findById(task._id);
+      expect(updated.tags).toContain("due-soon");
+    });
+  });
+
+  describe("GET /api/projects/:projectId/automations/history", () => {
+    it("should list automation runs for the project", async () => {
+      const project = await createProject([
+        {
+          trigger: "status_change",
+          action: "add_tag",
+          actionConfig: { tag: "touched" },
+        },
+      ]);
+      const task = await createTask(project);
+
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set("Authorization", `Bearer ${ownerToken}`)
+        .send({ status: "in-progress" });
+
+      const response = await request(app)
+        .get(`/api/projects/${project._id}/automations/history`)
+        .set("Authorization", `Bearer ${ownerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.runs).toHaveLength(1);
+      expect(response.body.data.runs[0].trigger).toBe("status_change");
+      expect(response.body.pagination.total).toBe(1);
+    });
+  });
+});
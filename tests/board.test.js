@@ -0,0 +1,373 @@
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import request from "supertest";
+
+import Organization from "../models/Organization.js";
+import Project from "../models/Project.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import app from "../server.js";
+import { rankBetween, spreadRanks } from "../utils/rankUtils.js";
+
+describe("Project Board Tests", () => {
+  let mongoServer;
+  let testUser;
+  let organization;
+  let authToken;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    testUser = await User.create({
+      username: "boarduser",
+      email: "board@example.com",
+      password: "password123",
+      firstName: "Board",
+      lastName: "User",
+    });
+
+    organization = await Organization.create({
+      name: "Board Organization",
+      createdBy: testUser._id,
+    });
+
+    authToken = jwt.sign(
+      { userId: testUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await Promise.all([Project.deleteMany({}), Task.deleteMany({})]);
+  });
+
+  const createProject = (stages = []) =>
+    Project.create({
+      name: "Board Project",
+      organization: organization._id,
+      owner: testUser._id,
+      workflow: { stages },
+    });
+
+  const createTask = (project, title, data = {}) =>
+    Task.create({ title, owner: testUser._id, project: project._id, ...data });
+
+  const getBoard = (project) =>
+    request(app)
+      .get(`/api/projects/${project._id}/board`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+  const moveTask = (project, task, body) =>
+    request(app)
+      .put(`/api/projects/${project._id}/board/tasks/${task._id}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send(body);
+
+  const titles = (stage) => stage.tasks.map((task) => task.title);
+
+  describe("Ranks", () => {
+    it("should create ranks that sort between their neighbours", () => {
+      let upper = "1";
+      for (let i = 0; i < 50; i++) {
+        const rank = rankBetween("0z", upper);
+        expect(rank > "0z" && rank < upper).toBe(true);
+        upper = rank;
+      }
+    });
+
+    it("should spread ranks evenly", () => {
+      const ranks = spreadRanks(40);
+      expect([...ranks].sort()).toEqual(ranks);
+      expect(new Set(ranks).size).toBe(40);
+    });
+  });
+
+  describe("Reading the board", () => {
+    it("should give a project default stages and sort tasks into them", async () => {
+      const project = await createProject();
+      await createTask(project, "Plan");
+      await createTask(project, "Build", { status: "in-progress" });
+      await createTask(project, "Ship", { status: "completed" });
+      await createTask(project, "Parked", { status: "on-hold" });
+
+      const response = await getBoard(project);
+
+      expect(response.status).toBe(200);
+      const { stages, unstaged } = response.body.data.board;
+      expect(stages.map((stage) => stage.name)).toEqual([
+        "To Do",
+        "In Progress",
+        "Review",
+        "Done",
+      ]);
+      expect(titles(stages[0])).toEqual(["Plan"]);
+      expect(titles(stages[1])).toEqual(["Build"]);
+      expect(titles(stages[3])).toEqual(["Ship"]);
+      expect(unstaged.map((task) => task.title)).toEqual(["Parked"]);
+
+      const saved = await Project.findById(project._id);
+      expect(saved.workflow.stages).toHaveLength(4);
+    });
+
+    it("should rank tasks in the order they were created", async () => {
+      const project = await createProject();
+      await createTask(project, "First");
+      await createTask(project, "Second");
+
+      const response = await getBoard(project);
+
+      expect(titles(response.body.data.board.stages[0])).toEqual([
+        "First",
+        "Second",
+      ]);
+      const tasks = await Task.find({ project: project._id });
+      expect(tasks.every((task) => task.board.rank)).toBe(true);
+    });
+
+    it("should leave out private tasks the user cannot see", async () => {
+      const project = await createProject();
+      const outsider = await User.create({
+        username: "privateowner",
+        email: "private-owner@example.com",
+        password: "password123",
+      });
+      await createTask(project, "Shared");
+      await createTask(project, "Secret", {
+        owner: outsider._id,
+        isPrivate: true,
+      });
+
+      const response = await getBoard(project);
+
+      expect(titles(response.body.data.board.stages[0])).toEqual(["Shared"]);
+      await User.deleteOne({ _id: outsider._id });
+    });
+
+    it("should give legacy stages a status from their name", async () => {
+      const project = await createProject([
+        { name: "Todo", order: 0 },
+        { name: "In progress", order: 1 },
+      ]);
+      await createTask(project, "Build", { status: "in-progress" });
+
+      const response = await getBoard(project);
+
+      const { stages } = response.body.data.board;
+      expect(stages.map((stage) => stage.status)).toEqual([
+        "todo",
+        "in-progress",
+      ]);
+      expect(titles(stages[1])).toEqual(["Build"]);
+    });
+  });
+
+  describe("Moving tasks", () => {
+    it("should reorder a task by writing only that task", async () => {
+      const project = await createProject();
+      const a = await createTask(project, "A");
+      const b = await createTask(project, "B");
+      const c = await createTask(project, "C");
+      const board = (await getBoard(project)).body.data.board;
+      const before = await Task.find({ _id: { $in: [a._id, b._id] } }).lean();
+
+      const response = await moveTask(project, c, {
+        stageId: board.stages[0]._id,
+        beforeTaskId: a._id.toString(),
+      });
+
+      expect(response.status).toBe(200);
+      const after = await Task.find({ _id: { $in: [a._id, b._id] } }).lean();
+      expect(after.map((task) => task.board.rank)).toEqual(
+        before.map((task) => task.board.rank)
+      );
+
+      const updated = (await getBoard(project)).body.data.board;
+      expect(titles(updated.stages[0])).toEqual(["C", "A", "B"]);
+    });
+
+    it("should place a task after another one", async () => {
+      const project = await createProject();
+      const a = await createTask(project, "A");
+      await createTask(project, "B");
+      const c = await createTask(project, "C");
+      const board = (await getBoard(project)).body.data.board;
+
+      await moveTask(project, c, {
+        stageId: board.stages[0]._id,
+        afterTaskId: a._id.toString(),
+      });
+
+      const updated = (await getBoard(project)).body.data.board;
+      expect(titles(updated.stages[0])).toEqual(["A", "C", "B"]);
+    });
+
+    it("should change the status when moving to another stage", async () => {
+      const project = await createProject();
+      const task = await createTask(project, "Build");
+      const board = (await getBoard(project)).body.data.board;
+
+      const response = await moveTask(project, task, {
+        stageId: board.stages[1]._id,
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.task.status).toBe("in-progress");
+      expect(response.body.data.task.board.stage).toBe(board.stages[1]._id);
+    });
+
+    it("should keep a task in a custom stage that shares a status", async () => {
+      const project = await createProject([
+        { name: "Backlog", status: "todo" },
+        { name: "Ready", status: "todo" },
+      ]);
+      const task = await createTask(project, "Build");
+      const board = (await getBoard(project)).body.data.board;
+      expect(titles(board.stages[0])).toEqual(["Build"]);
+
+      await moveTask(project, task, { stageId: board.stages[1]._id });
+
+      const updated = (await getBoard(project)).body.data.board;
+      expect(titles(updated.stages[0])).toEqual([]);
+      expect(titles(updated.stages[1])).toEqual(["Build"]);
+    });
+
+    it("should reject a position in another stage", async () => {
+      const project = await createProject();
+      const a = await createTask(project, "A");
+      const b = await createTask(project, "B", { status: "in-progress" });
+      const board = (await getBoard(project)).body.data.board;
+
+      const response = await moveTask(project, a, {
+        stageId: board.stages[0]._id,
+        beforeTaskId: b._id.toString(),
+      });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("WIP limits", () => {
+    const limitedProject = (wipPolicy) =>
+      createProject([
+        { name: "To Do", status: "todo" },
+        { name: "Doing", status: "in-progress", wipLimit: 1, wipPolicy },
+      ]);
+
+    it("should refuse moving into a full stage with a block policy", async () => {
+      const project = await limitedProject("block");
+      await createTask(project, "Busy", { status: "in-progress" });
+      const task = await createTask(project, "Waiting");
+      const board = (await getBoard(project)).body.data.board;
+
+      const response = await moveTask(project, task, {
+        stageId: board.stages[1]._id,
+      });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe("BOARD_MOVE_CONFLICT");
+      const unchanged = await Task.findById(task._id);
+      expect(unchanged.status).toBe("todo");
+    });
+
+    it("should allow a forced move into a full stage", async () => {
+      const project = await limitedProject("block");
+      await createTask(project, "Busy", { status: "in-progress" });
+      const task = await createTask(project, "Waiting");
+      const board = (await getBoard(project)).body.data.board;
+
+      const response = await moveTask(project, task, {
+        stageId: board.stages[1]._id,
+        force: true,
+      });
+
+      expect(response.status).toBe(200);
+      const updated = (await getBoard(project)).body.data.board;
+      expect(updated.stages[1].taskCount).toBe(2);
+      expect(updated.stages[1].overLimit).toBe(true);
+    });
+
+    it("should warn about a full stage with a warn policy", async () => {
+      const project = await limitedProject("warn");
+      await createTask(project, "Busy", { status: "in-progress" });
+      const task = await createTask(project, "Waiting");
+      const board = (await getBoard(project)).body.data.board;
+
+      const response = await moveTask(project, task, {
+        stageId: board.stages[1]._id,
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.warnings).toHaveLength(1);
+      expect(response.body.data.task.status).toBe("in-progress");
+    });
+
+    it("should not count reordering within a full stage", async () => {
+      const project = await limitedProject("block");
+      const task = await createTask(project, "Busy", { status: "in-progress" });
+      const board = (await getBoard(project)).body.data.board;
+
+      const response = await moveTask(project, task, {
+        stageId: board.stages[1]._id,
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.warnings).toEqual([]);
+    });
+  });
+
+  describe("Editing stages", () => {
+    it("should replace the stages and keep existing IDs", async () => {
+      const project = await createProject();
+      const board = (await getBoard(project)).body.data.board;
+
+      const response = await request(app)
+        .put(`/api/projects/${project._id}/board/stages`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          stages: [
+            {
+              _id: board.stages[0]._id,
+              name: "Backlog",
+              status: "todo",
+            },
+            {
+              name: "Doing",
+              status: "in-progress",
+              wipLimit: 3,
+              wipPolicy: "block",
+            },
+          ],
+        });
+
+      expect(response.status).toBe(200);
+      const { stages } = response.body.data;
+      expect(stages).toHaveLength(2);
+      expect(stages[0]._id).toBe(board.stages[0]._id);
+      expect(stages[1]).toMatchObject({ order: 1, wipLimit: 3 });
+    });
+
+    it("should reject duplicate stage names", async () => {
+      const project = await createProject();
+
+      const response = await request(app)
+        .put(`/api/projects/${project._id}/board/stages`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          stages: [
+            { name: "Doing", status: "todo" },
+            { name: "doing", status: "in-progress" },
+          ],
+        });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
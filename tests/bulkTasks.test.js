@@ -0,0 +1,206 @@
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import request from "supertest";
+
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import app from "../server.js";
+
+describe("Bulk Task Operation Tests", () => {
+  let mongoServer;
+  let testUser;
+  let otherUser;
+  let authToken;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    testUser = await User.create({
+      username: "bulkuser",
+      email: "bulk@example.com",
+      password: "password123",
+      firstName: "Bulk",
+      lastName: "User",
+    });
+
+    otherUser = await User.create({
+      username: "bulkother",
+      email: "bulkother@example.com",
+      password: "password123",
+      firstName: "Bulk",
+      lastName: "Other",
+    });
+
+    authToken = jwt.sign(
+      { userId: testUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await Task.deleteMany({});
+  });
+
+  const createTask = (title, data = {}) =>
+    Task.create({ title, owner: testUser._id, ...data });
+
+  const bulk = (body, query = {}) =>
+    request(app)
+      .post("/api/tasks/bulk")
+      .query(query)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send(body);
+
+  const ids = (...tasks) => tasks.map((task) => task._id.toString());
+
+  it("should change the status of every task", async () => {
+    const a = await createTask("A");
+    const b = await createTask("B");
+
+    const response = await bulk({
+      taskIds: ids(a, b),
+      action: "set_status",
+      value: "in-progress",
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.summary).toEqual({
+      total: 2,
+      succeeded: 2,
+      failed: 0,
+    });
+    const tasks = await Task.find({ _id: { $in: ids(a, b) } });
+    expect(tasks.every((task) => task.status === "in-progress")).toBe(true);
+  });
+
+  it("should report tasks the user cannot change without stopping", async () => {
+    const own = await createTask("Mine");
+    const foreign = await Task.create({
+      title: "Theirs",
+      owner: otherUser._id,
+    });
+
+    const response = await bulk({
+      taskIds: ids(own, foreign),
+      action: "set_priority",
+      value: "urgent",
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.summary.failed).toBe(1);
+    expect(response.body.results).toEqual([
+      { taskId: own._id.toString(), success: true },
+      {
+        taskId: foreign._id.toString(),
+        success: false,
+        error: "Task not found",
+      },
+    ]);
+    expect((await Task.findById(foreign._id)).priority).toBe("medium");
+  });
+
+  it("should add and remove tags", async () => {
+    const a = await createTask("A", { tags: ["bug"] });
+    const b = await createTask("B", { tags: ["bug", "ui"] });
+
+    await bulk({ taskIds: ids(a, b), action: "add_tags", value: ["triaged"] });
+    await bulk({ taskIds: ids(a, b), action: "remove_tags", value: ["bug"] });
+
+    expect((await Task.findById(a._id)).tags).toEqual(["triaged"]);
+    expect((await Task.findById(b._id)).tags).toEqual(["ui", "triaged"]);
+  });
+
+  it("should assign and unassign users", async () => {
+    const task = await createTask("A");
+    const otherId = otherUser._id.toString();
+
+    await bulk({ taskIds: ids(task), action: "assign", value: [otherId] });
+    expect((await Task.findById(task._id)).assignedTo.map(String)).toEqual([
+      otherId,
+    ]);
+
+    await bulk({ taskIds: ids(task), action: "unassign", value: [otherId] });
+    expect((await Task.findById(task._id)).assignedTo).toHaveLength(0);
+  });
+
+  it("should archive tasks", async () => {
+    const task = await createTask("A");
+
+    await bulk({ taskIds: ids(task), action: "archive" });
+
+    expect((await Task.findById(task._id)).isArchived).toBe(true);
+  });
+
+  it("should delete tasks", async () => {
+    const a = await createTask("A");
+    const b = await createTask("B");
+
+    const response = await bulk({ taskIds: ids(a, b), action: "delete" });
+
+    expect(response.body.summary.succeeded).toBe(2);
+    expect(await Task.countDocuments()).toBe(0);
+  });
+
+  it("should respect dependency blocking unless forced", async () => {
+    const design = await createTask("Design");
+    const build = await createTask("Build", {
+      dependencies: [design._id],
+      blockedBy: [design._id],
+    });
+
+    const blocked = await bulk({
+      taskIds: ids(build),
+      action: "set_status",
+      value: "in-progress",
+    });
+    const forced = await bulk(
+      { taskIds: ids(build), action: "set_status", value: "in-progress" },
+      { force: "true" }
+    );
+
+    expect(blocked.body.results[0].success).toBe(false);
+    expect(forced.body.results[0].success).toBe(true);
+  });
+
+  it("should reject a move to a project that does not exist", async () => {
+    const task = await createTask("A");
+
+    const response = await bulk({
+      taskIds: ids(task),
+      action: "move_to_project",
+      value: new mongoose.Types.ObjectId().toString(),
+    });
+
+    expect(response.status).toBe(404);
+  });
+
+  it("should validate the value for the action", async () => {
+    const task = await createTask("A");
+
+    const response = await bulk({
+      taskIds: ids(task),
+      action: "set_status",
+      value: "finished",
+    });
+
+    expect(response.status).toBe(400);
+  });
+
+  it("should limit how many tasks one request can change", async () => {
+    const taskIds = Array.from({ length: 501 }, () =>
+      new mongoose.Types.ObjectId().toString()
+    );
+
+    const response = await bulk({ taskIds, action: "archive" });
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,155 @@
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import request from "supertest";
+
+import Comment from "../models/Comment.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import app from "../server.js";
+
+describe("Comment API Tests", () => {
+  let mongoServer;
+  let testUser;
+  let outsider;
+  let authToken;
+  let outsiderToken;
+  let task;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    testUser = await User.create({
+      username: "commenter",
+      email: "commenter@example.com",
+      password: "password123",
+      firstName: "Comment",
+      lastName: "Author",
+    });
+
+    outsider = await User.create({
+      username: "outsider",
+      email: "outsider@example.com",
+      password: "password123",
+      firstName: "Out",
+      lastName: "Sider",
+    });
+
+    authToken = jwt.sign(
+      { userId: testUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+    outsiderToken = jwt.sign(
+      { userId: outsider._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    task = await Task.create({
+      title: "Discussed task",
+      owner: testUser._id,
+    });
+  });
+
+  afterEach(async () => {
+    await Comment.deleteMany({});
+    await Task.deleteMany({});
+  });
+
+  describe("POST /api/comments", () => {
+    it("should add a comment to a task", async () => {
+      const response = await request(app)
+        .post("/api/comments")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          entityType: "task",
+          entityId: task._id.toString(),
+          content: "Looks good",
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.comment.entityType).toBe("Task");
+      expect(response.body.data.comment.content).toBe("Looks good");
+    });
+
+    it("should not let users comment on tasks they cannot see", async () => {
+      const response = await request(app)
+        .post("/api/comments")
+        .set("Authorization", `Bearer ${outsiderToken}`)
+        .send({
+          entityType: "Task",
+          entityId: task._id.toString(),
+          content: "Sneaky",
+        });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe("POST /api/tasks/:id/comments", () => {
+    it("should store task comments in the comment collection", async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${task._id}/comments`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ content: "Via the task route" });
+
+      expect(response.status).toBe(201);
+      const stored = await Comment.find({
+        entityType: "Task",
+        entityId: task._id,
+      });
+      expect(stored.length).toBe(1);
+    });
+
+    it("should reject a reply to a comment that does not exist", async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${task._id}/comments`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          content: "Replying",
+          parentComment: new mongoose.Types.ObjectId().toString(),
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe("Parent comment not found");
+    });
+
+    it("should return 404 for a task that does not exist", async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${new mongoose.Types.ObjectId()}/comments`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ content: "Anyone there?" });
+
+      expect(response.status).toBe(404);
+      expect(response.body.message).toBe("Task not found");
+    });
+  });
+
+  describe("GET /api/activity/:entityType/:entityId", () => {
+    it("should list comment activity on the task", async () => {
+      await Comment.create({
+        content: "First",
+        author: testUser._id,
+        entityType: "Task",
+        entityId: task._id,
+      });
+
+      const response = await request(app)
+        .get(`/api/activity/tasks/${task._id}`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.activities.length).toBe(1);
+      expect(response.body.data.activities[0].action).toBe("commented");
+    });
+  });
+});
@@ -0,0 +1,267 @@
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import request from "supertest";
+
+import Organization from "../models/Organization.js";
+import Project from "../models/Project.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import app from "../server.js";
+
+describe("Task Custom Field Tests", () => {
+  let mongoServer;
+  let testUser;
+  let organization;
+  let authToken;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    testUser = await User.create({
+      username: "customfielduser",
+      email: "customfield@example.com",
+      password: "password123",
+      firstName: "Custom",
+      lastName: "Field",
+    });
+
+    organization = await Organization.create({
+      name: "Custom Field Organization",
+      createdBy: testUser._id,
+    });
+
+    authToken = jwt.sign(
+      { userId: testUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await Promise.all([Project.deleteMany({}), Task.deleteMany({})]);
+  });
+
+  const createProject = (customFields) =>
+    Project.create({
+      name: "Custom Field Project",
+      organization: organization._id,
+      owner: testUser._id,
+      customFields,
+    });
+
+  const defaultFields = [
+    { name: "Severity", type: "select", options: ["low", "high"] },
+    { name: "Points", type: "number" },
+    { name: "Shipped", type: "date" },
+    { name: "Customer facing", type: "boolean" },
+  ];
+
+  const createTask = (project, customFields, data = {}) =>
+    request(app)
+      .post("/api/tasks")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        title: "Custom field task",
+        project: project._id.toString(),
+        customFields,
+        ...data,
+      });
+
+  const getTasks = (query) =>
+    request(app)
+      .get("/api/tasks")
+      .query(query)
+      .set("Authorization", `Bearer ${authToken}`);
+
+  describe("Storing values", () => {
+    it("should store values converted to the field types", async () => {
+      const project = await createProject(defaultFields);
+
+      const response = await createTask(project, {
+        Severity: "high",
+        Points: "5",
+        Shipped: "2026-03-01",
+        "Customer facing": true,
+      });
+
+      expect(response.status).toBe(201);
+      const task = await Task.findById(response.body.task._id);
+      expect(task.customFields.get("Points")).toBe(5);
+      expect(task.customFields.get("Shipped")).toBeInstanceOf(Date);
+      expect(task.customFields.get("Customer facing")).toBe(true);
+    });
+
+    it("should reject a value outside a select field's options", async () => {
+      const project = await createProject(defaultFields);
+
+      const response = await createTask(project, { Severity: "medium" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("TASK_CUSTOM_FIELD_ERROR");
+    });
+
+    it("should reject a value of the wrong type", async () => {
+      const project = await createProject(defaultFields);
+
+      const response = await createTask(project, { Points: "many" });
+
+      expect(response.status).toBe(400);
+    });
+
+    it("should reject fields the project does not define", async () => {
+      const project = await createProject(defaultFields);
+
+      const response = await createTask(project, { Color: "red" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain("not defined");
+    });
+
+    it("should require required fields", async () => {
+      const project = await createProject([
+        { name: "Team", type: "text", isRequired: true },
+      ]);
+
+      const missing = await createTask(project, undefined);
+      const given = await createTask(project, { Team: "Platform" });
+
+      expect(missing.status).toBe(400);
+      expect(given.status).toBe(201);
+    });
+
+    it("should merge updates and clear values set to null", async () => {
+      const project = await createProject(defaultFields);
+      const created = await createTask(project, {
+        Severity: "low",
+        Points: 3,
+      });
+
+      const response = await request(app)
+        .put(`/api/tasks/${created.body.task._id}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ customFields: { Severity: "high", Points: null } });
+
+      expect(response.status).toBe(200);
+      const task = await Task.findById(created.body.task._id);
+      expect(Object.fromEntries(task.customFields)).toEqual({
+        Severity: "high",
+      });
+    });
+
+    it("should drop values when the task moves to another project", async () => {
+      const project = await createProject(defaultFields);
+      const other = await createProject([{ name: "Points", type: "number" }]);
+      const created = await createTask(project, {
+        Severity: "low",
+        Points: 3,
+      });
+
+      await request(app)
+        .put(`/api/tasks/${created.body.task._id}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ project: other._id.toString() });
+
+      const task = await Task.findById(created.body.task._id);
+      expect(Object.fromEntries(task.customFields)).toEqual({ Points: 3 });
+    });
+  });
+
+  describe("Filtering and sorting", () => {
+    let project;
+
+    beforeEach(async () => {
+      project = await createProject(defaultFields);
+      await createTask(
+        project,
+        { Severity: "high", Points: 8 },
+        { title: "A" }
+      );
+      await createTask(project, { Severity: "low", Points: 2 }, { title: "B" });
+      await createTask(
+        project,
+        { Severity: "high", Points: 5 },
+        { title: "C" }
+      );
+    });
+
+    it("should filter by a value", async () => {
+      const response = await getTasks({
+        project: project._id.toString(),
+        "customFields[Severity]": "high",
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.tasks.map((task) => task.title).sort()).toEqual(
+        ["A", "C"]
+      );
+    });
+
+    it("should filter numbers by range", async () => {
+      const response = await getTasks({
+        project: project._id.toString(),
+        "customFields[Points][gte]": "5",
+      });
+
+      expect(response.body.data.tasks).toHaveLength(2);
+    });
+
+    it("should sort by a custom field", async () => {
+      const response = await getTasks({
+        project: project._id.toString(),
+        sortBy: "customFields.Points",
+        sortOrder: "asc",
+      });
+
+      expect(response.body.data.tasks.map((task) => task.title)).toEqual([
+        "B",
+        "C",
+        "A",
+      ]);
+    });
+
+    it("should require a project to filter by custom fields", async () => {
+      const response = await getTasks({ "customFields[Severity]": "high" });
+
+      expect(response.status).toBe(400);
+    });
+
+    it("should refuse range filters on select fields", async () => {
+      const response = await getTasks({
+        project: project._id.toString(),
+        "customFields[Severity][gt]": "low",
+      });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("Completion report", () => {
+    it("should group completed tasks by a custom field", async () => {
+      const project = await createProject(defaultFields);
+      await createTask(project, { Severity: "high" }, { status: "completed" });
+      await createTask(project, { Severity: "high" }, { status: "completed" });
+      await createTask(project, { Severity: "low" }, { status: "completed" });
+
+      const response = await request(app)
+        .get("/api/reports/task-completion")
+        .query({
+          projectId: project._id.toString(),
+          groupBy: "customFields.Severity",
+        })
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      const counts = Object.fromEntries(
+        response.body.report.map((group) => [group.value, group.count])
+      );
+      expect(counts).toEqual({ high: 2, low: 1 });
+    });
+  });
+});
@@ -0,0 +1,161 @@
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import request from "supertest";
+
+import Dashboard from "../models/Dashboard.js";
+import Membership from "../models/Membership.js";
+import Organization from "../models/Organization.js";
+import User from "../models/User.js";
+import app from "../server.js";
+import dashboardService from "../services/dashboardService.js";
+
+describe("Dashboard API Tests", () => {
+  let mongoServer;
+  let testUser;
+  let otherUser;
+  let authToken;
+  let otherToken;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    testUser = await User.create({
+      username: "dashboarduser",
+      email: "dashboarduser@example.com",
+      password: "password123",
+      firstName: "Dashboard",
+      lastName: "User",
+    });
+
+    otherUser = await User.create({
+      username: "otherdashboarduser",
+      email: "otherdashboarduser@example.com",
+      password: "password123",
+      firstName: "Other",
+      lastName: "User",
+    });
+
+    authToken = jwt.sign(
+      { userId: testUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+    otherToken = jwt.sign(
+      { userId: otherUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await Dashboard.deleteMany({});
+  });
+
+  describe("POST /api/dashboards", () => {
+    it("should create a dashboard scheduled for its first refresh", async () => {
+      const response = await request(app)
+        .post("/api/dashboards")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          name: "My Dashboard",
+          refreshInterval: 15,
+          widgets: [{ type: "custom", title: "Notes" }],
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.dashboard.nextRefreshAt).toBeDefined();
+    });
+
+    it("should keep organization report widgets from viewers", async () => {
+      const organization = await Organization.create({
+        name: "Dashboard Organization",
+        createdBy: testUser._id,
+      });
+      await Membership.create({
+        user: otherUser._id,
+        organization: organization._id,
+        role: "viewer",
+        invitedBy: testUser._id,
+      });
+
+      const response = await request(app)
+        .post("/api/dashboards")
+        .set("Authorization", `Bearer ${otherToken}`)
+        .send({
+          name: "Team",
+          organization: organization._id.toString(),
+          widgets: [{ type: "memberPerformance", title: "Members" }],
+        });
+
+      expect(response.status).toBe(403);
+
+      // Saved before the check existed, it no longer refreshes
+      const dashboard = await Dashboard.create({
+        name: "Old Team",
+        owner: otherUser._id,
+        organization: organization._id,
+        widgets: [{ type: "productivity", title: "Productivity" }],
+      });
+      await dashboardService.refreshDashboard(dashboard);
+
+      const updated = await Dashboard.findById(dashboard._id);
+      expect(updated.widgets[0].cachedData).toBeUndefined();
+      expect(updated.widgets[0].lastRefreshError).toBe(
+        "You don't have access to organization reports"
+      );
+    });
+  });
+
+  describe("GET /api/dashboards/:dashboardId", () => {
+    it("should deny access to private dashboards of other users", async () => {
+      const dashboard = await Dashboard.create({
+        name: "Private",
+        owner: testUser._id,
+      });
+
+      const response = await request(app)
+        .get(`/api/dashboards/${dashboard._id}`)
+        .set("Authorization", `Bearer ${otherToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe("Widget data refresh", () => {
+    it("should cache widget data for dashboards that are due", async () => {
+      const dashboard = await Dashboard.create({
+        name: "Refreshing",
+        owner: testUser._id,
+        refreshInterval: 5,
+        nextRefreshAt: new Date(Date.now() - 1000),
+        widgets: [{ type: "custom", title: "Custom" }],
+      });
+
+      const refreshed = await dashboardService.refreshDueDashboards();
+      expect(refreshed).toBe(1);
+
+      const updated = await Dashboard.findById(dashboard._id);
+      expect(updated.widgets[0].cachedData).toBeDefined();
+      expect(updated.widgets[0].lastRefreshed).toBeDefined();
+      expect(updated.nextRefreshAt.getTime()).toBeGreaterThan(Date.now());
+
+      const response = await request(app)
+        .get(
+          `/api/dashboards/${dashboard._id}/widgets/${updated.widgets[0]._id}/data`
+        )
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(new Date(response.body.lastRefreshed).getTime()).toBe(
+        updated.widgets[0].lastRefreshed.getTime()
+      );
+    });
+  });
+});
@@ -0,0 +1,229 @@
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import request from "supertest";
+
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import app from "../server.js";
+import dependencyService from "../services/dependencyService.js";
+
+describe("Task Dependency Tests", () => {
+  let mongoServer;
+  let testUser;
+  let otherUser;
+  let authToken;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    testUser = await User.create({
+      username: "dependencyuser",
+      email: "dependency@example.com",
+      password: "password123",
+      firstName: "Dependency",
+      lastName: "User",
+    });
+
+    otherUser = await User.create({
+      username: "dependencyother",
+      email: "dependencyother@example.com",
+      password: "password123",
+      firstName: "Other",
+      lastName: "User",
+    });
+
+    authToken = jwt.sign(
+      { userId: testUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await Task.deleteMany({});
+  });
+
+  const createTask = (title, data = {}) =>
+    Task.create({ title, owner: testUser._id, ...data });
+
+  const addDependency = (task, dependency) =>
+    request(app)
+      .post(`/api/tasks/${task._id}/dependencies`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ dependencyId: dependency._id.toString() });
+
+  describe("Adding and removing dependencies", () => {
+    it("should block a task on an unfinished dependency", async () => {
+      const design = await createTask("Design");
+      const build = await createTask("Build");
+
+      const response = await addDependency(build, design);
+
+      expect(response.status).toBe(201);
+      expect(response.body.task.isBlocked).toBe(true);
+    });
+
+    it("should not block a task on a completed dependency", async () => {
+      const design = await createTask("Design", { status: "completed" });
+      const build = await createTask("Build");
+
+      const response = await addDependency(build, design);
+
+      expect(response.status).toBe(201);
+      expect(response.body.task.isBlocked).toBe(false);
+    });
+
+    it("should reject a dependency that creates a cycle", async () => {
+      const a = await createTask("A");
+      const b = await createTask("B");
+      const c = await createTask("C");
+      await addDependency(b, a);
+      await addDependency(c, b);
+
+      const response = await addDependency(a, c);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe("Dependency would create a cycle");
+    });
+
+    it("should not depend on tasks the user cannot see", async () => {
+      const hidden = await createTask("Hidden", { owner: otherUser._id });
+
+      const response = await request(app)
+        .post("/api/tasks")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ title: "Build", dependencies: [hidden._id.toString()] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("TASK_DEPENDENCY_ERROR");
+      expect(await Task.countDocuments({ title: "Build" })).toBe(0);
+    });
+
+    it("should unblock a task when its dependency is removed", async () => {
+      const design = await createTask("Design");
+      const build = await createTask("Build");
+      await addDependency(build, design);
+
+      const response = await request(app)
+        .delete(`/api/tasks/${build._id}/dependencies/${design._id}`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.task.isBlocked).toBe(false);
+    });
+  });
+
+  describe("Blocking", () => {
+    it("should refuse to start a blocked task unless forced", async () => {
+      const design = await createTask("Design");
+      const build = await createTask("Build");
+      await addDependency(build, design);
+
+      const refused = await request(app)
+        .put(`/api/tasks/${build._id}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ status: "in-progress" });
+      expect(refused.status).toBe(409);
+
+      const forced = await request(app)
+        .put(`/api/tasks/${build._id}?force=true`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ status: "in-progress" });
+      expect(forced.status).toBe(200);
+    });
+
+    it("should unblock dependents when a dependency is completed", async () => {
+      const design = await createTask("Design");
+      const build = await createTask("Build");
+      await addDependency(build, design);
+
+      await request(app)
+        .put(`/api/tasks/${design._id}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ status: "completed" });
+
+      expect((await Task.findById(build._id)).isBlocked).toBe(false);
+
+      const response = await request(app)
+        .put(`/api/tasks/${build._id}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ status: "in-progress" });
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe("Dependency graph", () => {
+    it("should return upstream and downstream chains", async () => {
+      const a = await createTask("A");
+      const b = await createTask("B");
+      const c = await createTask("C");
+      await addDependency(b, a);
+      await addDependency(c, b);
+
+      const response = await request(app)
+        .get(`/api/tasks/${b._id}/graph`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.upstream.map((t) => t.title)).toEqual(["A"]);
+      expect(response.body.downstream.map((t) => t.title)).toEqual(["C"]);
+      expect(response.body.criticalPath).toBeNull();
+    });
+
+    it("should leave out tasks the user cannot see", async () => {
+      const hidden = await createTask("Hidden", { owner: otherUser._id });
+      const b = await createTask("B", { dependencies: [hidden._id] });
+      await createTask("C", { owner: otherUser._id, dependencies: [b._id] });
+
+      const response = await request(app)
+        .get(`/api/tasks/${b._id}/graph`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.upstream).toEqual([]);
+      expect(response.body.downstream).toEqual([]);
+    });
+
+    it("should find the critical path of a project", async () => {
+      const project = new mongoose.Types.ObjectId();
+      const design = await createTask("Design", {
+        project,
+        estimatedTime: 60,
+      });
+      const quick = await createTask("Quick fix", {
+        project,
+        estimatedTime: 10,
+        dependencies: [design._id],
+      });
+      const build = await createTask("Build", {
+        project,
+        estimatedTime: 120,
+        dependencies: [design._id],
+      });
+      await createTask("Ship", {
+        project,
+        estimatedTime: 30,
+        dependencies: [quick._id, build._id],
+      });
+
+      const path = await dependencyService.getCriticalPath(
+        project,
+        testUser._id
+      );
+
+      expect(path.tasks.map((t) => t.title)).toEqual([
+        "Design",
+        "Build",
+        "Ship",
+      ]);
+      expect(path.totalEstimatedTime).toBe(210);
+    });
+  });
+});
@@ -0,0 +1,271 @@
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import request from "supertest";
+
+import Comment from "../models/Comment.js";
+import ImportBatch from "../models/ImportBatch.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import app from "../server.js";
+
+describe("Import Tests", () => {
+  let mongoServer;
+  let testUser;
+  let otherUser;
+  let authToken;
+  let otherToken;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    [testUser, otherUser] = await User.create([
+      {
+        username: "importuser",
+        email: "import@example.com",
+        password: "password123",
+        firstName: "Import",
+        lastName: "User",
+      },
+      {
+        username: "importother",
+        email: "importother@example.com",
+        password: "password123",
+        firstName: "Import",
+        lastName: "Other",
+      },
+    ]);
+
+    authToken = jwt.sign(
+      { userId: testUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+    otherToken = jwt.sign(
+      { userId: otherUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await Promise.all([
+      Task.deleteMany({}),
+      Comment.deleteMany({}),
+      ImportBatch.deleteMany({}),
+    ]);
+  });
+
+  const preview = (format, contents, fields = {}) => {
+    const req = request(app)
+      .post("/api/imports/preview")
+      .set("Authorization", `Bearer ${authToken}`)
+      .field("format", format);
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req.attach("file", Buffer.from(contents), {
+      filename: `tasks.${format === "csv" || format === "todoist" ? "csv" : "json"}`,
+      contentType:
+        format === "csv" || format === "todoist"
+          ? "text/csv"
+          : "application/json",
+    });
+  };
+
+  const post = (path, token = authToken) =>
+    request(app).post(path).set("Authorization", `Bearer ${token}`);
+
+  const csv = [
+    "id,title,parent,status,priority,due date,tags,comments",
+    '1,Plan launch,,in progress,high,2030-01-15,"launch, q1",Kickoff on Monday',
+    "2,Write announcement,1,todo,medium,,,",
+    "3,,,todo,low,,,",
+    "4,Order swag,,shipping,urgent,,,",
+  ].join("\n");
+
+  it("should preview a CSV file without creating tasks", async () => {
+    const response = await preview("csv", csv);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({
+      format: "csv",
+      status: "preview",
+      filename: "tasks.csv",
+      summary: { rows: 4, valid: 2, invalid: 2, subtasks: 1, comments: 1 },
+    });
+
+    const [plan, announcement, untitled, swag] = response.body.data.rows;
+    expect(plan).toMatchObject({ row: 2, title: "Plan launch", errors: [] });
+    expect(announcement).toMatchObject({ parentRow: 2, subtaskLevel: 1 });
+    expect(untitled.errors).toEqual(["Task title is required"]);
+    expect(swag.errors[0]).toContain("shipping");
+
+    expect(await Task.countDocuments()).toBe(0);
+  });
+
+  it("should map CSV columns", async () => {
+    const response = await preview(
+      "csv",
+      "Task Name,Deadline\nFile taxes,2030-04-15\n",
+      { mapping: JSON.stringify({ title: "Task Name", dueDate: "Deadline" }) }
+    );
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.rows[0]).toMatchObject({
+      title: "File taxes",
+      errors: [],
+    });
+
+    const invalid = await preview("csv", "Task Name\nFile taxes\n", {
+      mapping: JSON.stringify({ title: "Missing" }),
+    });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.message).toContain("Invalid mapping");
+  });
+
+  it("should read Trello cards, checklists and comments", async () => {
+    const board = {
+      lists: [
+        { id: "l1", name: "Doing" },
+        { id: "l2", name: "Old", closed: true },
+      ],
+      cards: [
+        {
+          id: "c1",
+          name: "Design homepage",
+          idList: "l1",
+          labels: [{ name: "design" }],
+        },
+        { id: "c2", name: "Archived", idList: "l2" },
+      ],
+      checklists: [
+        {
+          idCard: "c1",
+          checkItems: [
+            { id: "i1", name: "Wireframes", state: "complete", pos: 1 },
+            { id: "i2", name: "Mockups", state: "incomplete", pos: 2 },
+          ],
+        },
+      ],
+      actions: [
+        {
+          type: "commentCard",
+          data: { card: { id: "c1" }, text: "Looks good" },
+          memberCreator: { fullName: "Sam Lee" },
+        },
+      ],
+    };
+
+    const previewed = await preview("trello", JSON.stringify(board));
+    expect(previewed.status).toBe(201);
+    expect(previewed.body.data.summary).toMatchObject({
+      rows: 3,
+      valid: 3,
+      subtasks: 2,
+      comments: 1,
+    });
+
+    const committed = await post(
+      `/api/imports/${previewed.body.data._id}/commit`
+    );
+    expect(committed.status).toBe(200);
+
+    const card = await Task.findOne({ title: "Design homepage" });
+    expect(card).toMatchObject({ status: "in-progress", category: "Doing" });
+    expect(card.tags).toEqual(["design"]);
+    expect(card.subtasks).toHaveLength(2);
+
+    const wireframes = await Task.findOne({ title: "Wireframes" });
+    expect(wireframes.status).toBe("completed");
+    expect(wireframes.parentTask).toEqual(card._id);
+
+    const comment = await Comment.findOne({ entityId: card._id });
+    expect(comment.content).toBe("Sam Lee: Looks good");
+  });
+
+  it("should nest Todoist tasks by indent", async () => {
+    const todoist = [
+      "TYPE,CONTENT,PRIORITY,INDENT,DATE",
+      "section,Errands,,,",
+      "task,Buy groceries,1,1,",
+      "task,Milk,4,2,",
+      "note,Oat milk,,,",
+    ].join("\n");
+
+    const response = await preview("todoist", todoist);
+
+    expect(response.status).toBe(201);
+    const [groceries, milk] = response.body.data.rows;
+    expect(groceries).toMatchObject({ title: "Buy groceries", errors: [] });
+    expect(milk).toMatchObject({
+      title: "Milk",
+      parentRow: groceries.row,
+      comments: 1,
+    });
+  });
+
+  it("should commit valid rows and report the rest", async () => {
+    const previewed = await preview("csv", csv);
+
+    const response = await post(
+      `/api/imports/${previewed.body.data._id}/commit`
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      status: "committed",
+      summary: { created: 2 },
+    });
+    expect(response.body.data.rows).toBeUndefined();
+
+    const plan = await Task.findOne({ title: "Plan launch" });
+    expect(plan).toMatchObject({
+      status: "in-progress",
+      priority: "high",
+      tags: ["launch", "q1"],
+    });
+    expect(plan.owner).toEqual(testUser._id);
+    expect(plan.subtasks).toHaveLength(1);
+    expect(await Task.countDocuments()).toBe(2);
+    expect(await Comment.countDocuments({ entityId: plan._id })).toBe(1);
+
+    const again = await post(`/api/imports/${previewed.body.data._id}/commit`);
+    expect(again.status).toBe(400);
+  });
+
+  it("should undo a committed import", async () => {
+    const previewed = await preview("csv", csv);
+    await post(`/api/imports/${previewed.body.data._id}/commit`);
+    const kept = await Task.create({ title: "Kept", owner: testUser._id });
+
+    const response = await post(`/api/imports/${previewed.body.data._id}/undo`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ status: "undone", deleted: 2 });
+    expect(await Task.find().distinct("_id")).toEqual([kept._id]);
+    expect(await Comment.countDocuments()).toBe(0);
+  });
+
+  it("should keep imports private to their owner", async () => {
+    const previewed = await preview("csv", csv);
+
+    const response = await post(
+      `/api/imports/${previewed.body.data._id}/commit`,
+      otherToken
+    );
+
+    expect(response.status).toBe(404);
+    expect(await Task.countDocuments()).toBe(0);
+  });
+
+  it("should reject unknown formats", async () => {
+    const response = await preview("asana", csv);
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,163 @@
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import request from "supertest";
+
+import Notification from "../models/Notification.js";
+import ScheduledJob from "../models/ScheduledJob.js";
+import User from "../models/User.js";
+import app from "../server.js";
+import notificationService from "../services/notificationService.js";
+import schedulerService from "../services/schedulerService.js";
+
+describe("Notification API Tests", () => {
+  let mongoServer;
+  let testUser;
+  let authToken;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    testUser = await User.create({
+      username: "notified",
+      email: "notified@example.com",
+      password: "password123",
+      firstName: "Notified",
+      lastName: "User",
+    });
+
+    authToken = jwt.sign(
+      { userId: testUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await Notification.deleteMany({});
+    await ScheduledJob.deleteMany({});
+    await User.updateOne(
+      { _id: testUser._id },
+      { $unset: { "preferences.notificationChannels": "" } }
+    );
+  });
+
+  const notify = (type = "mention") =>
+    notificationService.createNotification({
+      type,
+      recipient: testUser._id,
+      title: "Hello",
+      message: "Something happened",
+      entityType: "User",
+      entityId: testUser._id,
+    });
+
+  describe("GET /api/notifications", () => {
+    it("should list notifications with the unread count", async () => {
+      await notify();
+      await notify();
+
+      const response = await request(app)
+        .get("/api/notifications")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.notifications.length).toBe(2);
+      expect(response.body.data.unreadCount).toBe(2);
+    });
+  });
+
+  describe("PUT /api/notifications/:notificationId/archive", () => {
+    it("should archive and mark the notification read", async () => {
+      const notification = await notify();
+
+      const response = await request(app)
+        .put(`/api/notifications/${notification._id}/archive`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.notification.isArchived).toBe(true);
+
+      const count = await request(app)
+        .get("/api/notifications/unread-count")
+        .set("Authorization", `Bearer ${authToken}`);
+      expect(count.body.data.unreadCount).toBe(0);
+    });
+  });
+
+  describe("Email and webhook delivery", () => {
+    it("should queue delivery and record it when the job runs", async () => {
+      await User.updateOne(
+        { _id: testUser._id },
+        { "preferences.notificationChannels.mention": { email: true } }
+      );
+
+      const notification = await notify("mention");
+      const jobs = await ScheduledJob.find({ entityId: notification._id });
+
+      expect(notification.deliveryChannels.email.sent).toBe(false);
+      expect(jobs.map((job) => job.type)).toEqual(["notification_delivery"]);
+      expect(jobs[0].payload.channel).toBe("email");
+
+      await schedulerService.runDueJobs({
+        notification_delivery: (payload, job) =>
+          notificationService.deliver(payload, job),
+      });
+
+      const delivered = await Notification.findById(notification._id);
+      expect(delivered.deliveryChannels.email.sent).toBe(true);
+    });
+  });
+
+  describe("PUT /api/notifications/preferences", () => {
+    it("should stop in-app delivery for a disabled type", async () => {
+      const response = await request(app)
+        .put("/api/notifications/preferences")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ channels: { mention: { inApp: false } } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.preferences.channels.mention.inApp).toBe(false);
+
+      const muted = await notify("mention");
+      const delivered = await notify("assignment");
+
+      expect(muted).toBeNull();
+      expect(delivered).not.toBeNull();
+    });
+
+    it("should reject webhook URLs on private or loopback hosts", async () => {
+      const urls = [
+        "https://127.0.0.1/hook",
+        "https://localhost/hook",
+        "https://10.1.2.3/hook",
+        "https://[::1]/hook",
+      ];
+
+      for (const webhookUrl of urls) {
+        const response = await request(app)
+          .put("/api/notifications/preferences")
+          .set("Authorization", `Bearer ${authToken}`)
+          .send({ webhookUrl });
+
+        expect(response.status).toBe(400);
+      }
+    });
+
+    it("should reject unknown notification types", async () => {
+      const response = await request(app)
+        .put("/api/notifications/preferences")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ channels: { unknown: { email: true } } });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import request from "supertest";
+
+import Membership from "../models/Membership.js";
+import Organization from "../models/Organization.js";
+import Project from "../models/Project.js";
+import User from "../models/User.js";
+import app from "../server.js";
+
+describe("Project API Tests", () => {
+  let mongoServer;
+  let adminUser;
+  let memberUser;
+  let organization;
+  let adminToken;
+  let memberToken;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    adminUser = await User.create({
+      username: "projectadmin",
+      email: "projectadmin@example.com",
+      password: "password123",
+      firstName: "Project",
+      lastName: "Admin",
+    });
+
+    memberUser = await User.create({
+      username: "projectmember",
+      email: "projectmember@example.com",
+      password: "password123",
+      firstName: "Project",
+      lastName: "Member",
+    });
+
+    organization = await Organization.create({
+      name: "Test Organization",
+      createdBy: adminUser._id,
+    });
+
+    await Membership.create([
+      {
+        user: adminUser._id,
+        organization: organization._id,
+        role: "admin",
+        invitedBy: adminUser._id,
+      },
+      {
+        user: memberUser._id,
+        organization: organization._id,
+        role: "member",
+        invitedBy: adminUser._id,
+      },
+    ]);
+
+    adminToken = jwt.sign(
+      { userId: adminUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+    memberToken = jwt.sign(
+      { userId: memberUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await Project.deleteMany({});
+  });
+
+  describe("POST /api/projects", () => {
+    it("should create a project in the organization for an admin", async () => {
+      const response = await request(app)
+        .post("/api/projects")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          name: "Website Redesign",
+          organizationId: organization._id.toString(),
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.project.name).toBe("Website Redesign");
+      expect(response.body.data.project.organization).toBe(
+        organization._id.toString()
+      );
+    });
+
+    it("should reject members without the manageProjects permission", async () => {
+      const response = await request(app)
+        .post("/api/projects")
+        .set("Authorization", `Bearer ${memberToken}`)
+        .send({
+          name: "Unauthorized Project",
+          organizationId: organization._id.toString(),
+        });
+
+      expect(response.status).toBe(403);
+    });
+
+    it("should return 400 when name is missing", async () => {
+      const response = await request(app)
+        .post("/api/projects")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ organizationId: organization._id.toString() });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("GET /api/projects", () => {
+    beforeEach(async () => {
+      await Project.create([
+        {
+          name: "Member Project",
+          organization: organization._id,
+          owner: adminUser._id,
+          members: [memberUser._id],
+        },
+        {
+          name: "Admin Only Project",
+          organization: organization._id,
+          owner: adminUser._id,
+        },
+      ]);
+    });
+
+    it("should list all organization projects for an admin", async () => {
+      const response = await request(app)
+        .get(`/api/projects?organizationId=${organization._id}`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.projects.length).toBe(2);
+    });
+
+    it("should only list projects a member belongs to", async () => {
+      const response = await request(app)
+        .get(`/api/projects?organizationId=${organization._id}`)
+        .set("Authorization", `Bearer ${memberToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.projects.length).toBe(1);
+      expect(response.body.data.projects[0].name).toBe("Member Project");
+    });
+  });
+
+  describe("PUT /api/projects/:projectId", () => {
+    it("should not let a plain project member update the project", async () => {
+      const project = await Project.create({
+        name: "Locked Project",
+        organization: organization._id,
+        owner: adminUser._id,
+        members: [memberUser._id],
+      });
+
+      const response = await request(app)
+        .put(`/api/projects/${project._id}`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .send({ name: "Renamed" });
+
+      expect(response.status).toBe(403);
+    });
+
+    it("should return 404 for a non-existent project", async () => {
+      const response = await request(app)
+        .put(`/api/projects/${new mongoose.Types.ObjectId()}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ name: "Renamed" });
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
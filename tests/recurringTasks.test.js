@@ -0,0 +1,192 @@
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import request from "supertest";
+
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import app from "../server.js";
+import recurrenceService from "../services/recurrenceService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("Recurring Task Tests", () => {
+  let mongoServer;
+  let testUser;
+  let authToken;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    testUser = await User.create({
+      username: "recurringuser",
+      email: "recurring@example.com",
+      password: "password123",
+      firstName: "Recurring",
+      lastName: "User",
+    });
+
+    authToken = jwt.sign(
+      { userId: testUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await Task.deleteMany({});
+  });
+
+  const createRecurringTask = (recurring, data = {}) =>
+    Task.create({
+      title: "Weekly report",
+      owner: testUser._id,
+      dueDate: new Date(Date.now() + DAY_MS),
+      tags: ["report"],
+      estimatedTime: 30,
+      recurring: { isRecurring: true, ...recurring },
+      ...data,
+    });
+
+  describe("Completing an occurrence", () => {
+    it("should create the next occurrence linked to the series", async () => {
+      const task = await createRecurringTask({ frequency: "weekly" });
+
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ status: "completed" });
+
+      expect(response.status).toBe(200);
+
+      const next = await Task.findOne({
+        "recurring.seriesId": task._id,
+        "recurring.occurrence": 2,
+      });
+      expect(next).not.toBeNull();
+      expect(next.status).toBe("todo");
+      expect(next.tags).toEqual(["report"]);
+      expect(next.estimatedTime).toBe(30);
+      expect(next.dueDate.getTime()).toBe(task.dueDate.getTime() + 7 * DAY_MS);
+    });
+
+    it("should copy subtasks to the next occurrence", async () => {
+      const task = await createRecurringTask({ frequency: "daily" });
+      await Task.create({
+        title: "Collect numbers",
+        owner: testUser._id,
+        parentTask: task._id,
+      });
+
+      const next = await recurrenceService.generateNextOccurrence(task._id);
+
+      const subtasks = await Task.find({ parentTask: next._id });
+      expect(subtasks).toHaveLength(1);
+      expect(subtasks[0].title).toBe("Collect numbers");
+      expect(next.subtasks.map(String)).toEqual([subtasks[0]._id.toString()]);
+    });
+
+    it("should only generate one occurrence per completed task", async () => {
+      const task = await createRecurringTask({ frequency: "daily" });
+
+      await Promise.all([
+        recurrenceService.generateNextOccurrence(task._id),
+        recurrenceService.generateNextOccurrence(task._id),
+      ]);
+
+      const count = await Task.countDocuments({
+        "recurring.seriesId": task._id,
+      });
+      expect(count).toBe(2);
+    });
+  });
+
+  describe("End conditions", () => {
+    it("should stop after endAfterOccurrences", async () => {
+      const task = await createRecurringTask({
+        frequency: "daily",
+        endAfterOccurrences: 1,
+      });
+
+      const next = await recurrenceService.generateNextOccurrence(task._id);
+      expect(next).toBeNull();
+    });
+
+    it("should stop after the end date", async () => {
+      const task = await createRecurringTask({
+        frequency: "monthly",
+        endDate: new Date(Date.now() + 5 * DAY_MS),
+      });
+
+      const next = await recurrenceService.generateNextOccurrence(task._id);
+      expect(next).toBeNull();
+    });
+  });
+
+  describe("Elapsed periods", () => {
+    it("should generate the next occurrence once the period ends", async () => {
+      const task = await createRecurringTask({ frequency: "daily" });
+      await Task.updateOne(
+        { _id: task._id },
+        {
+          dueDate: new Date(Date.now() - DAY_MS),
+          "recurring.periodEndsAt": new Date(Date.now() - DAY_MS),
+        }
+      );
+
+      await recurrenceService.processDueOccurrences();
+
+      const next = await Task.findOne({ "recurring.occurrence": 2 });
+      expect(next).not.toBeNull();
+      expect(next.dueDate.getTime()).toBeGreaterThan(Date.now());
+    });
+  });
+
+  describe("Editing a series", () => {
+    it("should keep this-only edits out of later occurrences", async () => {
+      const task = await createRecurringTask({ frequency: "daily" });
+      const second = await recurrenceService.generateNextOccurrence(task._id);
+
+      await request(app)
+        .put(`/api/tasks/${second._id}?scope=this`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ title: "Special report" });
+
+      const third = await recurrenceService.generateNextOccurrence(second._id);
+      expect(third.title).toBe("Weekly report");
+    });
+
+    it("should apply future edits to later occurrences", async () => {
+      const task = await createRecurringTask({ frequency: "daily" });
+      const second = await recurrenceService.generateNextOccurrence(task._id);
+
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}?scope=future`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ priority: "high" });
+
+      expect(response.status).toBe(200);
+      expect((await Task.findById(second._id)).priority).toBe("high");
+    });
+
+    it("should list the occurrences in a series", async () => {
+      const task = await createRecurringTask({ frequency: "daily" });
+      await recurrenceService.generateNextOccurrence(task._id);
+
+      const response = await request(app)
+        .get(`/api/tasks/${task._id}/occurrences`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(
+        response.body.occurrences.map((o) => o.recurring.occurrence)
+      ).toEqual([1, 2]);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import request from "supertest";
+
+import Note from "../models/Note.js";
+import Notification from "../models/Notification.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import app from "../server.js";
+import reminderService from "../services/reminderService.js";
+
+const MINUTE_MS = 60 * 1000;
+
+describe("Reminder Tests", () => {
+  let mongoServer;
+  let testUser;
+  let assignee;
+  let authToken;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    testUser = await User.create({
+      username: "reminderuser",
+      email: "reminder@example.com",
+      password: "password123",
+      firstName: "Reminder",
+      lastName: "User",
+    });
+
+    assignee = await User.create({
+      username: "reminderassignee",
+      email: "reminder-assignee@example.com",
+      password: "password123",
+      firstName: "Reminder",
+      lastName: "Assignee",
+    });
+
+    authToken = jwt.sign(
+      { userId: testUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await Task.deleteMany({});
+    await Note.deleteMany({});
+    await Notification.deleteMany({});
+  });
+
+  const createTaskWithDueReminder = () =>
+    Task.create({
+      title: "Send invoice",
+      owner: testUser._id,
+      assignedTo: [assignee._id],
+      reminders: [{ remindAt: new Date(Date.now() - MINUTE_MS) }],
+    });
+
+  describe("Task reminders", () => {
+    it("should notify the owner and assignees once", async () => {
+      const task = await createTaskWithDueReminder();
+
+      expect(await reminderService.deliverDueReminders()).toBe(1);
+      expect(await reminderService.deliverDueReminders()).toBe(0);
+
+      const notifications = await Notification.find({ entityId: task._id });
+      expect(notifications).toHaveLength(2);
+      expect(notifications.every((n) => n.type === "due_date")).toBe(true);
+
+      const updated = await Task.findById(task._id);
+      expect(updated.reminders[0].notificationSent).toBe(true);
+    });
+
+    it("should add a reminder through the API", async () => {
+      const task = await Task.create({
+        title: "Book flights",
+        owner: testUser._id,
+      });
+
+      const response = await request(app)
+        .post(`/api/tasks/${task._id}/reminders`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ remindAt: new Date(Date.now() + 60 * MINUTE_MS) });
+
+      expect(response.status).toBe(201);
+      expect(response.body.reminder.notificationSent).toBe(false);
+    });
+
+    it("should send a snoozed reminder again", async () => {
+      const task = await createTaskWithDueReminder();
+      await reminderService.deliverDueReminders();
+
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}/reminders/${task.reminders[0]._id}/snooze`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ minutes: 5 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.reminder.notificationSent).toBe(false);
+      expect(response.body.reminder.snoozeCount).toBe(1);
+
+      await Task.updateOne(
+        { _id: task._id },
+        { "reminders.0.remindAt": new Date(Date.now() - MINUTE_MS) }
+      );
+      expect(await reminderService.deliverDueReminders()).toBe(1);
+    });
+
+    it("should not send a dismissed reminder", async () => {
+      const task = await createTaskWithDueReminder();
+
+      const response = await request(app)
+        .put(
+          `/api/tasks/${task._id}/reminders/${task.reminders[0]._id}/dismiss`
+        )
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(await reminderService.deliverDueReminders()).toBe(0);
+    });
+  });
+
+  describe("Note reminders", () => {
+    const createNoteWithDueReminder = async () => {
+      const note = await Note.create({
+        title: "Call the bank",
+        content: "Ask about the transfer",
+        owner: testUser._id,
+        reminder: {
+          isEnabled: true,
+          date: new Date(Date.now() + 60 * MINUTE_MS),
+        },
+      });
+      await Note.updateOne(
+        { _id: note._id },
+        { "reminder.date": new Date(Date.now() - MINUTE_MS) }
+      );
+      return note;
+    };
+
+    it("should notify the owner once", async () => {
+      const note = await createNoteWithDueReminder();
+
+      expect(await reminderService.deliverDueReminders()).toBe(1);
+      expect(await reminderService.deliverDueReminders()).toBe(0);
+
+      const notifications = await Notification.find({ entityId: note._id });
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].recipient.toString()).toBe(
+        testUser._id.toString()
+      );
+    });
+
+    it("should re-arm a reminder when its date changes", async () => {
+      const note = await createNoteWithDueReminder();
+      await reminderService.deliverDueReminders();
+
+      const response = await request(app)
+        .put(`/api/notes/${note._id}/reminder`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ date: new Date(Date.now() + 60 * MINUTE_MS).toISOString() });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.reminder.notificationSent).toBe(false);
+    });
+
+    it("should disable a dismissed reminder", async () => {
+      const note = await createNoteWithDueReminder();
+
+      const response = await request(app)
+        .put(`/api/notes/${note._id}/reminder/dismiss`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(await reminderService.deliverDueReminders()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,310 @@
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import request from "supertest";
+
+import Membership from "../models/Membership.js";
+import Organization from "../models/Organization.js";
+import SavedView from "../models/SavedView.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import app from "../server.js";
+import { compileTaskQuery } from "../utils/taskQuery.js";
+
+describe("Task Query and Saved View Tests", () => {
+  let mongoServer;
+  let testUser;
+  let memberUser;
+  let outsideUser;
+  let organization;
+  let authToken;
+  let memberToken;
+  let outsideToken;
+
+  const sign = (user) =>
+    jwt.sign({ userId: user._id.toString() }, process.env.JWT_SECRET, {
+      expiresIn: "1h",
+    });
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    [testUser, memberUser, outsideUser] = await User.create([
+      {
+        username: "viewowner",
+        email: "viewowner@example.com",
+        password: "password123",
+        firstName: "View",
+        lastName: "Owner",
+      },
+      {
+        username: "viewmember",
+        email: "viewmember@example.com",
+        password: "password123",
+        firstName: "View",
+        lastName: "Member",
+      },
+      {
+        username: "viewoutsider",
+        email: "viewoutsider@example.com",
+        password: "password123",
+        firstName: "View",
+        lastName: "Outsider",
+      },
+    ]);
+
+    organization = await Organization.create({
+      name: "View Organization",
+      createdBy: testUser._id,
+    });
+
+    await Membership.create([
+      {
+        user: testUser._id,
+        organization: organization._id,
+        role: "admin",
+        invitedBy: testUser._id,
+      },
+      {
+        user: memberUser._id,
+        organization: organization._id,
+        role: "member",
+        invitedBy: testUser._id,
+      },
+    ]);
+
+    authToken = sign(testUser);
+    memberToken = sign(memberUser);
+    outsideToken = sign(outsideUser);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await Promise.all([Task.deleteMany({}), SavedView.deleteMany({})]);
+  });
+
+  const createTask = (title, data = {}) =>
+    Task.create({ title, owner: testUser._id, ...data });
+
+  const getTasks = (query, token = authToken) =>
+    request(app)
+      .get("/api/tasks")
+      .query(query)
+      .set("Authorization", `Bearer ${token}`);
+
+  const titles = (response) =>
+    response.body.data.tasks.map((task) => task.title).sort();
+
+  describe("Query language", () => {
+    it("should compile terms to a filter", () => {
+      const now = new Date("2026-03-10T12:00:00.000Z");
+      const userId = testUser._id.toString();
+
+      const filter = compileTaskQuery(
+        "status:in-progress priority>=high due<7d tag:backend -assignee:me",
+        { userId, now }
+      );
+
+      expect(filter.$and).toEqual([
+        { status: "in-progress" },
+        { priority: { $in: ["high", "urgent"] } },
+        { dueDate: { $lt: new Date("2026-03-17T12:00:00.000Z") } },
+        { tags: "backend" },
+        { $nor: [{ assignedTo: new mongoose.Types.ObjectId(userId) }] },
+      ]);
+    });
+
+    it("should treat values as literals, not operators", () => {
+      const filter = compileTaskQuery('title:"$where" tag:$ne');
+
+      expect(filter.$and[0].$or[0].title.source).toBe("\\$where");
+      expect(filter.$and[1]).toEqual({ tags: "$ne" });
+    });
+
+    it("should reject unknown fields and bad values", () => {
+      expect(() => compileTaskQuery("colour:red")).toThrow("Invalid query");
+      expect(() => compileTaskQuery("priority>=extreme")).toThrow(
+        "Invalid query"
+      );
+      expect(() => compileTaskQuery("tag>backend")).toThrow("Invalid query");
+    });
+
+    it("should filter tasks with q", async () => {
+      await createTask("Urgent backend", {
+        priority: "urgent",
+        tags: ["backend"],
+      });
+      await createTask("Low backend", { priority: "low", tags: ["backend"] });
+      await createTask("High frontend", {
+        priority: "high",
+        tags: ["frontend"],
+      });
+
+      const response = await getTasks({ q: "priority>=high tag:backend" });
+
+      expect(response.status).toBe(200);
+      expect(titles(response)).toEqual(["Urgent backend"]);
+    });
+
+    it("should negate terms and search free text", async () => {
+      await createTask("Fix login", { assignedTo: [testUser._id] });
+      await createTask("Fix signup");
+      await createTask("Write docs");
+
+      const response = await getTasks({ q: "fix -assignee:me" });
+
+      expect(titles(response)).toEqual(["Fix signup"]);
+    });
+
+    it("should compare due dates relative to now", async () => {
+      const day = 24 * 60 * 60 * 1000;
+      await createTask("Soon", { dueDate: new Date(Date.now() + 2 * day) });
+      await createTask("Later", { dueDate: new Date(Date.now() + 30 * day) });
+      await createTask("Undated");
+
+      const soon = await getTasks({ q: "due<7d" });
+      const undated = await getTasks({ q: "due:none" });
+
+      expect(titles(soon)).toEqual(["Soon"]);
+      expect(titles(undated)).toEqual(["Undated"]);
+    });
+
+    it("should return 400 for an invalid query", async () => {
+      const response = await getTasks({ q: "priority>=extreme" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("TASK_QUERY_ERROR");
+    });
+  });
+
+  describe("Saved views", () => {
+    const createView = (body, token = authToken) =>
+      request(app)
+        .post("/api/task-views")
+        .set("Authorization", `Bearer ${token}`)
+        .send(body);
+
+    it("should save a view and list its tasks", async () => {
+      await createTask("Backend", { tags: ["backend"], priority: "high" });
+      await createTask("Frontend", { tags: ["frontend"], priority: "high" });
+
+      const created = await createView({
+        name: "Backend work",
+        query: "tag:backend",
+      });
+      const response = await getTasks({ view: created.body.data.view._id });
+
+      expect(created.status).toBe(201);
+      expect(titles(response)).toEqual(["Backend"]);
+    });
+
+    it("should narrow a view with q", async () => {
+      await createTask("Done", { tags: ["backend"], status: "completed" });
+      await createTask("Open", { tags: ["backend"] });
+
+      const created = await createView({
+        name: "Backend work",
+        query: "tag:backend",
+      });
+      const response = await getTasks({
+        view: created.body.data.view._id,
+        q: "status!=completed",
+      });
+
+      expect(titles(response)).toEqual(["Open"]);
+    });
+
+    it("should reject a view with an invalid query", async () => {
+      const response = await createView({
+        name: "Broken",
+        query: "colour:red",
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("VIEW_VALIDATION_ERROR");
+    });
+
+    it("should keep personal views private", async () => {
+      const created = await createView({ name: "Mine", query: "is:pinned" });
+
+      const response = await request(app)
+        .get(`/api/task-views/${created.body.data.view._id}`)
+        .set("Authorization", `Bearer ${memberToken}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it("should share organization views with members only", async () => {
+      await createView({
+        name: "Team view",
+        query: "assignee:me",
+        organization: organization._id.toString(),
+        visibility: "organization",
+      });
+
+      const member = await request(app)
+        .get("/api/task-views")
+        .set("Authorization", `Bearer ${memberToken}`);
+      const outsider = await request(app)
+        .get("/api/task-views")
+        .set("Authorization", `Bearer ${outsideToken}`);
+
+      expect(member.body.data.views.map((view) => view.name)).toEqual([
+        "Team view",
+      ]);
+      expect(outsider.body.data.views).toHaveLength(0);
+    });
+
+    it("should resolve me to whoever uses a shared view", async () => {
+      await createTask("For member", { assignedTo: [memberUser._id] });
+      await createTask("For owner", { assignedTo: [testUser._id] });
+      const created = await createView({
+        name: "Assigned to me",
+        query: "assignee:me",
+        organization: organization._id.toString(),
+        visibility: "organization",
+      });
+
+      const response = await getTasks(
+        { view: created.body.data.view._id },
+        memberToken
+      );
+
+      expect(titles(response)).toEqual(["For member"]);
+    });
+
+    it("should only let the owner change a shared view", async () => {
+      const created = await createView({
+        name: "Team view",
+        query: "is:blocked",
+        organization: organization._id.toString(),
+        visibility: "organization",
+      });
+
+      const response = await request(app)
+        .put(`/api/task-views/${created.body.data.view._id}`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .send({ name: "Renamed" });
+
+      expect(response.status).toBe(403);
+    });
+
+    it("should not share views with an organization the user is not in", async () => {
+      const response = await createView(
+        {
+          name: "Intruder",
+          organization: organization._id.toString(),
+          visibility: "organization",
+        },
+        outsideToken
+      );
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
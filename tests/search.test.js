@@ -0,0 +1,355 @@
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import request from "supertest";
+
+import Comment from "../models/Comment.js";
+import Membership from "../models/Membership.js";
+import Note from "../models/Note.js";
+import Organization from "../models/Organization.js";
+import Project from "../models/Project.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import app from "../server.js";
+
+describe("Search Tests", () => {
+  let mongoServer;
+  let testUser;
+  let otherUser;
+  let organization;
+  let otherOrganization;
+  let authToken;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    // $text queries need the text indexes in place
+    await Promise.all([
+      Task.init(),
+      Note.init(),
+      Comment.init(),
+      Project.init(),
+    ]);
+
+    [testUser, otherUser] = await User.create([
+      {
+        username: "searchuser",
+        email: "search@example.com",
+        password: "password123",
+        firstName: "Search",
+        lastName: "User",
+      },
+      {
+        username: "searchother",
+        email: "searchother@example.com",
+        password: "password123",
+        firstName: "Search",
+        lastName: "Other",
+      },
+    ]);
+
+    [organization, otherOrganization] = await Organization.create([
+      { name: "Search Organization", createdBy: testUser._id },
+      { name: "Other Organization", createdBy: otherUser._id },
+    ]);
+
+    await Membership.create([
+      {
+        user: testUser._id,
+        organization: organization._id,
+        role: "member",
+        invitedBy: testUser._id,
+      },
+      {
+        user: otherUser._id,
+        organization: organization._id,
+        role: "member",
+        invitedBy: testUser._id,
+      },
+    ]);
+
+    authToken = jwt.sign(
+      { userId: testUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await Promise.all([
+      Task.deleteMany({}),
+      Note.deleteMany({}),
+      Comment.deleteMany({}),
+      Project.deleteMany({}),
+    ]);
+  });
+
+  const search = (query) =>
+    request(app)
+      .get("/api/search")
+      .query(query)
+      .set("Authorization", `Bearer ${authToken}`);
+
+  const resultTitles = (response) =>
+    response.body.data.results.map((result) => result.title).sort();
+
+  it("should search tasks, notes, comments and projects", async () => {
+    const project = await Project.create({
+      name: "Invoice portal",
+      organization: organization._id,
+      owner: testUser._id,
+    });
+    const task = await Task.create({
+      title: "Send invoice reminders",
+      owner: testUser._id,
+      project: project._id,
+    });
+    await Note.create({
+      title: "Invoice template",
+      content: "Layout notes",
+      owner: testUser._id,
+    });
+    await Comment.create({
+      content: "The invoice total is wrong",
+      author: testUser._id,
+      entityType: "Task",
+      entityId: task._id,
+    });
+
+    const response = await search({ q: "invoice" });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.facets.types).toEqual({
+      task: 1,
+      note: 1,
+      comment: 1,
+      project: 1,
+    });
+    const comment = response.body.data.results.find(
+      (result) => result.type === "comment"
+    );
+    expect(comment.entity).toMatchObject({
+      type: "Task",
+      id: task._id.toString(),
+      title: "Send invoice reminders",
+    });
+  });
+
+  it("should rank better matches first", async () => {
+    await Task.create({
+      title: "Deploy deploy deploy",
+      description: "deploy",
+      owner: testUser._id,
+    });
+    await Task.create({
+      title: "Write release notes",
+      description: "before the deploy",
+      owner: testUser._id,
+    });
+
+    const response = await search({ q: "deploy" });
+
+    expect(response.body.data.results[0].title).toBe("Deploy deploy deploy");
+  });
+
+  it("should highlight matches in a snippet", async () => {
+    const filler = "lorem ipsum ".repeat(30);
+    await Note.create({
+      title: "Meeting",
+      content: `${filler}the migration plan is ready ${filler}`,
+      owner: testUser._id,
+    });
+
+    const response = await search({ q: "migration" });
+
+    const [result] = response.body.data.results;
+    expect(result.snippet.length).toBeLessThan(210);
+    expect(result.snippet.startsWith("…")).toBe(true);
+    const [highlight] = result.highlights.snippet;
+    expect(
+      result.snippet.slice(highlight.start, highlight.start + highlight.length)
+    ).toBe("migration");
+  });
+
+  it("should not find other users' private content", async () => {
+    await Task.create({ title: "Secret budget", owner: otherUser._id });
+    await Note.create({
+      title: "Secret budget",
+      content: "",
+      owner: otherUser._id,
+    });
+
+    const response = await search({ q: "budget" });
+
+    expect(response.body.data.results).toHaveLength(0);
+  });
+
+  it("should follow note sharing", async () => {
+    await Note.create({
+      title: "Shared roadmap",
+      content: "",
+      owner: otherUser._id,
+      sharedWith: [testUser._id],
+    });
+    await Note.create({
+      title: "Organization roadmap",
+      content: "",
+      owner: otherUser._id,
+      isShared: true,
+      organization: organization._id,
+    });
+    await Note.create({
+      title: "Outside roadmap",
+      content: "",
+      owner: otherUser._id,
+      isShared: true,
+      organization: otherOrganization._id,
+    });
+
+    const response = await search({ q: "roadmap" });
+
+    expect(resultTitles(response)).toEqual([
+      "Organization roadmap",
+      "Shared roadmap",
+    ]);
+  });
+
+  it("should not search comments on content the user cannot see", async () => {
+    const hidden = await Task.create({
+      title: "Hidden",
+      owner: otherUser._id,
+    });
+    await Comment.create({
+      content: "Password rotation schedule",
+      author: otherUser._id,
+      entityType: "Task",
+      entityId: hidden._id,
+    });
+
+    const response = await search({ q: "password" });
+
+    expect(response.body.data.results).toHaveLength(0);
+  });
+
+  it("should only search comments inside the searched project", async () => {
+    const project = await Project.create({
+      name: "Billing",
+      organization: organization._id,
+      owner: testUser._id,
+    });
+    const [inside, outside] = await Task.create([
+      { title: "Inside", owner: testUser._id, project: project._id },
+      { title: "Outside", owner: testUser._id },
+    ]);
+    await Comment.create(
+      [inside, outside].map((task) => ({
+        content: `Refund flow on ${task.title}`,
+        author: testUser._id,
+        entityType: "Task",
+        entityId: task._id,
+      }))
+    );
+
+    const all = await search({ q: "refund" });
+    const inProject = await search({
+      q: "refund",
+      project: project._id.toString(),
+    });
+
+    expect(all.body.data.facets.types.comment).toBe(2);
+    expect(
+      inProject.body.data.results.map((result) => result.entity.title)
+    ).toEqual(["Inside"]);
+  });
+
+  it("should scope results to an organization", async () => {
+    await Task.create({
+      title: "Quarterly review",
+      owner: testUser._id,
+      organization: organization._id,
+    });
+    await Task.create({ title: "Personal review", owner: testUser._id });
+
+    const scoped = await search({
+      q: "review",
+      organization: organization._id.toString(),
+    });
+    const outside = await search({
+      q: "review",
+      organization: otherOrganization._id.toString(),
+    });
+
+    expect(resultTitles(scoped)).toEqual(["Quarterly review"]);
+    expect(outside.status).toBe(403);
+  });
+
+  it("should count tags and projects and filter by them", async () => {
+    const project = await Project.create({
+      name: "Platform",
+      organization: organization._id,
+      owner: testUser._id,
+    });
+    await Task.create({
+      title: "Fix login bug",
+      owner: testUser._id,
+      project: project._id,
+      tags: ["auth"],
+    });
+    await Task.create({
+      title: "Fix export bug",
+      owner: testUser._id,
+      tags: ["reports"],
+    });
+    await Note.create({
+      title: "Known bug list",
+      content: "",
+      owner: testUser._id,
+      tags: ["auth"],
+    });
+
+    const all = await search({ q: "bug" });
+    const tagged = await search({ q: "bug", tag: "auth" });
+    const inProject = await search({
+      q: "bug",
+      project: project._id.toString(),
+    });
+
+    expect(all.body.data.facets.tags).toEqual([
+      { tag: "auth", count: 2 },
+      { tag: "reports", count: 1 },
+    ]);
+    expect(all.body.data.facets.projects).toEqual([
+      { project: project._id.toString(), name: "Platform", count: 1 },
+    ]);
+    expect(resultTitles(tagged)).toEqual(["Fix login bug", "Known bug list"]);
+    expect(resultTitles(inProject)).toEqual(["Fix login bug"]);
+  });
+
+  it("should limit results to the requested types", async () => {
+    await Task.create({ title: "Onboarding checklist", owner: testUser._id });
+    await Note.create({
+      title: "Onboarding notes",
+      content: "",
+      owner: testUser._id,
+    });
+
+    const response = await search({ q: "onboarding", types: "note" });
+
+    expect(response.body.data.results.map((result) => result.type)).toEqual([
+      "note",
+    ]);
+    expect(response.body.data.facets.types.task).toBe(1);
+    expect(response.body.pagination.total).toBe(1);
+  });
+
+  it("should reject unknown types", async () => {
+    const response = await search({ q: "anything", types: "user" });
+
+    expect(response.status).toBe(400);
+  });
+});
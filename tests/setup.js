@@ -1,4 +1,7 @@
 // Jest setup file for tests
+import os from "os";
+import path from "path";
+
 import dotenv from "dotenv";
 import mongoose from "mongoose";
 import { jest } from "@jest/globals";
@@ -10,6 +13,15 @@ dotenv.config({ path: ".env.test" });
 process.env.NODE_ENV = "test";
 process.env.JWT_SECRET = "test-jwt-secret";
 process.env.JWT_EXPIRES_IN = "1h";
+process.env.SESSION_SECRET = "test-session-secret";
+process.env.GOOGLE_CLIENT_ID = "test-google-client-id";
+process.env.GOOGLE_CLIENT_SECRET = "test-google-client-secret";
+process.env.GITHUB_CLIENT_ID = "test-github-client-id";
+process.env.GITHUB_CLIENT_SECRET = "test-github-client-secret";
+process.env.STORAGE_LOCAL_PATH = path.join(
+  os.tmpdir(),
+  `nexell-test-uploads-${process.pid}`
+);
 
 // Silence console during tests (comment this out for debugging)
 global.console = {
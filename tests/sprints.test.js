@@ -0,0 +1,372 @@
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import request from "supertest";
+
+import Organization from "../models/Organization.js";
+import Project from "../models/Project.js";
+import Sprint from "../models/Sprint.js";
+import Task from "../models/Task.js";
+import TaskHistory from "../models/TaskHistory.js";
+import Team from "../models/Team.js";
+import User from "../models/User.js";
+import app from "../server.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("Sprint Tests", () => {
+  let mongoServer;
+  let testUser;
+  let organization;
+  let project;
+  let authToken;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    testUser = await User.create({
+      username: "sprintuser",
+      email: "sprint@example.com",
+      password: "password123",
+      firstName: "Sprint",
+      lastName: "User",
+    });
+
+    organization = await Organization.create({
+      name: "Sprint Organization",
+      createdBy: testUser._id,
+    });
+
+    authToken = jwt.sign(
+      { userId: testUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    project = await Project.create({
+      name: "Sprint Project",
+      organization: organization._id,
+      owner: testUser._id,
+    });
+  });
+
+  afterEach(async () => {
+    await Promise.all([
+      Project.deleteMany({}),
+      Sprint.deleteMany({}),
+      Task.deleteMany({}),
+      TaskHistory.deleteMany({}),
+      Team.deleteMany({}),
+    ]);
+  });
+
+  const api = (method, path) =>
+    request(app)
+      [method](`/api/projects/${project._id}${path}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+  const createSprint = (data = {}) =>
+    api("post", "/sprints").send({
+      name: "Sprint 1",
+      startDate: "2026-11-02T00:00:00.000Z",
+      endDate: "2026-11-13T00:00:00.000Z",
+      ...data,
+    });
+
+  const createTask = (title, data = {}) =>
+    Task.create({ title, owner: testUser._id, project: project._id, ...data });
+
+  const completeTask = (task) =>
+    request(app)
+      .put(`/api/tasks/${task._id}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ status: "completed" });
+
+  it("should create sprints and plan project tasks into them", async () => {
+    const created = await createSprint({ goal: "Ship checkout" });
+    const sprintId = created.body.data.sprint._id;
+    const task = await createTask("Checkout", { storyPoints: 5 });
+    const elsewhere = await Task.create({
+      title: "Other",
+      owner: testUser._id,
+    });
+
+    const added = await api("post", `/sprints/${sprintId}/tasks`).send({
+      taskIds: [task._id.toString()],
+    });
+    const refused = await api("post", `/sprints/${sprintId}/tasks`).send({
+      taskIds: [elsewhere._id.toString()],
+    });
+    const invalid = await createSprint({ endDate: "2026-11-01T00:00:00.000Z" });
+
+    expect(created.status).toBe(201);
+    expect(created.body.data.sprint.status).toBe("planned");
+    expect(added.status).toBe(200);
+    expect(added.body.data.totals).toMatchObject({ tasks: 1, points: 5 });
+    expect(refused.status).toBe(400);
+    expect(invalid.status).toBe(400);
+
+    const backlog = await request(app)
+      .get("/api/tasks?sprint=backlog")
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(backlog.body.data.tasks.map((item) => item.title)).toEqual([
+      "Other",
+    ]);
+  });
+
+  it("should leave out private sprint tasks the user cannot see", async () => {
+    const outsider = await User.create({
+      username: "sprintoutsider",
+      email: "sprint-outsider@example.com",
+      password: "password123",
+    });
+    const created = await createSprint();
+    const sprintId = created.body.data.sprint._id;
+    await createTask("Shared", { storyPoints: 2, sprint: sprintId });
+    await createTask("Secret", {
+      storyPoints: 5,
+      sprint: sprintId,
+      owner: outsider._id,
+      isPrivate: true,
+    });
+
+    const sprint = await api("get", `/sprints/${sprintId}`);
+    const chart = await api("get", `/sprints/${sprintId}/chart`);
+
+    expect(sprint.body.data.tasks.map((task) => task.title)).toEqual([
+      "Shared",
+    ]);
+    expect(sprint.body.data.totals.points).toBe(2);
+    expect(chart.body.data.committedPoints).toBe(2);
+    await User.deleteOne({ _id: outsider._id });
+  });
+
+  it("should record the commitment and allow one active sprint", async () => {
+    const first = await createSprint();
+    const second = await createSprint({ name: "Sprint 2" });
+    const sprintId = first.body.data.sprint._id;
+    await createTask("Planned", { storyPoints: 3, sprint: sprintId });
+    await createTask("Dropped", {
+      storyPoints: 8,
+      sprint: sprintId,
+      status: "cancelled",
+    });
+
+    const started = await api("post", `/sprints/${sprintId}/start`);
+    const again = await api(
+      "post",
+      `/sprints/${second.body.data.sprint._id}/start`
+    );
+
+    expect(started.status).toBe(200);
+    expect(started.body.data.sprint.status).toBe("active");
+    expect(started.body.data.sprint.commitment.points).toBe(3);
+    expect(started.body.data.sprint.commitment.tasks).toHaveLength(1);
+    expect(again.status).toBe(409);
+    expect(again.body.error).toBe("SPRINT_STATE_CONFLICT");
+  });
+
+  it("should carry unfinished work over when a sprint completes", async () => {
+    const current = await Sprint.create({
+      project: project._id,
+      name: "Current",
+      startDate: new Date("2026-11-02"),
+      endDate: new Date("2026-11-13"),
+      status: "active",
+    });
+    const next = await Sprint.create({
+      project: project._id,
+      name: "Next",
+      startDate: new Date("2026-11-16"),
+      endDate: new Date("2026-11-27"),
+    });
+    await createTask("Done", {
+      storyPoints: 5,
+      sprint: current._id,
+      status: "completed",
+    });
+    const open = await createTask("Open", {
+      storyPoints: 3,
+      sprint: current._id,
+    });
+    await createTask("Cancelled", {
+      storyPoints: 2,
+      sprint: current._id,
+      status: "cancelled",
+    });
+
+    const response = await api("post", `/sprints/${current._id}/complete`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.sprint.result).toMatchObject({
+      completedTasks: 1,
+      completedPoints: 5,
+      carriedOverPoints: 3,
+      carriedOverTo: next._id.toString(),
+    });
+    expect((await Task.findById(open._id)).sprint.toString()).toBe(
+      next._id.toString()
+    );
+
+    const history = await TaskHistory.findOne({
+      task: open._id,
+      field: "sprint",
+    });
+    expect(history.newValue).toBe(next._id.toString());
+  });
+
+  it("should send unfinished work to the backlog when asked", async () => {
+    const current = await Sprint.create({
+      project: project._id,
+      name: "Current",
+      startDate: new Date("2026-11-02"),
+      endDate: new Date("2026-11-13"),
+      status: "active",
+    });
+    await Sprint.create({
+      project: project._id,
+      name: "Next",
+      startDate: new Date("2026-11-16"),
+      endDate: new Date("2026-11-27"),
+    });
+    const open = await createTask("Open", { sprint: current._id });
+
+    const response = await api("post", `/sprints/${current._id}/complete`).send(
+      { nextSprintId: null }
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.sprint.result.carriedOverTo).toBeNull();
+    expect((await Task.findById(open._id)).sprint).toBeNull();
+  });
+
+  it("should replay burndown and burnup from task history", async () => {
+    const today = new Date(new Date().toISOString().slice(0, 10));
+    const sprint = await Sprint.create({
+      project: project._id,
+      name: "Running",
+      startDate: new Date(today.getTime() - DAY_MS),
+      endDate: new Date(today.getTime() + 2 * DAY_MS),
+      status: "active",
+      commitment: { points: 8 },
+    });
+    const done = await createTask("Finished today", {
+      storyPoints: 5,
+      sprint: sprint._id,
+    });
+    await createTask("Still open", { storyPoints: 3, sprint: sprint._id });
+    await completeTask(done);
+
+    const response = await api("get", `/sprints/${sprint._id}/chart`);
+    const { burndown, burnup } = response.body.data;
+
+    expect(response.status).toBe(200);
+    expect(burndown.map((day) => day.remaining)).toEqual([8, 3, null, null]);
+    expect(burndown.map((day) => day.ideal)).toEqual([8, 5.33, 2.67, 0]);
+    expect(burnup.slice(0, 2)).toMatchObject([
+      { completed: 0, scope: 8 },
+      { completed: 5, scope: 8 },
+    ]);
+  });
+
+  it("should report velocity and check capacity against teams", async () => {
+    await Sprint.create([
+      {
+        project: project._id,
+        name: "Old 1",
+        startDate: new Date("2026-10-05"),
+        endDate: new Date("2026-10-16"),
+        status: "completed",
+        completedAt: new Date("2026-10-16"),
+        commitment: { points: 10 },
+        result: { completedPoints: 8 },
+      },
+      {
+        project: project._id,
+        name: "Old 2",
+        startDate: new Date("2026-10-19"),
+        endDate: new Date("2026-10-30"),
+        status: "completed",
+        completedAt: new Date("2026-10-30"),
+        commitment: { points: 12 },
+        result: { completedPoints: 12 },
+      },
+    ]);
+    const team = await Team.create({
+      name: "Sprint Team",
+      organization: organization._id,
+      leader: testUser._id,
+      members: [{ user: testUser._id }],
+      timeTracking: { capacity: 40 },
+    });
+    await Project.updateOne({ _id: project._id }, { teams: [team._id] });
+
+    const created = await createSprint();
+    const sprintId = created.body.data.sprint._id;
+    await createTask("Big task", {
+      sprint: sprintId,
+      storyPoints: 13,
+      estimatedTime: 90 * 60,
+      assignedTo: [testUser._id],
+    });
+    await createTask("Unsized", { sprint: sprintId });
+
+    const velocity = await api("get", "/velocity");
+    const capacity = await api("get", `/sprints/${sprintId}/capacity`);
+
+    expect(velocity.body.data.sprints.map((sprint) => sprint.name)).toEqual([
+      "Old 1",
+      "Old 2",
+    ]);
+    expect(velocity.body.data.averageVelocity).toBe(10);
+
+    // Two work weeks at 40 hours
+    const check = capacity.body.data.capacity;
+    expect(check.capacityHours).toBe(80);
+    expect(check.plannedHours).toBe(90);
+    expect(check.overCapacity).toBe(true);
+    expect(check.members[0]).toMatchObject({
+      capacityHours: 80,
+      plannedHours: 90,
+      overCapacity: true,
+    });
+    expect(check.unestimatedTasks.map((task) => task.title)).toEqual([
+      "Unsized",
+    ]);
+    expect(check.points).toMatchObject({
+      planned: 13,
+      averageVelocity: 10,
+      overVelocity: true,
+    });
+  });
+
+  it("should count capacity days in the team's time zone", async () => {
+    const team = await Team.create({
+      name: "West Coast Team",
+      organization: organization._id,
+      leader: testUser._id,
+      members: [{ user: testUser._id }],
+      timeTracking: { capacity: 40 },
+      workSchedule: { timeZone: "America/Los_Angeles" },
+    });
+    await Project.updateOne({ _id: project._id }, { teams: [team._id] });
+
+    const created = await createSprint();
+    const capacity = await api(
+      "get",
+      `/sprints/${created.body.data.sprint._id}/capacity`
+    );
+
+    // Midnight UTC is the evening before in Los Angeles, so the sprint runs
+    // Sunday to Thursday there: nine work days
+    expect(capacity.body.data.capacity.capacityHours).toBe(72);
+  });
+});
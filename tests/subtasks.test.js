@@ -0,0 +1,232 @@
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import request from "supertest";
+
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import app from "../server.js";
+
+describe("Subtask Tests", () => {
+  let mongoServer;
+  let testUser;
+  let authToken;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    testUser = await User.create({
+      username: "subtaskuser",
+      email: "subtask@example.com",
+      password: "password123",
+      firstName: "Subtask",
+      lastName: "User",
+    });
+
+    authToken = jwt.sign(
+      { userId: testUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await Task.deleteMany({});
+  });
+
+  const createSubtask = (parent, data) =>
+    request(app)
+      .post(`/api/tasks/${parent._id}/subtasks`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send(data);
+
+  const updateTask = (task, data) =>
+    request(app)
+      .put(`/api/tasks/${task._id}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send(data);
+
+  describe("Creating and moving subtasks", () => {
+    it("should create a subtask linked to its parent", async () => {
+      const parent = await Task.create({
+        title: "Launch",
+        owner: testUser._id,
+      });
+
+      const response = await createSubtask(parent, { title: "Write copy" });
+
+      expect(response.status).toBe(201);
+      expect(response.body.task.parentTask).toBe(parent._id.toString());
+      expect((await Task.findById(parent._id)).subtasks).toHaveLength(1);
+    });
+
+    it("should return nested subtasks", async () => {
+      const parent = await Task.create({
+        title: "Launch",
+        owner: testUser._id,
+      });
+      const child = (await createSubtask(parent, { title: "Website" })).body
+        .task;
+      await createSubtask(child, { title: "Landing page" });
+
+      const response = await request(app)
+        .get(`/api/tasks/${parent._id}/subtasks`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.task.subtasks[0].title).toBe("Website");
+      expect(response.body.task.subtasks[0].subtasks[0].title).toBe(
+        "Landing page"
+      );
+    });
+
+    it("should leave out subtasks the user cannot see", async () => {
+      const outsider = await User.create({
+        username: "subtaskoutsider",
+        email: "subtask-outsider@example.com",
+        password: "password123",
+      });
+      const parent = await Task.create({
+        title: "Launch",
+        owner: testUser._id,
+      });
+      await createSubtask(parent, { title: "Website" });
+      await Task.create({
+        title: "Secret",
+        owner: outsider._id,
+        parentTask: parent._id,
+        isPrivate: true,
+      });
+
+      const response = await request(app)
+        .get(`/api/tasks/${parent._id}/subtasks`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(
+        response.body.task.subtasks.map((subtask) => subtask.title)
+      ).toEqual(["Website"]);
+      await User.deleteOne({ _id: outsider._id });
+    });
+
+    it("should need edit access to the new parent", async () => {
+      const outsider = await User.create({
+        username: "subtaskparentowner",
+        email: "subtask-parent-owner@example.com",
+        password: "password123",
+      });
+      // Watching a task only grants view access
+      const parent = await Task.create({
+        title: "Watched",
+        owner: outsider._id,
+        watchers: [testUser._id],
+      });
+      const task = await Task.create({ title: "Mine", owner: testUser._id });
+
+      const moved = await updateTask(task, {
+        parentTask: parent._id.toString(),
+      });
+      const created = await request(app)
+        .post("/api/tasks")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ title: "Child", parentTask: parent._id.toString() });
+
+      expect(moved.status).toBe(403);
+      expect(created.status).toBe(403);
+      expect((await Task.findById(parent._id)).subtasks).toHaveLength(0);
+      await User.deleteOne({ _id: outsider._id });
+    });
+
+    it("should refuse to move a task under its own subtask", async () => {
+      const parent = await Task.create({
+        title: "Launch",
+        owner: testUser._id,
+      });
+      const child = (await createSubtask(parent, { title: "Website" })).body
+        .task;
+
+      const response = await request(app)
+        .put(`/api/tasks/${parent._id}/parent`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ parentTask: child._id });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("TASK_HIERARCHY_ERROR");
+    });
+
+    it("should enforce the depth limit", async () => {
+      let task = await Task.create({ title: "Level 0", owner: testUser._id });
+      for (let level = 1; level <= 5; level++) {
+        task = (await createSubtask(task, { title: `Level ${level}` })).body
+          .task;
+      }
+
+      const response = await createSubtask(task, { title: "Level 6" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("TASK_HIERARCHY_ERROR");
+    });
+  });
+
+  describe("Rollups", () => {
+    it("should roll up progress, estimates and time", async () => {
+      const parent = await Task.create({
+        title: "Launch",
+        owner: testUser._id,
+        estimatedTime: 10,
+      });
+      const first = (
+        await createSubtask(parent, { title: "Copy", estimatedTime: 30 })
+      ).body.task;
+      await createSubtask(parent, { title: "Design", estimatedTime: 90 });
+      await Task.updateOne({ _id: first._id }, { totalTimeSpent: 600 });
+
+      await updateTask(first, { status: "completed" });
+
+      const updated = await Task.findById(parent._id);
+      expect(updated.rollup.estimatedTime).toBe(130);
+      expect(updated.rollup.totalTimeSpent).toBe(600);
+      expect(updated.rollup.subtaskCount).toBe(2);
+      expect(updated.rollup.completedSubtaskCount).toBe(1);
+      expect(updated.progress).toBe(25);
+    });
+
+    it("should complete the parent when every subtask completes", async () => {
+      const parent = await Task.create({
+        title: "Launch",
+        owner: testUser._id,
+        completeWhenSubtasksDone: true,
+      });
+      const first = (await createSubtask(parent, { title: "Copy" })).body.task;
+      const second = (await createSubtask(parent, { title: "Design" })).body
+        .task;
+
+      await updateTask(first, { status: "completed" });
+      expect((await Task.findById(parent._id)).status).toBe("todo");
+
+      await updateTask(second, { status: "completed" });
+      expect((await Task.findById(parent._id)).status).toBe("completed");
+    });
+
+    it("should delete subtasks at every level", async () => {
+      const parent = await Task.create({
+        title: "Launch",
+        owner: testUser._id,
+      });
+      const child = (await createSubtask(parent, { title: "Website" })).body
+        .task;
+      await createSubtask(child, { title: "Landing page" });
+
+      await request(app)
+        .delete(`/api/tasks/${parent._id}`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(await Task.countDocuments({})).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,269 @@
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import request from "supertest";
+
+import CustomRole from "../models/CustomRole.js";
+import Membership from "../models/Membership.js";
+import Organization from "../models/Organization.js";
+import Project from "../models/Project.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import app from "../server.js";
+
+describe("Task Access Tests", () => {
+  let mongoServer;
+  let owner;
+  let colleague;
+  let organization;
+  let colleagueToken;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    [owner, colleague] = await User.create([
+      {
+        username: "accessowner",
+        email: "accessowner@example.com",
+        password: "password123",
+        firstName: "Access",
+        lastName: "Owner",
+      },
+      {
+        username: "accesscolleague",
+        email: "accesscolleague@example.com",
+        password: "password123",
+        firstName: "Access",
+        lastName: "Colleague",
+      },
+    ]);
+
+    organization = await Organization.create({
+      name: "Access Organization",
+      createdBy: owner._id,
+    });
+
+    colleagueToken = jwt.sign(
+      { userId: colleague._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await Promise.all([
+      Task.deleteMany({}),
+      Project.deleteMany({}),
+      Membership.deleteMany({}),
+      CustomRole.deleteMany({}),
+    ]);
+  });
+
+  const createTask = (fields = {}) =>
+    Task.create({ title: "Shared task", owner: owner._id, ...fields });
+
+  const asColleague = (method, path) =>
+    request(app)[method](path).set("Authorization", `Bearer ${colleagueToken}`);
+
+  const joinOrganization = (fields = {}) =>
+    Membership.create({
+      user: colleague._id,
+      organization: organization._id,
+      role: "member",
+      invitedBy: owner._id,
+      ...fields,
+    });
+
+  it("should hide tasks from users with no access", async () => {
+    const task = await createTask();
+
+    const fetched = await asColleague("get", `/api/tasks/${task._id}`);
+    const listed = await asColleague("get", "/api/tasks");
+
+    expect(fetched.status).toBe(404);
+    expect(listed.body.data.tasks).toHaveLength(0);
+  });
+
+  it("should let assignees view and edit but not delete", async () => {
+    const task = await createTask({ assignedTo: [colleague._id] });
+
+    const listed = await asColleague("get", "/api/tasks");
+    const updated = await asColleague("put", `/api/tasks/${task._id}`).send({
+      status: "in-progress",
+    });
+    const deleted = await asColleague("delete", `/api/tasks/${task._id}`);
+
+    expect(listed.body.data.tasks.map((item) => item.title)).toEqual([
+      "Shared task",
+    ]);
+    expect(updated.status).toBe(200);
+    expect(updated.body.task.status).toBe("in-progress");
+    expect(deleted.status).toBe(403);
+    expect(await Task.exists({ _id: task._id })).toBeTruthy();
+  });
+
+  it("should let watchers view but not edit", async () => {
+    const task = await createTask({ watchers: [colleague._id] });
+
+    const fetched = await asColleague("get", `/api/tasks/${task._id}`);
+    const updated = await asColleague("put", `/api/tasks/${task._id}`).send({
+      title: "Renamed",
+    });
+    const progressed = await asColleague(
+      "put",
+      `/api/tasks/${task._id}/progress`
+    ).send({ progress: 50 });
+
+    expect(fetched.status).toBe(200);
+    expect(updated.status).toBe(403);
+    expect(updated.body.error).toBe("TASK_ACCESS_DENIED");
+    expect(progressed.status).toBe(403);
+    expect(progressed.body.error).toBeUndefined();
+  });
+
+  it("should share project tasks with project members unless private", async () => {
+    const project = await Project.create({
+      name: "Access Project",
+      organization: organization._id,
+      owner: owner._id,
+      members: [colleague._id],
+    });
+    const shared = await createTask({ project: project._id });
+    const hidden = await createTask({
+      title: "Private task",
+      project: project._id,
+      isPrivate: true,
+    });
+
+    const listed = await asColleague("get", "/api/tasks");
+    const updated = await asColleague("put", `/api/tasks/${shared._id}`).send({
+      priority: "high",
+    });
+    const fetchedPrivate = await asColleague("get", `/api/tasks/${hidden._id}`);
+
+    expect(listed.body.data.tasks.map((item) => item.title)).toEqual([
+      "Shared task",
+    ]);
+    expect(updated.status).toBe(200);
+    expect(fetchedPrivate.status).toBe(404);
+  });
+
+  it("should give organization members their role's task permissions", async () => {
+    const task = await createTask({ organization: organization._id });
+    await joinOrganization({ role: "viewer" });
+
+    const fetched = await asColleague("get", `/api/tasks/${task._id}`);
+    const updated = await asColleague("put", `/api/tasks/${task._id}`).send({
+      title: "Renamed",
+    });
+
+    expect(fetched.status).toBe(200);
+    expect(updated.status).toBe(403);
+  });
+
+  it("should let organization members view but not edit without a custom role", async () => {
+    const task = await createTask({ organization: organization._id });
+    await joinOrganization();
+
+    const fetched = await asColleague("get", `/api/tasks/${task._id}`);
+    const updated = await asColleague("put", `/api/tasks/${task._id}`).send({
+      title: "Renamed",
+    });
+
+    expect(fetched.status).toBe(200);
+    expect(updated.status).toBe(403);
+  });
+
+  it("should keep ownership and privacy changes to the owner", async () => {
+    const task = await createTask({ assignedTo: [colleague._id] });
+
+    const takeover = await asColleague("put", `/api/tasks/${task._id}`).send({
+      owner: colleague._id.toString(),
+    });
+    const hidden = await asColleague("put", `/api/tasks/${task._id}`).send({
+      isPrivate: true,
+    });
+    const unchanged = await asColleague("put", `/api/tasks/${task._id}`).send({
+      isPrivate: false,
+      title: "Renamed",
+    });
+
+    expect(takeover.status).toBe(403);
+    expect(hidden.status).toBe(403);
+    expect(unchanged.status).toBe(200);
+    expect((await Task.findById(task._id)).owner.toString()).toBe(
+      owner._id.toString()
+    );
+  });
+
+  it("should only put tasks in projects the user can access", async () => {
+    const project = await Project.create({
+      name: "Closed Project",
+      organization: organization._id,
+      owner: owner._id,
+    });
+    const task = await createTask({ assignedTo: [colleague._id] });
+
+    const created = await asColleague("post", "/api/tasks").send({
+      title: "Sneaked in",
+      project: project._id.toString(),
+    });
+    const moved = await asColleague("put", `/api/tasks/${task._id}`).send({
+      project: project._id.toString(),
+    });
+    const missing = await asColleague("post", "/api/tasks").send({
+      title: "Nowhere",
+      project: new mongoose.Types.ObjectId().toString(),
+    });
+
+    expect(created.status).toBe(403);
+    expect(moved.status).toBe(403);
+    expect(missing.status).toBe(400);
+    expect(await Task.exists({ project: project._id })).toBeNull();
+  });
+
+  it("should follow custom role task permissions", async () => {
+    const task = await createTask({ organization: organization._id });
+    const role = await CustomRole.create({
+      name: "Task editors",
+      organization: organization._id,
+      permissions: { tasks: { view: true, edit: true, delete: true } },
+    });
+    await joinOrganization({ role: "viewer", customRole: role._id });
+
+    const updated = await asColleague("put", `/api/tasks/${task._id}`).send({
+      title: "Renamed",
+    });
+    const deleted = await asColleague("delete", `/api/tasks/${task._id}`);
+
+    expect(updated.status).toBe(200);
+    expect(deleted.status).toBe(200);
+
+    await CustomRole.updateOne(
+      { _id: role._id },
+      { "permissions.tasks.view": false }
+    );
+    const other = await createTask({ organization: organization._id });
+    const hidden = await asColleague("get", `/api/tasks/${other._id}`);
+
+    expect(hidden.status).toBe(404);
+  });
+
+  it("should apply the same access to comments on tasks", async () => {
+    const task = await createTask({ watchers: [colleague._id] });
+
+    const response = await asColleague("post", "/api/comments").send({
+      entityType: "Task",
+      entityId: task._id.toString(),
+      content: "Watching this",
+    });
+
+    expect(response.status).toBe(201);
+  });
+});
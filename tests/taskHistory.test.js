@@ -0,0 +1,250 @@
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import request from "supertest";
+
+import Membership from "../models/Membership.js";
+import Organization from "../models/Organization.js";
+import Task from "../models/Task.js";
+import TaskHistory from "../models/TaskHistory.js";
+import User from "../models/User.js";
+import app from "../server.js";
+
+describe("Task History Tests", () => {
+  let mongoServer;
+  let testUser;
+  let otherUser;
+  let organization;
+  let authToken;
+  let otherToken;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    [testUser, otherUser] = await User.create([
+      {
+        username: "historyuser",
+        email: "history@example.com",
+        password: "password123",
+        firstName: "History",
+        lastName: "User",
+      },
+      {
+        username: "historyother",
+        email: "historyother@example.com",
+        password: "password123",
+        firstName: "History",
+        lastName: "Other",
+      },
+    ]);
+
+    organization = await Organization.create({
+      name: "History Organization",
+      createdBy: testUser._id,
+    });
+    await Membership.create({
+      user: testUser._id,
+      organization: organization._id,
+      role: "member",
+      invitedBy: testUser._id,
+    });
+
+    authToken = jwt.sign(
+      { userId: testUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+    otherToken = jwt.sign(
+      { userId: otherUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await Promise.all([Task.deleteMany({}), TaskHistory.deleteMany({})]);
+  });
+
+  const createTask = (data = {}) =>
+    request(app)
+      .post("/api/tasks")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ title: "History task", ...data });
+
+  const updateTask = (taskId, data) =>
+    request(app)
+      .put(`/api/tasks/${taskId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send(data);
+
+  const getHistory = (taskId, query = {}, token = authToken) =>
+    request(app)
+      .get(`/api/tasks/${taskId}/history`)
+      .query(query)
+      .set("Authorization", `Bearer ${token}`);
+
+  it("should record the starting status", async () => {
+    const created = await createTask();
+
+    const response = await getHistory(created.body.task._id);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.history).toHaveLength(1);
+    expect(response.body.data.history[0]).toMatchObject({
+      field: "status",
+      oldValue: null,
+      newValue: "todo",
+      source: "user",
+    });
+  });
+
+  it("should record each changed field with actor and values", async () => {
+    const created = await createTask({ priority: "low" });
+    const taskId = created.body.task._id;
+
+    await updateTask(taskId, {
+      status: "cancelled",
+      priority: "low",
+      dueDate: "2026-05-01T00:00:00.000Z",
+    });
+
+    const response = await getHistory(taskId);
+    const byField = Object.fromEntries(
+      response.body.data.history.map((event) => [event.field, event])
+    );
+
+    // priority did not change, so it has no event
+    expect(Object.keys(byField).sort()).toEqual(["dueDate", "status"]);
+    expect(byField.status).toMatchObject({
+      oldValue: "todo",
+      newValue: "cancelled",
+    });
+    expect(byField.status.actor.username).toBe("historyuser");
+    expect(byField.status.changedAt).toBeDefined();
+    expect(byField.dueDate).toMatchObject({
+      oldValue: null,
+      newValue: "2026-05-01T00:00:00.000Z",
+    });
+  });
+
+  it("should record list fields as whole values", async () => {
+    const created = await createTask({ tags: ["api"] });
+    const taskId = created.body.task._id;
+
+    await updateTask(taskId, { tags: ["api", "urgent"] });
+
+    const response = await getHistory(taskId, { field: "tags" });
+
+    expect(response.body.data.history).toHaveLength(1);
+    expect(response.body.data.history[0]).toMatchObject({
+      oldValue: ["api"],
+      newValue: ["api", "urgent"],
+    });
+  });
+
+  it("should mark automatic completions as system changes", async () => {
+    const parent = await createTask({ completeWhenSubtasksDone: true });
+    const child = await request(app)
+      .post(`/api/tasks/${parent.body.task._id}/subtasks`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ title: "Child" });
+
+    await updateTask(child.body.task._id, { status: "completed" });
+
+    const response = await getHistory(parent.body.task._id, {
+      field: "status",
+    });
+    expect(response.body.data.history[0]).toMatchObject({
+      newValue: "completed",
+      source: "system",
+    });
+  });
+
+  it("should hide the history from users who cannot see the task", async () => {
+    const created = await createTask();
+
+    const response = await getHistory(created.body.task._id, {}, otherToken);
+
+    expect(response.status).toBe(404);
+  });
+
+  it("should keep the history while the task is in the trash", async () => {
+    const created = await createTask();
+
+    await request(app)
+      .delete(`/api/tasks/${created.body.task._id}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    // It is deleted when the trash item is purged
+    expect(await TaskHistory.countDocuments()).toBe(1);
+  });
+
+  it("should report status transitions and time in status", async () => {
+    const created = await createTask({
+      organization: organization._id.toString(),
+    });
+    const taskId = created.body.task._id;
+    await updateTask(taskId, { status: "in-progress" });
+    await updateTask(taskId, { status: "completed" });
+
+    // Spread the changes out so durations are measurable
+    const hour = 60 * 60 * 1000;
+    const start = Date.now() - 10 * hour;
+    const events = await TaskHistory.find({ task: taskId, field: "status" })
+      .sort({ changedAt: 1 })
+      .lean();
+    await Promise.all(
+      events.map((event, index) =>
+        TaskHistory.updateOne(
+          { _id: event._id },
+          { changedAt: new Date(start + index * 2 * hour) }
+        )
+      )
+    );
+
+    const response = await request(app)
+      .get("/api/reports/status-history")
+      .query({ taskId, organizationId: organization._id.toString() })
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(response.status).toBe(200);
+    const { report } = response.body;
+    expect(report.transitions).toEqual(
+      expect.arrayContaining([
+        { from: null, to: "todo", count: 1 },
+        { from: "todo", to: "in-progress", count: 1 },
+        { from: "in-progress", to: "completed", count: 1 },
+      ])
+    );
+    expect(report.timeInStatus).toEqual(
+      expect.arrayContaining([
+        { status: "todo", periods: 1, totalHours: 2, averageHours: 2 },
+        { status: "in-progress", periods: 1, totalHours: 2, averageHours: 2 },
+      ])
+    );
+  });
+
+  it("should only report on organizations the user belongs to", async () => {
+    const response = await request(app)
+      .get("/api/reports/status-history")
+      .query({ organizationId: organization._id.toString() })
+      .set("Authorization", `Bearer ${otherToken}`);
+
+    expect(response.status).toBe(403);
+  });
+
+  it("should reject malformed IDs in the status history report", async () => {
+    const response = await request(app)
+      .get("/api/reports/status-history")
+      .query({ organizationId: organization._id.toString(), taskId: "nope" })
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,170 @@
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import request from "supertest";
+
+import Task from "../models/Task.js";
+import TaskTemplate from "../models/TaskTemplate.js";
+import User from "../models/User.js";
+import app from "../server.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("Task Template Tests", () => {
+  let mongoServer;
+  let testUser;
+  let authToken;
+
+  const onboarding = {
+    name: "Client onboarding",
+    tasks: [
+      {
+        key: "kickoff",
+        title: "Kickoff with {{client}}",
+        estimatedTime: 60,
+        dueOffsetDays: 0,
+      },
+      {
+        key: "access",
+        title: "Set up accounts",
+        parentKey: "kickoff",
+        tags: ["setup"],
+        dueOffsetDays: 2,
+      },
+      {
+        key: "review",
+        title: "First review",
+        description: "Check in with {{contact}} at {{client}}",
+        dependsOn: ["access"],
+        dueOffsetDays: 14,
+      },
+    ],
+  };
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    testUser = await User.create({
+      username: "templateuser",
+      email: "template@example.com",
+      password: "password123",
+      firstName: "Template",
+      lastName: "User",
+    });
+
+    authToken = jwt.sign(
+      { userId: testUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await Task.deleteMany({});
+    await TaskTemplate.deleteMany({});
+  });
+
+  const createTemplate = (data) =>
+    request(app)
+      .post("/api/task-templates")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send(data);
+
+  describe("POST /api/task-templates", () => {
+    it("should save a template and list its variables", async () => {
+      const response = await createTemplate(onboarding);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.template.variables.sort()).toEqual([
+        "client",
+        "contact",
+      ]);
+    });
+
+    it("should reject tasks that depend on each other in a cycle", async () => {
+      const response = await createTemplate({
+        name: "Broken",
+        tasks: [
+          { key: "a", title: "A", dependsOn: ["b"] },
+          { key: "b", title: "B", dependsOn: ["a"] },
+        ],
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("TEMPLATE_VALIDATION_ERROR");
+    });
+
+    it("should capture an existing task tree", async () => {
+      const startDate = new Date(Date.now() + DAY_MS);
+      const root = await Task.create({
+        title: "Quarterly close",
+        owner: testUser._id,
+        startDate,
+        dueDate: new Date(startDate.getTime() + 3 * DAY_MS),
+      });
+      await Task.create({
+        title: "Reconcile accounts",
+        owner: testUser._id,
+        parentTask: root._id,
+      });
+
+      const response = await createTemplate({
+        name: "Quarterly close",
+        fromTaskId: root._id.toString(),
+      });
+
+      expect(response.status).toBe(201);
+      const [first, second] = response.body.data.template.tasks;
+      expect(first.dueOffsetDays).toBe(3);
+      expect(second.parentKey).toBe(first.key);
+    });
+  });
+
+  describe("POST /api/task-templates/:templateId/instantiate", () => {
+    it("should create the task tree with variables and dates", async () => {
+      const template = (await createTemplate(onboarding)).body.data.template;
+      const startDate = new Date(Date.now() + 7 * DAY_MS);
+
+      const response = await request(app)
+        .post(`/api/task-templates/${template._id}/instantiate`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({
+          variables: { client: "Acme", contact: "Sam" },
+          startDate: startDate.toISOString(),
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.tasks).toHaveLength(3);
+
+      const kickoff = await Task.findOne({ title: "Kickoff with Acme" });
+      const access = await Task.findOne({ title: "Set up accounts" });
+      const review = await Task.findOne({ title: "First review" });
+
+      expect(access.parentTask.toString()).toBe(kickoff._id.toString());
+      expect(review.description).toBe("Check in with Sam at Acme");
+      expect(review.dependencies.map(String)).toEqual([access._id.toString()]);
+      expect(review.isBlocked).toBe(true);
+      expect(access.dueDate.toISOString().slice(0, 10)).toBe(
+        new Date(startDate.getTime() + 2 * DAY_MS).toISOString().slice(0, 10)
+      );
+    });
+
+    it("should require a value for every variable", async () => {
+      const template = (await createTemplate(onboarding)).body.data.template;
+
+      const response = await request(app)
+        .post(`/api/task-templates/${template._id}/instantiate`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ variables: { client: "Acme" } });
+
+      expect(response.status).toBe(400);
+      expect(await Task.countDocuments({})).toBe(0);
+    });
+  });
+});
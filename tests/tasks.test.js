@@ -137,8 +137,8 @@ describe("Task API Tests", () => {
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(response.body.tasks).toBeInstanceOf(Array);
-      expect(response.body.tasks.length).toBe(3);
+      expect(response.body.data.tasks).toBeInstanceOf(Array);
+      expect(response.body.data.tasks.length).toBe(3);
       expect(response.body.pagination.total).toBe(3);
     });
 
@@ -148,9 +148,9 @@ describe("Task API Tests", () => {
         .set("Authorization", `Bearer ${authToken}`);
 
       expect(response.status).toBe(200);
-      expect(response.body.tasks).toBeInstanceOf(Array);
-      expect(response.body.tasks.length).toBe(1);
-      expect(response.body.tasks[0].status).toBe("completed");
+      expect(response.body.data.tasks).toBeInstanceOf(Array);
+      expect(response.body.data.tasks.length).toBe(1);
+      expect(response.body.data.tasks[0].status).toBe("completed");
     });
 
     it("should sort tasks by priority", async () => {
@@ -159,9 +159,9 @@ describe("Task API Tests", () => {
         .set("Authorization", `Bearer ${authToken}`);
 
       expect(response.status).toBe(200);
-      expect(response.body.tasks).toBeInstanceOf(Array);
-      expect(response.body.tasks.length).toBe(3);
-      expect(response.body.tasks[0].priority).toBe("low");
+      expect(response.body.data.tasks).toBeInstanceOf(Array);
+      expect(response.body.data.tasks.length).toBe(3);
+      expect(response.body.data.tasks[0].priority).toBe("low");
     });
 
     it("should paginate tasks", async () => {
@@ -170,11 +170,86 @@ describe("Task API Tests", () => {
         .set("Authorization", `Bearer ${authToken}`);
 
       expect(response.status).toBe(200);
-      expect(response.body.tasks).toBeInstanceOf(Array);
-      expect(response.body.tasks.length).toBe(2);
+      expect(response.body.data.tasks).toBeInstanceOf(Array);
+      expect(response.body.data.tasks.length).toBe(2);
       expect(response.body.pagination.total).toBe(3);
       expect(response.body.pagination.pages).toBe(2);
     });
+
+    it("should page through tasks with cursors", async () => {
+      const getPage = (query) =>
+        request(app)
+          .get("/api/tasks")
+          .query(query)
+          .set("Authorization", `Bearer ${authToken}`);
+
+      const first = await getPage({
+        sortBy: "title",
+        sortOrder: "asc",
+        limit: 2,
+      });
+      expect(first.body.data.tasks.map((task) => task.title)).toEqual([
+        "Task 1",
+        "Task 2",
+      ]);
+      expect(first.body.pagination).toMatchObject({
+        hasMore: true,
+        prevCursor: null,
+      });
+
+      // A task added before the cursor does not shift the next page
+      await Task.create({ title: "Task 0", owner: testUser._id });
+
+      const second = await getPage({
+        cursor: first.body.pagination.nextCursor,
+        limit: 2,
+      });
+      expect(second.body.data.tasks.map((task) => task.title)).toEqual([
+        "Task 3",
+      ]);
+      expect(second.body.pagination).toMatchObject({
+        hasMore: false,
+        nextCursor: null,
+      });
+
+      const back = await getPage({
+        cursor: second.body.pagination.prevCursor,
+        limit: 2,
+      });
+      expect(back.body.data.tasks.map((task) => task.title)).toEqual([
+        "Task 1",
+        "Task 2",
+      ]);
+    });
+
+    it("should reject an invalid cursor", async () => {
+      const response = await request(app)
+        .get("/api/tasks?cursor=not-a-cursor")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("INVALID_CURSOR");
+    });
+
+    it("should reject a cursor carrying a query operator", async () => {
+      const cursor = Buffer.from(
+        JSON.stringify({
+          s: "createdAt",
+          o: -1,
+          d: "next",
+          id: new mongoose.Types.ObjectId().toString(),
+          v: { $gt: "" },
+        })
+      ).toString("base64url");
+
+      const response = await request(app)
+        .get("/api/tasks")
+        .query({ cursor })
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("INVALID_CURSOR");
+    });
   });
 
   // Test getting a single task
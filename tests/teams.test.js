@@ -0,0 +1,169 @@
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import request from "supertest";
+
+import Membership from "../models/Membership.js";
+import Organization from "../models/Organization.js";
+import Task from "../models/Task.js";
+import Team from "../models/Team.js";
+import TimeLog from "../models/TimeLog.js";
+import User from "../models/User.js";
+import app from "../server.js";
+
+describe("Team API Tests", () => {
+  let mongoServer;
+  let leadUser;
+  let memberUser;
+  let organization;
+  let leadToken;
+  let memberToken;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    leadUser = await User.create({
+      username: "teamlead",
+      email: "teamlead@example.com",
+      password: "password123",
+      firstName: "Team",
+      lastName: "Lead",
+    });
+
+    memberUser = await User.create({
+      username: "teammember",
+      email: "teammember@example.com",
+      password: "password123",
+      firstName: "Team",
+      lastName: "Member",
+    });
+
+    organization = await Organization.create({
+      name: "Team Organization",
+      createdBy: leadUser._id,
+    });
+
+    await Membership.create([
+      {
+        user: leadUser._id,
+        organization: organization._id,
+        role: "member",
+        invitedBy: leadUser._id,
+      },
+      {
+        user: memberUser._id,
+        organization: organization._id,
+        role: "member",
+        invitedBy: leadUser._id,
+      },
+    ]);
+
+    leadToken = jwt.sign(
+      { userId: leadUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+    memberToken = jwt.sign(
+      { userId: memberUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await Team.deleteMany({});
+    await TimeLog.deleteMany({});
+    await Task.deleteMany({});
+  });
+
+  const createTeam = () =>
+    Team.create({
+      name: "Platform",
+      organization: organization._id,
+      leader: leadUser._id,
+      members: [
+        { user: leadUser._id, role: "lead" },
+        { user: memberUser._id, role: "member" },
+      ],
+      timeTracking: { capacity: 40 },
+    });
+
+  describe("POST /api/teams", () => {
+    it("should create a team led by the caller", async () => {
+      const response = await request(app)
+        .post("/api/teams")
+        .set("Authorization", `Bearer ${leadToken}`)
+        .send({
+          name: "Platform",
+          organizationId: organization._id.toString(),
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.team.leader).toBe(leadUser._id.toString());
+      expect(response.body.data.team.members.length).toBe(1);
+    });
+  });
+
+  describe("POST /api/teams/:teamId/members", () => {
+    it("should not let a regular member add members", async () => {
+      const team = await createTeam();
+
+      const response = await request(app)
+        .post(`/api/teams/${team._id}/members`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .send({ userId: leadUser._id.toString() });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe("POST /api/teams/:teamId/leadership", () => {
+    it("should transfer leadership to an existing member", async () => {
+      const team = await createTeam();
+
+      const response = await request(app)
+        .post(`/api/teams/${team._id}/leadership`)
+        .set("Authorization", `Bearer ${leadToken}`)
+        .send({ userId: memberUser._id.toString() });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.team.leader).toBe(memberUser._id.toString());
+    });
+  });
+
+  describe("GET /api/teams/:teamId/workload", () => {
+    it("should report capacity and logged minutes per member", async () => {
+      const team = await createTeam();
+      const task = await Task.create({
+        title: "Logged work",
+        owner: memberUser._id,
+      });
+
+      const startTime = new Date(Date.now() - 3 * 60 * 60 * 1000);
+      await TimeLog.create({
+        task: task._id,
+        user: memberUser._id,
+        startTime,
+        endTime: new Date(startTime.getTime() + 90 * 60 * 1000),
+      });
+
+      const response = await request(app)
+        .get(`/api/teams/${team._id}/workload?timeRange=week`)
+        .set("Authorization", `Bearer ${memberToken}`);
+
+      expect(response.status).toBe(200);
+      const { workload } = response.body.data;
+      const member = workload.byUser.find(
+        (entry) => entry.userId === memberUser._id.toString()
+      );
+      expect(member.loggedMinutes).toBe(90);
+      expect(member.capacityMinutes).toBe(workload.workingDays * 8 * 60);
+    });
+  });
+});
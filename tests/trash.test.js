@@ -0,0 +1,258 @@
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import request from "supertest";
+
+import Comment from "../models/Comment.js";
+import Note from "../models/Note.js";
+import Task from "../models/Task.js";
+import TaskHistory from "../models/TaskHistory.js";
+import TrashItem from "../models/TrashItem.js";
+import User from "../models/User.js";
+import app from "../server.js";
+import trashService from "../services/trashService.js";
+
+describe("Trash Tests", () => {
+  let mongoServer;
+  let testUser;
+  let otherUser;
+  let authToken;
+  let otherToken;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    [testUser, otherUser] = await User.create([
+      {
+        username: "trashuser",
+        email: "trash@example.com",
+        password: "password123",
+        firstName: "Trash",
+        lastName: "User",
+      },
+      {
+        username: "trashother",
+        email: "trashother@example.com",
+        password: "password123",
+        firstName: "Trash",
+        lastName: "Other",
+      },
+    ]);
+
+    authToken = jwt.sign(
+      { userId: testUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+    otherToken = jwt.sign(
+      { userId: otherUser._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: "1h" }
+    );
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await Promise.all([
+      Comment.deleteMany({}),
+      Task.deleteMany({}),
+      Note.deleteMany({}),
+      TaskHistory.deleteMany({}),
+      TrashItem.deleteMany({}),
+    ]);
+  });
+
+  const createTask = (title, data = {}) =>
+    Task.create({ title, owner: testUser._id, ...data });
+
+  const deleteTask = (task) =>
+    request(app)
+      .delete(`/api/tasks/${task._id}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+  const getTrash = (query = {}, token = authToken) =>
+    request(app)
+      .get("/api/trash")
+      .query(query)
+      .set("Authorization", `Bearer ${token}`);
+
+  const restore = (item, token = authToken) =>
+    request(app)
+      .post(`/api/trash/${item._id}/restore`)
+      .set("Authorization", `Bearer ${token}`);
+
+  // A parent with a subtask, and a task outside the tree that depends on
+  // the subtask
+  const createTree = async () => {
+    const parent = await createTask("Release");
+    const child = await createTask("Write changelog", {
+      parentTask: parent._id,
+    });
+    await Task.updateOne({ _id: parent._id }, { subtasks: [child._id] });
+    const dependent = await createTask("Publish", {
+      dependencies: [child._id],
+      blockedBy: [child._id],
+    });
+
+    return { parent, child, dependent };
+  };
+
+  it("should move a deleted task and its subtasks to the trash", async () => {
+    const { parent, child, dependent } = await createTree();
+
+    const response = await deleteTask(parent);
+
+    expect(response.status).toBe(200);
+    expect(
+      await Task.countDocuments({ _id: { $in: [parent._id, child._id] } })
+    ).toBe(0);
+    const unblocked = await Task.findById(dependent._id);
+    expect(unblocked.dependencies).toHaveLength(0);
+
+    const trash = await getTrash();
+    expect(trash.status).toBe(200);
+    expect(trash.body.data.items).toHaveLength(1);
+    expect(trash.body.data.items[0]).toMatchObject({
+      entityType: "Task",
+      entityId: parent._id.toString(),
+      title: "Release",
+      itemCount: 2,
+    });
+    expect(trash.body.data.items[0].documents).toBeUndefined();
+  });
+
+  it("should restore the subtask tree and dependency links", async () => {
+    const { parent, child, dependent } = await createTree();
+    await deleteTask(parent);
+    const [item] = await TrashItem.find();
+
+    const response = await restore(item);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data._id).toBe(parent._id.toString());
+    const restoredParent = await Task.findById(parent._id);
+    const restoredChild = await Task.findById(child._id);
+    const relinked = await Task.findById(dependent._id);
+    expect(restoredParent.subtasks.map(String)).toEqual([child._id.toString()]);
+    expect(restoredChild.parentTask.toString()).toBe(parent._id.toString());
+    expect(relinked.dependencies.map(String)).toEqual([child._id.toString()]);
+    expect(relinked.blockedBy.map(String)).toEqual([child._id.toString()]);
+    expect(await TrashItem.countDocuments()).toBe(0);
+  });
+
+  it("should put a restored subtask back under its parent", async () => {
+    const { parent, child } = await createTree();
+    await deleteTask(child);
+
+    expect((await Task.findById(parent._id)).subtasks).toHaveLength(0);
+
+    const [item] = await TrashItem.find();
+    await restore(item);
+
+    const restoredParent = await Task.findById(parent._id);
+    expect(restoredParent.subtasks.map(String)).toEqual([child._id.toString()]);
+  });
+
+  it("should restore to the top level when the parent is gone", async () => {
+    const { parent, child } = await createTree();
+    await deleteTask(child);
+    await Task.deleteOne({ _id: parent._id });
+
+    const [item] = await TrashItem.find();
+    const response = await restore(item);
+
+    expect(response.status).toBe(200);
+    expect((await Task.findById(child._id)).parentTask).toBeNull();
+  });
+
+  it("should trash and restore notes", async () => {
+    const note = await Note.create({
+      title: "Meeting notes",
+      content: "Agenda",
+      owner: testUser._id,
+    });
+
+    await request(app)
+      .delete(`/api/notes/${note._id}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(await Note.countDocuments()).toBe(0);
+    const trash = await getTrash({ type: "note" });
+    expect(trash.body.data.items).toHaveLength(1);
+
+    const response = await restore(trash.body.data.items[0]);
+
+    expect(response.status).toBe(200);
+    const restored = await Note.findById(note._id);
+    expect(restored.content).toBe("Agenda");
+  });
+
+  it("should keep each user's trash private", async () => {
+    const task = await createTask("Private");
+    await deleteTask(task);
+    const [item] = await TrashItem.find();
+
+    const trash = await getTrash({}, otherToken);
+    const response = await restore(item, otherToken);
+
+    expect(trash.body.data.items).toHaveLength(0);
+    expect(response.status).toBe(404);
+  });
+
+  it("should purge an item with its task history and comments", async () => {
+    const created = await request(app)
+      .post("/api/tasks")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ title: "Purge me" });
+    await Comment.create({
+      content: "Gone with the task",
+      author: testUser._id,
+      entityType: "Task",
+      entityId: created.body.task._id,
+    });
+    await deleteTask(created.body.task);
+    const [item] = await TrashItem.find();
+
+    const response = await request(app)
+      .delete(`/api/trash/${item._id}`)
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(response.status).toBe(200);
+    expect(await TrashItem.countDocuments()).toBe(0);
+    expect(await TaskHistory.countDocuments()).toBe(0);
+    expect(await Comment.countDocuments()).toBe(0);
+  });
+
+  it("should empty the trash", async () => {
+    await deleteTask(await createTask("One"));
+    await deleteTask(await createTask("Two"));
+
+    const response = await request(app)
+      .delete("/api/trash")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.purged).toBe(2);
+    expect(await TrashItem.countDocuments()).toBe(0);
+  });
+
+  it("should purge items past the retention window", async () => {
+    await deleteTask(await createTask("Old"));
+    await deleteTask(await createTask("Recent"));
+    await TrashItem.updateOne(
+      { title: "Old" },
+      { expiresAt: new Date(Date.now() - 1000) }
+    );
+
+    const purged = await trashService.purgeExpired();
+
+    expect(purged).toBe(1);
+    const remaining = await TrashItem.find();
+    expect(remaining.map((item) => item.title)).toEqual(["Recent"]);
+  });
+});
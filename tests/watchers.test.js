@@ -0,0 +1,211 @@
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import request from "supertest";
+
+import Comment from "../models/Comment.js";
+import Notification from "../models/Notification.js";
+import ScheduledJob from "../models/ScheduledJob.js";
+import Task from "../models/Task.js";
+import User from "../models/User.js";
+import app from "../server.js";
+import schedulerService from "../services/schedulerService.js";
+import watcherService from "../services/watcherService.js";
+
+describe("Task Watcher Tests", () => {
+  let mongoServer;
+  let owner;
+  let watcher;
+  let ownerToken;
+  let watcherToken;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    [owner, watcher] = await User.create([
+      {
+        username: "watchowner",
+        email: "watchowner@example.com",
+        password: "password123",
+        firstName: "Watch",
+        lastName: "Owner",
+      },
+      {
+        username: "watchwatcher",
+        email: "watchwatcher@example.com",
+        password: "password123",
+        firstName: "Watch",
+        lastName: "Watcher",
+      },
+    ]);
+
+    const sign = (user) =>
+      jwt.sign({ userId: user._id.toString() }, process.env.JWT_SECRET, {
+        expiresIn: "1h",
+      });
+    ownerToken = sign(owner);
+    watcherToken = sign(watcher);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await Promise.all([
+      Task.deleteMany({}),
+      Comment.deleteMany({}),
+      Notification.deleteMany({}),
+      ScheduledJob.deleteMany({}),
+    ]);
+  });
+
+  const createTask = (data = {}) =>
+    request(app)
+      .post("/api/tasks")
+      .set("Authorization", `Bearer ${ownerToken}`)
+      .send({ title: "Watched task", ...data });
+
+  const updateTask = (taskId, data) =>
+    request(app)
+      .put(`/api/tasks/${taskId}`)
+      .set("Authorization", `Bearer ${ownerToken}`)
+      .send(data);
+
+  // Run the digests now instead of after the window
+  const sendDigests = async () => {
+    await ScheduledJob.updateMany(
+      { type: "watcher_digest" },
+      { runAt: new Date() }
+    );
+    await schedulerService.runDueJobs({
+      watcher_digest: (payload, job) => watcherService.sendDigest(payload, job),
+    });
+  };
+
+  it("should make the creator and assignees watch a task", async () => {
+    const created = await createTask({
+      assignedTo: [watcher._id.toString()],
+    });
+
+    const response = await request(app)
+      .get(`/api/tasks/${created.body.task._id}/watchers`)
+      .set("Authorization", `Bearer ${ownerToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.isWatching).toBe(true);
+    expect(response.body.watchers.map((user) => user.username).sort()).toEqual([
+      "watchowner",
+      "watchwatcher",
+    ]);
+  });
+
+  it("should watch and unwatch a task", async () => {
+    const created = await createTask({
+      assignedTo: [watcher._id.toString()],
+    });
+    const taskId = created.body.task._id;
+
+    const unwatched = await request(app)
+      .delete(`/api/tasks/${taskId}/watch`)
+      .set("Authorization", `Bearer ${watcherToken}`);
+    expect(unwatched.status).toBe(200);
+    expect(unwatched.body.isWatching).toBe(false);
+
+    const watched = await request(app)
+      .post(`/api/tasks/${taskId}/watch`)
+      .set("Authorization", `Bearer ${watcherToken}`);
+    expect(watched.body.isWatching).toBe(true);
+    expect((await Task.findById(taskId)).watchers).toHaveLength(2);
+  });
+
+  it("should not let users watch tasks they cannot see", async () => {
+    const created = await createTask();
+
+    const response = await request(app)
+      .post(`/api/tasks/${created.body.task._id}/watch`)
+      .set("Authorization", `Bearer ${watcherToken}`);
+
+    expect(response.status).toBe(404);
+  });
+
+  it("should coalesce a burst of changes into one notification", async () => {
+    const created = await createTask({
+      assignedTo: [watcher._id.toString()],
+    });
+    const taskId = created.body.task._id;
+
+    await updateTask(taskId, { status: "in-progress" });
+    await updateTask(taskId, { status: "review" });
+    await updateTask(taskId, { dueDate: "2026-05-01T00:00:00.000Z" });
+    await updateTask(taskId, { priority: "high" });
+
+    // Nothing is sent before the window ends
+    expect(await Notification.countDocuments()).toBe(0);
+    expect(await ScheduledJob.countDocuments({ type: "watcher_digest" })).toBe(
+      1
+    );
+
+    await sendDigests();
+
+    const notifications = await Notification.find();
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0]).toMatchObject({
+      type: "task_update",
+      title: 'Updates to "Watched task"',
+      message: "Status: todo → review\nDue date: none → 2026-05-01",
+    });
+    expect(notifications[0].recipient.toString()).toBe(watcher._id.toString());
+    expect(notifications[0].sender.toString()).toBe(owner._id.toString());
+  });
+
+  it("should notify watchers of comments and make commenters watch", async () => {
+    const created = await createTask({
+      assignedTo: [watcher._id.toString()],
+    });
+    const taskId = created.body.task._id;
+    await request(app)
+      .delete(`/api/tasks/${taskId}/watch`)
+      .set("Authorization", `Bearer ${ownerToken}`);
+
+    await request(app)
+      .post(`/api/tasks/${taskId}/comments`)
+      .set("Authorization", `Bearer ${watcherToken}`)
+      .send({ content: "Started on this" });
+    await request(app)
+      .post(`/api/tasks/${taskId}/comments`)
+      .set("Authorization", `Bearer ${ownerToken}`)
+      .send({ content: "Thanks!" });
+
+    await sendDigests();
+
+    // The owner stopped watching before the first comment, and is watching
+    // again since commenting
+    const notifications = await Notification.find();
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0]).toMatchObject({
+      type: "comment",
+      message: "New comment: Thanks!",
+    });
+    expect(notifications[0].recipient.toString()).toBe(watcher._id.toString());
+    expect((await Task.findById(taskId)).watchers).toHaveLength(2);
+  });
+
+  it("should skip watchers who stopped watching before the digest", async () => {
+    const created = await createTask({
+      assignedTo: [watcher._id.toString()],
+    });
+    const taskId = created.body.task._id;
+
+    await updateTask(taskId, { status: "in-progress" });
+    await request(app)
+      .delete(`/api/tasks/${taskId}/watch`)
+      .set("Authorization", `Bearer ${watcherToken}`);
+
+    await sendDigests();
+
+    expect(await Notification.countDocuments()).toBe(0);
+  });
+});
@@ -5,7 +5,8 @@
  * @param {Object} options - Response options
  * @param {Number} options.status - HTTP status code
  * @param {String} options.message - Response message
- * @param {Object} options.data - Response data
+ * @param {Object} options.data - Response data. A list's data.pagination
+ *   (see utils/pagination.js) is returned next to data rather than in it.
  * @param {String} options.error - Error code if applicable
  * @param {Array} options.errors - Detailed error information if applicable
  * @param {String} options.requestId - Request ID for tracking
@@ -65,7 +66,7 @@ export const apiResponse = (res, options) => {
  * @param {Number} options.status - HTTP status code (default: 200)
  * @param {String} options.message - Response message
  * @param {Array} options.data - Array of items
- * @param {Object} options.pagination - Pagination details
+ * @param {Object} options.pagination - Pagination details from paginate()
  * @param {String} options.requestId - Request ID for tracking
  * @returns {Object} Express response
  */
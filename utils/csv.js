@@ -0,0 +1,62 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields may hold commas, quotes doubled
+ * as "" and line breaks) into rows of strings
+ * @param {String} text - CSV text
+ * @param {Object} options - { delimiter } (default ",")
+ * @returns {Array<Array<String>>} Rows, each with its line number as .line
+ */
+export const parseCsv = (text, { delimiter = "," } = {}) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(field);
+    row.line = rowLine;
+    rows.push(row);
+    row = [];
+    field = "";
+  };
+
+  // Byte order marks are common in spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Invalid CSV - unclosed quote starting on line ${rowLine}`);
+  }
+  if (field !== "" || row.length > 0) endRow();
+
+  // Blank lines are not rows
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+};
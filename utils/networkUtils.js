@@ -0,0 +1,76 @@
+import { lookup } from "dns/promises";
+import { BlockList, isIP } from "net";
+
+// Loopback, private, link-local and other addresses outbound requests
+// must not reach
+const blockedAddresses = new BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) =>
+  blockedAddresses.addSubnet(network, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) =>
+  blockedAddresses.addSubnet(network, prefix, "ipv6")
+);
+
+/**
+ * Whether an IP address is loopback, private or otherwise not public
+ * @param {String} address - IPv4 or IPv6 address
+ * @returns {Boolean}
+ */
+export const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6 addresses, e.g. ::ffff:127.0.0.1
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return isPrivateAddress(mapped[1]);
+  }
+
+  const family = isIP(address) === 6 ? "ipv6" : "ipv4";
+  return blockedAddresses.check(address, family);
+};
+
+/**
+ * Check that a URL is https and that its host resolves only to public
+ * addresses, so user-supplied URLs cannot reach internal services
+ * @param {String} url - URL to check
+ * @throws {Error} When the URL is invalid or points at a private address
+ */
+export const assertPublicUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error("Invalid URL");
+  }
+  if (parsed.protocol !== "https:") {
+    throw new Error("Invalid URL: must use https");
+  }
+
+  // URL keeps IPv6 hosts in brackets
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+  const addresses = isIP(hostname)
+    ? [{ address: hostname }]
+    : await lookup(hostname, { all: true }).catch(() => {
+        throw new Error(`Invalid URL: cannot resolve ${hostname}`);
+      });
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error("Invalid URL: private and loopback hosts are not allowed");
+  }
+};
@@ -0,0 +1,209 @@
+import mongoose from "mongoose";
+
+/**
+ * Cursor pagination for list endpoints
+ *
+ * Lists are sorted by one field with _id as the tiebreaker. A cursor is an
+ * opaque token holding that sort and the position of the item it was taken
+ * from, so the next page starts right after that item even when items are
+ * added or removed in between. Page numbers still work: without a cursor,
+ * ?page=N skips to that page and also returns cursors to continue from.
+ *
+ *   GET /api/tasks?sortBy=dueDate&limit=50
+ *   GET /api/tasks?cursor=<pagination.nextCursor>
+ */
+
+const SORT_ORDERS = { asc: 1, desc: -1 };
+
+// Dates are tagged so they can be compared on paths that are not cast, such
+// as custom fields
+const encodeCursor = ({ v, ...cursor }) =>
+  Buffer.from(
+    JSON.stringify({
+      ...cursor,
+      v: v instanceof Date ? v.toISOString() : v,
+      ...(v instanceof Date && { t: "date" }),
+    })
+  ).toString("base64url");
+
+// Sort values a cursor may carry. Anything else, such as { "$gt": "" },
+// would end up as an operator in the query.
+const isCursorValue = (value) =>
+  value === null ||
+  ["string", "boolean"].includes(typeof value) ||
+  Number.isFinite(value);
+
+const decodeCursor = (token) => {
+  let cursor;
+  try {
+    cursor = JSON.parse(
+      Buffer.from(String(token), "base64url").toString("utf8")
+    );
+  } catch (error) {
+    throw new Error("Invalid cursor");
+  }
+
+  if (
+    !cursor ||
+    typeof cursor.s !== "string" ||
+    ![1, -1].includes(cursor.o) ||
+    !["next", "prev"].includes(cursor.d) ||
+    !mongoose.isValidObjectId(cursor.id) ||
+    !isCursorValue(cursor.v) ||
+    ![undefined, "date"].includes(cursor.t)
+  ) {
+    throw new Error("Invalid cursor");
+  }
+
+  if (cursor.t === "date") {
+    if (typeof cursor.v !== "string") throw new Error("Invalid cursor");
+    cursor.v = new Date(cursor.v);
+    if (isNaN(cursor.v)) throw new Error("Invalid cursor");
+  }
+
+  return cursor;
+};
+
+// Accepts "asc"/"desc" as well as 1/-1
+const toSortOrder = (value, fallback) =>
+  SORT_ORDERS[value] ||
+  [1, -1].find((order) => order === Number(value)) ||
+  SORT_ORDERS[fallback];
+
+const getValue = (doc, path) =>
+  typeof doc.get === "function"
+    ? doc.get(path)
+    : path.split(".").reduce((value, key) => value?.[key], doc);
+
+/**
+ * Filter for the items after (value, id) in a list sorted by field then _id,
+ * both in the same direction. Missing values sort before everything else.
+ */
+const afterCondition = (field, direction, value, id) => {
+  const op = direction === 1 ? "$gt" : "$lt";
+  if (field === "_id") return { _id: { [op]: id } };
+
+  if (value === null || value === undefined) {
+    return {
+      $or: [
+        { [field]: null, _id: { [op]: id } },
+        ...(direction === 1 ? [{ [field]: { $ne: null } }] : []),
+      ],
+    };
+  }
+
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: id } },
+      ...(direction === -1 ? [{ [field]: null }] : []),
+    ],
+  };
+};
+
+/**
+ * Run a list query one page at a time
+ * @param {Object} query - Mongoose find query with the list's filter,
+ *   projection and populates
+ * @param {Object} params - Request options: { cursor, page, limit, sortBy,
+ *   sortOrder }. A cursor carries its own sort, so sortBy and sortOrder are
+ *   ignored with one.
+ * @param {Object} options - List settings
+ * @param {Array} options.sortFields - Fields the list may be sorted by
+ *   besides _id, as names or patterns
+ * @param {String} options.defaultSort - Sort field when none is given
+ * @param {String} options.defaultOrder - "asc" or "desc"
+ * @param {Number} options.defaultLimit - Page size when none is given
+ * @param {Number} options.maxLimit - Largest page size
+ * @returns {Promise<Object>} { items, pagination: { total, limit, page,
+ *   pages, hasMore, nextCursor, prevCursor } }, with page and pages only
+ *   when paging by number
+ */
+export const paginate = async (query, params = {}, options = {}) => {
+  const {
+    sortFields = [],
+    defaultSort = "createdAt",
+    defaultOrder = "desc",
+    defaultLimit = 20,
+    maxLimit = 100,
+  } = options;
+  const isSortable = (field) =>
+    typeof field === "string" &&
+    (field === "_id" ||
+      sortFields.some((allowed) =>
+        allowed instanceof RegExp ? allowed.test(field) : allowed === field
+      ));
+
+  const limit = Math.min(
+    maxLimit,
+    Math.max(1, parseInt(params.limit) || defaultLimit)
+  );
+  const cursor = params.cursor ? decodeCursor(params.cursor) : null;
+  if (cursor && !isSortable(cursor.s)) {
+    throw new Error("Invalid cursor");
+  }
+
+  const sortBy =
+    cursor?.s || (isSortable(params.sortBy) ? params.sortBy : defaultSort);
+  const order = cursor?.o || toSortOrder(params.sortOrder, defaultOrder);
+  const page = cursor ? null : Math.max(1, parseInt(params.page) || 1);
+
+  // Going back reads the list in reverse from the cursor
+  const backwards = cursor?.d === "prev";
+  const direction = backwards ? -order : order;
+
+  const total = await query.model.countDocuments(query.getFilter());
+
+  if (cursor) {
+    query.and([afterCondition(sortBy, direction, cursor.v, cursor.id)]);
+  }
+
+  // The sort value goes into the cursors, so it must be selected
+  const projection = query.projection();
+  if (
+    projection &&
+    Object.values(projection).some((value) => value === 1 || value === true)
+  ) {
+    query.select(sortBy);
+  }
+
+  const documents = await query
+    .sort(
+      sortBy === "_id"
+        ? { _id: direction }
+        : { [sortBy]: direction, _id: direction }
+    )
+    .skip(page ? (page - 1) * limit : 0)
+    .limit(limit + 1);
+
+  const hasMore = documents.length > limit;
+  const items = documents.slice(0, limit);
+  if (backwards) items.reverse();
+
+  // Coming from a cursor there is always something on its other side
+  const hasNext = backwards || hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(cursor) || page > 1;
+
+  const cursorFrom = (doc, d) =>
+    encodeCursor({
+      s: sortBy,
+      o: order,
+      v: getValue(doc, sortBy) ?? null,
+      id: doc._id,
+      d,
+    });
+
+  return {
+    items,
+    pagination: {
+      total,
+      limit,
+      ...(page && { page, pages: Math.ceil(total / limit) }),
+      hasMore: hasNext,
+      nextCursor:
+        hasNext && items.length > 0 ? cursorFrom(items.at(-1), "next") : null,
+      prevCursor:
+        hasPrev && items.length > 0 ? cursorFrom(items[0], "prev") : null,
+    },
+  };
+};
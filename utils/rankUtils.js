@@ -0,0 +1,60 @@
+/**
+ * Rank utility functions
+ *
+ * Ranks are base-36 fractions written without the leading "0.", so "i" is
+ * 0.5 and "0i" is 0.05. Plain string comparison orders them, and there is
+ * always room for another rank between two neighbours, so moving an item
+ * only changes the item itself. Ranks never end in "0", which keeps every
+ * value spelled one way.
+ */
+
+const DIGITS = "0123456789abcdefghijklmnopqrstuvwxyz";
+const BASE = DIGITS.length;
+
+const digitAt = (rank, index) =>
+  rank && index < rank.length ? DIGITS.indexOf(rank[index]) : 0;
+
+/**
+ * Rank that sorts between two others
+ * @param {string|null} before - Rank to come after, or null for the start
+ * @param {string|null} after - Rank to come before, or null for the end
+ * @returns {string} - New rank
+ */
+const rankBetween = (before = null, after = null) => {
+  if (before && after && before >= after) {
+    throw new Error("Invalid rank order");
+  }
+
+  let rank = "";
+  // Until the new rank drops below `after`, its digits are capped by it
+  let bounded = Boolean(after);
+
+  for (let index = 0; ; index++) {
+    const low = digitAt(before, index);
+    const high = bounded ? digitAt(after, index) : BASE;
+
+    if (high - low > 1) {
+      return rank + DIGITS[Math.floor((low + high) / 2)];
+    }
+
+    rank += DIGITS[low];
+    if (high - low === 1) bounded = false;
+  }
+};
+
+/**
+ * Evenly spaced ranks for a list of items, shortest possible
+ * @param {number} count - Number of items
+ * @returns {Array<string>} - Ranks in ascending order
+ */
+const spreadRanks = (count) => {
+  let width = 1;
+  while (BASE ** width < count + 1) width++;
+
+  const step = Math.floor(BASE ** width / (count + 1));
+  return Array.from({ length: count }, (_, index) =>
+    ((index + 1) * step).toString(BASE).padStart(width, "0").replace(/0+$/, "")
+  );
+};
+
+export { rankBetween, spreadRanks };
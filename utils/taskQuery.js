@@ -0,0 +1,380 @@
+import mongoose from "mongoose";
+
+import { sanitizeMongoQuery } from "./sanitizers.js";
+
+/**
+ * Task query language
+ *
+ * A query is a list of terms separated by spaces; every term must match.
+ * `field:value` matches a value (or any of a comma-separated list),
+ * `field!=value` excludes it and `field>value`, `>=`, `<`, `<=` compare
+ * ordered fields. A leading `-` negates a term and words without a field
+ * search the title and description. Values with spaces go in double quotes.
+ *
+ *   status:in-progress priority>=high due<7d tag:backend -assignee:me
+ */
+
+const MAX_QUERY_LENGTH = 500;
+
+const STATUSES = [
+  "todo",
+  "in-progress",
+  "review",
+  "completed",
+  "cancelled",
+  "on-hold",
+];
+
+// In ascending order, so priority>=high matches high and urgent
+const PRIORITIES = ["low", "medium", "high", "urgent"];
+
+const FIELDS = {
+  status: { path: "status", type: "enum", values: STATUSES },
+  priority: { path: "priority", type: "ordered", values: PRIORITIES },
+  due: { path: "dueDate", type: "date" },
+  start: { path: "startDate", type: "date" },
+  created: { path: "createdAt", type: "date" },
+  updated: { path: "updatedAt", type: "date" },
+  completed: { path: "completedAt", type: "date" },
+  tag: { path: "tags", type: "string" },
+  category: { path: "category", type: "string" },
+  assignee: { path: "assignedTo", type: "user", list: true },
+  owner: { path: "owner", type: "user" },
+  watcher: { path: "watchers", type: "user", list: true },
+  project: { path: "project", type: "id" },
+  sprint: { path: "sprint", type: "id" },
+  progress: { path: "progress", type: "number" },
+  estimate: { path: "estimatedTime", type: "number" },
+  points: { path: "storyPoints", type: "number" },
+  title: { path: "title", type: "text" },
+  is: { type: "flag" },
+};
+FIELDS.tags = FIELDS.tag;
+
+const RANGE_TYPES = ["ordered", "date", "number"];
+
+const RANGE_OPERATORS = {
+  ">": "$gt",
+  ">=": "$gte",
+  "<": "$lt",
+  "<=": "$lte",
+};
+
+const COMPARISONS = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Units of relative dates such as 7d or -2w
+const OFFSET_UNITS = {
+  h: 60 * 60 * 1000,
+  d: DAY_MS,
+  w: 7 * DAY_MS,
+  m: 30 * DAY_MS,
+};
+
+const TERM_PATTERN = /^([a-zA-Z]+)(>=|<=|!=|:|=|>|<)(.*)$/;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const invalid = (message) => new Error(`Invalid query: ${message}`);
+
+const startOfUTCDay = (date) =>
+  new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+
+// Helpers
+
+/**
+ * today, yesterday, tomorrow or YYYY-MM-DD, as a UTC day
+ */
+const parseDay = (value, now) => {
+  const keywords = { yesterday: -1, today: 0, tomorrow: 1 };
+  let start;
+
+  if (keywords[value] !== undefined) {
+    start = new Date(startOfUTCDay(now).getTime() + keywords[value] * DAY_MS);
+  } else if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    start = new Date(`${value}T00:00:00.000Z`);
+    if (Number.isNaN(start.getTime())) {
+      throw invalid(`"${value}" is not a valid date`);
+    }
+  } else {
+    return null;
+  }
+
+  return { start, end: new Date(start.getTime() + DAY_MS) };
+};
+
+/**
+ * A relative offset from now such as 7d, -12h or 2w, or an ISO date-time
+ */
+const parseInstant = (value, now) => {
+  const offset = value.match(/^(-?\d+)([hdwm])$/);
+  if (offset) {
+    return new Date(
+      now.getTime() + parseInt(offset[1]) * OFFSET_UNITS[offset[2]]
+    );
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw invalid(`"${value}" is not a valid date`);
+  }
+  return date;
+};
+
+const flagCondition = (value, { now }) => {
+  switch (value.toLowerCase()) {
+    case "archived":
+      return { isArchived: true };
+    case "pinned":
+      return { isPinned: true };
+    case "blocked":
+      return { "blockedBy.0": { $exists: true } };
+    case "recurring":
+      return { "recurring.isRecurring": true };
+    case "subtask":
+      return { parentTask: { $ne: null } };
+    case "overdue":
+      return {
+        dueDate: { $lt: now },
+        status: { $nin: ["completed", "cancelled"] },
+      };
+    default:
+      throw invalid(`unknown flag "is:${value}"`);
+  }
+};
+
+const convertValue = (definition, field, value, { userId }) => {
+  switch (definition.type) {
+    case "enum":
+    case "ordered":
+      if (!definition.values.includes(value.toLowerCase())) {
+        throw invalid(
+          `"${field}" must be one of ${definition.values.join(", ")}`
+        );
+      }
+      return value.toLowerCase();
+    case "number": {
+      const number = Number(value);
+      if (!Number.isFinite(number)) {
+        throw invalid(`"${field}" must be a number`);
+      }
+      return number;
+    }
+    case "user":
+    case "id": {
+      if (value === "none") return null;
+      const id = value === "me" && definition.type === "user" ? userId : value;
+      if (!mongoose.isValidObjectId(id)) {
+        throw invalid(`"${value}" is not a valid ID for "${field}"`);
+      }
+      return new mongoose.Types.ObjectId(String(id));
+    }
+    default:
+      return value;
+  }
+};
+
+const matchCondition = (definition, field, values, context) => {
+  const { path } = definition;
+
+  if (definition.type === "text") {
+    return {
+      $or: values.map((value) => ({
+        [path]: new RegExp(escapeRegex(value), "i"),
+      })),
+    };
+  }
+
+  if (
+    definition.type === "user" &&
+    definition.list &&
+    values.includes("none")
+  ) {
+    return values.length === 1
+      ? { [path]: { $size: 0 } }
+      : {
+          $or: [
+            { [path]: { $size: 0 } },
+            matchCondition(
+              definition,
+              field,
+              values.filter((value) => value !== "none"),
+              context
+            ),
+          ],
+        };
+  }
+
+  const converted = values.map((value) =>
+    convertValue(definition, field, value, context)
+  );
+  return { [path]: converted.length === 1 ? converted[0] : { $in: converted } };
+};
+
+const dateEquals = (definition, value, context) => {
+  const { path } = definition;
+
+  if (value === "none") {
+    return { [path]: null };
+  }
+
+  const day = parseDay(value, context.now);
+  if (!day) {
+    throw invalid(`use a day or a comparison to match "${value}"`);
+  }
+  return { [path]: { $gte: day.start, $lt: day.end } };
+};
+
+const rangeCondition = (definition, operator, value, context) => {
+  const { path } = definition;
+
+  if (definition.type === "ordered") {
+    const index = definition.values.indexOf(value.toLowerCase());
+    if (index === -1) {
+      throw invalid(`"${value}" is not an ordered value`);
+    }
+    const matches = definition.values.filter((_, position) =>
+      COMPARISONS[operator](position, index)
+    );
+    return { [path]: { $in: matches } };
+  }
+
+  if (definition.type === "number") {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      throw invalid(`"${value}" is not a number`);
+    }
+    return { [path]: { [RANGE_OPERATORS[operator]]: number } };
+  }
+
+  // A whole day compares by its bounds: due<=today includes all of today
+  const day = parseDay(value, context.now);
+  if (day) {
+    const bounds = {
+      ">": { $gte: day.end },
+      ">=": { $gte: day.start },
+      "<": { $lt: day.start },
+      "<=": { $lt: day.end },
+    };
+    return { [path]: bounds[operator] };
+  }
+
+  return {
+    [path]: { [RANGE_OPERATORS[operator]]: parseInstant(value, context.now) },
+  };
+};
+
+const fieldCondition = (term, context) => {
+  const { field, operator, values } = term;
+  const definition = FIELDS[field];
+
+  if (definition.type === "flag") {
+    if (operator !== ":" && operator !== "=") {
+      throw invalid(`"is" only supports ":"`);
+    }
+    return { $and: values.map((value) => flagCondition(value, context)) };
+  }
+
+  if (RANGE_OPERATORS[operator]) {
+    if (!RANGE_TYPES.includes(definition.type)) {
+      throw invalid(`"${field}" cannot be compared with ${operator}`);
+    }
+    if (values.length > 1) {
+      throw invalid(`${operator} takes a single value`);
+    }
+    return rangeCondition(definition, operator, values[0], context);
+  }
+
+  const condition =
+    definition.type === "date"
+      ? { $or: values.map((value) => dateEquals(definition, value, context)) }
+      : matchCondition(definition, field, values, context);
+
+  return operator === "!=" ? { $nor: [condition] } : condition;
+};
+
+const textCondition = (text) => {
+  const pattern = new RegExp(escapeRegex(text), "i");
+  return { $or: [{ title: pattern }, { description: pattern }] };
+};
+
+/**
+ * Split a query into terms
+ * @param {string} text - Query text
+ * @returns {Array<Object>} - Terms: { field, operator, values, negate } or
+ *   { text, negate } for free-text words
+ */
+const parseTaskQuery = (text = "") => {
+  if (typeof text !== "string") {
+    throw invalid("query must be text");
+  }
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw invalid(`query cannot exceed ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  // Request input passes through xss-clean, which escapes "<"
+  const tokens =
+    text.replace(/&lt;/g, "<").match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+
+  return tokens.map((token) => {
+    const negate = token.length > 1 && token.startsWith("-");
+    const body = negate ? token.slice(1) : token;
+    const match = body.match(TERM_PATTERN);
+
+    if (!match) {
+      return { text: body.replace(/"/g, ""), negate };
+    }
+
+    const [, name, operator, rawValue] = match;
+    const field = name.toLowerCase();
+    if (!FIELDS[field]) {
+      throw invalid(`unknown field "${name}"`);
+    }
+
+    const values = rawValue
+      .replace(/"/g, "")
+      .split(",")
+      .map((value) => value.trim())
+      .filter(Boolean);
+    if (values.length === 0) {
+      throw invalid(`"${name}" needs a value`);
+    }
+
+    return { field, operator, values, negate };
+  });
+};
+
+/**
+ * Compile a query to a MongoDB filter. Terms are passed through
+ * sanitizeMongoQuery and only whitelisted fields and operators reach the
+ * filter, so query text cannot inject operators of its own.
+ * @param {string} text - Query text
+ * @param {Object} context - { userId } for "me", { now } for relative dates
+ * @returns {Object} - Filter to combine with the caller's own conditions
+ */
+const compileTaskQuery = (text, { userId, now = new Date() } = {}) => {
+  const terms = sanitizeMongoQuery(parseTaskQuery(text));
+  if (terms.length === 0) {
+    return {};
+  }
+
+  const conditions = terms.map((term) => {
+    const condition =
+      term.text !== undefined
+        ? textCondition(term.text)
+        : fieldCondition(term, { userId, now });
+    return term.negate ? { $nor: [condition] } : condition;
+  });
+
+  return { $and: conditions };
+};
+
+export { parseTaskQuery, compileTaskQuery };
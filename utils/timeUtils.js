@@ -135,6 +135,102 @@ const getPomodoroSessionInfo = (settings, completedSessions) => {
   };
 };
 
+/**
+ * Count the working days between two dates (inclusive)
+ * @param {Date} startDate - Start of the range
+ * @param {Date} endDate - End of the range
+ * @param {number[]} workDays - Working days of the week (Monday=1, Sunday=7)
+ * @param {string} timeZone - IANA time zone used to decide the day of week
+ * @returns {number} - Number of working days in the range
+ */
+const countWorkingDays = (
+  startDate,
+  endDate,
+  workDays = [1, 2, 3, 4, 5],
+  timeZone = "UTC"
+) => {
+  const formatter = new Intl.DateTimeFormat("en-US", {
+    weekday: "short",
+    timeZone,
+  });
+  const dayNumbers = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+
+  let count = 0;
+  const cursor = new Date(startDate);
+  const end = new Date(endDate);
+
+  while (cursor <= end) {
+    if (workDays.includes(dayNumbers[formatter.format(cursor)])) {
+      count += 1;
+    }
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return count;
+};
+
+/**
+ * Add calendar months in UTC, clamping to the last day of shorter months
+ * @param {Date} date - Start date
+ * @param {number} months - Months to add
+ * @returns {Date} - New date
+ */
+const addUTCMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+
+  const daysInMonth = new Date(
+    Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  result.setUTCDate(Math.min(day, daysInMonth));
+
+  return result;
+};
+
+/**
+ * Get the date of the next occurrence in a recurrence
+ * @param {Date} date - Date of the current occurrence
+ * @param {string} frequency - daily, weekdays, weekly, biweekly, monthly, quarterly or yearly
+ * @param {number} interval - Number of periods between occurrences
+ * @returns {Date} - Date of the next occurrence
+ */
+const getNextRecurrenceDate = (date, frequency, interval = 1) => {
+  const next = new Date(date);
+
+  switch (frequency) {
+    case "daily":
+      next.setUTCDate(next.getUTCDate() + interval);
+      return next;
+    case "weekdays": {
+      // Move forward `interval` working days, skipping weekends
+      let remaining = interval;
+      while (remaining > 0) {
+        next.setUTCDate(next.getUTCDate() + 1);
+        const day = next.getUTCDay();
+        if (day !== 0 && day !== 6) remaining -= 1;
+      }
+      return next;
+    }
+    case "weekly":
+      next.setUTCDate(next.getUTCDate() + 7 * interval);
+      return next;
+    case "biweekly":
+      next.setUTCDate(next.getUTCDate() + 14 * interval);
+      return next;
+    case "monthly":
+      return addUTCMonths(next, interval);
+    case "quarterly":
+      return addUTCMonths(next, 3 * interval);
+    case "yearly":
+      return addUTCMonths(next, 12 * interval);
+    default:
+      throw new Error(`Invalid recurrence frequency: ${frequency}`);
+  }
+};
+
 export {
   roundTimeToInterval,
   isWithinWorkingHours,
@@ -142,4 +238,6 @@ export {
   formatDuration,
   isLongRunningTimer,
   getPomodoroSessionInfo,
+  countWorkingDays,
+  getNextRecurrenceDate,
 };